@@ -0,0 +1,124 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../utils/security', () => ({
+  ...jest.requireActual('../utils/security'),
+  validateSession: jest.fn(),
+  verifyPassword: jest.fn(),
+  checkRateLimit: jest.fn(),
+  checkAccountLockout: jest.fn(),
+  handleFailedLogin: jest.fn(),
+  handleSuccessfulLogin: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  isNewDevice: jest.fn(),
+  createSession: jest.fn()
+}));
+jest.mock('../utils/twoFactor', () => ({ verifySecondFactor: jest.fn(), getTwoFactorStatus: jest.fn() }));
+jest.mock('../utils/webauthn', () => ({
+  deletePasskey: jest.fn(),
+  startPasskeyRegistration: jest.fn(),
+  finishPasskeyRegistration: jest.fn(),
+  finishPasskeyAuthentication: jest.fn()
+}));
+jest.mock('../utils/emailVerification', () => ({ isEmailVerified: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendTemplateEmail: jest.fn(), appUrl: jest.fn() }));
+
+const db = require('../utils/db');
+const security = require('../utils/security');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const webauthn = require('../utils/webauthn');
+const { isEmailVerified } = require('../utils/emailVerification');
+const { main } = require('../functions/auth/handler');
+
+// The signed-in user: a password account, with or without two-factor
+let account;
+
+const request = (httpMethod, path, body = {}) => main({
+  httpMethod,
+  path: `/api/auth${path}`,
+  headers: { Authorization: 'Bearer session-token' },
+  body: JSON.stringify(body)
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  account = { id: 7, email: 'ada@example.com', name: 'Ada', password_hash: 'hash', two_factor_enabled: true };
+
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM users WHERE id = $1')) return { rows: [account] };
+    return { rows: [] };
+  });
+  security.validateSession.mockResolvedValue({ userId: 7, sessionId: 3 });
+  security.verifyPassword.mockImplementation(async (password) => password === 'correct horse');
+  security.checkRateLimit.mockResolvedValue(true);
+  security.checkAccountLockout.mockResolvedValue(false);
+  security.handleFailedLogin.mockResolvedValue({ attempts: 1 });
+  security.createSession.mockResolvedValue({ sessionToken: 'new-session', refreshToken: 'refresh', expiresAt: 'later' });
+  verifySecondFactor.mockImplementation(async (userId, { code }) => (code === '123456' ? 'totp' : null));
+  isEmailVerified.mockResolvedValue(true);
+  webauthn.deletePasskey.mockResolvedValue(true);
+  webauthn.startPasskeyRegistration.mockResolvedValue({ challenge: 'challenge' });
+  webauthn.finishPasskeyRegistration.mockResolvedValue({ id: 1, name: 'Laptop' });
+  webauthn.finishPasskeyAuthentication.mockResolvedValue({ userId: 7, passkeyId: 1, userVerified: true });
+});
+
+describe('passkey changes need re-authentication', () => {
+  test.each([
+    ['POST', '/passkeys/register/start'],
+    ['DELETE', '/passkeys/1']
+  ])('%s %s asks for the password and a code', async (method, path) => {
+    expect((await request(method, path, { password: 'wrong', code: '123456' })).statusCode).toBe(403);
+    expect((await request(method, path, { password: 'correct horse', code: '000000' })).statusCode).toBe(403);
+    expect((await request(method, path, { password: 'correct horse', code: '123456' })).statusCode).toBe(200);
+    expect(security.handleFailedLogin).toHaveBeenCalledTimes(2);
+  });
+
+  test('adds a passkey with the password alone when two-factor is off', async () => {
+    account.two_factor_enabled = false;
+
+    expect((await request('POST', '/passkeys/register/start', { password: 'correct horse' })).statusCode).toBe(200);
+    expect(verifySecondFactor).not.toHaveBeenCalled();
+  });
+
+  test('checks the password again when the passkey is stored', async () => {
+    expect((await request('POST', '/passkeys/register/finish', { credential: {} })).statusCode).toBe(403);
+    expect(webauthn.finishPasskeyRegistration).not.toHaveBeenCalled();
+
+    expect((await request('POST', '/passkeys/register/finish', { credential: {}, password: 'correct horse' })).statusCode).toBe(201);
+  });
+
+  test('refuses a locked account before checking anything', async () => {
+    security.checkAccountLockout.mockResolvedValue(true);
+
+    expect((await request('DELETE', '/passkeys/1', { password: 'correct horse', code: '123456' })).statusCode).toBe(423);
+    expect(webauthn.deletePasskey).not.toHaveBeenCalled();
+  });
+});
+
+describe('passkey sign-in', () => {
+  test('is rate limited', async () => {
+    security.checkRateLimit.mockResolvedValue(false);
+
+    expect((await request('POST', '/passkeys/authenticate/finish', { credential: {} })).statusCode).toBe(429);
+    expect(webauthn.finishPasskeyAuthentication).not.toHaveBeenCalled();
+  });
+
+  test('refuses a locked account', async () => {
+    security.checkAccountLockout.mockResolvedValue(true);
+
+    expect((await request('POST', '/passkeys/authenticate/finish', { credential: {} })).statusCode).toBe(423);
+    expect(security.createSession).not.toHaveBeenCalled();
+  });
+
+  test('still asks a two-factor account for its code after a verified passkey', async () => {
+    const response = await request('POST', '/passkeys/authenticate/finish', { credential: {} });
+
+    expect(JSON.parse(response.body)).toMatchObject({ twoFactorRequired: true });
+    expect(security.createSession).not.toHaveBeenCalled();
+  });
+
+  test('signs in an account without two-factor', async () => {
+    account.two_factor_enabled = false;
+
+    const response = await request('POST', '/passkeys/authenticate/finish', { credential: {} });
+    expect(JSON.parse(response.body).session.token).toBe('new-session');
+  });
+});
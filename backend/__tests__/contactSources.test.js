@@ -0,0 +1,125 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const { parseContacts, getContactSource } = require('../utils/contactSources');
+
+const csv = (...lines) => `${lines.join('\n')}\n`;
+const vcf = (...lines) => `${lines.join('\r\n')}\r\n`;
+
+describe('parseContacts', () => {
+  test('maps the current Google Contacts layout', async () => {
+    const { records, errors, source, jobSource } = await parseContacts(csv(
+      'First Name,Middle Name,Last Name,Organization Name,Organization Title,E-mail 1 - Label,E-mail 1 - Value,' +
+        'Website 1 - Value,Website 2 - Value,Address 1 - City,Address 1 - Region,Address 1 - Country',
+      'Ada,,Lovelace,Analytical Engines,Engineer,* Work,ada@example.com ::: ada@home.example,' +
+        'https://ada.example,https://www.linkedin.com/in/ada,London,,United Kingdom'
+    ));
+
+    expect({ source, jobSource, errors }).toEqual({ source: 'google', jobSource: 'google-csv', errors: [] });
+    expect(records).toEqual([expect.objectContaining({
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email: 'ada@example.com',
+      company: 'Analytical Engines',
+      position: 'Engineer',
+      profile_url: 'https://www.linkedin.com/in/ada',
+      location: 'London, United Kingdom',
+      source: 'google'
+    })]);
+  });
+
+  test('splits the full name of the older Google layout', async () => {
+    const { records, source } = await parseContacts(csv(
+      'Name,Given Name,Family Name,E-mail 1 - Value,Organization 1 - Name,Organization 1 - Title',
+      'Ada King Lovelace,,,ada@example.com,Analytical Engines,Engineer'
+    ));
+
+    expect(source).toBe('google');
+    expect(records[0]).toMatchObject({ first_name: 'Ada King', last_name: 'Lovelace', company: 'Analytical Engines' });
+  });
+
+  test('maps Outlook contacts, preferring the business address', async () => {
+    const { records, source, jobSource } = await parseContacts(csv(
+      'Title,First Name,Last Name,Company,Job Title,E-mail Address,Web Page,Business City,Business State,' +
+        'Business Country/Region,Home City,Home Country/Region',
+      'Dr.,Grace,Hopper,US Navy,Rear Admiral,grace@example.com,linkedin.com/in/grace,Arlington,VA,United States,,',
+      'Mr.,Alan,Turing,,,alan@example.com,https://alan.example,,,,Wilmslow,United Kingdom'
+    ));
+
+    expect({ source, jobSource }).toEqual({ source: 'outlook', jobSource: 'outlook-csv' });
+    expect(records[0]).toMatchObject({
+      position: 'Rear Admiral',
+      location: 'Arlington, VA, United States',
+      source: 'outlook'
+    });
+    expect(records[0].profile_url).toMatch(/linkedin\.com\/in\/grace$/);
+    // "Title" is the salutation; a personal site is not a profile URL
+    expect(records[1]).toMatchObject({ position: null, profile_url: null, location: 'Wilmslow, United Kingdom' });
+  });
+
+  test('reads vCard 3 and 4 cards with folded lines and escapes', async () => {
+    const { records, errors, source } = await parseContacts(vcf(
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Lovelace;Ada;;;',
+      'FN:Ada Lovelace',
+      'ORG:Analytical Engines\\, Ltd;Research',
+      'TITLE:Engineer',
+      'EMAIL;TYPE=INTERNET:ada@home.example',
+      'EMAIL;TYPE=INTERNET,pref:ada@example.com',
+      'ADR;TYPE=HOME:;;1 Home St;Bath;;;United Kingdom',
+      'ADR;TYPE=WORK:;;1 St James;London;;SW1;United ',
+      ' Kingdom',
+      'item1.URL:https://www.linkedin.com/in/ada',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'FN:Grace Brewster Hopper',
+      'EMAIL;PREF=1:grace@example.com',
+      'END:VCARD'
+    ));
+
+    expect(source).toBe('vcard');
+    expect(errors).toEqual([]);
+    expect(records[0]).toMatchObject({
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email: 'ada@example.com',
+      position: 'Engineer',
+      profile_url: 'https://www.linkedin.com/in/ada',
+      location: 'London, United Kingdom',
+      source: 'vcard'
+    });
+    expect(records[0].company).toMatch(/^Analytical Engines/);
+    expect(records[1]).toMatchObject({ first_name: 'Grace Brewster', last_name: 'Hopper', email: 'grace@example.com' });
+  });
+
+  test('falls back to the LinkedIn Connections.csv layout', async () => {
+    const { records, source, jobSource } = await parseContacts(csv(
+      'First Name,Last Name,URL,Email Address,Company,Position,Connected On',
+      'Ada,Lovelace,https://www.linkedin.com/in/ada,ada@example.com,Analytical Engines,Engineer,15 Jan 2024'
+    ));
+
+    expect({ source, jobSource }).toEqual({ source: 'linkedin', jobSource: 'csv' });
+    expect(records[0]).toMatchObject({ profile_url: 'https://www.linkedin.com/in/ada', source: 'linkedin' });
+  });
+
+  test('maps unknown headers by name where it can and reports rows it cannot use', async () => {
+    const { records, errors, source } = await parseContacts(csv(
+      'Given First Name,Surname Last Name,Work Email,Employer,Shoe Size',
+      'Ada,Lovelace,ada@example.com,Analytical Engines,38',
+      'Grace,,grace@example.com,US Navy,40'
+    ));
+
+    expect(source).toBe('linkedin');
+    expect(records).toEqual([expect.objectContaining({ first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com', company: null })]);
+    expect(errors).toEqual([expect.objectContaining({ error: 'Missing required fields: first_name and last_name' })]);
+  });
+
+  test('uses the adapter named by `source` instead of detecting one', async () => {
+    const { source } = await parseContacts(csv('First Name,Last Name,E-mail Address,Job Title', 'Ada,Lovelace,ada@example.com,Engineer'), { source: 'linkedin' });
+
+    expect(source).toBe('linkedin');
+    expect(() => getContactSource('', { source: 'myspace' })).toThrow('Unsupported contact source: myspace');
+    expect(getContactSource('', { fileName: 'contacts.VCF' }).name).toBe('vcard');
+  });
+});
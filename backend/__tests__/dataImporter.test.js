@@ -0,0 +1,97 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../utils/auth', () => ({ getUserFromRequest: jest.fn(), requireVerifiedEmail: jest.fn() }));
+
+const db = require('../utils/db');
+const { getUserFromRequest } = require('../utils/auth');
+const { validatePreferences, getDefaultPreferences, SettingsValidationError } = require('../utils/settings');
+const handler = require('../functions/dataManagement/handler');
+
+const importRequest = (body) => ({
+  httpMethod: 'POST',
+  path: '/api/data/import',
+  headers: { Authorization: 'Bearer session' },
+  body: JSON.stringify(body)
+});
+
+const exportFile = (settings) => ({ format: 'pnit-export', version: 1, connections: [], settings });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  getUserFromRequest.mockResolvedValue({ id: 7, email_verified: true });
+  // No connections or settings stored yet; security events are accepted
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('validatePreferences', () => {
+  test('keeps known keys and drops unknown ones', () => {
+    const validated = validatePreferences({
+      interface: { theme: 'dark', items_per_page: 50, injected: '<script>' },
+      ai: { provider: 'local' },
+      extra: { anything: true }
+    });
+
+    expect(validated.interface).toEqual({ ...getDefaultPreferences().interface, theme: 'dark', items_per_page: 50 });
+    expect(validated.ai).toEqual({ provider: 'local' });
+    expect(validated).not.toHaveProperty('extra');
+  });
+
+  test('falls back to the default for values of the wrong type', () => {
+    const validated = validatePreferences({ notifications: { email: 'yes' }, privacy: 'none' });
+
+    expect(validated.notifications.email).toBe(true);
+    expect(validated.privacy).toEqual(getDefaultPreferences().privacy);
+  });
+
+  test('refuses an unknown AI provider', () => {
+    expect(() => validatePreferences({ ai: { provider: 'evil' } })).toThrow(SettingsValidationError);
+    expect(() => validatePreferences('dark')).toThrow('Preferences must be an object');
+  });
+});
+
+describe('POST /api/data/import', () => {
+  test('previews validated settings without unknown keys', async () => {
+    const response = await handler.main(importRequest({
+      data: exportFile({ preferences: { interface: { theme: 'dark' }, unknown: { key: 1 } } }),
+      dry_run: true
+    }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).summary.tables.user_preferences.inserts).toBe(1);
+  });
+
+  test('answers 400 for settings the settings API would refuse', async () => {
+    const response = await handler.main(importRequest({
+      data: exportFile({ preferences: { ai: { provider: 'evil' } } })
+    }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/^Invalid settings: Invalid AI provider/);
+  });
+
+  test('answers 400 for a file that is not a PNIT export', async () => {
+    const response = await handler.main(importRequest({ data: { format: 'other' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body)).toEqual({ error: 'Unsupported import format: other' });
+  });
+
+  test('reports a database failure as a server error', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('user_preferences')) throw new Error('connection terminated');
+      return { rows: [] };
+    });
+
+    const response = await handler.main(importRequest({
+      data: exportFile({ preferences: { interface: { theme: 'dark' } } }),
+      dry_run: true
+    }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe('Internal server error');
+  });
+});
@@ -0,0 +1,51 @@
+const { renderEmail, escapeHtml, TEMPLATE_NAMES } = require('../utils/emailTemplates');
+
+const HOSTILE_NAME = '<img src=x onerror="alert(1)">';
+
+describe('escapeHtml', () => {
+  test.each([
+    ['<b>', '&lt;b&gt;'],
+    ['Tom & Jerry', 'Tom &amp; Jerry'],
+    ['"quoted"', '&quot;quoted&quot;'],
+    ["O'Brien", 'O&#39;Brien'],
+    [null, ''],
+    [42, '42']
+  ])('%j -> %j', (value, expected) => {
+    expect(escapeHtml(value)).toBe(expected);
+  });
+});
+
+describe('renderEmail', () => {
+  test.each(TEMPLATE_NAMES)('%s escapes user data in the HTML and keeps the text as is', (templateName) => {
+    const { subject, text, html } = renderEmail(templateName, {
+      name: HOSTILE_NAME,
+      userAgent: '<script>alert(1)</script>',
+      resetUrl: 'https://app.test/reset?token=a&b="c"',
+      verifyUrl: 'https://app.test/verify?token=a&b="c"',
+      securityUrl: 'https://app.test/settings?a=1&b=2'
+    });
+
+    expect(subject).toBeTruthy();
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(text).toContain(`Hi ${HOSTILE_NAME},`);
+  });
+
+  test('escapes link URLs inside the href attribute', () => {
+    const { html, text } = renderEmail('passwordReset', { resetUrl: 'https://app.test/reset?token=a&b="><script>' });
+
+    expect(html).toContain('href="https://app.test/reset?token=a&amp;b=&quot;&gt;&lt;script&gt;"');
+    expect(text).toContain('Reset password: https://app.test/reset?token=a&b="><script>');
+  });
+
+  test('marks which templates are essential', () => {
+    expect(renderEmail('passwordReset', { resetUrl: 'x' }).essential).toBe(true);
+    expect(renderEmail('emailVerification', { verifyUrl: 'x' }).essential).toBe(true);
+    expect(renderEmail('newDeviceLogin').essential).toBe(false);
+  });
+
+  test('rejects an unknown template', () => {
+    expect(() => renderEmail('newsletter')).toThrow('Unknown email template: newsletter');
+  });
+});
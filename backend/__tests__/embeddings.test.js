@@ -0,0 +1,97 @@
+const {
+  LocalEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  connectionEmbeddingText,
+  cosineSimilarity,
+  EMBEDDING_DIMENSIONS
+} = require('../utils/embeddings');
+
+describe('LocalEmbeddingProvider', () => {
+  const provider = new LocalEmbeddingProvider();
+
+  test('returns one unit-length vector per text, sized for the pgvector column', async () => {
+    const vectors = await provider.embed(['Payments Engineer at Stripe', 'Pastry Chef']);
+
+    expect(vectors).toHaveLength(2);
+    vectors.forEach(vector => {
+      expect(vector).toHaveLength(EMBEDDING_DIMENSIONS);
+      expect(Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))).toBeCloseTo(1, 10);
+    });
+  });
+
+  test('is deterministic across instances', async () => {
+    const [first] = await provider.embed(['Head of Payments Infrastructure']);
+    const [second] = await new LocalEmbeddingProvider().embed(['Head of Payments Infrastructure']);
+
+    expect(second).toEqual(first);
+  });
+
+  test('places texts that share words closer together', async () => {
+    const [query, related, unrelated] = await provider.embed([
+      'payments infrastructure',
+      'Staff Engineer, Payments Infrastructure at Adyen',
+      'Pastry Chef at Le Cordon Bleu'
+    ]);
+
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  test('embeds empty text as a zero vector', async () => {
+    const [vector] = await provider.embed(['']);
+
+    expect(vector.every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  test('is 1 for parallel, 0 for orthogonal and 0 for zero vectors', () => {
+    expect(cosineSimilarity([1, 2, 3], [2, 4, 6])).toBeCloseTo(1, 10);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});
+
+describe('connectionEmbeddingText', () => {
+  test('joins position and company, skipping missing parts', () => {
+    expect(connectionEmbeddingText({ position: 'CTO', company: 'Acme' })).toBe('CTO at Acme');
+    expect(connectionEmbeddingText({ position: null, company: 'Acme' })).toBe('Acme');
+    expect(connectionEmbeddingText({})).toBe('');
+  });
+});
+
+describe('getEmbeddingProvider', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    setEmbeddingProvider(null);
+  });
+
+  test('uses the local provider when no OpenAI key is set', () => {
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+
+    expect(getEmbeddingProvider()).toBeInstanceOf(LocalEmbeddingProvider);
+  });
+
+  test('refuses OpenAI while DISABLE_EXTERNAL_AI is set', () => {
+    process.env.EMBEDDING_PROVIDER = 'openai';
+    process.env.DISABLE_EXTERNAL_AI = 'true';
+
+    expect(() => getEmbeddingProvider()).toThrow('not allowed while DISABLE_EXTERNAL_AI is set');
+  });
+
+  test('rejects unknown providers', () => {
+    process.env.EMBEDDING_PROVIDER = 'nope';
+
+    expect(() => getEmbeddingProvider()).toThrow('Unknown embedding provider: nope');
+  });
+
+  test('returns an injected stub', () => {
+    const stub = { name: 'stub', model: 'stub-v1', embed: async () => [] };
+    setEmbeddingProvider(stub);
+
+    expect(getEmbeddingProvider()).toBe(stub);
+  });
+});
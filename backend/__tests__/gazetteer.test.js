@@ -0,0 +1,63 @@
+const { resolveLocation, normalizePlace, distanceMiles, boundingBox } = require('../utils/gazetteer');
+
+const BOSTON = { city: 'Boston', region: 'Massachusetts', country: 'United States', lat: 42.3601, lon: -71.0589 };
+
+describe('normalizePlace', () => {
+  test.each([
+    ['Greater Boston Area', 'boston'],
+    ['Zürich Metropolitan Region', 'zurich'],
+    ['St. Louis', 'st louis'],
+    ['Kitchener-Waterloo', 'kitchener waterloo'],
+    [null, '']
+  ])('%j -> %j', (text, expected) => {
+    expect(normalizePlace(text)).toBe(expected);
+  });
+});
+
+describe('resolveLocation', () => {
+  test.each([
+    ['Greater Boston Area', BOSTON],
+    ['Boston, Massachusetts, United States', BOSTON],
+    ['San Francisco Bay Area', { city: 'San Francisco', region: 'California', country: 'United States' }],
+    ['São Paulo, Brazil', { city: 'Sao Paulo', region: null, country: 'Brazil' }],
+    ['Seattle, WA', { city: 'Seattle', region: 'Washington', country: 'United States' }],
+    ['Washington, DC', { city: 'Washington', region: 'District of Columbia', country: 'United States' }]
+  ])('%j', (text, expected) => {
+    expect(resolveLocation(text)).toMatchObject(expected);
+  });
+
+  // Cities that share a name resolve by the region or country given, and to
+  // the better-known place without one
+  test.each([
+    ['Cambridge', 'Cambridge', 'Massachusetts', 'United States'],
+    ['Cambridge, MA', 'Cambridge', 'Massachusetts', 'United States'],
+    ['Cambridge, United Kingdom', 'Cambridge', 'England', 'United Kingdom'],
+    ['Cambridge, England', 'Cambridge', 'England', 'United Kingdom'],
+    ['Perth, WA', 'Perth', 'Western Australia', 'Australia'],
+    ['Portland, Maine', null, 'Maine', 'United States'],
+    ['London, Ontario', null, 'Ontario', 'Canada']
+  ])('%j is in %s, %s, %s', (text, city, region, country) => {
+    expect(resolveLocation(text)).toMatchObject({ city, region, country });
+  });
+
+  test.each([
+    ['Texas', { city: null, region: 'Texas', country: 'United States', lat: null, lon: null }],
+    ['Germany', { city: null, region: null, country: 'Germany', lat: null, lon: null }],
+    ['Victoria, Canada', { city: null, region: null, country: 'Canada', lat: null, lon: null }],
+    ['Atlantis', null],
+    ['', null]
+  ])('%j without a known city', (text, expected) => {
+    expect(resolveLocation(text)).toEqual(expected);
+  });
+});
+
+describe('distanceMiles', () => {
+  test('measures great-circle distance and fits it in the bounding box', () => {
+    expect(distanceMiles(42.3601, -71.0589, 40.7128, -74.006)).toBeCloseTo(190.2, 1);
+    expect(distanceMiles(42.3601, -71.0589, 42.3601, -71.0589)).toBe(0);
+
+    const box = boundingBox(42.3601, -71.0589, 200);
+    expect(40.7128).toBeGreaterThan(box.minLat);
+    expect(-74.006).toBeGreaterThan(box.minLon);
+  });
+});
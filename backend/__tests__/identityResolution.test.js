@@ -0,0 +1,174 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../utils/vectorStore', () => ({ embedConnections: jest.fn() }));
+jest.mock('../utils/companies', () => ({ linkConnectionCompanies: jest.fn() }));
+jest.mock('../utils/titleParser', () => ({ parseConnectionTitles: jest.fn() }));
+jest.mock('../utils/locations', () => ({ geocodeConnections: jest.fn() }));
+
+const db = require('../utils/db');
+const {
+  jaroWinkler,
+  areNicknames,
+  scorePair,
+  findCandidatePairs,
+  approveMergeCandidate,
+  MERGE_THRESHOLD
+} = require('../utils/identityResolution');
+
+describe('jaroWinkler', () => {
+  test.each([
+    ['martha', 'marhta', 0.961],
+    ['dwayne', 'duane', 0.84],
+    ['dixon', 'dicksonx', 0.813],
+    ['jellyfish', 'smellyfish', 0.896],
+    ['ada', 'ada', 1],
+    ['abc', 'xyz', 0],
+    ['', 'ada', 0]
+  ])('%s / %s is %d', (a, b, expected) => {
+    expect(jaroWinkler(a, b)).toBeCloseTo(expected, 3);
+  });
+});
+
+describe('scorePair', () => {
+  const ada = { first_name: 'Ada', last_name: 'Lovelace', company: 'Analytical Engines' };
+
+  test('matches nicknames in either direction', () => {
+    expect(areNicknames('bob', 'robert')).toBe(true);
+    expect(areNicknames('robert', 'bob')).toBe(true);
+    expect(areNicknames('bob', 'william')).toBe(false);
+
+    const { score, reasons } = scorePair(
+      { first_name: 'Robert', last_name: 'Smith', company: 'Acme Inc' },
+      { first_name: 'Bob', last_name: 'Smith', company: 'Acme' }
+    );
+    expect(score).toBeGreaterThanOrEqual(MERGE_THRESHOLD);
+    expect(reasons).toEqual(['Nickname match (Robert / Bob)', 'Same last name', 'Same company (Acme Inc / Acme)']);
+  });
+
+  test('treats the same email address as the same person whatever the names', () => {
+    expect(scorePair(
+      { first_name: 'Ada', last_name: 'Lovelace', email: ' Ada@Example.com' },
+      { first_name: 'Augusta', last_name: 'King', email: 'ada@example.com' }
+    )).toEqual({ score: 1, reasons: ['Same email address'] });
+  });
+
+  test('treats the same LinkedIn profile as the same person', () => {
+    expect(scorePair(
+      { first_name: 'Ada', last_name: 'Lovelace', profile_url: 'https://www.linkedin.com/in/ada/' },
+      { first_name: 'Augusta', last_name: 'King', profile_url: 'linkedin.com/in/ada?trk=x' }
+    )).toEqual({ score: 1, reasons: ['Same LinkedIn profile'] });
+  });
+
+  test('lowers the score for two different email addresses', () => {
+    const same = scorePair(ada, ada);
+    const different = scorePair({ ...ada, email: 'ada@home.example' }, { ...ada, email: 'ada@work.example' });
+
+    expect(same.score).toBe(1);
+    expect(different.score).toBeCloseTo(0.9, 3);
+    expect(different.reasons).toContain('Different email addresses');
+  });
+
+  test('scores a missing company above the threshold and a different one below', () => {
+    expect(scorePair(ada, { ...ada, company: null }).score).toBe(0.88);
+    expect(scorePair(ada, { ...ada, company: 'Difference Engines Bank' }).score).toBeLessThan(MERGE_THRESHOLD);
+  });
+
+  test('gives up on names that are too far apart', () => {
+    expect(scorePair(ada, { ...ada, first_name: 'Grace' })).toEqual({ score: 0, reasons: [] });
+    expect(scorePair(ada, { ...ada, last_name: 'Hopper' })).toEqual({ score: 0, reasons: [] });
+  });
+});
+
+describe('findCandidatePairs', () => {
+  test('returns pairs above the threshold, best first, lower id first', () => {
+    const pairs = findCandidatePairs([
+      { id: 3, first_name: 'Bob', last_name: 'Smith', company: 'Acme' },
+      { id: 1, first_name: 'Robert', last_name: 'Smith', company: 'Acme' },
+      { id: 2, first_name: 'Jon', last_name: 'Smyth', company: 'Acme' },
+      { id: 4, first_name: 'John', last_name: 'Smith', company: 'Acme' },
+      { id: 5, first_name: 'Grace', last_name: 'Hopper', company: 'Navy' }
+    ]);
+
+    expect(pairs.map(pair => [pair.connection_a_id, pair.connection_b_id])).toEqual([[1, 3], [2, 4]]);
+    expect(pairs[0].score).toBeGreaterThan(pairs[1].score);
+  });
+
+  test('only compares last names that start with the same letter', () => {
+    const kline = { id: 1, first_name: 'Ada', last_name: 'Kline', company: 'Acme' };
+    const cline = { id: 2, first_name: 'Ada', last_name: 'Cline', company: 'Acme' };
+
+    expect(scorePair(kline, cline).score).toBeGreaterThanOrEqual(MERGE_THRESHOLD);
+    expect(findCandidatePairs([kline, cline])).toEqual([]);
+  });
+
+  test('skips connections without a last name', () => {
+    expect(findCandidatePairs([
+      { id: 1, first_name: 'Ada', last_name: '' },
+      { id: 2, first_name: 'Ada', last_name: null }
+    ])).toEqual([]);
+  });
+});
+
+describe('approveMergeCandidate', () => {
+  const older = {
+    id: 1, first_name: 'Robert', last_name: 'Smith', email: 'bob@acme.example', company: 'Acme', position: null,
+    profile_url: null, sources: ['linkedin'], notes: 'Met at the conference', manual_fields: []
+  };
+  const newer = {
+    id: 2, first_name: 'Bob', last_name: 'Smith', email: null, company: 'Acme Incorporated', position: 'CTO',
+    profile_url: 'https://www.linkedin.com/in/bob', sources: ['google'], notes: 'Prefers email', manual_fields: []
+  };
+
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      release: jest.fn(),
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM merge_candidates')) return { rows: [{ connection_a_id: 1, connection_b_id: 2 }] };
+        if (sql.includes('SELECT * FROM connections')) return { rows: [older, newer] };
+        if (sql.includes('UPDATE connections')) return { rows: [{ id: 1 }] };
+        return { rows: [] };
+      })
+    };
+    db.pool.connect.mockResolvedValue(client);
+  });
+
+  const callWith = (fragment) => client.query.mock.calls.find(([sql]) => sql.includes(fragment));
+
+  test('keeps the older row, carries over tags, lists and notes and deletes the other', async () => {
+    await approveMergeCandidate(7, 10);
+
+    expect(callWith('INSERT INTO connection_tags')[1]).toEqual([1, 2]);
+    expect(callWith('INSERT INTO list_members')[1]).toEqual([1, 2]);
+    expect(callWith('DELETE FROM connections')[1]).toEqual([2, 7]);
+
+    const update = callWith('UPDATE connections')[1];
+    expect(update.slice(0, 8)).toEqual([1, 7, 'Robert', 'Smith', 'bob@acme.example', 'Acme Incorporated', 'CTO', 'https://www.linkedin.com/in/bob']);
+    expect(update[13]).toEqual(['google']);
+    expect(update[17]).toBe('Prefers email');
+    expect(callWith('COMMIT')).toBeTruthy();
+  });
+
+  test('keeps the row named by keepId', async () => {
+    await approveMergeCandidate(7, 10, 2);
+
+    expect(callWith('INSERT INTO connection_tags')[1]).toEqual([2, 1]);
+    expect(callWith('DELETE FROM connections')[1]).toEqual([1, 7]);
+    expect(callWith('UPDATE connections')[1][0]).toBe(2);
+  });
+
+  test('ignores a keepId outside the pair', async () => {
+    await approveMergeCandidate(7, 10, 99);
+
+    expect(callWith('DELETE FROM connections')[1]).toEqual([2, 7]);
+  });
+
+  test('returns null for a candidate that is not pending', async () => {
+    client.query.mockImplementation(async () => ({ rows: [] }));
+
+    expect(await approveMergeCandidate(7, 10)).toBeNull();
+    expect(callWith('DELETE FROM connections')).toBeUndefined();
+    expect(callWith('ROLLBACK')).toBeTruthy();
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../utils/identityResolution', () => ({ refreshMergeCandidates: jest.fn() }));
+jest.mock('../utils/emailVerification', () => ({ isEmailVerified: jest.fn() }));
+
+const db = require('../utils/db');
+const { isEmailVerified } = require('../utils/emailVerification');
+const { LinkedInDataProcessor } = require('../utils/linkedinProcessor');
+const { runImportJob, IMPORT_CHUNK_SIZE } = require('../utils/importJobs');
+
+const CSV_HEADER = 'First Name,Last Name,Email Address,Company,Position,Connected On';
+
+const csvWith = (count) => [
+  CSV_HEADER,
+  ...Array.from({ length: count }, (_, index) => `Ada${index},Lovelace,ada${index}@example.com,Analytical,Engineer,01 Jan 2024`)
+].join('\n');
+
+// The one import_jobs row, updated by the statements importJobs.js runs
+let job;
+
+const fakeQuery = async (sql, params = []) => {
+  const text = sql.replace(/\s+/g, ' ');
+
+  if (text.includes("SET status = 'processing'")) {
+    if (!['queued', 'processing'].includes(job.status)) return { rows: [] };
+    job.status = 'processing';
+    return { rows: [{ ...job }] };
+  }
+  if (text.includes('upload = NULL')) {
+    Object.assign(job, {
+      upload: null,
+      records: JSON.parse(params[1]),
+      total_records: params[2],
+      parse_error_count: params[3],
+      errors: JSON.parse(params[4]),
+      source: params[5]
+    });
+    return { rows: [] };
+  }
+  if (text.includes('SET processed_records')) {
+    job.processed_records = params[1];
+    job.inserted_count += params[2];
+    job.error_count += params[5];
+    job.failed_records += params[7];
+    return { rows: [] };
+  }
+  if (text.includes("SET status = 'failed'")) {
+    Object.assign(job, { status: 'failed', error_message: params[1] });
+    return { rows: [] };
+  }
+  if (text.includes('SET status = $2')) {
+    job.status = params[1];
+    return { rows: [] };
+  }
+  if (text.includes('UPDATE import_jobs')) return { rows: [] };
+  throw new Error(`Unexpected query: ${text}`);
+};
+
+const queueUpload = (upload) => {
+  job = {
+    id: 1,
+    user_id: 7,
+    kind: 'import',
+    status: 'queued',
+    source: 'csv',
+    batch_id: 'batch_1',
+    upload,
+    records: null,
+    total_records: 0,
+    processed_records: 0,
+    inserted_count: 0,
+    error_count: 0,
+    failed_records: 0,
+    errors: []
+  };
+};
+
+let processBatch;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockImplementation(fakeQuery);
+  isEmailVerified.mockResolvedValue(true);
+  processBatch = jest.spyOn(LinkedInDataProcessor.prototype, 'processBatch')
+    .mockImplementation(async (userId, records) => ({
+      processed: records.length, inserted: records.length, updated: 0, duplicates: 0, errors: []
+    }));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  processBatch.mockRestore();
+});
+
+describe('runImportJob', () => {
+  test('parses the uploaded file in the worker and completes', async () => {
+    queueUpload({ csv_data: csvWith(3) });
+
+    expect(await runImportJob(1)).toBe('completed');
+    expect(job).toMatchObject({ status: 'completed', upload: null, total_records: 3, source: 'csv', inserted_count: 3 });
+    expect(processBatch).toHaveBeenCalledWith(7, expect.any(Array), 'batch_1', 'csv');
+  });
+
+  test('fails a file with no usable record', async () => {
+    queueUpload({ csv_data: CSV_HEADER });
+
+    expect(await runImportJob(1)).toBe('failed');
+    expect(job.error_message).toBe('No valid records found in the uploaded file');
+    expect(processBatch).not.toHaveBeenCalled();
+  });
+
+  test('fails an archive that is not a ZIP', async () => {
+    queueUpload({ archive_data: Buffer.from('not a zip').toString('base64') });
+
+    expect(await runImportJob(1)).toBe('failed');
+    expect(job.error_message).toBeTruthy();
+  });
+
+  test('finishes as completed_with_errors when a chunk rolls back', async () => {
+    queueUpload({ csv_data: csvWith(IMPORT_CHUNK_SIZE + 2) });
+    processBatch.mockImplementationOnce(async (userId, records) => ({
+      processed: 0, inserted: 0, updated: 0, duplicates: 0,
+      errors: [{ error: `Batch of ${records.length} records rolled back: deadlock detected` }]
+    }));
+
+    expect(await runImportJob(1)).toBe('completed_with_errors');
+    expect(job).toMatchObject({ status: 'completed_with_errors', failed_records: IMPORT_CHUNK_SIZE, inserted_count: 2 });
+  });
+
+  test('fails when every chunk rolls back', async () => {
+    queueUpload({ csv_data: csvWith(3) });
+    processBatch.mockResolvedValue({
+      processed: 0, inserted: 0, updated: 0, duplicates: 0,
+      errors: [{ error: 'Batch of 3 records rolled back: connection terminated' }]
+    });
+
+    expect(await runImportJob(1)).toBe('failed');
+    expect(job.error_message).toBe('No records could be imported: Batch of 3 records rolled back: connection terminated');
+  });
+
+  test('keeps parsed records for the next invocation when out of time', async () => {
+    queueUpload({ csv_data: csvWith(3) });
+
+    expect(await runImportJob(1, { hasTime: () => false })).toBe('paused');
+    expect(job).toMatchObject({ upload: null, total_records: 3, processed_records: 0 });
+
+    expect(await runImportJob(1)).toBe('completed');
+    expect(job.inserted_count).toBe(3);
+  });
+});
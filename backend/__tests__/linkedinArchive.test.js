@@ -0,0 +1,160 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const JSZip = require('jszip');
+const { parseLinkedInArchive } = require('../utils/linkedinArchive');
+
+const CONNECTIONS_HEADER = 'First Name,Last Name,URL,Email Address,Company,Position,Connected On';
+const MESSAGES_HEADER = 'CONVERSATION ID,FROM,SENDER PROFILE URL,TO,RECIPIENT PROFILE URLS,DATE,CONTENT';
+const INVITATIONS_HEADER = 'From,To,Sent At,Message,Direction,inviterProfileUrl,inviteeProfileUrl';
+
+const csv = (...lines) => `${lines.join('\n')}\n`;
+
+// { 'path/in/zip.csv': text } -> archive buffer
+const archive = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, text]) => zip.file(name, text));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// Dates without a zone are read in the server's local time
+const local = (...parts) => new Date(...parts).toISOString();
+
+describe('parseLinkedInArchive', () => {
+  test('reads Connections.csv from a nested folder after the Notes preamble', async () => {
+    const { records, errors, files } = await parseLinkedInArchive(await archive({
+      'Basic_LinkedInDataExport_01-01-2025/Connections.csv': csv(
+        'Notes:',
+        '"When exporting your connection data, you may notice that some of the email addresses are missing."',
+        '',
+        CONNECTIONS_HEADER,
+        'Ada,Lovelace,https://www.linkedin.com/in/ada,ada@example.com,Analytical Engines,"Engineer, ""Lead""",15 Jan 2024'
+      )
+    }));
+
+    expect(errors).toEqual([]);
+    expect(files).toEqual(['connections']);
+    expect(records).toEqual([expect.objectContaining({
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email: 'ada@example.com',
+      company: 'Analytical Engines',
+      position: 'Engineer, "Lead"',
+      profile_url: 'https://www.linkedin.com/in/ada',
+      connected_on: local(2024, 0, 15),
+      source: 'linkedin'
+    })]);
+  });
+
+  test('reports rows without a name and leaves unreadable dates empty', async () => {
+    const { records, errors } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(
+        CONNECTIONS_HEADER,
+        'Grace,Hopper,,,Navy,Admiral,not a date',
+        ',Lovelace,,,,,'
+      )
+    }));
+
+    expect(records).toHaveLength(1);
+    expect(records[0].connected_on).toBeNull();
+    expect(errors).toEqual([expect.objectContaining({ error: 'Missing required fields: first_name and last_name' })]);
+  });
+
+  test('adds message and invitation dates by profile URL or by name', async () => {
+    const { records, files } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(
+        CONNECTIONS_HEADER,
+        'Ada,Lovelace,https://www.linkedin.com/in/ada,,,,',
+        'Grace,Hopper,https://www.linkedin.com/in/grace,,,,'
+      ),
+      'messages.csv': csv(
+        MESSAGES_HEADER,
+        '1,Me,https://www.linkedin.com/in/me,Ada Lovelace,https://www.linkedin.com/in/ada,2024-03-01 10:00:00 UTC,Hi',
+        // Same person, URL with a trailing slash and www
+        '1,Ada Lovelace,https://linkedin.com/in/ada/,Me,https://www.linkedin.com/in/me,2024-03-05 10:00:00 UTC,Hello'
+      ),
+      'Invitations.csv': csv(
+        INVITATIONS_HEADER,
+        // No invitee URL: matched on the name
+        'Me,Grace Hopper,"1/10/2024, 9:00 AM",,OUTGOING,https://www.linkedin.com/in/me,'
+      )
+    }));
+
+    expect(files).toEqual(expect.arrayContaining(['messages', 'invitations']));
+    expect(records[0]).toMatchObject({
+      message_count: 2,
+      last_message_at: '2024-03-05T10:00:00.000Z',
+      last_invitation_at: null,
+      last_interaction_at: '2024-03-05T10:00:00.000Z'
+    });
+    expect(records[1]).toMatchObject({
+      message_count: 0,
+      last_invitation_at: local(2024, 0, 10, 9),
+      last_interaction_at: local(2024, 0, 10, 9)
+    });
+  });
+
+  test('does not trust recipient names of group messages', async () => {
+    const { records } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(CONNECTIONS_HEADER, 'Grace,Hopper,,,,,'),
+      'messages.csv': csv(
+        MESSAGES_HEADER,
+        '2,Me,https://www.linkedin.com/in/me,"Grace Hopper, Alan Turing","https://www.linkedin.com/in/x,https://www.linkedin.com/in/y",2024-04-01 10:00:00 UTC,Group'
+      )
+    }));
+
+    expect(records[0].last_message_at).toBeUndefined();
+  });
+
+  test('counts endorsements as interactions', async () => {
+    const { records } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(CONNECTIONS_HEADER, 'Ada,Lovelace,https://www.linkedin.com/in/ada,,,,'),
+      'Endorsement_Received_Info.csv': csv(
+        'Endorsement Date,Skill Name,Endorser First Name,Endorser Last Name,Endorser Public Url,Endorsement Status',
+        '2024/05/02 08:00:00 UTC,Mathematics,Ada,Lovelace,www.linkedin.com/in/ada,ACCEPTED'
+      )
+    }));
+
+    expect(records[0]).toMatchObject({ message_count: 0, last_interaction_at: '2024-05-02T08:00:00.000Z' });
+  });
+
+  test('reads the user\'s positions and skips empty rows', async () => {
+    const { positions } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(CONNECTIONS_HEADER, 'Ada,Lovelace,,,,,'),
+      'Positions.csv': csv(
+        'Company Name,Title,Description,Location,Started On,Finished On',
+        'Acme,CTO,,Boston,Jan 2020,',
+        ',,,,,'
+      )
+    }));
+
+    expect(positions).toEqual([{
+      company: 'Acme',
+      title: 'CTO',
+      description: null,
+      location: 'Boston',
+      started_on: local(2020, 0, 1),
+      finished_on: null
+    }]);
+  });
+
+  test('works without the optional files', async () => {
+    const { records, positions, files } = await parseLinkedInArchive(await archive({
+      'Connections.csv': csv(CONNECTIONS_HEADER, 'Ada,Lovelace,,,,,'),
+      'Profile.csv': csv('First Name,Last Name', 'Me,Myself')
+    }));
+
+    expect(files).toEqual(['connections']);
+    expect(positions).toEqual([]);
+    expect(records[0]).not.toHaveProperty('last_message_at');
+  });
+
+  test('rejects an archive without Connections.csv', async () => {
+    await expect(parseLinkedInArchive(await archive({ 'messages.csv': csv(MESSAGES_HEADER) })))
+      .rejects.toThrow('Archive does not contain Connections.csv');
+  });
+
+  test('rejects a file that is not a ZIP', async () => {
+    await expect(parseLinkedInArchive(Buffer.from('First Name,Last Name\n')))
+      .rejects.toThrow(/^Invalid ZIP archive/);
+  });
+});
@@ -0,0 +1,284 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../utils/db');
+const {
+  LinkedInOIDCProvider,
+  setLinkedInProvider,
+  startLinkedInLogin,
+  completeLinkedInLogin
+} = require('../utils/linkedinOAuth');
+
+const ISSUER = 'https://oidc.test';
+const CLIENT_ID = 'pnit-client';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+// Mock OpenID provider behind `options.fetch`: discovery, JWKS and a token
+// endpoint that checks PKCE and signs an id_token. `claims` and `signOptions`
+// change what it signs.
+const createMockIssuer = () => {
+  const issuer = {
+    codes: new Map(),
+    claims: {},
+    signOptions: {},
+    // What the browser does at the authorization endpoint
+    authorize(url) {
+      const params = new URL(url).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      issuer.codes.set(code, { challenge: params.get('code_challenge'), nonce: params.get('nonce') });
+      return { code, state: params.get('state'), params };
+    },
+    fetch: jest.fn(async (url, init = {}) => {
+      const json = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+      if (url === `${ISSUER}/.well-known/openid-configuration`) {
+        return json(200, {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`
+        });
+      }
+      if (url === `${ISSUER}/jwks`) {
+        return json(200, { keys: [jwk] });
+      }
+      if (url === `${ISSUER}/token`) {
+        const form = new URLSearchParams(init.body);
+        const grant = issuer.codes.get(form.get('code'));
+        issuer.codes.delete(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || challenge !== grant.challenge) {
+          return json(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({
+          sub: 'li-123',
+          email: 'ada@example.com',
+          email_verified: true,
+          name: 'Ada Lovelace',
+          nonce: grant.nonce,
+          ...issuer.claims
+        }, privateKey, { algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: CLIENT_ID, expiresIn: 300, ...issuer.signOptions });
+        return json(200, { access_token: 'access', id_token: idToken });
+      }
+      return json(404, { error: 'not_found' });
+    })
+  };
+  return issuer;
+};
+
+// oauth_states and users in memory
+let states;
+let users;
+
+const fakeQuery = async (sql, params = []) => {
+  const text = sql.replace(/\s+/g, ' ');
+
+  if (text.includes('DELETE FROM oauth_states WHERE expires_at')) return { rows: [] };
+  if (text.includes('INSERT INTO oauth_states')) {
+    states.set(params[0], { code_verifier: params[1], nonce: params[2], user_id: params[3], browser_hash: params[4], expired: false });
+    return { rows: [] };
+  }
+  if (text.includes('DELETE FROM oauth_states WHERE state_hash')) {
+    const stored = states.get(params[0]);
+    states.delete(params[0]);
+    return { rows: stored ? [{ ...stored, is_current: !stored.expired }] : [] };
+  }
+  if (text.includes('FROM users WHERE linkedin_id = $1')) {
+    return { rows: users.filter(user => user.linkedin_id === params[0]) };
+  }
+  if (text.includes('FROM users WHERE id = $1')) {
+    return { rows: users.filter(user => user.id === params[0]) };
+  }
+  if (text.includes('FROM users WHERE LOWER(email) = $1')) {
+    return { rows: users.filter(user => user.email.toLowerCase() === params[0]) };
+  }
+  if (text.startsWith(' UPDATE users SET linkedin_id')) {
+    const user = users.find(row => row.id === params[0]);
+    user.linkedin_id = params[1];
+    return { rows: [user] };
+  }
+  if (text.includes('INSERT INTO users')) {
+    const user = { id: users.length + 100, linkedin_id: params[0], email: params[1], name: params[2], email_verified: params[3] };
+    users.push(user);
+    return { rows: [user] };
+  }
+  throw new Error(`Unexpected query: ${text}`);
+};
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+let issuer;
+
+// Start a sign-in and approve it at the mock provider; returns what the
+// callback page posts
+const signIn = async (options) => {
+  const { authorizationUrl, browserKey } = await startLinkedInLogin(options);
+  const { code, state } = issuer.authorize(authorizationUrl);
+  return { code, state, browserKey };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  states = new Map();
+  users = [];
+  db.query.mockImplementation(fakeQuery);
+
+  issuer = createMockIssuer();
+  setLinkedInProvider(new LinkedInOIDCProvider({
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    clientSecret: 'secret',
+    redirectUri: 'https://app.test/auth/linkedin/callback',
+    fetch: issuer.fetch
+  }));
+});
+
+afterAll(() => {
+  setLinkedInProvider(null);
+});
+
+describe('LinkedIn OpenID Connect sign-in', () => {
+  test('asks for openid profile email with PKCE and a nonce', async () => {
+    const { authorizationUrl, state, browserKey } = await startLinkedInLogin();
+    const url = new URL(authorizationUrl);
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${ISSUER}/authorize`);
+    expect(url.searchParams.get('scope')).toBe('openid profile email');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+
+    // Only hashes of the state and browser key are stored
+    const [[stateHash, stored]] = states.entries();
+    expect(url.searchParams.get('state')).toBe(state);
+    expect(stateHash).toBe(hashState(state));
+    expect(stored.browser_hash).toBe(hashState(browserKey));
+  });
+
+  test('creates an account from a verified id_token', async () => {
+    const { user, created, linked } = await completeLinkedInLogin(await signIn());
+
+    expect(created).toBe(true);
+    expect(linked).toBe(false);
+    expect(user).toMatchObject({ linkedin_id: 'li-123', email: 'ada@example.com', name: 'Ada Lovelace', email_verified: true });
+  });
+
+  test('links a verified email to the confirmed account that owns it', async () => {
+    users.push({ id: 7, email: 'Ada@example.com', name: 'Ada', linkedin_id: null, email_verified: true });
+
+    const { user, linked } = await completeLinkedInLogin(await signIn());
+
+    expect(linked).toBe(true);
+    expect(user.id).toBe(7);
+    expect(user.linkedin_id).toBe('li-123');
+  });
+
+  test('rejects an id_token from another issuer', async () => {
+    issuer.signOptions = { issuer: 'https://evil.test' };
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/could not be verified: jwt issuer invalid/);
+    expect(users).toHaveLength(0);
+  });
+
+  test('rejects an id_token issued to another client', async () => {
+    issuer.signOptions = { audience: 'someone-else' };
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/could not be verified: jwt audience invalid/);
+    expect(users).toHaveLength(0);
+  });
+
+  test('rejects an id_token whose nonce belongs to another request', async () => {
+    issuer.claims = { nonce: 'replayed-nonce' };
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/nonce does not match/);
+    expect(users).toHaveLength(0);
+  });
+
+  test('rejects an expired id_token', async () => {
+    issuer.signOptions = { expiresIn: -300 };
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/could not be verified: jwt expired/);
+  });
+
+  test('accepts a state only once', async () => {
+    const request = await signIn();
+    await completeLinkedInLogin(request);
+
+    await expect(completeLinkedInLogin(request)).rejects.toThrow('Invalid or expired LinkedIn sign-in request');
+  });
+
+  test('rejects an expired state without contacting the provider', async () => {
+    const request = await signIn();
+    states.get(hashState(request.state)).expired = true;
+    issuer.fetch.mockClear();
+
+    await expect(completeLinkedInLogin(request)).rejects.toThrow('Invalid or expired LinkedIn sign-in request');
+    expect(issuer.fetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects an unknown state', async () => {
+    const { code, browserKey } = await signIn();
+
+    await expect(completeLinkedInLogin({ code, state: 'forged', browserKey })).rejects.toThrow('Invalid or expired LinkedIn sign-in request');
+  });
+
+  test('rejects a callback from a browser that did not start the sign-in', async () => {
+    const { code, state } = await signIn();
+    issuer.fetch.mockClear();
+
+    // The attacker's own callback URL opened in the victim's browser
+    await expect(completeLinkedInLogin({ code, state, browserKey: 'victim-key' }))
+      .rejects.toThrow('LinkedIn sign-in request was started in another browser');
+    await expect(completeLinkedInLogin({ code, state })).rejects.toThrow('Invalid or expired LinkedIn sign-in request');
+    expect(issuer.fetch).not.toHaveBeenCalled();
+    expect(users).toHaveLength(0);
+  });
+
+  test('links LinkedIn to the account whose session started the link', async () => {
+    users.push({ id: 7, email: 'ada@example.com', name: 'Ada', linkedin_id: null, email_verified: true });
+
+    const { user, linkUserId } = await completeLinkedInLogin({ ...await signIn({ linkUserId: 7 }), sessionUserId: 7 });
+
+    expect(linkUserId).toBe(7);
+    expect(user).toMatchObject({ id: 7, linkedin_id: 'li-123' });
+  });
+
+  test('rejects a link state replayed from another session', async () => {
+    users.push({ id: 7, email: 'ada@example.com', name: 'Ada', linkedin_id: null, email_verified: true });
+    const request = await signIn({ linkUserId: 7 });
+    issuer.fetch.mockClear();
+
+    await expect(completeLinkedInLogin({ ...request, sessionUserId: 8 }))
+      .rejects.toThrow('LinkedIn sign-in request was started in another session');
+    expect(issuer.fetch).not.toHaveBeenCalled();
+    expect(users[0].linkedin_id).toBeNull();
+  });
+
+  test('rejects a link state replayed without a session', async () => {
+    users.push({ id: 7, email: 'ada@example.com', name: 'Ada', linkedin_id: null, email_verified: true });
+
+    await expect(completeLinkedInLogin(await signIn({ linkUserId: 7 })))
+      .rejects.toThrow('LinkedIn sign-in request was started in another session');
+    expect(users[0].linkedin_id).toBeNull();
+  });
+
+  test('an unverified LinkedIn email does not take over an existing account', async () => {
+    users.push({ id: 7, email: 'ada@example.com', name: 'Ada', linkedin_id: null, email_verified: true });
+    issuer.claims = { sub: 'li-999', email_verified: false };
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/An account with this email already exists/);
+    expect(users).toHaveLength(1);
+    expect(users[0].linkedin_id).toBeNull();
+  });
+
+  test('a verified LinkedIn email does not take over an account whose owner never confirmed it', async () => {
+    users.push({ id: 7, email: 'ada@example.com', name: 'Ada', linkedin_id: null, email_verified: false });
+
+    await expect(completeLinkedInLogin(await signIn())).rejects.toThrow(/An account with this email already exists/);
+    expect(users[0].linkedin_id).toBeNull();
+  });
+});
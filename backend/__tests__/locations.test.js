@@ -0,0 +1,52 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const { geocodeConnections, setConnectionLocation } = require('../utils/locations');
+
+const fakeClient = (rows = []) => ({ query: jest.fn().mockResolvedValue({ rows }) });
+
+describe('geocodeConnections', () => {
+  test('stores the resolved place of each connection and nulls for unknown text', async () => {
+    const client = fakeClient([
+      { id: 1, location: 'Greater Boston Area' },
+      { id: 2, location: 'Cambridge, United Kingdom' },
+      { id: 3, location: 'Atlantis' }
+    ]);
+
+    expect(await geocodeConnections(client, 7, [1, 2, 3])).toBe(3);
+    expect(client.query.mock.calls[1][1]).toEqual([
+      7,
+      [1, 2, 3],
+      ['Boston', 'Cambridge', null],
+      ['Massachusetts', 'England', null],
+      ['United States', 'United Kingdom', null],
+      [42.3601, 52.2053, null],
+      [-71.0589, 0.1218, null]
+    ]);
+  });
+
+  test('does nothing without ids', async () => {
+    const client = fakeClient();
+
+    expect(await geocodeConnections(client, 7, [])).toBe(0);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('setConnectionLocation', () => {
+  // [location, city, region, country, lat, lon, location_source] as stored
+  const stored = (client) => client.query.mock.calls[0][1].slice(2);
+
+  test.each([
+    [{ location: 'Greater Boston Area' }, ['Greater Boston Area', 'Boston', 'Massachusetts', 'United States', 42.3601, -71.0589, 'manual']],
+    [{ city: 'Cambridge', country: 'United Kingdom' }, ['Cambridge, United Kingdom', 'Cambridge', 'England', 'United Kingdom', 52.2053, 0.1218, 'manual']],
+    // A city the gazetteer does not know keeps the region but no coordinates
+    [{ location: 'Cambridge, MA', city: 'Somerville' }, ['Cambridge, MA', 'Somerville', 'Massachusetts', 'United States', null, null, 'manual']],
+    [{ location: 'Atlantis' }, ['Atlantis', null, null, null, null, null, 'manual']],
+    [{ location: null }, [null, null, null, null, null, null, null]]
+  ])('%j', async (fields, expected) => {
+    const client = fakeClient([{ id: 1 }]);
+
+    await setConnectionLocation(7, 1, fields, client);
+    expect(stored(client)).toEqual(expected);
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../utils/db');
+const {
+  getMailTransport,
+  setMailTransport,
+  sendTemplateEmail,
+  SmtpTransport,
+  SesTransport,
+  FileTransport,
+  ConsoleTransport
+} = require('../utils/mailer');
+
+const ENV_KEYS = ['MAIL_TRANSPORT', 'NODE_ENV', 'STAGE'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  setMailTransport(null);
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  setMailTransport(null);
+});
+
+describe('getMailTransport', () => {
+  test.each([
+    ['smtp', SmtpTransport],
+    ['ses', SesTransport],
+    ['file', FileTransport],
+    ['console', ConsoleTransport]
+  ])('MAIL_TRANSPORT=%s', (name, Transport) => {
+    process.env.MAIL_TRANSPORT = name;
+
+    expect(getMailTransport()).toBeInstanceOf(Transport);
+  });
+
+  test('logs to the console in development when unset', () => {
+    expect(getMailTransport()).toBeInstanceOf(ConsoleTransport);
+  });
+
+  test('rejects an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    expect(() => getMailTransport()).toThrow('Unknown mail transport: pigeon');
+  });
+
+  test.each([
+    [{ NODE_ENV: 'production' }],
+    [{ STAGE: 'prod' }],
+    [{ STAGE: 'production' }]
+  ])('requires a delivering transport in production (%j)', (env) => {
+    Object.assign(process.env, env);
+
+    expect(() => getMailTransport()).toThrow('MAIL_TRANSPORT is not set');
+    ['console', 'file'].forEach(name => {
+      process.env.MAIL_TRANSPORT = name;
+      expect(() => getMailTransport()).toThrow(`Mail transport ${name} does not deliver email`);
+    });
+
+    process.env.MAIL_TRANSPORT = 'ses';
+    expect(getMailTransport()).toBeInstanceOf(SesTransport);
+  });
+
+  test('allows console on other stages', () => {
+    Object.assign(process.env, { STAGE: 'dev', MAIL_TRANSPORT: 'console' });
+
+    expect(getMailTransport()).toBeInstanceOf(ConsoleTransport);
+  });
+});
+
+describe('sendTemplateEmail', () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    setMailTransport({ name: 'test', send: async (message) => { sent.push(message); return { messageId: 'm1' }; } });
+  });
+
+  test('sends essential emails even with notifications off', async () => {
+    db.query.mockResolvedValue({ rows: [{ preferences: { notifications: { email: false } } }] });
+
+    const result = await sendTemplateEmail('passwordReset', { email: 'ada@example.com', name: 'Ada', userId: 7 }, {
+      resetUrl: 'https://app.test/reset-password?token=abc'
+    });
+
+    expect(result).toEqual({ sent: true, messageId: 'm1' });
+    expect(sent[0]).toMatchObject({ to: 'ada@example.com', subject: 'Reset your PNIT password' });
+  });
+
+  test('skips other emails for users who turned notifications off', async () => {
+    db.query.mockResolvedValue({ rows: [{ preferences: { notifications: { email: false } } }] });
+
+    expect(await sendTemplateEmail('newDeviceLogin', { email: 'ada@example.com', userId: 7 }))
+      .toEqual({ sent: false, skipped: 'notifications_disabled' });
+    expect(await sendTemplateEmail('newDeviceLogin', { email: null, userId: 7 }))
+      .toEqual({ sent: false, skipped: 'no_address' });
+    expect(sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../utils/auth', () => ({ getUserFromRequest: jest.fn() }));
+jest.mock('../utils/conversations', () => ({
+  createConversation: jest.fn(),
+  getConversation: jest.fn(),
+  appendMessage: jest.fn(),
+  loadHistory: jest.fn()
+}));
+jest.mock('../utils/linkedinArchive', () => ({ getUserPositions: jest.fn() }));
+jest.mock('../utils/lists', () => ({ listLists: jest.fn() }));
+jest.mock('../utils/tags', () => ({ listTags: jest.fn() }));
+jest.mock('../utils/chatTools', () => ({ CHAT_TOOLS: [], executeChatTool: jest.fn() }));
+
+const db = require('../utils/db');
+const { getUserFromRequest } = require('../utils/auth');
+const conversations = require('../utils/conversations');
+const { getUserPositions } = require('../utils/linkedinArchive');
+const { listLists } = require('../utils/lists');
+const { listTags } = require('../utils/tags');
+const { executeChatTool } = require('../utils/chatTools');
+const { RulesChatProvider, setChatProvider } = require('../utils/llmProviders');
+
+// Stand-in for the Lambda runtime's response streaming API
+const streamed = { metadata: null, chunks: [], ended: false };
+global.awslambda = {
+  streamifyResponse: (handler) => handler,
+  HttpResponseStream: {
+    from: (responseStream, metadata) => {
+      streamed.metadata = metadata;
+      return {
+        write: (chunk) => streamed.chunks.push(chunk),
+        end: () => { streamed.ended = true; }
+      };
+    }
+  }
+};
+
+const handler = require('../functions/queryStream/handler');
+
+const ada = { id: 1, name: 'Ada Lovelace', company: 'Stripe', position: 'Payments Engineer' };
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ name, data }]
+const parseEvents = (body) => body.split('\n\n').filter(Boolean).map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { name: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+});
+
+const request = (body, extra = {}) => ({
+  httpMethod: 'POST',
+  path: '/api/query/stream',
+  headers: { Authorization: 'Bearer session' },
+  body: JSON.stringify(body),
+  ...extra
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  streamed.metadata = null;
+  streamed.chunks = [];
+  streamed.ended = false;
+
+  getUserFromRequest.mockResolvedValue({ id: 7, name: 'Grace' });
+  conversations.createConversation.mockResolvedValue({ id: 42 });
+  conversations.getConversation.mockResolvedValue(null);
+  conversations.loadHistory.mockResolvedValue([]);
+  getUserPositions.mockResolvedValue([]);
+  listLists.mockResolvedValue([]);
+  listTags.mockResolvedValue([]);
+  db.query.mockImplementation(async (sql) => (sql.includes('COUNT(*)') ? { rows: [{ count: '12' }] } : { rows: [] }));
+  executeChatTool.mockResolvedValue({
+    output: { count: 1, connections: [{ name: ada.name, company: ada.company, position: ada.position }] },
+    results: [ada],
+    filters: { company: 'stripe' }
+  });
+
+  // The rules client streams like a model, deterministically and offline
+  setChatProvider(new RulesChatProvider());
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+afterAll(() => {
+  setChatProvider(null);
+  delete global.awslambda;
+});
+
+describe('buffered handler (API Gateway)', () => {
+  test('emits tool calls, results, token deltas and done in order', async () => {
+    const response = await handler.main(request({ message: 'who works at Stripe' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Content-Type']).toBe('text/event-stream');
+
+    const events = parseEvents(response.body);
+    const names = events.map(event => event.name);
+    const firstDelta = names.indexOf('delta');
+
+    expect(names[0]).toBe('tool_call');
+    expect(names[1]).toBe('results');
+    expect(firstDelta).toBe(2);
+    expect(names.slice(firstDelta, -1).every(name => name === 'delta')).toBe(true);
+    expect(names[names.length - 1]).toBe('done');
+
+    expect(events[0].data).toEqual({ name: 'search_connections', arguments: expect.objectContaining({ company: expect.any(String) }) });
+    expect(events[1].data.results).toEqual([ada]);
+
+    const streamedText = events.filter(event => event.name === 'delta').map(event => event.data.content).join('');
+    const done = events[events.length - 1].data;
+    expect(done.assistant_message).toBe(streamedText);
+    expect(streamedText).toContain('Ada Lovelace');
+    expect(done).toMatchObject({ conversation_id: 42, results: [ada], user: { id: 7, connection_count: 12 } });
+
+    expect(conversations.appendMessage).toHaveBeenCalledTimes(2);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO query_history'), [7, 'who works at Stripe', streamedText]);
+  });
+
+  test('reports a failure after the stream started as an error event', async () => {
+    // Ask for a tool, then fail while streaming the answer
+    const rules = new RulesChatProvider().getClient();
+    let calls = 0;
+    setChatProvider({
+      name: 'failing',
+      model: 'failing-v1',
+      supportsTools: true,
+      getClient: () => ({
+        chat: {
+          completions: {
+            create: async (req) => {
+              calls += 1;
+              if (calls > 1) throw new Error('model unavailable');
+              return rules.create(req);
+            }
+          }
+        }
+      })
+    });
+
+    const response = await handler.main(request({ message: 'who works at Stripe' }));
+    const events = parseEvents(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(events.map(event => event.name)).toEqual(['tool_call', 'results', 'error']);
+    expect(events[2].data).toEqual({ error: 'Internal server error', details: 'model unavailable' });
+    expect(conversations.appendMessage).not.toHaveBeenCalled();
+  });
+
+  test('rejects requests before streaming', async () => {
+    getUserFromRequest.mockRejectedValueOnce(new Error('Authentication required'));
+    expect((await handler.main(request({ message: 'hi' }))).statusCode).toBe(401);
+
+    expect((await handler.main(request({}))).statusCode).toBe(400);
+
+    expect((await handler.main(request({ message: 'hi', conversation_id: 99 }))).statusCode).toBe(404);
+  });
+});
+
+describe('streaming handler (function URL)', () => {
+  test('writes the same events to the response stream', async () => {
+    const body = Buffer.from(JSON.stringify({ message: 'who works at Stripe' })).toString('base64');
+
+    await handler.stream(request(null, { body, isBase64Encoded: true }), {});
+
+    expect(streamed.metadata).toMatchObject({ statusCode: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    expect(streamed.ended).toBe(true);
+    const names = parseEvents(streamed.chunks.join('')).map(event => event.name);
+    expect(names.slice(0, 3)).toEqual(['tool_call', 'results', 'delta']);
+    expect(names[names.length - 1]).toBe('done');
+  });
+
+  test('answers validation errors with their status code', async () => {
+    await handler.stream(request({}), {});
+
+    expect(streamed.metadata.statusCode).toBe(400);
+    expect(JSON.parse(streamed.chunks.join(''))).toEqual({ error: "Missing or invalid 'message' in request body." });
+    expect(streamed.ended).toBe(true);
+  });
+});
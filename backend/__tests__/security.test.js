@@ -0,0 +1,47 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const { encryptionManager } = require('../utils/security');
+
+describe('encryptionManager', () => {
+  test('round-trips data with a fresh IV each time', () => {
+    const first = encryptionManager.encrypt({ secret: 'JBSWY3DPEHPK3PXP' });
+    const second = encryptionManager.encrypt({ secret: 'JBSWY3DPEHPK3PXP' });
+
+    expect(first.version).toBe(2);
+    expect(Buffer.from(first.iv, 'base64')).toHaveLength(12);
+    expect(first.iv).not.toBe(second.iv);
+    expect(encryptionManager.decrypt(first)).toEqual({ secret: 'JBSWY3DPEHPK3PXP' });
+  });
+
+  test('reads data written before the switch to createCipheriv', () => {
+    // crypto.createCipher output under the test master key (jest.setup.js)
+    const legacy = {
+      encrypted: 'tHKhslW/I4A4ZdEl2MIWVUdN',
+      salt: '9mLiztMNTyPIf8NlGppuJQ==',
+      iv: 'o6oPur2WiUhIWUvHQDZvqA==',
+      authTag: 'GNYTgygtld14g9iYgdofRg==',
+      keyId: '08d4ab20e13e2e10'
+    };
+
+    expect(encryptionManager.decrypt(legacy)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  test('rejects tampered data and data from another key', () => {
+    const encrypted = encryptionManager.encrypt('secret');
+
+    expect(() => encryptionManager.decrypt({ ...encrypted, authTag: Buffer.alloc(16).toString('base64') })).toThrow();
+    expect(() => encryptionManager.decrypt({ ...encrypted, keyId: 'other' })).toThrow('Encryption key mismatch');
+  });
+
+  test('refuses to load without ENCRYPTION_MASTER_KEY', () => {
+    const masterKey = process.env.ENCRYPTION_MASTER_KEY;
+    delete process.env.ENCRYPTION_MASTER_KEY;
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../utils/security')).toThrow('ENCRYPTION_MASTER_KEY is not set');
+      });
+    } finally {
+      process.env.ENCRYPTION_MASTER_KEY = masterKey;
+    }
+  });
+});
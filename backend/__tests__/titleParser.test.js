@@ -0,0 +1,84 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const { parseTitle, titleFields, parseConnectionTitles, TITLE_PARSER_VERSION } = require('../utils/titleParser');
+
+describe('parseTitle', () => {
+  test.each([
+    ['VP Eng', 'vp'],
+    ['Vice President of Sales', 'vp'],
+    ['Sr. Manager', 'manager'],
+    ['Sr. Software Engineer', 'senior'],
+    ['Senior Product Manager', 'senior'],
+    ['Engineering Manager', 'manager'],
+    ['Head of Marketing', 'director'],
+    ['Associate Director, Marketing', 'director'],
+    ['Chief Technology Officer', 'executive'],
+    ['President', 'executive'],
+    ['Staff SWE', 'staff'],
+    ['Sr. Staff SWE, Payments | ex-Stripe', 'staff'],
+    ['Principal Engineer', 'principal'],
+    ['Lead Designer @ Acme', 'lead'],
+    ['Jr. Developer', 'junior'],
+    ['Intern', 'intern'],
+    ['Account Executive', null],
+    ['', null]
+  ])('%j has seniority %j', (title, seniority) => {
+    expect(parseTitle(title).seniority).toBe(seniority);
+  });
+
+  test.each([
+    ['VP Eng', 'engineering'],
+    ['Sr. Manager', null],
+    ['CTO', 'engineering'],
+    ['ML Engineer', 'engineering'],
+    ['Data Scientist', 'data'],
+    ['Senior Product Manager', 'product'],
+    ['Product Designer', 'design'],
+    ['Account Executive', 'sales'],
+    ['Vice President of Sales', 'sales'],
+    ['Associate Director, Marketing', 'marketing'],
+    ['Recruiter', 'people'],
+    ['Teacher', 'education'],
+    ['Co-founder & CEO | Angel Investor', 'general_management'],
+    ['Freelancer', null]
+  ])('%j has function %j', (title, jobFunction) => {
+    expect(parseTitle(title).function).toBe(jobFunction);
+  });
+
+  test.each([
+    ['EM, Payments', 'payments'],
+    ['Sr. Staff SWE, Payments | ex-Stripe', 'payments'],
+    ['ML Engineer', 'machine learning'],
+    ['VP of Engineering', null]
+  ])('%j has specialty %j', (title, specialty) => {
+    expect(parseTitle(title).specialty).toBe(specialty);
+  });
+
+  test('treats founders as executives in general management', () => {
+    expect(parseTitle('Founder')).toEqual({
+      seniority: 'executive', function: 'general_management', specialty: null, is_founder: true
+    });
+  });
+});
+
+describe('titleFields', () => {
+  test('stores a title with a function but no seniority as mid-level', () => {
+    expect(titleFields('Software Engineer').seniority).toBe('mid');
+    expect(titleFields('Freelancer').seniority).toBeNull();
+  });
+});
+
+describe('parseConnectionTitles', () => {
+  test('stores the parsed fields with the parser version', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 1, position: 'VP Eng' }, { id: 2, position: 'Sr. Manager' }] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+
+    expect(await parseConnectionTitles(client, 7, [1, 2])).toBe(2);
+    expect(client.query.mock.calls[1][1]).toEqual([
+      7, TITLE_PARSER_VERSION, [1, 2], ['vp', 'manager'], ['engineering', null], [null, null], [false, false]
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const bcrypt = require('bcrypt');
+const db = require('../utils/db');
+const { encryptionManager } = require('../utils/security');
+const { base32Encode, totpCode, matchTotp, verifySecondFactor } = require('../utils/twoFactor');
+
+// RFC 6238 appendix B, SHA-1 (the last six of its eight digits)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+
+describe('TOTP', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    const now = seconds * 1000;
+    const step = Math.floor(seconds / 30);
+
+    expect(totpCode(RFC_SECRET, step)).toBe(code);
+    expect(matchTotp(RFC_SECRET, code, null, now)).toBe(step);
+  });
+
+  test('accepts one step of clock drift either way and no more', () => {
+    const now = 1111111111 * 1000;
+    const code = '050471';
+
+    expect(matchTotp(RFC_SECRET, code, null, now - STEP_MS)).not.toBeNull();
+    expect(matchTotp(RFC_SECRET, code, null, now + STEP_MS)).not.toBeNull();
+    expect(matchTotp(RFC_SECRET, code, null, now - 2 * STEP_MS)).toBeNull();
+    expect(matchTotp(RFC_SECRET, code, null, now + 2 * STEP_MS)).toBeNull();
+  });
+
+  test('rejects a step at or before the last one used', () => {
+    const now = 1111111111 * 1000;
+    const step = matchTotp(RFC_SECRET, '050471', null, now);
+
+    expect(matchTotp(RFC_SECRET, '050471', step, now)).toBeNull();
+    expect(matchTotp(RFC_SECRET, '050471', step - 1, now)).toBe(step);
+  });
+
+  test.each(['', '12345', '1234567', 'abcdef', null])('rejects the malformed code %j', (code) => {
+    expect(matchTotp(RFC_SECRET, code)).toBeNull();
+  });
+});
+
+describe('verifySecondFactor', () => {
+  // users row and recovery codes in memory
+  let user;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    user = {
+      two_factor_enabled: true,
+      two_factor_secret: JSON.stringify(encryptionManager.encrypt(RFC_SECRET)),
+      two_factor_last_step: null
+    };
+    recoveryCodes = [
+      { id: 1, code_hash: await bcrypt.hash('abcdefgh', 4), used_at: null },
+      { id: 2, code_hash: await bcrypt.hash('jkmnpqrs', 4), used_at: null }
+    ];
+
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SELECT two_factor_secret')) return { rows: [user] };
+      if (sql.includes('UPDATE users SET two_factor_last_step')) {
+        if (user.two_factor_last_step !== null && user.two_factor_last_step >= params[1]) return { rowCount: 0 };
+        user.two_factor_last_step = params[1];
+        return { rowCount: 1 };
+      }
+      if (sql.includes('FROM two_factor_recovery_codes')) {
+        return { rows: recoveryCodes.filter(row => !row.used_at) };
+      }
+      if (sql.includes('UPDATE two_factor_recovery_codes')) {
+        const row = recoveryCodes.find(other => other.id === params[0] && !other.used_at);
+        if (row) row.used_at = new Date();
+        return { rowCount: row ? 1 : 0 };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  });
+
+  test('accepts the current code from the encrypted secret once', async () => {
+    const code = totpCode(RFC_SECRET, Math.floor(Date.now() / STEP_MS));
+
+    expect(await verifySecondFactor(7, { code })).toBe('totp');
+    expect(await verifySecondFactor(7, { code })).toBeNull();
+  });
+
+  test('spends a recovery code, in any case and with or without the dash', async () => {
+    expect(await verifySecondFactor(7, { recoveryCode: 'ABCD-EFGH' })).toBe('recovery');
+    expect(recoveryCodes[0].used_at).not.toBeNull();
+    expect(recoveryCodes[1].used_at).toBeNull();
+
+    expect(await verifySecondFactor(7, { recoveryCode: 'abcdefgh' })).toBeNull();
+    expect(await verifySecondFactor(7, { recoveryCode: 'jkmn-pqrs' })).toBe('recovery');
+  });
+
+  test('rejects unknown recovery codes and accounts without two-factor', async () => {
+    expect(await verifySecondFactor(7, { recoveryCode: 'zzzz-zzzz' })).toBeNull();
+    expect(await verifySecondFactor(7, {})).toBeNull();
+
+    user.two_factor_enabled = false;
+    expect(await verifySecondFactor(7, { recoveryCode: 'abcd-efgh' })).toBeNull();
+  });
+});
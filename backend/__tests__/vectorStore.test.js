@@ -0,0 +1,121 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const crypto = require('crypto');
+
+// Three axes, one per topic, so expected rankings are easy to read
+const TOPICS = ['payments', 'design', 'sales'];
+
+const stubProvider = {
+  name: 'stub',
+  model: 'stub-v1',
+  embed: jest.fn(async (texts) => texts.map(text => TOPICS.map(topic => (text.toLowerCase().includes(topic) ? 1 : 0))))
+};
+
+// Fresh modules per test: vectorStore caches whether the pgvector column exists
+const load = () => {
+  jest.resetModules();
+  const db = require('../utils/db');
+  require('../utils/embeddings').setEmbeddingProvider(stubProvider);
+  return { db, vectorStore: require('../utils/vectorStore') };
+};
+
+const connections = {
+  1: { id: 1, first_name: 'Ada', last_name: 'L', company: 'Stripe', position: 'Payments Engineer', profile_url: null },
+  2: { id: 2, first_name: 'Grace', last_name: 'H', company: 'Figma', position: 'Product Design Lead', profile_url: null },
+  3: { id: 3, first_name: 'Alan', last_name: 'T', company: 'Adyen', position: 'Payments and Sales', profile_url: null }
+};
+
+const embeddingRows = [
+  { connection_id: 1, embedding: [1, 0, 0] },
+  { connection_id: 2, embedding: [0, 1, 0] },
+  { connection_id: 3, embedding: [1, 0, 1] },
+  // Deleted connection whose embedding is still around
+  { connection_id: 4, embedding: [1, 0, 0] }
+];
+
+describe('searchSimilarConnections without pgvector', () => {
+  let db;
+  let vectorStore;
+
+  beforeEach(() => {
+    ({ db, vectorStore } = load());
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('information_schema.columns')) return { rows: [] };
+      if (sql.includes('FROM connection_embeddings')) return { rows: embeddingRows };
+      if (sql.includes('FROM connections')) {
+        return { rows: params[1].filter(id => connections[id]).map(id => connections[id]) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  });
+
+  test('ranks the user\'s embeddings by cosine similarity in process', async () => {
+    const results = await vectorStore.searchSimilarConnections(7, 'people in payments');
+
+    expect(results.map(row => row.id)).toEqual([1, 3, 2]);
+    expect(results[0].score).toBeCloseTo(1, 10);
+    expect(results[1].score).toBeCloseTo(Math.SQRT1_2, 10);
+    expect(results[2].score).toBe(0);
+    expect(results[0]).toMatchObject({ first_name: 'Ada', company: 'Stripe' });
+  });
+
+  test('scopes the lookups to the user and the provider model', async () => {
+    await vectorStore.searchSimilarConnections(7, 'payments');
+
+    const embeddingQuery = db.query.mock.calls.find(([sql]) => sql.includes('FROM connection_embeddings'));
+    expect(embeddingQuery[1]).toEqual([7, 'stub-v1']);
+    const connectionQuery = db.query.mock.calls.find(([sql]) => sql.includes('FROM connections'));
+    expect(connectionQuery[1][0]).toBe(7);
+  });
+
+  test('honours the limit', async () => {
+    const results = await vectorStore.searchSimilarConnections(7, 'payments', { limit: 1 });
+
+    expect(results.map(row => row.id)).toEqual([1]);
+  });
+
+  test('returns nothing when the user has no embeddings', async () => {
+    db.query.mockImplementation(async (sql) => ({ rows: [] }));
+
+    await expect(vectorStore.searchSimilarConnections(7, 'payments')).resolves.toEqual([]);
+  });
+});
+
+describe('searchSimilarConnections with pgvector', () => {
+  test('delegates the nearest-neighbour ordering to the database', async () => {
+    const { db, vectorStore } = load();
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('information_schema.columns')) return { rows: [{ '?column?': 1 }] };
+      return { rows: [{ ...connections[1], score: 0.9 }] };
+    });
+
+    const results = await vectorStore.searchSimilarConnections(7, 'payments', { limit: 500 });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('<=>');
+    expect(params).toEqual([7, 'stub-v1', '[1,0,0]', 200]);
+    expect(results).toEqual([{ ...connections[1], score: 0.9 }]);
+  });
+});
+
+describe('embedConnections', () => {
+  test('embeds only connections whose text changed since the last run', async () => {
+    const { db, vectorStore } = load();
+    const unchangedHash = crypto.createHash('sha256').update('Payments Engineer at Stripe').digest('hex');
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT connection_id, content_hash')) {
+        return { rows: [{ connection_id: 1, content_hash: unchangedHash }] };
+      }
+      if (sql.includes('information_schema.columns')) return { rows: [] };
+      return { rows: [], rowCount: 1 };
+    });
+    stubProvider.embed.mockClear();
+
+    const count = await vectorStore.embedConnections(7, [connections[1], connections[2], { id: 5 }]);
+
+    expect(count).toBe(1);
+    expect(stubProvider.embed).toHaveBeenCalledWith(['Product Design Lead at Figma']);
+    const insert = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO connection_embeddings'));
+    expect(insert[1]).toEqual([2, 7, 'stub-v1', expect.any(String), [0, 1, 0]]);
+  });
+});
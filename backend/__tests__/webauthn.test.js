@@ -0,0 +1,309 @@
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: {} }));
+
+const crypto = require('crypto');
+const db = require('../utils/db');
+const {
+  decodeCbor,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyAuthentication,
+  finishPasskeyAuthentication
+} = require('../utils/webauthn');
+
+const ORIGIN = 'http://localhost:3000';
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// CBOR encoder for what an authenticator emits: unsigned and negative
+// integers, byte and text strings, maps
+const cborHead = (major, n) => {
+  if (n < 24) return Buffer.from([(major << 5) | n]);
+  if (n < 256) return Buffer.from([(major << 5) | 24, n]);
+  return Buffer.from([(major << 5) | 25, n >> 8, n & 0xff]);
+};
+const cbor = (value) => {
+  if (typeof value === 'number') return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([cborHead(2, value.length), value]);
+  if (typeof value === 'string') return Buffer.concat([cborHead(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (value instanceof Map) {
+    return Buffer.concat([cborHead(5, value.size), ...[...value].flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+  }
+  throw new Error(`Cannot encode ${typeof value}`);
+};
+
+// Software authenticator holding one discoverable ES256 or EdDSA credential
+class SoftAuthenticator {
+  constructor(keyType = 'ec') {
+    const pair = keyType === 'ec'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('ed25519');
+    this.keyType = keyType;
+    this.privateKey = pair.privateKey;
+    this.jwk = pair.publicKey.export({ format: 'jwk' });
+    this.credentialId = crypto.randomBytes(16);
+    this.signCount = 0;
+  }
+
+  coseKey() {
+    const x = Buffer.from(this.jwk.x, 'base64url');
+    return this.keyType === 'ec'
+      ? new Map([[1, 2], [3, -7], [-1, 1], [-2, x], [-3, Buffer.from(this.jwk.y, 'base64url')]])
+      : new Map([[1, 1], [3, -8], [-1, 6], [-2, x]]);
+  }
+
+  authenticatorData(rpId, flags, withCredential) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.signCount);
+    const parts = [sha256(rpId), Buffer.from([flags]), counter];
+
+    if (withCredential) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(this.credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, this.credentialId, cbor(this.coseKey()));
+    }
+    return Buffer.concat(parts);
+  }
+
+  // navigator.credentials.create(); `rpId` and `origin` stand in for a
+  // phishing site relaying the ceremony
+  create(options, { origin = ORIGIN, rpId = options.rp.id } = {}) {
+    const clientData = Buffer.from(JSON.stringify({ type: 'webauthn.create', challenge: options.challenge, origin }));
+    this.userHandle = options.user.id;
+    const attestationObject = cbor(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', this.authenticatorData(rpId, 0x45, true)] // UP, UV, AT
+    ]));
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      rawId: this.credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData.toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  // navigator.credentials.get(); the counter advances by `step` first
+  get(options, { origin = ORIGIN, rpId = options.rpId, flags = 0x05, step = 1 } = {}) {
+    this.signCount += step;
+    const clientData = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: options.challenge, origin }));
+    const authData = this.authenticatorData(rpId, flags, false);
+    const signature = crypto.sign(
+      this.keyType === 'ec' ? 'sha256' : null,
+      Buffer.concat([authData, sha256(clientData)]),
+      this.privateKey
+    );
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: this.userHandle
+      }
+    };
+  }
+}
+
+// webauthn_challenges and webauthn_credentials in memory
+let challenges;
+let credentials;
+
+const fakeQuery = async (sql, params = []) => {
+  const text = sql.replace(/\s+/g, ' ');
+
+  if (text.includes('DELETE FROM webauthn_challenges WHERE expires_at')) return { rows: [] };
+  if (text.includes('INSERT INTO webauthn_challenges')) {
+    challenges.set(params[0], { purpose: params[1], user_id: params[2] });
+    return { rows: [] };
+  }
+  if (text.includes('DELETE FROM webauthn_challenges WHERE challenge_hash')) {
+    const stored = challenges.get(params[0]);
+    if (!stored || stored.purpose !== params[1]) return { rows: [] };
+    challenges.delete(params[0]);
+    return { rows: [{ user_id: stored.user_id, is_current: true }] };
+  }
+  if (text.includes('SELECT credential_id, transports FROM webauthn_credentials')) {
+    return { rows: credentials.filter(row => row.user_id === params[0]) };
+  }
+  if (text.includes('INSERT INTO webauthn_credentials')) {
+    const row = {
+      id: credentials.length + 1,
+      user_id: params[0],
+      credential_id: params[1],
+      public_key: params[2],
+      sign_count: String(params[3]),
+      transports: params[4],
+      name: params[5]
+    };
+    credentials.push(row);
+    return { rows: [{ id: row.id, name: row.name, transports: row.transports }] };
+  }
+  if (text.includes('FROM webauthn_credentials WHERE credential_id = $1')) {
+    return { rows: credentials.filter(row => row.credential_id === params[0]) };
+  }
+  if (text.includes('UPDATE webauthn_credentials SET sign_count')) {
+    const row = credentials.find(item => item.id === params[0] && Number(item.sign_count) === params[2]);
+    if (!row) return { rows: [], rowCount: 0 };
+    row.sign_count = String(params[1]);
+    return { rows: [], rowCount: 1 };
+  }
+  throw new Error(`Unexpected query: ${text}`);
+};
+
+const user = { id: 9, email: 'ada@example.com', name: 'Ada' };
+
+// Register `authenticator` for `user` and return its passkey row
+const register = async (authenticator) => {
+  const options = await startPasskeyRegistration(user);
+  return finishPasskeyRegistration(user.id, authenticator.create(options), 'Laptop');
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  challenges = new Map();
+  credentials = [];
+  db.query.mockImplementation(fakeQuery);
+});
+
+describe('decodeCbor', () => {
+  test('reads what the software authenticator writes', () => {
+    const encoded = cbor(new Map([['fmt', 'none'], [-2, Buffer.from([1, 2])], [3, 300]]));
+    const { value, length } = decodeCbor(encoded);
+
+    expect(length).toBe(encoded.length);
+    expect(value.get('fmt')).toBe('none');
+    expect(value.get(-2)).toEqual(Buffer.from([1, 2]));
+    expect(value.get(3)).toBe(300);
+  });
+});
+
+describe.each([['ES256', 'ec'], ['EdDSA', 'ed25519']])('passkeys with %s', (_, keyType) => {
+  let authenticator;
+
+  beforeEach(() => {
+    authenticator = new SoftAuthenticator(keyType);
+  });
+
+  describe('registration', () => {
+    test('stores the credential', async () => {
+      const passkey = await register(authenticator);
+
+      expect(passkey).toMatchObject({ name: 'Laptop', transports: ['internal'] });
+      expect(credentials).toHaveLength(1);
+      expect(credentials[0]).toMatchObject({
+        user_id: user.id,
+        credential_id: authenticator.credentialId.toString('base64url'),
+        sign_count: '0'
+      });
+    });
+
+    test('rejects a ceremony run from another origin', async () => {
+      const options = await startPasskeyRegistration(user);
+      const credential = authenticator.create(options, { origin: 'https://evil.example' });
+
+      await expect(finishPasskeyRegistration(user.id, credential)).rejects.toThrow('origin https://evil.example is not allowed');
+      expect(credentials).toHaveLength(0);
+    });
+
+    test('rejects a credential scoped to another relying party', async () => {
+      const options = await startPasskeyRegistration(user);
+      const credential = authenticator.create(options, { rpId: 'evil.example' });
+
+      await expect(finishPasskeyRegistration(user.id, credential)).rejects.toThrow('credential is for another site');
+      expect(credentials).toHaveLength(0);
+    });
+
+    test('rejects a replayed challenge', async () => {
+      const options = await startPasskeyRegistration(user);
+      const credential = authenticator.create(options);
+      await finishPasskeyRegistration(user.id, credential);
+
+      await expect(finishPasskeyRegistration(user.id, credential)).rejects.toThrow('Invalid or expired passkey challenge');
+      expect(credentials).toHaveLength(1);
+    });
+
+    test('rejects a challenge issued to another account', async () => {
+      const options = await startPasskeyRegistration(user);
+
+      await expect(finishPasskeyRegistration(10, authenticator.create(options))).rejects.toThrow('challenge was issued to another account');
+    });
+  });
+
+  describe('assertion', () => {
+    beforeEach(async () => {
+      await register(authenticator);
+    });
+
+    test('signs the user in and advances the counter', async () => {
+      const options = await startPasskeyAuthentication();
+      const result = await finishPasskeyAuthentication(authenticator.get(options));
+
+      expect(result).toEqual({ userId: user.id, passkeyId: 1, userVerified: true });
+      expect(credentials[0].sign_count).toBe('1');
+    });
+
+    test('reports a presence-only assertion as not user verified', async () => {
+      const options = await startPasskeyAuthentication();
+      const result = await finishPasskeyAuthentication(authenticator.get(options, { flags: 0x01 }));
+
+      expect(result.userVerified).toBe(false);
+    });
+
+    test('rejects an assertion from another origin', async () => {
+      const options = await startPasskeyAuthentication();
+      const credential = authenticator.get(options, { origin: 'https://evil.example' });
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('origin https://evil.example is not allowed');
+    });
+
+    test('rejects an assertion for another relying party', async () => {
+      const options = await startPasskeyAuthentication();
+      const credential = authenticator.get(options, { rpId: 'evil.example' });
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('credential is for another site');
+      expect(credentials[0].sign_count).toBe('0');
+    });
+
+    test('rejects a replayed challenge', async () => {
+      const options = await startPasskeyAuthentication();
+      const credential = authenticator.get(options);
+      await finishPasskeyAuthentication(credential);
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('Invalid or expired passkey challenge');
+    });
+
+    test('rejects a sign counter that went backwards', async () => {
+      await finishPasskeyAuthentication(authenticator.get(await startPasskeyAuthentication(), { step: 5 }));
+
+      // A clone of the key still at an older count
+      authenticator.signCount = 2;
+      const credential = authenticator.get(await startPasskeyAuthentication());
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('sign counter went backwards');
+      expect(credentials[0].sign_count).toBe('5');
+    });
+
+    test('rejects a tampered signature', async () => {
+      const options = await startPasskeyAuthentication();
+      const credential = authenticator.get(options);
+      const signature = Buffer.from(credential.response.signature, 'base64url');
+      signature[signature.length - 1] ^= 0xff;
+      credential.response.signature = signature.toString('base64url');
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('signature is invalid');
+    });
+
+    test('rejects a registration challenge used for sign-in', async () => {
+      const options = await startPasskeyRegistration(user);
+      const credential = authenticator.get({ challenge: options.challenge, rpId: options.rp.id });
+
+      await expect(finishPasskeyAuthentication(credential)).rejects.toThrow('Invalid or expired passkey challenge');
+    });
+  });
+});
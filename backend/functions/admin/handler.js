@@ -0,0 +1,320 @@
+const { getUserFromRequest, requireAdmin } = require('../../utils/auth');
+const { logSecurityEvent, getClientInfo } = require('../../utils/security');
+const db = require('../../utils/db');
+
+const MAX_PAGE_SIZE = 200;
+
+exports.main = async (event) => {
+  const { clientIp, userAgent } = getClientInfo(event);
+
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    // Authenticate and authorize admin
+    const user = requireAdmin(await getUserFromRequest(event));
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const params = event.queryStringParameters || {};
+
+    // Route handling
+    if (httpMethod === 'GET' && path.includes('/security-events')) {
+      return await handleSecurityEvents(params, headers);
+    } else if (httpMethod === 'GET' && path.includes('/active-sessions')) {
+      return await handleActiveSessions(params, headers);
+    } else if (httpMethod === 'GET' && path.includes('/rate-limit-stats')) {
+      return await handleRateLimitStats(params, headers);
+    } else if (httpMethod === 'POST' && path.includes('/revoke-session/')) {
+      return await handleRevokeSession(user, path, headers, clientIp, userAgent);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Admin handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    if (error.message.includes('Admin access required')) {
+      await logSecurityEvent(null, 'admin_access_denied', clientIp, userAgent, false, {
+        path: event.path
+      });
+
+      return {
+        statusCode: 403,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: 'Admin access required' }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      }),
+    };
+  }
+};
+
+// Parse limit/offset query parameters with sane bounds
+function getPagination(params, defaultLimit = 50) {
+  const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(params.offset) || 0, 0);
+  return { limit, offset };
+}
+
+// List security audit log entries (written by logSecurityEvent)
+async function handleSecurityEvents(params, headers) {
+  const { limit, offset } = getPagination(params);
+  const { event_type, user_id, ip_address, success, date_from, date_to } = params;
+
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+  let paramIndex = 1;
+
+  if (event_type) {
+    whereClause += ` AND event_type = $${paramIndex}`;
+    queryParams.push(event_type);
+    paramIndex++;
+  }
+
+  if (user_id) {
+    whereClause += ` AND user_id = $${paramIndex}`;
+    queryParams.push(parseInt(user_id));
+    paramIndex++;
+  }
+
+  if (ip_address) {
+    whereClause += ` AND ip_address = $${paramIndex}`;
+    queryParams.push(ip_address);
+    paramIndex++;
+  }
+
+  if (success === 'true' || success === 'false') {
+    whereClause += ` AND success = $${paramIndex}`;
+    queryParams.push(success === 'true');
+    paramIndex++;
+  }
+
+  if (date_from) {
+    whereClause += ` AND created_at >= $${paramIndex}`;
+    queryParams.push(new Date(date_from));
+    paramIndex++;
+  }
+
+  if (date_to) {
+    // Include the whole "to" day when only a date is given
+    const to = new Date(date_to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date_to)) {
+      to.setUTCDate(to.getUTCDate() + 1);
+    }
+    whereClause += ` AND created_at < $${paramIndex}`;
+    queryParams.push(to);
+    paramIndex++;
+  }
+
+  const result = await db.query(
+    `SELECT id, user_id, event_type, host(ip_address) AS ip_address, user_agent, success, details, created_at
+     FROM security_audit_log
+     ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...queryParams, limit, offset]
+  );
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) as total FROM security_audit_log ${whereClause}`,
+    queryParams
+  );
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      events: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset,
+      filters: { event_type, user_id, ip_address, success, date_from, date_to }
+    })
+  };
+}
+
+// List unexpired, active sessions (written by createSession)
+async function handleActiveSessions(params, headers) {
+  const { limit, offset } = getPagination(params, 100);
+  const { user_id } = params;
+
+  let whereClause = 'WHERE s.is_active = true AND s.expires_at > NOW()';
+  const queryParams = [];
+  let paramIndex = 1;
+
+  if (user_id) {
+    whereClause += ` AND s.user_id = $${paramIndex}`;
+    queryParams.push(parseInt(user_id));
+    paramIndex++;
+  }
+
+  const result = await db.query(
+    `SELECT s.id, s.user_id, u.email, u.name, s.device_info, host(s.ip_address) AS ip_address,
+            s.user_agent, s.created_at, s.last_used, s.expires_at
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     ${whereClause}
+     ORDER BY s.last_used DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...queryParams, limit, offset]
+  );
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) as total FROM user_sessions s ${whereClause}`,
+    queryParams
+  );
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      sessions: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset
+    })
+  };
+}
+
+// Summarize rate limit counters (written by checkRateLimit)
+async function handleRateLimitStats(params, headers) {
+  const { limit, offset } = getPagination(params, 100);
+  const { endpoint, blocked_only } = params;
+
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+  let paramIndex = 1;
+
+  if (endpoint) {
+    whereClause += ` AND endpoint = $${paramIndex}`;
+    queryParams.push(endpoint);
+    paramIndex++;
+  }
+
+  if (blocked_only === 'true') {
+    whereClause += ' AND blocked_until > NOW()';
+  }
+
+  const result = await db.query(
+    `SELECT id, identifier, endpoint, requests_count, window_start, blocked_until, updated_at,
+            (blocked_until IS NOT NULL AND blocked_until > NOW()) AS blocked
+     FROM rate_limits
+     ${whereClause}
+     ORDER BY blocked_until DESC NULLS LAST, updated_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...queryParams, limit, offset]
+  );
+
+  const summaryResult = await db.query(
+    `SELECT endpoint,
+            COUNT(*) as identifiers,
+            COUNT(CASE WHEN blocked_until > NOW() THEN 1 END) as blocked,
+            SUM(requests_count) as requests
+     FROM rate_limits
+     ${whereClause}
+     GROUP BY endpoint
+     ORDER BY endpoint`,
+    queryParams
+  );
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      stats: result.rows,
+      summary: summaryResult.rows.map(row => ({
+        endpoint: row.endpoint,
+        identifiers: parseInt(row.identifiers),
+        blocked: parseInt(row.blocked),
+        requests: parseInt(row.requests)
+      })),
+      limit,
+      offset
+    })
+  };
+}
+
+// Revoke a single session by ID
+async function handleRevokeSession(user, path, headers, clientIp, userAgent) {
+  const sessionId = path.split('/').pop();
+
+  if (!sessionId || isNaN(sessionId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid session ID' })
+    };
+  }
+
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET is_active = false
+    WHERE id = $1 AND is_active = true
+    RETURNING user_id
+  `, [sessionId]);
+
+  if (result.rowCount === 0) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Active session not found' })
+    };
+  }
+
+  await logSecurityEvent(user.id, 'admin_session_revoked', clientIp, userAgent, true, {
+    session_id: parseInt(sessionId),
+    session_user_id: result.rows[0].user_id
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Session revoked successfully' })
+  };
+}
@@ -1,4 +1,23 @@
-const { createDemoUser, createOrUpdateUser, generateToken } = require('../../utils/auth');
+const { createDemoUser, generateChallengeToken, verifyChallengeToken } = require('../../utils/auth');
+const {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} = require('../../utils/twoFactor');
+const {
+  listPasskeys,
+  deletePasskey,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyAuthentication,
+  finishPasskeyAuthentication
+} = require('../../utils/webauthn');
+const { sendTemplateEmail, appUrl } = require('../../utils/mailer');
+const { sendVerificationEmail, confirmEmailToken, markEmailVerified, isEmailVerified } = require('../../utils/emailVerification');
+const { getLinkedInProvider, startLinkedInLogin, completeLinkedInLogin } = require('../../utils/linkedinOAuth');
 const { 
   hashPassword, 
   verifyPassword, 
@@ -9,6 +28,7 @@ const {
   handleFailedLogin,
   handleSuccessfulLogin,
   createSession,
+  isNewDevice,
   validateSession,
   refreshSession,
   revokeSession,
@@ -45,8 +65,38 @@ exports.main = async (event) => {
       'Content-Type': 'application/json'
     };
 
+    const passkeyMatch = path.match(/\/passkeys\/(\d+)\/?$/);
+
     // Route handling
-    if (httpMethod === 'POST' && path.includes('/register')) {
+    if (httpMethod === 'POST' && path.includes('/passkeys/register/start')) {
+      return await handlePasskeyRegisterStart(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/passkeys/register/finish')) {
+      return await handlePasskeyRegisterFinish(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/passkeys/authenticate/start')) {
+      return await handlePasskeyAuthenticateStart(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/passkeys/authenticate/finish')) {
+      return await handlePasskeyAuthenticateFinish(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'DELETE' && passkeyMatch) {
+      return await handlePasskeyDelete(event, parseInt(passkeyMatch[1]), clientIp, userAgent, headers);
+    } else if (httpMethod === 'GET' && path.includes('/passkeys')) {
+      return await handlePasskeyList(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/2fa/challenge')) {
+      return await handleTwoFactorChallenge(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/2fa/setup')) {
+      return await handleTwoFactorSetup(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/2fa/enable')) {
+      return await handleTwoFactorEnable(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/2fa/disable')) {
+      return await handleTwoFactorDisable(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/2fa/recovery-codes')) {
+      return await handleRecoveryCodes(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'GET' && path.includes('/2fa')) {
+      return await handleTwoFactorStatus(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/linkedin/start')) {
+      return await handleLinkedInStart(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/linkedin/callback')) {
+      return await handleLinkedInCallback(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/register')) {
       return await handleRegister(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'POST' && path.includes('/login')) {
       return await handleLogin(event, clientIp, userAgent, headers);
@@ -56,6 +106,10 @@ exports.main = async (event) => {
       return await handleLogout(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'POST' && path.includes('/logout-all')) {
       return await handleLogoutAll(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/verify-email')) {
+      return await handleVerifyEmail(event, clientIp, userAgent, headers);
+    } else if (httpMethod === 'POST' && path.includes('/resend-verification')) {
+      return await handleResendVerification(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'POST' && path.includes('/forgot-password')) {
       return await handleForgotPassword(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'POST' && path.includes('/reset-password')) {
@@ -64,8 +118,6 @@ exports.main = async (event) => {
       return await handleChangePassword(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'POST' && path.includes('/demo')) {
       return await handleDemo(event, clientIp, userAgent, headers);
-    } else if (httpMethod === 'POST' && path.includes('/user')) {
-      return await handleLinkedInAuth(event, clientIp, userAgent, headers);
     } else if (httpMethod === 'GET' && path.includes('/me')) {
       return await handleGetProfile(event, clientIp, userAgent, headers);
     }
@@ -170,13 +222,25 @@ async function handleRegister(event, clientIp, userAgent, headers) {
     const user = result.rows[0];
 
     // Create session
-    const deviceInfo = { type: 'web', userAgent };
+    const deviceInfo = { type: 'web', userAgent, signInMethod: 'password' };
     const session = await createSession(user.id, deviceInfo, clientIp, userAgent);
 
     await logSecurityEvent(user.id, 'registration', clientIp, userAgent, true, {
       email: sanitizedEmail
     });
 
+    // The account works straight away but stays restricted until the owner
+    // of the address confirms it; they can ask for a new link if this fails
+    let verificationEmailSent = false;
+    try {
+      verificationEmailSent = (await sendVerificationEmail(user)).sent;
+    } catch (mailError) {
+      console.error('Verification email failed:', mailError);
+      await logSecurityEvent(user.id, 'email_verification_send_failed', clientIp, userAgent, false, {
+        error: mailError.message
+      });
+    }
+
     return {
       statusCode: 201,
       headers,
@@ -186,8 +250,10 @@ async function handleRegister(event, clientIp, userAgent, headers) {
           id: user.id,
           email: user.email,
           name: user.name,
-          created_at: user.created_at
+          created_at: user.created_at,
+          emailVerified: false
         },
+        verificationEmailSent,
         session: {
           token: session.sessionToken,
           refreshToken: session.refreshToken,
@@ -232,7 +298,8 @@ async function handleLogin(event, clientIp, userAgent, headers) {
   try {
     // Get user
     const result = await db.query(`
-      SELECT id, email, name, password_hash, failed_login_attempts, locked_until
+      SELECT id, email, name, password_hash, failed_login_attempts, locked_until, two_factor_enabled,
+             email_verified
       FROM users 
       WHERE email = $1
     `, [sanitizedEmail]);
@@ -280,11 +347,17 @@ async function handleLogin(event, clientIp, userAgent, headers) {
       };
     }
 
+    // The password was right; the session waits for the second factor
+    if (user.two_factor_enabled) {
+      return await twoFactorRequired(user, clientIp, userAgent, headers);
+    }
+
     // Successful login
     await handleSuccessfulLogin(user.id, clientIp, userAgent);
 
     // Create session
-    const deviceInfo = { type: 'web', userAgent };
+    await alertIfNewDevice(user, clientIp, userAgent);
+    const deviceInfo = { type: 'web', userAgent, signInMethod: 'password' };
     const session = await createSession(user.id, deviceInfo, clientIp, userAgent);
 
     return {
@@ -295,7 +368,8 @@ async function handleLogin(event, clientIp, userAgent, headers) {
         user: {
           id: user.id,
           email: user.email,
-          name: user.name
+          name: user.name,
+          emailVerified: Boolean(user.email_verified)
         },
         session: {
           token: session.sessionToken,
@@ -466,11 +540,11 @@ async function handleForgotPassword(event, clientIp, userAgent, headers) {
   const sanitizedEmail = sanitizeInput(email.toLowerCase());
 
   try {
-    const result = await db.query('SELECT id FROM users WHERE email = $1', [sanitizedEmail]);
+    const result = await db.query('SELECT id, email, name FROM users WHERE email = $1', [sanitizedEmail]);
 
     // Always return success to prevent email enumeration
     if (result.rows.length > 0) {
-      const userId = result.rows[0].id;
+      const { id: userId, name } = result.rows[0];
       const resetToken = generateSecureToken();
       const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
 
@@ -482,8 +556,18 @@ async function handleForgotPassword(event, clientIp, userAgent, headers) {
 
       await logSecurityEvent(userId, 'password_reset_request', clientIp, userAgent, true);
 
-      // In a real application, send email here
-      console.log(`Password reset token for ${sanitizedEmail}: ${resetToken}`);
+      // A delivery failure must not reveal that the account exists
+      try {
+        await sendTemplateEmail('passwordReset', { email: sanitizedEmail, name, userId }, {
+          resetUrl: appUrl('/reset-password', { token: resetToken }),
+          expiresInMinutes: 60
+        });
+      } catch (mailError) {
+        console.error('Password reset email failed:', mailError);
+        await logSecurityEvent(userId, 'password_reset_email_failed', clientIp, userAgent, false, {
+          error: mailError.message
+        });
+      }
     }
 
     return {
@@ -552,6 +636,9 @@ async function handleResetPassword(event, clientIp, userAgent, headers) {
       WHERE id = $2
     `, [passwordHash, user.id]);
 
+    // The reset link reached the inbox, so the address is confirmed too
+    await markEmailVerified(user.id);
+
     // Revoke all existing sessions
     await revokeAllUserSessions(user.id);
 
@@ -571,6 +658,83 @@ async function handleResetPassword(event, clientIp, userAgent, headers) {
   }
 }
 
+// Confirm an email address with { token } from the verification link. No
+// session needed: the link may be opened in another browser.
+async function handleVerifyEmail(event, clientIp, userAgent, headers) {
+  const body = JSON.parse(event.body || '{}');
+  const { token } = body;
+
+  if (typeof token !== 'string' || !token) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Token is required' })
+    };
+  }
+
+  const user = await confirmEmailToken(token);
+
+  if (!user) {
+    await logSecurityEvent(null, 'email_verification_invalid_token', clientIp, userAgent, false);
+
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid or expired verification link' })
+    };
+  }
+
+  await logSecurityEvent(user.id, 'email_verified', clientIp, userAgent, true, { email: user.email });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Email address confirmed', emailVerified: true })
+  };
+}
+
+// Email the signed-in user a new verification link
+async function handleResendVerification(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const result = await db.query('SELECT id, email, name, email_verified FROM users WHERE id = $1', [session.userId]);
+  const user = result.rows[0];
+
+  if (!user.email) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'This account has no email address' })
+    };
+  }
+
+  if (user.email_verified) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Email address is already confirmed' })
+    };
+  }
+
+  if (!await checkRateLimit(String(user.id), 'email_verification', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many verification emails. Please try again later.' })
+    };
+  }
+
+  const sent = await sendVerificationEmail(user);
+  await logSecurityEvent(user.id, 'email_verification_sent', clientIp, userAgent, true);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: `A new confirmation link has been sent to ${user.email}`, sent: sent.sent })
+  };
+}
+
 // Handle change password
 async function handleChangePassword(event, clientIp, userAgent, headers) {
   const authHeader = event.headers?.Authorization || event.headers?.authorization;
@@ -679,7 +843,8 @@ async function handleGetProfile(event, clientIp, userAgent, headers) {
 
   try {
     const result = await db.query(`
-      SELECT id, email, name, profile_url, created_at, last_login, email_verified, two_factor_enabled
+      SELECT id, email, name, profile_url, role, created_at, last_login, email_verified, email_verified_at,
+             two_factor_enabled, linkedin_id IS NOT NULL AS linkedin_linked
       FROM users 
       WHERE id = $1
     `, [session.userId]);
@@ -695,10 +860,13 @@ async function handleGetProfile(event, clientIp, userAgent, headers) {
           email: user.email,
           name: user.name,
           profileUrl: user.profile_url,
+          role: user.role,
           createdAt: user.created_at,
           lastLogin: user.last_login,
           emailVerified: user.email_verified,
-          twoFactorEnabled: user.two_factor_enabled
+          emailVerifiedAt: user.email_verified_at,
+          twoFactorEnabled: user.two_factor_enabled,
+          linkedinLinked: user.linkedin_linked
         }
       })
     };
@@ -747,48 +915,743 @@ async function handleDemo(event, clientIp, userAgent, headers) {
   }
 }
 
-// Handle LinkedIn OAuth (existing functionality)
-async function handleLinkedInAuth(event, clientIp, userAgent, headers) {
-  const body = JSON.parse(event.body);
-  const { linkedin_id, email, name, profile_url } = body;
-  
-  if (!linkedin_id) {
+// Start a LinkedIn (OpenID Connect) sign-in. { link: true } with a session
+// links LinkedIn to the signed-in account instead.
+async function handleLinkedInStart(event, clientIp, userAgent, headers) {
+  if (!getLinkedInProvider().isConfigured()) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: 'LinkedIn sign-in is not configured' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  let linkUserId = null;
+
+  if (body.link) {
+    const authHeader = event.headers?.Authorization || event.headers?.authorization;
+    const session = authHeader && authHeader.startsWith('Bearer ')
+      ? await validateSession(authHeader.substring(7))
+      : null;
+
+    if (!session) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+    if (!await isEmailVerified(session.userId)) {
+      return emailUnverified(headers, 'Confirm your email address before connecting LinkedIn');
+    }
+    linkUserId = session.userId;
+  }
+
+  // The browser keeps the state and key to finish the sign-in (see the callback page)
+  const { authorizationUrl, state, browserKey } = await startLinkedInLogin({ linkUserId });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ authorizationUrl, state, browserKey })
+  };
+}
+
+// Finish a LinkedIn sign-in from the redirect's code and state and the
+// browser key from the start. Linking also needs the session that started it.
+async function handleLinkedInCallback(event, clientIp, userAgent, headers) {
+  if (!await checkRateLimit(clientIp, 'login', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many login attempts. Please try again later.' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const { code, state, browserKey, error: providerError } = body;
+
+  // The user declined on LinkedIn, or LinkedIn refused the request
+  if (providerError) {
+    await logSecurityEvent(null, 'linkedin_auth_denied', clientIp, userAgent, false, { error: providerError });
     return {
       statusCode: 400,
       headers,
-      body: JSON.stringify({ error: 'LinkedIn ID is required' }),
+      body: JSON.stringify({ error: 'LinkedIn sign-in was cancelled' })
     };
   }
-  
+
+  if (typeof code !== 'string' || typeof state !== 'string' || !code || !state) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Code and state are required' })
+    };
+  }
+
+  const currentSession = await sessionFromRequest(event);
+  const sessionUserId = currentSession ? currentSession.userId : null;
+
+  let result;
+  try {
+    result = await completeLinkedInLogin({ code, state, browserKey, sessionUserId });
+  } catch (error) {
+    await logSecurityEvent(sessionUserId, 'linkedin_auth_failed', clientIp, userAgent, false, { error: error.message });
+
+    if (error.message.includes('another session')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Sign in to the account you are connecting LinkedIn to, then try again.' })
+      };
+    }
+    if (error.message.includes('Invalid or expired') || error.message.includes('another browser') ||
+        error.message.includes('could not be verified')) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'LinkedIn sign-in failed or expired. Please try again.' })
+      };
+    }
+    if (error.message.includes('already linked') || error.message.includes('already exists')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+
+  const { user, linked, created, linkUserId } = result;
+
+  // Linking from Settings keeps the current session
+  if (linkUserId) {
+    await logSecurityEvent(user.id, 'linkedin_linked', clientIp, userAgent, true);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'LinkedIn account connected', linked: true })
+    };
+  }
+
+  if (await checkAccountLockout(user.id)) {
+    await logSecurityEvent(user.id, 'login_account_locked', clientIp, userAgent, false);
+    return {
+      statusCode: 423,
+      headers,
+      body: JSON.stringify({ error: 'Account temporarily locked due to too many failed login attempts' })
+    };
+  }
+
+  if (user.two_factor_enabled) {
+    return await twoFactorRequired(user, clientIp, userAgent, headers);
+  }
+
+  await handleSuccessfulLogin(user.id, clientIp, userAgent);
+  await logSecurityEvent(user.id, created ? 'linkedin_registration' : 'linkedin_auth', clientIp, userAgent, true, { linked });
+
+  await alertIfNewDevice(user, clientIp, userAgent);
+  const deviceInfo = { type: 'web', userAgent, signInMethod: 'linkedin' };
+  const session = await createSession(user.id, deviceInfo, clientIp, userAgent);
+
+  return {
+    statusCode: created ? 201 : 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name
+      },
+      session: {
+        token: session.sessionToken,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt
+      }
+    })
+  };
+}
+
+// Email the user when a sign-in comes from a device (user agent) the account
+// has not used before. Delivery problems never block the sign-in.
+async function alertIfNewDevice(user, clientIp, userAgent) {
   try {
-    const user = await createOrUpdateUser({
-      linkedin_id,
-      email,
-      name,
-      profile_url
+    if (!await isNewDevice(user.id, userAgent)) return;
+
+    const result = await sendTemplateEmail('newDeviceLogin', { email: user.email, name: user.name, userId: user.id }, {
+      time: new Date(),
+      ipAddress: clientIp,
+      userAgent,
+      securityUrl: appUrl('/pnit/settings')
     });
-    
-    await logSecurityEvent(user.id, 'linkedin_auth', clientIp, userAgent, true);
-    
+    await logSecurityEvent(user.id, 'new_device_login', clientIp, userAgent, true, { emailed: result.sent });
+  } catch (error) {
+    console.error('New device alert failed:', error);
+  }
+}
+
+// First login step passed for an account with two-factor authentication:
+// answer with a challenge token for /2fa/challenge instead of a session
+async function twoFactorRequired(user, clientIp, userAgent, headers) {
+  await logSecurityEvent(user.id, 'login_2fa_challenge', clientIp, userAgent, true);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user.id, 'login_2fa')
+    })
+  };
+}
+
+// Session from the Authorization header, or null
+async function sessionFromRequest(event) {
+  const authHeader = event.headers?.Authorization || event.headers?.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return await validateSession(authHeader.substring(7));
+}
+
+const unauthorized = (headers) => ({
+  statusCode: 401,
+  headers,
+  body: JSON.stringify({ error: 'Authentication required' })
+});
+
+// The request needs a confirmed email address (utils/emailVerification.js)
+const emailUnverified = (headers, error) => ({
+  statusCode: 403,
+  headers,
+  body: JSON.stringify({ error, code: 'email_unverified' })
+});
+
+// Sign-ins that count as re-authentication for accounts without a password
+// (user_sessions.device_info.signInMethod), and for how long
+const FRESH_SIGN_IN_METHODS = ['linkedin', 'passkey', 'two_factor'];
+const FRESH_SIGN_IN_MINUTES = 10;
+
+// True when the session started with a LinkedIn, passkey or two-factor
+// sign-in a few minutes ago. Refreshing a session keeps its created_at.
+async function isFreshSignIn(sessionId) {
+  const result = await db.query(`
+    SELECT 1 FROM user_sessions
+    WHERE id = $1 AND device_info->>'signInMethod' = ANY($2::text[])
+      AND created_at > NOW() - INTERVAL '${FRESH_SIGN_IN_MINUTES} minutes'
+  `, [sessionId, FRESH_SIGN_IN_METHODS]);
+  return result.rows.length > 0;
+}
+
+// A wrong password or code during re-authentication counts toward the
+// account lockout, as it does on login
+async function reauthenticationFailed(userId, error, clientIp, userAgent, headers) {
+  await logSecurityEvent(userId, 'two_factor_reauth_invalid', clientIp, userAgent, false);
+  const lockoutInfo = await handleFailedLogin(userId, clientIp, userAgent);
+
+  return {
+    statusCode: 403,
+    headers,
+    body: JSON.stringify({ error, attemptsRemaining: Math.max(0, 5 - lockoutInfo.attempts) })
+  };
+}
+
+// Re-authentication for two-factor and passkey changes: the current
+// password, plus a code or recovery code with `requireSecondFactor` when the
+// account has two-factor authentication on. Accounts without a
+// password (LinkedIn sign-in only) need a session from a fresh LinkedIn or
+// passkey sign-in instead. Rate limited and subject to the login lockout.
+// Returns an error response, or null when the user proved who they are.
+// Failures are 403, not 401, so the client does not treat them as an
+// expired session.
+async function reauthenticate(session, body, requireSecondFactor, clientIp, userAgent, headers) {
+  const { userId } = session;
+
+  if (!await checkRateLimit(String(userId), 'reauthenticate', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many attempts. Please try again later.' })
+    };
+  }
+
+  if (await checkAccountLockout(userId)) {
+    await logSecurityEvent(userId, 'two_factor_reauth_locked', clientIp, userAgent, false);
+    return {
+      statusCode: 423,
+      headers,
+      body: JSON.stringify({ error: 'Account temporarily locked due to too many failed login attempts' })
+    };
+  }
+
+  const result = await db.query('SELECT password_hash, two_factor_enabled FROM users WHERE id = $1', [userId]);
+  const passwordHash = result.rows[0]?.password_hash;
+  const twoFactorEnabled = Boolean(result.rows[0]?.two_factor_enabled);
+
+  if (passwordHash) {
+    if (!body.password || !await verifyPassword(body.password, passwordHash)) {
+      return await reauthenticationFailed(userId, 'Password is incorrect', clientIp, userAgent, headers);
+    }
+  } else if (!await isFreshSignIn(session.sessionId)) {
+    await logSecurityEvent(userId, 'two_factor_reauth_stale', clientIp, userAgent, false);
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({
+        error: `Sign out and sign in again with LinkedIn or a passkey, then make this change within ${FRESH_SIGN_IN_MINUTES} minutes`,
+        code: 'reauthentication_required'
+      })
+    };
+  }
+
+  if (requireSecondFactor && twoFactorEnabled &&
+      !await verifySecondFactor(userId, { code: body.code, recoveryCode: body.recoveryCode })) {
+    return await reauthenticationFailed(userId, 'Invalid authentication code', clientIp, userAgent, headers);
+  }
+
+  return null;
+}
+
+// Handle two-factor status for Settings
+async function handleTwoFactorStatus(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const status = await getTwoFactorStatus(session.userId);
+  // Without a password, changes need a recent sign-in (see reauthenticate)
+  status.freshSignIn = status.hasPassword || await isFreshSignIn(session.sessionId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(status)
+  };
+}
+
+// Start TOTP enrollment: a new secret and its otpauth:// URI for the QR code
+async function handleTwoFactorSetup(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+  if (!await isEmailVerified(session.userId)) {
+    return emailUnverified(headers, 'Confirm your email address before turning on two-factor authentication');
+  }
+
+  const result = await db.query('SELECT email, name FROM users WHERE id = $1', [session.userId]);
+  const { email, name } = result.rows[0];
+
+  try {
+    const setup = await beginTwoFactorSetup(session.userId, email || name || String(session.userId));
+
     return {
       statusCode: 200,
       headers,
+      body: JSON.stringify(setup)
+    };
+  } catch (error) {
+    if (error.message.includes('already enabled')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+}
+
+// Finish enrollment with { password, code }; answers with the recovery codes
+async function handleTwoFactorEnable(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const body = JSON.parse(event.body || '{}');
+
+  if (!body.code) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Authentication code is required' })
+    };
+  }
+
+  const denied = await reauthenticate(session, body, false, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await enableTwoFactor(session.userId, body.code);
+  } catch (error) {
+    if (error.message.includes('already enabled') || error.message.includes('not been started')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+
+  if (!recoveryCodes) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid authentication code. Check the time on your device and try again.' })
+    };
+  }
+
+  await logSecurityEvent(session.userId, 'two_factor_enabled', clientIp, userAgent, true);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Two-factor authentication enabled', recoveryCodes })
+  };
+}
+
+// Turn two-factor off with { password, code | recoveryCode }
+async function handleTwoFactorDisable(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const status = await getTwoFactorStatus(session.userId);
+  if (!status.enabled) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Two-factor authentication is not enabled' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const denied = await reauthenticate(session, body, true, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  await disableTwoFactor(session.userId);
+  await logSecurityEvent(session.userId, 'two_factor_disabled', clientIp, userAgent, true);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Two-factor authentication disabled' })
+  };
+}
+
+// Replace the recovery codes with { password, code }
+async function handleRecoveryCodes(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const status = await getTwoFactorStatus(session.userId);
+  if (!status.enabled) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Two-factor authentication is not enabled' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const denied = await reauthenticate(session, body, true, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  const recoveryCodes = await regenerateRecoveryCodes(session.userId);
+  await logSecurityEvent(session.userId, 'two_factor_recovery_codes_regenerated', clientIp, userAgent, true);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ recoveryCodes })
+  };
+}
+
+// Second login step: { challengeToken, code | recoveryCode } for a session
+async function handleTwoFactorChallenge(event, clientIp, userAgent, headers) {
+  if (!await checkRateLimit(clientIp, 'login', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many login attempts. Please try again later.' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const { challengeToken, code, recoveryCode } = body;
+  const userId = challengeToken ? verifyChallengeToken(challengeToken, 'login_2fa') : null;
+
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Sign-in expired. Please sign in again.' })
+    };
+  }
+
+  if (!code && !recoveryCode) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Authentication code or recovery code is required' })
+    };
+  }
+
+  if (await checkAccountLockout(userId)) {
+    await logSecurityEvent(userId, 'login_account_locked', clientIp, userAgent, false);
+    return {
+      statusCode: 423,
+      headers,
+      body: JSON.stringify({ error: 'Account temporarily locked due to too many failed login attempts' })
+    };
+  }
+
+  const method = await verifySecondFactor(userId, { code, recoveryCode });
+
+  if (!method) {
+    const lockoutInfo = await handleFailedLogin(userId, clientIp, userAgent);
+    await logSecurityEvent(userId, 'login_2fa_invalid', clientIp, userAgent, false);
+
+    return {
+      statusCode: 401,
+      headers,
       body: JSON.stringify({
-        message: 'User authenticated successfully',
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          profile_url: user.profile_url
-        },
-        token: user.token
-      }),
+        error: 'Invalid authentication code',
+        attemptsRemaining: Math.max(0, 5 - lockoutInfo.attempts)
+      })
+    };
+  }
+
+  const result = await db.query('SELECT id, email, name FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+
+  await handleSuccessfulLogin(user.id, clientIp, userAgent);
+  await logSecurityEvent(user.id, 'login_2fa_success', clientIp, userAgent, true, { method });
+
+  await alertIfNewDevice(user, clientIp, userAgent);
+  const deviceInfo = { type: 'web', userAgent, signInMethod: 'two_factor' };
+  const session = await createSession(user.id, deviceInfo, clientIp, userAgent);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name
+      },
+      session: {
+        token: session.sessionToken,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt
+      }
+    })
+  };
+}
+
+// List the signed-in user's passkeys
+async function handlePasskeyList(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const passkeys = await listPasskeys(session.userId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ passkeys })
+  };
+}
+
+// Creation options for navigator.credentials.create(), after
+// { password, code | recoveryCode } (see reauthenticate)
+async function handlePasskeyRegisterStart(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+  if (!await isEmailVerified(session.userId)) {
+    return emailUnverified(headers, 'Confirm your email address before adding a passkey');
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const denied = await reauthenticate(session, body, true, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  const result = await db.query('SELECT id, email, name FROM users WHERE id = $1', [session.userId]);
+  const options = await startPasskeyRegistration(result.rows[0]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ options })
+  };
+}
+
+// Store a new passkey from { credential, name, password }. The code from the
+// start cannot be used twice; the registration challenge, issued to this
+// account only after the start's full re-authentication, stands in for it.
+async function handlePasskeyRegisterFinish(event, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const body = JSON.parse(event.body || '{}');
+  const denied = await reauthenticate(session, body, false, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  let passkey;
+  try {
+    passkey = await finishPasskeyRegistration(session.userId, body.credential, body.name);
+  } catch (error) {
+    await logSecurityEvent(session.userId, 'passkey_registration_failed', clientIp, userAgent, false, {
+      error: error.message
+    });
+
+    if (error.message.includes('Invalid or expired') || error.message.includes('verification failed')) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    if (error.message.includes('already registered')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+
+  await logSecurityEvent(session.userId, 'passkey_registered', clientIp, userAgent, true, { passkeyId: passkey.id });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({ message: 'Passkey added', passkey })
+  };
+}
+
+// Remove one of the signed-in user's passkeys with { password, code | recoveryCode }
+async function handlePasskeyDelete(event, passkeyId, clientIp, userAgent, headers) {
+  const session = await sessionFromRequest(event);
+  if (!session) return unauthorized(headers);
+
+  const body = JSON.parse(event.body || '{}');
+  const denied = await reauthenticate(session, body, true, clientIp, userAgent, headers);
+  if (denied) return denied;
+
+  if (!await deletePasskey(session.userId, passkeyId)) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Passkey not found' })
     };
+  }
+
+  await logSecurityEvent(session.userId, 'passkey_removed', clientIp, userAgent, true, { passkeyId });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Passkey removed' })
+  };
+}
+
+// Request options for navigator.credentials.get()
+async function handlePasskeyAuthenticateStart(event, clientIp, userAgent, headers) {
+  if (!await checkRateLimit(clientIp, 'login', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many login attempts. Please try again later.' })
+    };
+  }
+
+  const options = await startPasskeyAuthentication();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ options })
+  };
+}
+
+// Sign in with a signed assertion { credential }
+async function handlePasskeyAuthenticateFinish(event, clientIp, userAgent, headers) {
+  if (!await checkRateLimit(clientIp, 'login', clientIp)) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many login attempts. Please try again later.' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  let assertion;
+  try {
+    assertion = await finishPasskeyAuthentication(body.credential);
   } catch (error) {
-    await logSecurityEvent(null, 'linkedin_auth_error', clientIp, userAgent, false, {
+    const cloned = error.message.includes('may have been cloned');
+    await logSecurityEvent(null, cloned ? 'passkey_counter_regression' : 'passkey_auth_failed', clientIp, userAgent, false, {
       error: error.message,
-      linkedin_id
+      credentialId: body.credential?.id
     });
+
+    if (error.message.includes('Invalid or expired') || error.message.includes('verification failed')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Passkey sign-in failed. Please try again.' })
+      };
+    }
     throw error;
   }
-}
\ No newline at end of file
+
+  const result = await db.query('SELECT id, email, name, two_factor_enabled FROM users WHERE id = $1', [assertion.userId]);
+  const user = result.rows[0];
+
+  if (await checkAccountLockout(user.id)) {
+    await logSecurityEvent(user.id, 'login_account_locked', clientIp, userAgent, false);
+    return {
+      statusCode: 423,
+      headers,
+      body: JSON.stringify({ error: 'Account temporarily locked due to too many failed login attempts' })
+    };
+  }
+
+  // Accounts with two-factor authentication answer the code after any sign-in
+  // method, passkeys included
+  if (user.two_factor_enabled) {
+    return await twoFactorRequired(user, clientIp, userAgent, headers);
+  }
+
+  await handleSuccessfulLogin(user.id, clientIp, userAgent);
+  await logSecurityEvent(user.id, 'passkey_auth', clientIp, userAgent, true, {
+    passkeyId: assertion.passkeyId,
+    userVerified: assertion.userVerified
+  });
+
+  await alertIfNewDevice(user, clientIp, userAgent);
+  const deviceInfo = { type: 'web', userAgent, signInMethod: 'passkey' };
+  const session = await createSession(user.id, deviceInfo, clientIp, userAgent);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name
+      },
+      session: {
+        token: session.sessionToken,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt
+      }
+    })
+  };
+}
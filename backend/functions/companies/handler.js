@@ -0,0 +1,152 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const { listCompanies, addCompanyAlias, deleteCompanyAlias } = require('../../utils/companies');
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const aliasMatch = path.match(/\/companies\/aliases\/(\d+)\/?$/);
+
+    // Route handling
+    if (httpMethod === 'GET' && /\/companies\/?$/.test(path)) {
+      return await handleList(user, event.queryStringParameters || {}, headers);
+    } else if (httpMethod === 'POST' && /\/companies\/aliases\/?$/.test(path)) {
+      return await handleAddAlias(user, JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'DELETE' && aliasMatch) {
+      return await handleDeleteAlias(user, parseInt(aliasMatch[1]), headers);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Companies handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+// Built-in and custom companies with their aliases and connection counts
+async function handleList(user, params, headers) {
+  const companies = await listCompanies(user.id, {
+    search: params.search || null,
+    limit: parseInt(params.limit) || 50
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ companies })
+  };
+}
+
+// { alias, company_id } or { alias, company_name } (created if unknown)
+async function handleAddAlias(user, body, headers) {
+  const alias = typeof body.alias === 'string' ? body.alias.trim() : '';
+  const companyName = typeof body.company_name === 'string' ? body.company_name.trim() : '';
+
+  if (!alias || (!body.company_id && !companyName)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'alias and company_id or company_name are required' })
+    };
+  }
+
+  let result;
+  try {
+    result = await addCompanyAlias(user.id, {
+      alias,
+      companyId: body.company_id ? parseInt(body.company_id) : null,
+      companyName
+    });
+  } catch (error) {
+    if (error.message.includes('must contain letters or digits')) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+
+  if (!result) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Company not found' })
+    };
+  }
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      message: `"${result.alias.alias}" now counts as ${result.company.name}`,
+      alias: result.alias,
+      company: result.company,
+      linked: result.linked
+    })
+  };
+}
+
+async function handleDeleteAlias(user, aliasId, headers) {
+  const result = await deleteCompanyAlias(user.id, aliasId);
+  if (!result) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Alias not found' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Alias removed', linked: result.linked })
+  };
+}
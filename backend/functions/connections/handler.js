@@ -0,0 +1,263 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const { setConnectionLocation } = require('../../utils/locations');
+const { getConnection, updateConnection, deleteConnection } = require('../../utils/connections');
+const { LinkedInDataProcessor } = require('../../utils/linkedinProcessor');
+
+const PLACE_FIELDS = ['city', 'region', 'country'];
+const MAX_NOTES_LENGTH = 10000;
+const MAX_TAGS = 50;
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,PATCH,PUT,DELETE,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const connectionMatch = path.match(/\/connections\/(\d+)\/?$/);
+    const locationMatch = path.match(/\/connections\/(\d+)\/location\/?$/);
+
+    // Route handling
+    if (httpMethod === 'GET' && connectionMatch) {
+      return await handleGet(user, parseInt(connectionMatch[1]), headers);
+    } else if (httpMethod === 'PATCH' && connectionMatch) {
+      return await handleUpdate(user, parseInt(connectionMatch[1]), JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'DELETE' && connectionMatch) {
+      return await handleDelete(user, parseInt(connectionMatch[1]), headers);
+    } else if (httpMethod === 'PUT' && locationMatch) {
+      return await handleSetLocation(user, parseInt(locationMatch[1]), JSON.parse(event.body || '{}'), headers);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Connections handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+const notFound = (headers) => ({
+  statusCode: 404,
+  headers,
+  body: JSON.stringify({ error: 'Connection not found' })
+});
+
+async function handleGet(user, connectionId, headers) {
+  const connection = await getConnection(user.id, connectionId);
+  if (!connection) return notFound(headers);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ connection })
+  };
+}
+
+// Validated, cleaned edits from a PATCH body, or { error }
+const parseChanges = (body) => {
+  const processor = new LinkedInDataProcessor();
+  const changes = {};
+  const isBlank = (value) => value === null || (typeof value === 'string' && !value.trim());
+
+  for (const field of ['first_name', 'last_name']) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === 'string' ? processor.cleanText(body[field]) : null;
+    if (!value || value.length > 100) {
+      return { error: `${field} must be 1 to 100 characters` };
+    }
+    changes[field] = value;
+  }
+
+  for (const field of ['company', 'position']) {
+    if (body[field] === undefined) continue;
+    if (!isBlank(body[field]) && typeof body[field] !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    changes[field] = isBlank(body[field]) ? null : processor.cleanText(body[field]).slice(0, 255);
+  }
+
+  if (body.email !== undefined) {
+    changes.email = isBlank(body.email) ? null : processor.cleanEmail(body.email);
+    if (changes.email === null && !isBlank(body.email)) {
+      return { error: 'email must be a valid email address' };
+    }
+  }
+
+  if (body.profile_url !== undefined) {
+    changes.profile_url = isBlank(body.profile_url) ? null : processor.cleanURL(body.profile_url);
+    if (changes.profile_url === null && !isBlank(body.profile_url)) {
+      return { error: 'profile_url must be a valid URL' };
+    }
+  }
+
+  if (body.notes !== undefined) {
+    if (!isBlank(body.notes) && typeof body.notes !== 'string') {
+      return { error: 'notes must be a string or null' };
+    }
+    if (typeof body.notes === 'string' && body.notes.length > MAX_NOTES_LENGTH) {
+      return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    changes.notes = isBlank(body.notes) ? null : body.notes.trim();
+  }
+
+  if (body.location !== undefined) {
+    if (!isBlank(body.location) && typeof body.location !== 'string') {
+      return { error: 'location must be a string or null' };
+    }
+    changes.location = isBlank(body.location) ? null : body.location.trim().slice(0, 255);
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string') || body.tags.length > MAX_TAGS) {
+      return { error: `tags must be an array of at most ${MAX_TAGS} strings` };
+    }
+    changes.tags = body.tags;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'No editable fields given' };
+  }
+
+  return { changes };
+};
+
+// Partial update; edited fields are kept over imported values from now on
+async function handleUpdate(user, connectionId, body, headers) {
+  const { changes, error } = parseChanges(body);
+  if (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error })
+    };
+  }
+
+  let connection;
+  try {
+    connection = await updateConnection(user.id, connectionId, changes);
+  } catch (updateError) {
+    if (updateError.message.includes('already has this email or profile URL')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: updateError.message })
+      };
+    }
+    throw updateError;
+  }
+  if (!connection) return notFound(headers);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ connection })
+  };
+}
+
+async function handleDelete(user, connectionId, headers) {
+  const deleted = await deleteConnection(user.id, connectionId);
+  if (!deleted) return notFound(headers);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Connection deleted' })
+  };
+}
+
+// { location: "Austin, TX" } resolves the place; city/region/country/lat/lon
+// override it. { location: null } clears the manual location.
+async function handleSetLocation(user, connectionId, body, headers) {
+  const invalid = (message) => ({
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error: message })
+  });
+
+  if (body.location !== null && body.location !== undefined && typeof body.location !== 'string') {
+    return invalid('location must be a string or null');
+  }
+  if (PLACE_FIELDS.some(key => body[key] !== undefined && body[key] !== null && typeof body[key] !== 'string')) {
+    return invalid('city, region and country must be strings');
+  }
+
+  const fields = {};
+  if (body.location === null) {
+    fields.location = null;
+  } else if (typeof body.location === 'string' && body.location.trim()) {
+    fields.location = body.location.trim().slice(0, 255);
+  }
+  PLACE_FIELDS.forEach(key => {
+    if (typeof body[key] === 'string') fields[key] = body[key].trim().slice(0, 100) || null;
+  });
+
+  const hasLat = body.lat !== undefined && body.lat !== null;
+  const hasLon = body.lon !== undefined && body.lon !== null;
+  if (hasLat !== hasLon) {
+    return invalid('lat and lon must be given together');
+  }
+  if (hasLat) {
+    const lat = Number(body.lat);
+    const lon = Number(body.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return invalid('lat must be between -90 and 90 and lon between -180 and 180');
+    }
+    fields.lat = lat;
+    fields.lon = lon;
+  }
+
+  if (fields.location === undefined && !PLACE_FIELDS.some(key => fields[key])) {
+    return invalid('location or city, region or country is required');
+  }
+
+  const connection = await setConnectionLocation(user.id, connectionId, fields);
+  if (!connection) return notFound(headers);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ connection })
+  };
+}
@@ -0,0 +1,202 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const {
+  createConversation,
+  listConversations,
+  getConversation,
+  getMessages,
+  renameConversation,
+  deleteConversation,
+  appendMessage
+} = require('../../utils/conversations');
+
+const MAX_PAGE_SIZE = 100;
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    // /api/conversations[/:id[/messages]]
+    const match = path.match(/\/conversations\/(\d+)(\/messages)?\/?$/);
+    const conversationId = match ? parseInt(match[1]) : null;
+
+    // Route handling
+    if (!conversationId) {
+      if (httpMethod === 'GET') {
+        return await handleList(user, event.queryStringParameters || {}, headers);
+      } else if (httpMethod === 'POST') {
+        return await handleCreate(user, event, headers);
+      }
+    } else {
+      const conversation = await getConversation(user.id, conversationId);
+      if (!conversation) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Conversation not found' })
+        };
+      }
+
+      if (match[2] && httpMethod === 'POST') {
+        return await handleAppendMessage(conversation, event, headers);
+      } else if (!match[2] && httpMethod === 'GET') {
+        return await handleGet(conversation, headers);
+      } else if (!match[2] && httpMethod === 'PATCH') {
+        return await handleRename(user, conversation, event, headers);
+      } else if (!match[2] && httpMethod === 'DELETE') {
+        return await handleDelete(user, conversation, headers);
+      }
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Conversations handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+// List the user's conversations, most recent first
+async function handleList(user, params, headers) {
+  const limit = Math.min(Math.max(parseInt(params.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(params.offset) || 0, 0);
+
+  const conversations = await listConversations(user.id, { limit, offset });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ conversations, limit, offset })
+  };
+}
+
+// Start an empty conversation
+async function handleCreate(user, event, headers) {
+  const body = event.body ? JSON.parse(event.body) : {};
+  const conversation = await createConversation(user.id, body.title);
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({ conversation })
+  };
+}
+
+// Conversation with its messages and attached search results
+async function handleGet(conversation, headers) {
+  const messages = await getMessages(conversation.id);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ conversation, messages })
+  };
+}
+
+async function handleRename(user, conversation, event, headers) {
+  const { title } = JSON.parse(event.body || '{}');
+
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'A non-empty title is required' })
+    };
+  }
+
+  const updated = await renameConversation(user.id, conversation.id, title);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ conversation: updated })
+  };
+}
+
+async function handleDelete(user, conversation, headers) {
+  await deleteConversation(user.id, conversation.id);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Conversation deleted successfully' })
+  };
+}
+
+// Append a message (e.g. a note or an imported turn) to a conversation
+async function handleAppendMessage(conversation, event, headers) {
+  const { sender, message, results, search_summary } = JSON.parse(event.body || '{}');
+
+  if (!['user', 'assistant'].includes(sender) || typeof message !== 'string') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: "Body must include sender ('user' or 'assistant') and message" })
+    };
+  }
+
+  if (results !== undefined && results !== null && !Array.isArray(results)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'results must be an array of connections' })
+    };
+  }
+
+  const saved = await appendMessage(conversation.id, {
+    sender,
+    message,
+    results,
+    searchSummary: search_summary || null
+  });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({ message: saved })
+  };
+}
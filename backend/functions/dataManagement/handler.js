@@ -0,0 +1,190 @@
+const { getUserFromRequest, requireVerifiedEmail } = require('../../utils/auth');
+const { logSecurityEvent, getClientInfo } = require('../../utils/security');
+const { DataExporter, EXPORT_TYPES, EXPORT_FORMATS } = require('../../utils/dataExporter');
+const { DataImporter, ImportValidationError } = require('../../utils/dataImporter');
+
+exports.main = async (event) => {
+  const { clientIp, userAgent } = getClientInfo(event);
+
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization,Accept',
+          'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    // Authenticate user
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization,Accept',
+      'Content-Type': 'application/json'
+    };
+
+    // Route handling
+    if (httpMethod === 'POST' && path.includes('/export')) {
+      return await handleExport(user, event, headers, clientIp, userAgent);
+    } else if (httpMethod === 'POST' && path.includes('/import')) {
+      return await handleImport(user, event, headers, clientIp, userAgent);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Data management error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    if (error.message.includes('Email verification required')) {
+      return {
+        statusCode: 403,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({
+          error: 'Confirm your email address before importing connections',
+          code: 'email_unverified'
+        }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      }),
+    };
+  }
+};
+
+// Handle data export
+async function handleExport(user, event, headers, clientIp, userAgent) {
+  const body = JSON.parse(event.body || '{}');
+  const { type = 'all', format = 'json' } = body;
+
+  if (!EXPORT_TYPES.includes(type)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Invalid export type. Expected one of: ${EXPORT_TYPES.join(', ')}` })
+    };
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Invalid export format. Expected one of: ${EXPORT_FORMATS.join(', ')}` })
+    };
+  }
+
+  if (format === 'csv' && type === 'settings') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Settings cannot be exported as CSV. Use JSON or Excel instead.' })
+    };
+  }
+
+  const exporter = new DataExporter(user.id);
+  const file = await exporter.export(type, format);
+
+  await logSecurityEvent(user.id, 'data_export', clientIp, userAgent, true, { type, format });
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="pnit-export-${type}-${new Date().toISOString().split('T')[0]}.${file.extension}"`
+    },
+    body: file.body,
+    isBase64Encoded: file.isBase64Encoded
+  };
+}
+
+// Handle data import (dry_run returns the plan without writing). Like
+// uploads, it needs a confirmed email address.
+async function handleImport(user, event, headers, clientIp, userAgent) {
+  requireVerifiedEmail(user);
+
+  const body = JSON.parse(event.body || '{}');
+  const { data, csv_data, dry_run = false } = body;
+
+  if (!data && !csv_data) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Missing data (PNIT JSON export) or csv_data in request body.' })
+    };
+  }
+
+  const importer = new DataImporter(user.id);
+  let result;
+
+  try {
+    result = await importer.import(
+      csv_data ? { csvData: csv_data } : { exportData: data },
+      { dryRun: dry_run === true }
+    );
+  } catch (error) {
+    await logSecurityEvent(user.id, 'data_import_error', clientIp, userAgent, false, {
+      error: error.message
+    });
+
+    // Only a file the importer refused is the client's fault
+    if (!(error instanceof ImportValidationError)) throw error;
+
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+
+  if (!result.dry_run) {
+    await logSecurityEvent(user.id, 'data_import', clientIp, userAgent, true, {
+      batch_id: result.batch_id,
+      imported: result.summary.imported
+    });
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: result.dry_run ? 'Import preview generated' : 'Import completed successfully',
+      ...result
+    })
+  };
+}
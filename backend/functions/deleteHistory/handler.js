@@ -1,16 +1,11 @@
 const db = require('../../utils/db');
+const { getUserFromRequest } = require('../../utils/auth');
 
 exports.main = async (event) => {
   try {
-    const body = JSON.parse(event.body);
-    const { user_id, history_id } = body;
-    
-    if (!user_id) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Missing user_id in request body." })
-      };
-    }
+    const { id: user_id } = await getUserFromRequest(event);
+    const body = JSON.parse(event.body || '{}');
+    const { history_id } = body;
 
     let result;
     if (history_id) {
@@ -47,6 +42,15 @@ exports.main = async (event) => {
     }
   } catch (error) {
     console.error('Error deleting history:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: "Authentication required" })
+      };
+    }
+
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Internal server error', details: error.message })
@@ -46,7 +46,8 @@ exports.main = async (event) => {
   } catch (error) {
     console.error('History handler error:', error);
     
-    if (error.message.includes('Authentication required') || error.message.includes('Invalid token')) {
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
       return {
         statusCode: 401,
         headers: {
@@ -143,7 +144,7 @@ async function getAnalytics(user, headers) {
     const connectionStats = await db.query(`
       SELECT 
         COUNT(*) as total_connections,
-        COUNT(DISTINCT company) as unique_companies,
+        COUNT(DISTINCT COALESCE(company_id::text, normalize_company(company), company)) as unique_companies,
         COUNT(DISTINCT CASE WHEN company IS NOT NULL AND company != '' THEN company END) as companies_with_name,
         MAX(imported_at) as last_import
       FROM connections 
@@ -162,16 +163,18 @@ async function getAnalytics(user, headers) {
       ORDER BY date DESC
     `, [user.id]);
 
-    // Top companies by connection count
+    // Top companies by connection count; aliases ("FB", "Facebook") count
+    // under the canonical company (see utils/companies.js)
     const topCompanies = await db.query(`
       SELECT 
-        company,
+        COALESCE(co.name, MIN(c.company)) as company,
         COUNT(*) as connection_count
-      FROM connections 
-      WHERE user_id = $1 
-        AND company IS NOT NULL 
-        AND company != ''
-      GROUP BY company
+      FROM connections c
+      LEFT JOIN companies co ON co.id = c.company_id
+      WHERE c.user_id = $1 
+        AND c.company IS NOT NULL 
+        AND c.company != ''
+      GROUP BY co.id, co.name, CASE WHEN co.id IS NULL THEN COALESCE(normalize_company(c.company), c.company) END
       ORDER BY connection_count DESC
       LIMIT 10
     `, [user.id]);
@@ -0,0 +1,24 @@
+const { runImportJob, dispatchImportJob } = require('../../utils/importJobs');
+
+// Stop starting new chunks when less than this is left of the invocation
+const TIME_RESERVE_MS = 60 * 1000;
+
+// Invoked asynchronously with { job_id }. Processes chunks until the time
+// budget runs low, then re-invokes itself to continue where it left off.
+exports.main = async (event, context) => {
+  const jobId = event.job_id;
+  if (!jobId) {
+    console.error('Import worker invoked without job_id');
+    return { status: 'ignored' };
+  }
+
+  const hasTime = () => !context || context.getRemainingTimeInMillis() > TIME_RESERVE_MS;
+  const status = await runImportJob(jobId, { hasTime });
+
+  if (status === 'paused') {
+    await dispatchImportJob(jobId);
+  }
+
+  console.log(`Import job ${jobId}: ${status || 'not claimed'}`);
+  return { job_id: jobId, status };
+};
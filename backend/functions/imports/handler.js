@@ -0,0 +1,184 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const { getImportJob, listImportJobs, formatJob } = require('../../utils/importJobs');
+const {
+  listImportBatches,
+  getImportBatch,
+  rollbackImportBatch,
+  formatBatch
+} = require('../../utils/importBatches');
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const match = path.match(/\/imports\/(\d+)\/?$/);
+    // /api/imports/batches[/:batch_id[/rollback]]
+    const batchMatch = path.match(/\/imports\/batches(?:\/([\w-]+)(\/rollback)?)?\/?$/);
+
+    // Route handling
+    if (batchMatch) {
+      if (!batchMatch[1] && httpMethod === 'GET') {
+        return await handleListBatches(user, event.queryStringParameters || {}, headers);
+      } else if (batchMatch[1] && !batchMatch[2] && httpMethod === 'GET') {
+        return await handleGetBatch(user, batchMatch[1], headers);
+      } else if (batchMatch[2] && httpMethod === 'POST') {
+        return await handleRollbackBatch(user, batchMatch[1], headers);
+      }
+    } else if (httpMethod === 'GET' && match) {
+      const job = await getImportJob(user.id, parseInt(match[1]));
+      if (!job) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Import job not found' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ job: formatJob(job) })
+      };
+    } else if (httpMethod === 'GET' && /\/imports\/?$/.test(path)) {
+      const limit = parseInt((event.queryStringParameters || {}).limit) || 20;
+      const jobs = await listImportJobs(user.id, limit);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ jobs: jobs.map(formatJob) })
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Imports handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+// Past imports with their counts, newest first
+async function handleListBatches(user, params, headers) {
+  const limit = parseInt(params.limit) || 20;
+  const batches = await listImportBatches(user.id, limit);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ batches: batches.map(formatBatch) })
+  };
+}
+
+async function handleGetBatch(user, batchId, headers) {
+  const batch = await getImportBatch(user.id, batchId);
+  if (!batch) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Import batch not found' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ batch: formatBatch(batch) })
+  };
+}
+
+// Delete the rows a batch inserted and restore the rows it merged into.
+// Inserted rows edited since the import are kept and counted in `kept`.
+async function handleRollbackBatch(user, batchId, headers) {
+  const batch = await getImportBatch(user.id, batchId);
+  if (!batch) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Import batch not found' })
+    };
+  }
+
+  if (!formatBatch(batch).can_rollback) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        error: batch.status === 'rolled_back'
+          ? 'Import batch has already been rolled back'
+          : 'Import is still running; wait for it to finish before rolling it back'
+      })
+    };
+  }
+
+  let result;
+  try {
+    result = await rollbackImportBatch(user.id, batchId);
+  } catch (error) {
+    if (error.message.includes('already been rolled back') || error.message.includes('cannot be rolled back')) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    throw error;
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Import rolled back successfully',
+      restored: result.restored,
+      deleted: result.deleted,
+      kept: result.kept,
+      batch: formatBatch(await getImportBatch(user.id, batchId))
+    })
+  };
+}
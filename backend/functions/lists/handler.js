@@ -0,0 +1,201 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const {
+  listLists, getList, createList, updateList, deleteList,
+  listMembers, addListMembers, removeListMembers, MAX_LIST_NAME_LENGTH
+} = require('../../utils/lists');
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_BULK_MEMBERS = 1000;
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const listMatch = path.match(/\/lists\/(\d+)\/?$/);
+    const membersMatch = path.match(/\/lists\/(\d+)\/members\/?$/);
+
+    // Route handling
+    if (httpMethod === 'GET' && path.match(/\/lists\/?$/)) {
+      return await handleList(user, headers);
+    } else if (httpMethod === 'POST' && path.match(/\/lists\/?$/)) {
+      return await handleCreate(user, JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'GET' && listMatch) {
+      return await handleGet(user, parseInt(listMatch[1]), event.queryStringParameters || {}, headers);
+    } else if (httpMethod === 'PATCH' && listMatch) {
+      return await handleUpdate(user, parseInt(listMatch[1]), JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'DELETE' && listMatch) {
+      return await handleDelete(user, parseInt(listMatch[1]), headers);
+    } else if ((httpMethod === 'POST' || httpMethod === 'DELETE') && membersMatch) {
+      return await handleMembers(user, parseInt(membersMatch[1]), httpMethod, JSON.parse(event.body || '{}'), headers);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Lists handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+const respond = (statusCode, headers, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body)
+});
+
+const notFound = (headers) => respond(404, headers, { error: 'List not found' });
+
+// Validated { name, description } from a POST or PATCH body, or { error }.
+// `partial` allows either field to be left out.
+const parseList = (body, partial) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      return { error: `name must be 1 to ${MAX_LIST_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string or null' };
+    }
+    if (typeof body.description === 'string' && body.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = body.description ? body.description.trim() || null : null;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: 'name or description is required' };
+  }
+
+  return { fields };
+};
+
+// Connection ids from a bulk membership body, or { error }
+const parseConnectionIds = (body) => {
+  const ids = body.connection_ids;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_MEMBERS ||
+      !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: `connection_ids must be an array of 1 to ${MAX_BULK_MEMBERS} connection ids` };
+  }
+  return { connectionIds: [...new Set(ids)] };
+};
+
+async function handleList(user, headers) {
+  const lists = await listLists(user.id);
+  return respond(200, headers, { lists });
+}
+
+async function handleCreate(user, body, headers) {
+  const { fields, error } = parseList(body, false);
+  if (error) return respond(400, headers, { error });
+
+  try {
+    const list = await createList(user.id, fields);
+    return respond(201, headers, { list });
+  } catch (createError) {
+    if (createError.message.includes('already in use')) {
+      return respond(409, headers, { error: createError.message });
+    }
+    throw createError;
+  }
+}
+
+// A list with a page of its members (?limit=&offset=)
+async function handleGet(user, listId, query, headers) {
+  const list = await getList(user.id, listId);
+  if (!list) return notFound(headers);
+
+  const limit = Math.max(1, parseInt(query.limit) || 100);
+  const offset = Math.max(0, parseInt(query.offset) || 0);
+  const members = await listMembers(user.id, listId, { limit, offset });
+
+  return respond(200, headers, { list, members });
+}
+
+async function handleUpdate(user, listId, body, headers) {
+  const { fields, error } = parseList(body, true);
+  if (error) return respond(400, headers, { error });
+
+  let list;
+  try {
+    list = await updateList(user.id, listId, fields);
+  } catch (updateError) {
+    if (updateError.message.includes('already in use')) {
+      return respond(409, headers, { error: updateError.message });
+    }
+    throw updateError;
+  }
+  if (!list) return notFound(headers);
+
+  return respond(200, headers, { list });
+}
+
+async function handleDelete(user, listId, headers) {
+  const deleted = await deleteList(user.id, listId);
+  if (!deleted) return notFound(headers);
+
+  return respond(200, headers, { message: 'List deleted' });
+}
+
+// POST adds { connection_ids } to the list, DELETE removes them
+async function handleMembers(user, listId, httpMethod, body, headers) {
+  const { connectionIds, error } = parseConnectionIds(body);
+  if (error) return respond(400, headers, { error });
+
+  const changed = httpMethod === 'POST'
+    ? await addListMembers(user.id, listId, connectionIds)
+    : await removeListMembers(user.id, listId, connectionIds);
+  if (changed === null) return notFound(headers);
+
+  return respond(200, headers, httpMethod === 'POST' ? { added: changed } : { removed: changed });
+}
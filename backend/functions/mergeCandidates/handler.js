@@ -0,0 +1,176 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const { createMergeScanJob, dispatchImportJob, formatJob } = require('../../utils/importJobs');
+const {
+  listMergeCandidates,
+  getMergeCandidate,
+  approveMergeCandidate,
+  rejectMergeCandidate
+} = require('../../utils/identityResolution');
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    // /api/merge-candidates/:id/(approve|reject)
+    const actionMatch = path.match(/\/merge-candidates\/(\d+)\/(approve|reject)\/?$/);
+
+    // Route handling
+    if (httpMethod === 'GET' && /\/merge-candidates\/?$/.test(path)) {
+      return await handleList(user, event.queryStringParameters || {}, headers);
+    } else if (httpMethod === 'POST' && /\/merge-candidates\/refresh\/?$/.test(path)) {
+      return await handleRefresh(user, headers);
+    } else if (httpMethod === 'POST' && actionMatch) {
+      const body = event.body ? JSON.parse(event.body) : {};
+      return await handleResolve(user, parseInt(actionMatch[1]), actionMatch[2], body, headers);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Merge candidates handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+// Suggested duplicate pairs, most likely first
+async function handleList(user, params, headers) {
+  const status = params.status || 'pending';
+  if (!['pending', 'rejected'].includes(status)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'status must be pending or rejected' })
+    };
+  }
+
+  const candidates = await listMergeCandidates(user.id, {
+    status,
+    limit: parseInt(params.limit) || 50,
+    offset: parseInt(params.offset) || 0
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ candidates })
+  };
+}
+
+// Queue a rescan of all connections for likely duplicates on the import
+// worker; GET /api/imports/:id reports when it is done
+async function handleRefresh(user, headers) {
+  const { job, created } = await createMergeScanJob(user.id);
+  if (created) {
+    await dispatchImportJob(job.id);
+  }
+
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      message: created ? 'Duplicate scan queued' : 'A duplicate scan is already running',
+      job: formatJob(job),
+      status_url: `/api/imports/${job.id}`
+    })
+  };
+}
+
+async function handleResolve(user, candidateId, action, body, headers) {
+  const candidate = await getMergeCandidate(user.id, candidateId);
+  if (!candidate) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Merge candidate not found' })
+    };
+  }
+
+  if (candidate.status !== 'pending') {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: `Merge candidate has already been ${candidate.status}` })
+    };
+  }
+
+  if (action === 'reject') {
+    const rejected = await rejectMergeCandidate(user.id, candidateId);
+    return {
+      statusCode: rejected ? 200 : 409,
+      headers,
+      body: JSON.stringify(rejected
+        ? { message: 'Kept both connections', candidate: rejected }
+        : { error: 'Merge candidate has already been resolved' })
+    };
+  }
+
+  // keep_id picks the surviving connection; defaults to the older one
+  const keepId = body.keep_id ? parseInt(body.keep_id) : null;
+  if (keepId && ![candidate.connection_a_id, candidate.connection_b_id].includes(keepId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'keep_id must be one of the two connections' })
+    };
+  }
+
+  const connection = await approveMergeCandidate(user.id, candidateId, keepId);
+  if (!connection) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'Merge candidate has already been resolved' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: 'Connections merged', connection })
+  };
+}
@@ -1,13 +1,18 @@
 require('dotenv').config();
 
-const { OpenAI } = require("openai");
 const db = require('../../utils/db');
 const { getUserFromRequest } = require('../../utils/auth');
-const { searchConnections, parseSearchIntent } = require('../../utils/searchEngine');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY, // Set this in your .env or Windsurf environment
-});
+const { ChatAgent, buildSystemPrompt, describeToolCalls } = require('../../utils/chatAgent');
+const { getUserChatProvider } = require('../../utils/llmProviders');
+const { getUserPositions } = require('../../utils/linkedinArchive');
+const { listLists } = require('../../utils/lists');
+const { listTags } = require('../../utils/tags');
+const {
+  createConversation,
+  getConversation,
+  appendMessage,
+  loadHistory
+} = require('../../utils/conversations');
 
 exports.main = async (event) => {
   try {
@@ -15,7 +20,7 @@ exports.main = async (event) => {
     const user = await getUserFromRequest(event);
     
     const body = JSON.parse(event.body);
-    const { message, history = [] } = body;
+    const { message, conversation_id } = body;
 
     if (!message || typeof message !== 'string') {
       return {
@@ -28,6 +33,25 @@ exports.main = async (event) => {
       };
     }
 
+    // Continue the given conversation (history comes from the database, not
+    // the client) or start a new one titled after this message
+    const conversation = conversation_id
+      ? await getConversation(user.id, conversation_id)
+      : await createConversation(user.id, message);
+
+    if (!conversation) {
+      return {
+        statusCode: 404,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: 'Conversation not found' })
+      };
+    }
+
+    const history = await loadHistory(conversation.id);
+
     // Get user's connection count for context
     const connectionCountResult = await db.query(
       'SELECT COUNT(*) as count FROM connections WHERE user_id = $1',
@@ -35,81 +59,38 @@ exports.main = async (event) => {
     );
     const connectionCount = parseInt(connectionCountResult.rows[0].count);
 
+    // The user's own positions, lists and tags, so the model can resolve
+    // "my old companies" or "my investor list"
+    const [positions, lists, tags] = await Promise.all([
+      getUserPositions(user.id),
+      listLists(user.id),
+      listTags(user.id)
+    ]);
+
     // Build OpenAI message history (system + past messages + new user input)
     const messages = [
-      {
-        role: "system",
-        content: `You are PNIT, a helpful AI assistant that helps ${user.name || 'the user'} search their professional LinkedIn network of ${connectionCount} connections. 
-
-When users ask about their network, you should:
-1. Parse their query to understand what they're looking for (company, role, name, industry, experience level)
-2. Provide a helpful, conversational response
-3. Include a JSON object with search criteria: { "company": "string", "role": "string", "name": "string", "industry": "string", "experienceLevel": "string" }
-
-Be conversational and helpful. If no specific criteria are mentioned, ask clarifying questions.`
-      },
+      { role: "system", content: buildSystemPrompt(user, connectionCount, positions, {
+        lists: lists.map(list => list.name),
+        tags: tags.map(tag => tag.name)
+      }) },
       ...history,
-      {
-        role: "user",
-        content: message
-      }
+      { role: "user", content: message }
     ];
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages,
-      temperature: 0.3,
-    });
+    // Let the model call search tools until it has what it needs to answer
+    const agent = new ChatAgent(user.id, { provider: await getUserChatProvider(user.id) });
+    const { reply: assistantReply, results: searchResults, toolCalls } = await agent.run(messages);
 
-    const assistantReply = response.choices[0].message.content;
+    const searchSummary = describeToolCalls(toolCalls, connectionCount);
 
-    // Enhanced search with multiple approaches
-    let searchResults = [];
-    let searchSummary = '';
-    
-    try {
-      // Approach 1: Try to extract JSON from AI response
-      let searchFilters = {};
-      const jsonMatch = assistantReply.match(/\{[^}]*\}/);
-      if (jsonMatch) {
-        try {
-          const aiFilters = JSON.parse(jsonMatch[0]);
-          searchFilters = { ...aiFilters };
-        } catch (jsonError) {
-          console.log('JSON parsing failed, using intent parsing');
-        }
-      }
-      
-      // Approach 2: Use intent parsing as fallback
-      const intentFilters = parseSearchIntent(message);
-      searchFilters = { ...intentFilters, ...searchFilters };
-      
-      // Perform search if we have any filters
-      const hasFilters = Object.values(searchFilters).some(value => value !== null && value !== '');
-      
-      if (hasFilters) {
-        const searchResult = await searchConnections(user.id, message, searchFilters);
-        searchResults = searchResult.results;
-        
-        // Create search summary
-        const filterDescriptions = [];
-        if (searchFilters.company) filterDescriptions.push(`company: ${searchFilters.company}`);
-        if (searchFilters.role) filterDescriptions.push(`role: ${searchFilters.role}`);
-        if (searchFilters.name) filterDescriptions.push(`name: ${searchFilters.name}`);
-        if (searchFilters.industry) filterDescriptions.push(`industry: ${searchFilters.industry}`);
-        if (searchFilters.experienceLevel) filterDescriptions.push(`level: ${searchFilters.experienceLevel}`);
-        
-        searchSummary = `Searched ${connectionCount} connections with filters: ${filterDescriptions.join(', ')}`;
-      } else {
-        searchSummary = 'No specific search criteria detected. Ask me about specific companies, roles, or people in your network.';
-      }
-      
-    } catch (searchError) {
-      console.error('Search error:', searchError);
-      searchSummary = `Search error: ${searchError.message}`;
-    }
-
-    // Save query to history
+    // Save the turn to the conversation and the flat query history
+    await appendMessage(conversation.id, { sender: 'user', message });
+    await appendMessage(conversation.id, {
+      sender: 'assistant',
+      message: assistantReply,
+      results: searchResults,
+      searchSummary
+    });
     await db.query(
       'INSERT INTO query_history (user_id, query, response, created_at) VALUES ($1, $2, $3, NOW())',
       [user.id, message, assistantReply]
@@ -126,6 +107,7 @@ Be conversational and helpful. If no specific criteria are mentioned, ask clarif
         assistant_message: assistantReply,
         results: searchResults,
         search_summary: searchSummary,
+        conversation_id: conversation.id,
         user: {
           id: user.id,
           name: user.name,
@@ -137,7 +119,8 @@ Be conversational and helpful. If no specific criteria are mentioned, ask clarif
     console.error("Query error:", error);
     
     // Handle authentication errors
-    if (error.message.includes('Authentication required') || error.message.includes('Invalid token')) {
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
       return {
         statusCode: 401,
         headers: {
@@ -158,5 +141,3 @@ Be conversational and helpful. If no specific criteria are mentioned, ask clarif
     };
   }
 };
-
-  
\ No newline at end of file
@@ -0,0 +1,212 @@
+require('dotenv').config();
+
+const db = require('../../utils/db');
+const { getUserFromRequest } = require('../../utils/auth');
+const { ChatAgent, buildSystemPrompt, describeToolCalls } = require('../../utils/chatAgent');
+const { getUserChatProvider } = require('../../utils/llmProviders');
+const { getUserPositions } = require('../../utils/linkedinArchive');
+const { listLists } = require('../../utils/lists');
+const { listTags } = require('../../utils/tags');
+const {
+  createConversation,
+  getConversation,
+  appendMessage,
+  loadHistory
+} = require('../../utils/conversations');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+};
+
+const streamHeaders = {
+  ...headers,
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+};
+
+// One server-sent event
+const formatEvent = (name, data) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Authenticate and validate before any bytes are streamed, so failures can
+// still use a proper status code. Returns { response } or { user, message, conversation }.
+const prepareRequest = async (event) => {
+  try {
+    // Function URLs may deliver the body base64 encoded
+    const rawBody = event.isBase64Encoded && event.body
+      ? Buffer.from(event.body, 'base64').toString('utf8')
+      : event.body;
+    const request = { ...event, body: rawBody };
+
+    const user = await getUserFromRequest(request);
+    const { message, conversation_id } = JSON.parse(rawBody || '{}');
+
+    if (!message || typeof message !== 'string') {
+      return {
+        response: {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: "Missing or invalid 'message' in request body." })
+        }
+      };
+    }
+
+    // Continue the given conversation or start a new one titled after this message
+    const conversation = conversation_id
+      ? await getConversation(user.id, conversation_id)
+      : await createConversation(user.id, message);
+
+    if (!conversation) {
+      return {
+        response: {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Conversation not found' })
+        }
+      };
+    }
+
+    return { user, message, conversation };
+  } catch (error) {
+    console.error("Query stream error:", error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        response: {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: "Authentication required" }),
+        }
+      };
+    }
+
+    return {
+      response: {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: "Internal server error", details: error.message }),
+      }
+    };
+  }
+};
+
+// Run the chat turn, writing `tool_call`, `results`, `delta` and finally
+// `done` events.
+// Errors after the stream has started are reported as an `error` event.
+const streamChat = async ({ user, message, conversation }, write) => {
+  try {
+    const history = await loadHistory(conversation.id);
+
+    const connectionCountResult = await db.query(
+      'SELECT COUNT(*) as count FROM connections WHERE user_id = $1',
+      [user.id]
+    );
+    const connectionCount = parseInt(connectionCountResult.rows[0].count);
+
+    // The user's own positions, lists and tags, so the model can resolve
+    // "my old companies" or "my investor list"
+    const [positions, lists, tags] = await Promise.all([
+      getUserPositions(user.id),
+      listLists(user.id),
+      listTags(user.id)
+    ]);
+
+    const messages = [
+      { role: "system", content: buildSystemPrompt(user, connectionCount, positions, {
+        lists: lists.map(list => list.name),
+        tags: tags.map(tag => tag.name)
+      }) },
+      ...history,
+      { role: "user", content: message }
+    ];
+
+    const agent = new ChatAgent(user.id, { provider: await getUserChatProvider(user.id) });
+    const searchesSoFar = [];
+    const { reply, results, toolCalls } = await agent.run(messages, {
+      onToolCall: (toolCall) => write(formatEvent('tool_call', toolCall)),
+      onResults: (rows, toolCall) => {
+        searchesSoFar.push(toolCall);
+        write(formatEvent('results', {
+          results: rows,
+          search_summary: describeToolCalls(searchesSoFar, connectionCount)
+        }));
+      },
+      onDelta: (content) => write(formatEvent('delta', { content }))
+    });
+
+    const searchSummary = describeToolCalls(toolCalls, connectionCount);
+
+    await appendMessage(conversation.id, { sender: 'user', message });
+    await appendMessage(conversation.id, {
+      sender: 'assistant',
+      message: reply,
+      results,
+      searchSummary
+    });
+    await db.query(
+      'INSERT INTO query_history (user_id, query, response, created_at) VALUES ($1, $2, $3, NOW())',
+      [user.id, message, reply]
+    );
+
+    write(formatEvent('done', {
+      assistant_message: reply,
+      results,
+      search_summary: searchSummary,
+      conversation_id: conversation.id,
+      user: {
+        id: user.id,
+        name: user.name,
+        connection_count: connectionCount
+      }
+    }));
+  } catch (error) {
+    console.error("Query stream error:", error);
+    write(formatEvent('error', { error: "Internal server error", details: error.message }));
+  }
+};
+
+// Lambda response streaming (function URL with invokeMode RESPONSE_STREAM)
+/* global awslambda */
+const streamingHandler = async (event, responseStream) => {
+  const prepared = await prepareRequest(event);
+
+  if (prepared.response) {
+    const { statusCode, headers: responseHeaders, body } = prepared.response;
+    const errorStream = awslambda.HttpResponseStream.from(responseStream, { statusCode, headers: responseHeaders });
+    errorStream.write(body);
+    errorStream.end();
+    return;
+  }
+
+  const stream = awslambda.HttpResponseStream.from(responseStream, { statusCode: 200, headers: streamHeaders });
+  await streamChat(prepared, (chunk) => stream.write(chunk));
+  stream.end();
+};
+
+// API Gateway and serverless-offline: the same events in one buffered body
+const bufferedHandler = async (event) => {
+  const prepared = await prepareRequest(event);
+  if (prepared.response) {
+    return prepared.response;
+  }
+
+  let body = '';
+  await streamChat(prepared, (chunk) => { body += chunk; });
+
+  return {
+    statusCode: 200,
+    headers: streamHeaders,
+    body,
+  };
+};
+
+// Two entry points, wired to separate functions in serverless.yml: the http
+// event cannot consume a streamed response, and on Lambda `awslambda` is
+// defined either way, so it cannot choose between them at runtime.
+exports.main = bufferedHandler;
+
+// `awslambda` only exists inside the Lambda runtime
+exports.stream = typeof awslambda !== 'undefined'
+  ? awslambda.streamifyResponse(streamingHandler)
+  : streamingHandler;
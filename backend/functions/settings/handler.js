@@ -1,15 +1,9 @@
 const db = require('../../utils/db');
+const { getUserFromRequest } = require('../../utils/auth');
 
 exports.main = async (event) => {
   try {
-    const { user_id } = event.queryStringParameters || {};
-    
-    if (!user_id) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Missing user_id query parameter." })
-      };
-    }
+    const { id: user_id } = await getUserFromRequest(event);
 
     // Get user information
     const userResult = await db.query(
@@ -70,6 +64,15 @@ exports.main = async (event) => {
     };
   } catch (error) {
     console.error('Error fetching settings:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: "Authentication required" })
+      };
+    }
+
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Internal server error', details: error.message })
@@ -6,6 +6,15 @@ const {
   logSecurityEvent,
   getClientInfo
 } = require('../../utils/security');
+const {
+  getDefaultPreferences,
+  getDefaultPrivacySettings,
+  validatePreferences,
+  validatePrivacySettings,
+  SettingsValidationError
+} = require('../../utils/settings');
+const { getAvailableChatProviders } = require('../../utils/llmProviders');
+const { sendTemplateEmail, emailNotificationsEnabled } = require('../../utils/mailer');
 const db = require('../../utils/db');
 const crypto = require('crypto');
 
@@ -56,7 +65,8 @@ exports.main = async (event) => {
   } catch (error) {
     console.error('Settings management error:', error);
     
-    if (error.message.includes('Authentication required') || error.message.includes('Invalid token')) {
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
       return {
         statusCode: 401,
         headers: {
@@ -97,7 +107,7 @@ async function handlePreferences(user, method, event, headers) {
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ preferences })
+      body: JSON.stringify({ preferences, ai_providers: getAvailableChatProviders() })
     };
 
   } else if (method === 'PUT') {
@@ -113,13 +123,25 @@ async function handlePreferences(user, method, event, headers) {
       };
     }
 
+    let validated;
+    try {
+      validated = validatePreferences(preferences);
+    } catch (error) {
+      if (!(error instanceof SettingsValidationError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+
     // Upsert preferences
     await db.query(`
       INSERT INTO user_preferences (user_id, preferences, updated_at)
       VALUES ($1, $2, NOW())
       ON CONFLICT (user_id)
       DO UPDATE SET preferences = $2, updated_at = NOW()
-    `, [user.id, JSON.stringify(preferences)]);
+    `, [user.id, JSON.stringify(validated)]);
 
     return {
       statusCode: 200,
@@ -390,6 +412,9 @@ async function handleAccountDeletion(user, method, event, headers) {
     };
   }
 
+  // Read before the preferences are deleted along with the account
+  const sendConfirmation = await emailNotificationsEnabled(user.id);
+
   // Begin transaction for account deletion
   const client = await db.pool.connect();
   
@@ -398,6 +423,7 @@ async function handleAccountDeletion(user, method, event, headers) {
 
     // Delete user data in order (due to foreign key constraints)
     await client.query('DELETE FROM query_history WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM conversations WHERE user_id = $1', [user.id]);
     await client.query('DELETE FROM connections WHERE user_id = $1', [user.id]);
     await client.query('DELETE FROM api_keys WHERE user_id = $1', [user.id]);
     await client.query('DELETE FROM user_preferences WHERE user_id = $1', [user.id]);
@@ -406,12 +432,22 @@ async function handleAccountDeletion(user, method, event, headers) {
 
     await client.query('COMMIT');
 
+    const deletedAt = new Date().toISOString();
+
+    if (sendConfirmation) {
+      try {
+        await sendTemplateEmail('accountDeleted', { email: user.email, name: user.name }, { deletedAt });
+      } catch (mailError) {
+        console.error('Account deletion email failed:', mailError);
+      }
+    }
+
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({ 
         message: 'Account deleted successfully',
-        deleted_at: new Date().toISOString()
+        deleted_at: deletedAt
       })
     };
 
@@ -427,69 +463,3 @@ async function handleAccountDeletion(user, method, event, headers) {
 function generateApiKey() {
   return 'pnit_' + generateSecureToken();
 }
-
-function getDefaultPreferences() {
-  return {
-    notifications: {
-      email: true,
-      browser: true,
-      query_results: true,
-      system_updates: false
-    },
-    privacy: {
-      data_retention_days: 365,
-      allow_analytics: true,
-      share_usage_stats: false
-    },
-    interface: {
-      theme: 'auto',
-      language: 'en',
-      timezone: 'UTC',
-      items_per_page: 25
-    }
-  };
-}
-
-function getDefaultPrivacySettings() {
-  return {
-    data_processing_consent: true,
-    marketing_consent: false,
-    analytics_consent: true,
-    third_party_sharing: false,
-    data_retention_period: 365,
-    automatic_deletion: true
-  };
-}
-
-function validatePrivacySettings(settings) {
-  const defaults = getDefaultPrivacySettings();
-  const validated = { ...defaults };
-
-  // Validate each setting
-  if (typeof settings.data_processing_consent === 'boolean') {
-    validated.data_processing_consent = settings.data_processing_consent;
-  }
-  
-  if (typeof settings.marketing_consent === 'boolean') {
-    validated.marketing_consent = settings.marketing_consent;
-  }
-  
-  if (typeof settings.analytics_consent === 'boolean') {
-    validated.analytics_consent = settings.analytics_consent;
-  }
-  
-  if (typeof settings.third_party_sharing === 'boolean') {
-    validated.third_party_sharing = settings.third_party_sharing;
-  }
-  
-  if (typeof settings.data_retention_period === 'number' && 
-      [30, 90, 180, 365, 730, -1].includes(settings.data_retention_period)) {
-    validated.data_retention_period = settings.data_retention_period;
-  }
-  
-  if (typeof settings.automatic_deletion === 'boolean') {
-    validated.automatic_deletion = settings.automatic_deletion;
-  }
-
-  return validated;
-}
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { getUserFromRequest } = require('../../utils/auth');
+const {
+  listTags, createTag, renameTag, deleteTag,
+  addTagMembers, removeTagMembers, MAX_TAG_LENGTH
+} = require('../../utils/tags');
+
+const MAX_BULK_MEMBERS = 1000;
+
+exports.main = async (event) => {
+  try {
+    const { httpMethod, path } = event;
+
+    // Handle CORS preflight
+    if (httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+          'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
+        },
+        body: '',
+      };
+    }
+
+    const user = await getUserFromRequest(event);
+
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json'
+    };
+
+    const tagMatch = path.match(/\/tags\/(\d+)\/?$/);
+    const membersMatch = path.match(/\/tags\/(\d+)\/members\/?$/);
+
+    // Route handling
+    if (httpMethod === 'GET' && path.match(/\/tags\/?$/)) {
+      return await handleList(user, headers);
+    } else if (httpMethod === 'POST' && path.match(/\/tags\/?$/)) {
+      return await handleCreate(user, JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'PATCH' && tagMatch) {
+      return await handleRename(user, parseInt(tagMatch[1]), JSON.parse(event.body || '{}'), headers);
+    } else if (httpMethod === 'DELETE' && tagMatch) {
+      return await handleDelete(user, parseInt(tagMatch[1]), headers);
+    } else if ((httpMethod === 'POST' || httpMethod === 'DELETE') && membersMatch) {
+      return await handleMembers(user, parseInt(membersMatch[1]), httpMethod, JSON.parse(event.body || '{}'), headers);
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Endpoint not found' })
+    };
+
+  } catch (error) {
+    console.error('Tags handler error:', error);
+
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({ error: "Authentication required" }),
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      },
+      body: JSON.stringify({ error: "Internal server error", details: error.message }),
+    };
+  }
+};
+
+const respond = (statusCode, headers, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body)
+});
+
+const notFound = (headers) => respond(404, headers, { error: 'Tag not found' });
+
+// Trimmed tag name from a body, or null when missing or too long
+const parseName = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+  return name && name.length <= MAX_TAG_LENGTH ? name : null;
+};
+
+// Connection ids from a bulk membership body, or { error }
+const parseConnectionIds = (body) => {
+  const ids = body.connection_ids;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_MEMBERS ||
+      !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: `connection_ids must be an array of 1 to ${MAX_BULK_MEMBERS} connection ids` };
+  }
+  return { connectionIds: [...new Set(ids)] };
+};
+
+async function handleList(user, headers) {
+  const tags = await listTags(user.id);
+  return respond(200, headers, { tags });
+}
+
+async function handleCreate(user, body, headers) {
+  const name = parseName(body);
+  if (!name) return respond(400, headers, { error: `name must be 1 to ${MAX_TAG_LENGTH} characters` });
+
+  const tag = await createTag(user.id, name);
+  if (!tag) return respond(409, headers, { error: 'Tag name already in use' });
+
+  return respond(201, headers, { tag });
+}
+
+async function handleRename(user, tagId, body, headers) {
+  const name = parseName(body);
+  if (!name) return respond(400, headers, { error: `name must be 1 to ${MAX_TAG_LENGTH} characters` });
+
+  let tag;
+  try {
+    tag = await renameTag(user.id, tagId, name);
+  } catch (renameError) {
+    if (renameError.message.includes('already in use')) {
+      return respond(409, headers, { error: renameError.message });
+    }
+    throw renameError;
+  }
+  if (!tag) return notFound(headers);
+
+  return respond(200, headers, { tag });
+}
+
+async function handleDelete(user, tagId, headers) {
+  const deleted = await deleteTag(user.id, tagId);
+  if (!deleted) return notFound(headers);
+
+  return respond(200, headers, { message: 'Tag deleted' });
+}
+
+// POST tags { connection_ids } with the tag, DELETE untags them
+async function handleMembers(user, tagId, httpMethod, body, headers) {
+  const { connectionIds, error } = parseConnectionIds(body);
+  if (error) return respond(400, headers, { error });
+
+  const changed = httpMethod === 'POST'
+    ? await addTagMembers(user.id, tagId, connectionIds)
+    : await removeTagMembers(user.id, tagId, connectionIds);
+  if (changed === null) return notFound(headers);
+
+  return respond(200, headers, httpMethod === 'POST' ? { added: changed } : { removed: changed });
+}
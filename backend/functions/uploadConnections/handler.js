@@ -1,90 +1,68 @@
-const { getUserFromRequest } = require('../../utils/auth');
-const { LinkedInDataProcessor } = require('../../utils/linkedinProcessor');
+const { getUserFromRequest, requireVerifiedEmail } = require('../../utils/auth');
+const { CONTACT_SOURCES } = require('../../utils/contactSources');
+const { createImportJob, dispatchImportJob, formatJob } = require('../../utils/importJobs');
 
 exports.main = async (event) => {
   try {
-    // Authenticate user
-    const user = await getUserFromRequest(event);
+    // Authenticate user; importing needs a confirmed email address
+    const user = requireVerifiedEmail(await getUserFromRequest(event));
     
     const body = JSON.parse(event.body);
-    const { csv_data } = body;
+    // csv_data: LinkedIn, Google Contacts or Outlook CSV text; vcard_data: .vcf
+    // text; archive_data: base64 LinkedIn data archive (ZIP). `source` skips
+    // format detection (linkedin, google, outlook, vcard).
+    const { csv_data, vcard_data, archive_data, source } = body;
     
-    if (!csv_data) {
+    if (!csv_data && !vcard_data && !archive_data) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Headers': 'Content-Type,Authorization',
         },
-        body: JSON.stringify({ error: "Missing csv_data in request body." })
+        body: JSON.stringify({ error: "Missing csv_data, vcard_data or archive_data in request body." })
       };
     }
 
-    // Initialize the LinkedIn data processor
-    const processor = new LinkedInDataProcessor();
-
-    // Parse and validate CSV data
-    console.log('Parsing CSV data...');
-    const { records, errors: parseErrors } = await processor.parseCSV(csv_data);
-    
-    if (records.length === 0) {
+    if (source && !CONTACT_SOURCES.some(adapter => adapter.name === source)) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Headers': 'Content-Type,Authorization',
         },
-        body: JSON.stringify({ 
-          error: "No valid records found in CSV file",
-          parse_errors: parseErrors
-        })
+        body: JSON.stringify({ error: `Unsupported contact source: ${source}` })
       };
     }
 
-    console.log(`Parsed ${records.length} records, ${parseErrors.length} parse errors`);
+    // Queue the file as sent; the import worker parses it, processes the
+    // records in chunks and GET /api/imports/:id reports progress
+    const upload = archive_data ? { archive_data } : { csv_data, vcard_data, source };
+    const job = await createImportJob(user.id, upload);
+    await dispatchImportJob(job.id);
 
-    // Process the records (includes duplicate detection and merging)
-    console.log('Processing records with duplicate detection...');
-    const results = await processor.processBatch(user.id, records);
-
-    // Prepare response
-    const response = {
-      message: `Successfully processed ${results.processed} records`,
-      summary: {
-        total_processed: results.processed,
-        new_connections: results.inserted,
-        updated_connections: results.updated,
-        duplicates_found: results.duplicates,
-        parse_errors: parseErrors.length,
-        processing_errors: results.errors.length
-      }
-    };
-
-    // Include errors if any occurred
-    if (parseErrors.length > 0 || results.errors.length > 0) {
-      response.errors = {
-        parse_errors: parseErrors.slice(0, 10), // Limit to first 10 for response size
-        processing_errors: results.errors.slice(0, 10)
-      };
-    }
-
-    console.log('Upload completed:', response.summary);
+    console.log(`Queued import job ${job.id}`);
 
     return {
-      statusCode: 200,
+      statusCode: 202,
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Content-Type,Authorization',
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(response)
+      body: JSON.stringify({
+        message: 'Queued the upload for import',
+        job: formatJob(job),
+        status_url: `/api/imports/${job.id}`
+      })
     };
 
   } catch (error) {
     console.error('Error uploading connections:', error);
     
     // Handle authentication errors
-    if (error.message.includes('Authentication required') || error.message.includes('Invalid token')) {
+    if (error.message.includes('Authentication required') || error.message.includes('Invalid token') ||
+        error.message.includes('Invalid authorization token')) {
       return {
         statusCode: 401,
         headers: {
@@ -94,6 +72,20 @@ exports.main = async (event) => {
         body: JSON.stringify({ error: "Authentication required" }),
       };
     }
+
+    if (error.message.includes('Email verification required')) {
+      return {
+        statusCode: 403,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        },
+        body: JSON.stringify({
+          error: 'Confirm your email address before importing connections',
+          code: 'email_unverified'
+        }),
+      };
+    }
     
     return {
       statusCode: 500,
@@ -0,0 +1,2 @@
+// utils/security.js refuses to load without a master key
+process.env.ENCRYPTION_MASTER_KEY = 'test-encryption-master-key';
@@ -0,0 +1,10 @@
+-- Migration: Add user roles for admin-only endpoints
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
+
+-- Supports listing the latest rate-limit row per identifier/endpoint
+CREATE INDEX IF NOT EXISTS idx_rate_limits_identifier_endpoint ON rate_limits(identifier, endpoint, created_at DESC);
+
+-- Grant admin with: UPDATE users SET role = 'admin' WHERE email = '...';
@@ -0,0 +1,25 @@
+-- Migration: Full-text and trigram indexes for ranked connection search
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted document: names rank above company, company above position
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(company, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(position, '')), 'C')
+    ) STORED;
+
+-- Flattened text used for typo-tolerant (trigram) matching across all fields
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS search_text TEXT
+    GENERATED ALWAYS AS (
+        coalesce(first_name, '') || ' ' || coalesce(last_name, '') || ' ' ||
+        coalesce(company, '') || ' ' || coalesce(position, '')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_connections_search_vector ON connections USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_connections_search_text_trgm ON connections USING GIN (search_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_connections_company_trgm ON connections USING GIN (company gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_connections_position_trgm ON connections USING GIN (position gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_connections_full_name_trgm ON connections
+    USING GIN ((coalesce(first_name, '') || ' ' || coalesce(last_name, '')) gin_trgm_ops);
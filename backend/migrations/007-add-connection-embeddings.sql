@@ -0,0 +1,24 @@
+-- Migration: Store embeddings for semantic connection search
+
+CREATE TABLE IF NOT EXISTS connection_embeddings (
+    connection_id INTEGER PRIMARY KEY REFERENCES connections(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    model VARCHAR(100) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL, -- sha256 of the embedded text, to skip unchanged rows
+    embedding REAL[] NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_connection_embeddings_user_model ON connection_embeddings(user_id, model);
+
+-- Use pgvector for nearest-neighbour search when the extension is available.
+-- Without it, utils/vectorStore.js ranks embeddings in-process instead.
+DO $$
+BEGIN
+    CREATE EXTENSION IF NOT EXISTS vector;
+    ALTER TABLE connection_embeddings ADD COLUMN IF NOT EXISTS embedding_vector vector(1536);
+    CREATE INDEX IF NOT EXISTS idx_connection_embeddings_vector
+        ON connection_embeddings USING hnsw (embedding_vector vector_cosine_ops);
+EXCEPTION WHEN OTHERS THEN
+    RAISE NOTICE 'pgvector not available (%); semantic search will use the in-process fallback', SQLERRM;
+END $$;
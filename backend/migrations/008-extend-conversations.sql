@@ -0,0 +1,10 @@
+-- Migration: Persist chat conversations (titles, timestamps, attached search results)
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS results JSONB; -- connection rows shown with an assistant message
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_summary TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at);
@@ -0,0 +1,101 @@
+-- Migration: Database-enforced connection dedupe on normalized email and profile URL
+
+-- Normalized forms used by the unique indexes and by LinkedInDataProcessor's
+-- staging queries (utils/linkedinProcessor.js mirrors them for in-file dedupe)
+CREATE OR REPLACE FUNCTION normalize_email(email TEXT) RETURNS TEXT
+    LANGUAGE SQL IMMUTABLE AS $$
+    SELECT NULLIF(LOWER(TRIM(email)), '')
+$$;
+
+-- Drops scheme, "www.", query string and trailing slashes
+CREATE OR REPLACE FUNCTION normalize_profile_url(url TEXT) RETURNS TEXT
+    LANGUAGE SQL IMMUTABLE AS $$
+    SELECT NULLIF(RTRIM(REGEXP_REPLACE(LOWER(SPLIT_PART(TRIM(url), '?', 1)), '^https?://(www\.)?', ''), '/'), '')
+$$;
+
+-- Existing duplicates would block the unique indexes. Each group is merged
+-- into its oldest row: it keeps its own values and fills empty fields from the
+-- copies, then the copies are removed. Every removed row is saved in
+-- connections_dedupe_backup first, so values that differed can be recovered.
+CREATE TABLE IF NOT EXISTS connections_dedupe_backup (
+    id SERIAL PRIMARY KEY,
+    connection_id INTEGER NOT NULL, -- the removed row
+    merged_into INTEGER NOT NULL,   -- the row that was kept
+    user_id INTEGER,
+    row_data JSONB NOT NULL,        -- the removed row as it was
+    backed_up_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Duplicate row -> the row it is merged into
+CREATE TEMP TABLE IF NOT EXISTS connection_dedupe_map (
+    id INTEGER PRIMARY KEY,
+    keeper_id INTEGER NOT NULL
+);
+
+CREATE OR REPLACE FUNCTION pg_temp.merge_connection_duplicates() RETURNS VOID
+    LANGUAGE plpgsql AS $$
+BEGIN
+    INSERT INTO connections_dedupe_backup (connection_id, merged_into, user_id, row_data)
+    SELECT c.id, m.keeper_id, c.user_id, to_jsonb(c) - 'search_vector' - 'search_text'
+    FROM connections c
+    JOIN connection_dedupe_map m ON m.id = c.id;
+
+    UPDATE connections k SET
+        first_name = COALESCE(k.first_name, d.first_name),
+        last_name = COALESCE(k.last_name, d.last_name),
+        company = COALESCE(k.company, d.company),
+        position = COALESCE(k.position, d.position),
+        profile_url = COALESCE(k.profile_url, d.profile_url),
+        email = COALESCE(k.email, d.email),
+        connected_on = COALESCE(k.connected_on, d.connected_on),
+        batch_id = COALESCE(k.batch_id, d.batch_id)
+    FROM (
+        SELECT m.keeper_id,
+            (ARRAY_AGG(c.first_name ORDER BY c.id) FILTER (WHERE c.first_name IS NOT NULL))[1] AS first_name,
+            (ARRAY_AGG(c.last_name ORDER BY c.id) FILTER (WHERE c.last_name IS NOT NULL))[1] AS last_name,
+            (ARRAY_AGG(c.company ORDER BY c.id) FILTER (WHERE c.company IS NOT NULL))[1] AS company,
+            (ARRAY_AGG(c.position ORDER BY c.id) FILTER (WHERE c.position IS NOT NULL))[1] AS position,
+            (ARRAY_AGG(c.profile_url ORDER BY c.id) FILTER (WHERE c.profile_url IS NOT NULL))[1] AS profile_url,
+            (ARRAY_AGG(c.email ORDER BY c.id) FILTER (WHERE c.email IS NOT NULL))[1] AS email,
+            (ARRAY_AGG(c.connected_on ORDER BY c.id) FILTER (WHERE c.connected_on IS NOT NULL))[1] AS connected_on,
+            (ARRAY_AGG(c.batch_id ORDER BY c.id) FILTER (WHERE c.batch_id IS NOT NULL))[1] AS batch_id
+        FROM connection_dedupe_map m
+        JOIN connections c ON c.id = m.id
+        GROUP BY m.keeper_id
+    ) d
+    WHERE k.id = d.keeper_id;
+
+    -- Their embeddings go with them (ON DELETE CASCADE); the kept row is
+    -- re-embedded if its text changed
+    DELETE FROM connections WHERE id IN (SELECT id FROM connection_dedupe_map);
+    DELETE FROM connection_dedupe_map;
+END;
+$$;
+
+INSERT INTO connection_dedupe_map (id, keeper_id)
+SELECT id, keeper_id FROM (
+    SELECT id, MIN(id) OVER (PARTITION BY user_id, normalize_email(email)) AS keeper_id
+    FROM connections
+    WHERE normalize_email(email) IS NOT NULL
+) grouped
+WHERE id <> keeper_id;
+
+SELECT pg_temp.merge_connection_duplicates();
+
+-- After the email pass, so profile URLs the kept rows picked up are included
+INSERT INTO connection_dedupe_map (id, keeper_id)
+SELECT id, keeper_id FROM (
+    SELECT id, MIN(id) OVER (PARTITION BY user_id, normalize_profile_url(profile_url)) AS keeper_id
+    FROM connections
+    WHERE normalize_profile_url(profile_url) IS NOT NULL
+) grouped
+WHERE id <> keeper_id;
+
+SELECT pg_temp.merge_connection_duplicates();
+
+DROP TABLE IF EXISTS connection_dedupe_map;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_connections_user_email_unique
+    ON connections(user_id, normalize_email(email)) WHERE email IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_connections_user_profile_url_unique
+    ON connections(user_id, normalize_profile_url(profile_url)) WHERE profile_url IS NOT NULL;
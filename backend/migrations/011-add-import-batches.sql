@@ -0,0 +1,29 @@
+-- Migration: Import batch history and before-images for rollback
+
+CREATE TABLE IF NOT EXISTS import_batches (
+    batch_id VARCHAR(64) PRIMARY KEY, -- connections.batch_id of the rows the batch inserted
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    source VARCHAR(50) NOT NULL DEFAULT 'csv',
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, rolled_back
+    inserted_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_created ON import_batches(user_id, created_at DESC);
+
+-- Values of existing connections before a batch merged into them
+CREATE TABLE IF NOT EXISTS import_batch_changes (
+    id SERIAL PRIMARY KEY,
+    batch_id VARCHAR(64) NOT NULL REFERENCES import_batches(batch_id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    connection_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE,
+    before JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (batch_id, connection_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batch_changes_connection ON import_batch_changes(connection_id);
@@ -0,0 +1,25 @@
+-- Migration: Interaction dates from the LinkedIn data archive, and the user's own positions
+
+-- Derived from messages.csv, Invitations.csv and the endorsement files
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMP;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS message_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS last_invitation_at TIMESTAMP;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS last_interaction_at TIMESTAMP; -- latest of all of the above
+
+CREATE INDEX IF NOT EXISTS idx_connections_last_interaction
+    ON connections(user_id, last_interaction_at DESC NULLS LAST);
+
+-- Positions.csv: the account owner's work history (replaced on every archive import)
+CREATE TABLE IF NOT EXISTS user_positions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    company VARCHAR(255),
+    title VARCHAR(255),
+    description TEXT,
+    location VARCHAR(255),
+    started_on DATE,
+    finished_on DATE, -- NULL for the current position
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_positions_user ON user_positions(user_id);
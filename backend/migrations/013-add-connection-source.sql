@@ -0,0 +1,8 @@
+-- Migration: Record where each connection came from (LinkedIn, Google, Outlook, vCard)
+
+-- Source that created the row; existing rows all came from LinkedIn exports
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS source VARCHAR(50) NOT NULL DEFAULT 'linkedin';
+-- Every source the person has been imported from (one row per person, see utils/contactSources.js)
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS sources TEXT[] NOT NULL DEFAULT '{linkedin}';
+
+CREATE INDEX IF NOT EXISTS idx_connections_sources ON connections USING GIN (sources);
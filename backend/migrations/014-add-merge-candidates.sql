@@ -0,0 +1,16 @@
+-- Migration: Review queue for likely-duplicate connections (see utils/identityResolution.js)
+
+CREATE TABLE IF NOT EXISTS merge_candidates (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    connection_a_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE,
+    connection_b_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE, -- always > connection_a_id
+    score NUMERIC(4, 3) NOT NULL, -- 0..1 confidence that both rows are the same person
+    reasons JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, rejected (approving merges the pair, removing the row)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    UNIQUE (user_id, connection_a_id, connection_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_merge_candidates_user_status ON merge_candidates(user_id, status, score DESC);
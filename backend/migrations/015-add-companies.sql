@@ -0,0 +1,146 @@
+-- Migration: Canonical company entities with aliases, domains and parent/subsidiary links
+
+-- Comparable company name: lowercase, punctuation and legal-form words dropped
+-- ("The Meta Platforms, Inc." -> "meta platforms")
+CREATE OR REPLACE FUNCTION normalize_company(company TEXT) RETURNS TEXT
+    LANGUAGE SQL IMMUTABLE AS $$
+    SELECT NULLIF(TRIM(REGEXP_REPLACE(REGEXP_REPLACE(
+        REGEXP_REPLACE(REPLACE(LOWER(company), '&', ' and '), '[^a-z0-9]+', ' ', 'g'),
+        '\m(the|inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|bv|nv|pty|holdings)\M', ' ', 'g'),
+        '\s+', ' ', 'g')), '')
+$$;
+
+-- user_id NULL rows are the built-in registry; users can add their own
+CREATE TABLE IF NOT EXISTS companies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    domains TEXT[] NOT NULL DEFAULT '{}', -- email domains, used when a connection has no company
+    parent_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_owner_name ON companies ((COALESCE(user_id, 0)), normalize_company(name));
+CREATE INDEX IF NOT EXISTS idx_companies_domains ON companies USING GIN (domains);
+CREATE INDEX IF NOT EXISTS idx_companies_parent_id ON companies(parent_id);
+
+-- Every name a company goes by, including its own; a user's alias overrides a
+-- built-in one with the same key
+CREATE TABLE IF NOT EXISTS company_aliases (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    alias VARCHAR(255) NOT NULL,
+    alias_key TEXT NOT NULL, -- normalize_company(alias)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_aliases_owner_key ON company_aliases ((COALESCE(user_id, 0)), alias_key);
+CREATE INDEX IF NOT EXISTS idx_company_aliases_key ON company_aliases(alias_key);
+
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_connections_company_id ON connections(company_id);
+
+-- Company entity for a connection: by name through the aliases, or by email
+-- domain when the company is blank (see utils/companies.js)
+CREATE OR REPLACE FUNCTION resolve_company_id(owner INTEGER, company TEXT, email TEXT) RETURNS INTEGER
+    LANGUAGE SQL STABLE AS $$
+    SELECT CASE WHEN normalize_company(company) IS NOT NULL THEN (
+        SELECT a.company_id FROM company_aliases a
+        WHERE a.alias_key = normalize_company(company) AND (a.user_id IS NULL OR a.user_id = owner)
+        ORDER BY a.user_id NULLS LAST
+        LIMIT 1
+    ) ELSE (
+        SELECT co.id FROM companies co
+        WHERE SPLIT_PART(normalize_email(email), '@', 2) = ANY(co.domains) AND (co.user_id IS NULL OR co.user_id = owner)
+        ORDER BY co.user_id NULLS LAST
+        LIMIT 1
+    ) END
+$$;
+
+-- Built-in registry
+INSERT INTO companies (name, domains)
+SELECT v.name, v.domains FROM (VALUES
+    ('Meta', ARRAY['meta.com', 'fb.com', 'facebook.com']),
+    ('Instagram', ARRAY['instagram.com']),
+    ('WhatsApp', ARRAY['whatsapp.com']),
+    ('Alphabet', ARRAY['abc.xyz']),
+    ('Google', ARRAY['google.com']),
+    ('YouTube', ARRAY['youtube.com']),
+    ('DeepMind', ARRAY['deepmind.com']),
+    ('Microsoft', ARRAY['microsoft.com']),
+    ('LinkedIn', ARRAY['linkedin.com']),
+    ('GitHub', ARRAY['github.com']),
+    ('Amazon', ARRAY['amazon.com']),
+    ('Amazon Web Services', ARRAY['aws.com']),
+    ('Apple', ARRAY['apple.com']),
+    ('IBM', ARRAY['ibm.com']),
+    ('X', ARRAY['x.com', 'twitter.com']),
+    ('Salesforce', ARRAY['salesforce.com']),
+    ('Slack', ARRAY['slack.com', 'slack-corp.com']),
+    ('Oracle', ARRAY['oracle.com']),
+    ('Netflix', ARRAY['netflix.com']),
+    ('Accenture', ARRAY['accenture.com']),
+    ('Deloitte', ARRAY['deloitte.com']),
+    ('PwC', ARRAY['pwc.com']),
+    ('EY', ARRAY['ey.com']),
+    ('KPMG', ARRAY['kpmg.com']),
+    ('McKinsey & Company', ARRAY['mckinsey.com']),
+    ('Boston Consulting Group', ARRAY['bcg.com']),
+    ('Goldman Sachs', ARRAY['gs.com']),
+    ('JPMorgan Chase', ARRAY['jpmorgan.com', 'jpmchase.com', 'chase.com'])
+) AS v(name, domains)
+ON CONFLICT ((COALESCE(user_id, 0)), normalize_company(name)) DO NOTHING;
+
+UPDATE companies c SET parent_id = p.id
+FROM (VALUES
+    ('Instagram', 'Meta'),
+    ('WhatsApp', 'Meta'),
+    ('Google', 'Alphabet'),
+    ('YouTube', 'Google'),
+    ('DeepMind', 'Google'),
+    ('LinkedIn', 'Microsoft'),
+    ('GitHub', 'Microsoft'),
+    ('Amazon Web Services', 'Amazon'),
+    ('Slack', 'Salesforce')
+) AS v(child, parent)
+JOIN companies p ON p.user_id IS NULL AND p.name = v.parent
+WHERE c.user_id IS NULL AND c.name = v.child AND c.parent_id IS NULL;
+
+INSERT INTO company_aliases (company_id, alias, alias_key)
+SELECT c.id, v.alias, normalize_company(v.alias)
+FROM (VALUES
+    ('Meta', 'Facebook'),
+    ('Meta', 'FB'),
+    ('Meta', 'Meta Platforms'),
+    ('Instagram', 'IG'),
+    ('Google', 'Google Cloud'),
+    ('DeepMind', 'Google DeepMind'),
+    ('Microsoft', 'MSFT'),
+    ('Amazon', 'Amazon.com'),
+    ('Amazon', 'AMZN'),
+    ('Amazon Web Services', 'AWS'),
+    ('IBM', 'International Business Machines'),
+    ('X', 'Twitter'),
+    ('X', 'X Corp'),
+    ('Salesforce', 'Salesforce.com'),
+    ('PwC', 'PricewaterhouseCoopers'),
+    ('EY', 'Ernst & Young'),
+    ('McKinsey & Company', 'McKinsey'),
+    ('Boston Consulting Group', 'BCG'),
+    ('Goldman Sachs', 'Goldman Sachs Group'),
+    ('JPMorgan Chase', 'JPMorgan'),
+    ('JPMorgan Chase', 'J.P. Morgan'),
+    ('JPMorgan Chase', 'JP Morgan'),
+    ('JPMorgan Chase', 'Chase')
+) AS v(company, alias)
+JOIN companies c ON c.user_id IS NULL AND c.name = v.company
+ON CONFLICT ((COALESCE(user_id, 0)), alias_key) DO NOTHING;
+
+INSERT INTO company_aliases (company_id, user_id, alias, alias_key)
+SELECT id, user_id, name, normalize_company(name) FROM companies
+WHERE normalize_company(name) IS NOT NULL
+ON CONFLICT ((COALESCE(user_id, 0)), alias_key) DO NOTHING;
+
+UPDATE connections SET company_id = resolve_company_id(user_id, company, email);
@@ -0,0 +1,13 @@
+-- Migration: Structured job-title fields parsed from position (see utils/titleParser.js)
+
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS seniority VARCHAR(20); -- intern .. executive
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS function VARCHAR(50); -- engineering, sales, ...
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS specialty VARCHAR(100); -- lowercase, e.g. 'payments'
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS is_founder BOOLEAN NOT NULL DEFAULT FALSE;
+-- NULL until parsed; existing rows are backfilled on the next search
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS title_parser_version SMALLINT;
+
+CREATE INDEX IF NOT EXISTS idx_connections_user_seniority ON connections(user_id, seniority);
+CREATE INDEX IF NOT EXISTS idx_connections_user_function ON connections(user_id, function);
+CREATE INDEX IF NOT EXISTS idx_connections_user_specialty ON connections(user_id, specialty);
+CREATE INDEX IF NOT EXISTS idx_connections_user_founder ON connections(user_id) WHERE is_founder;
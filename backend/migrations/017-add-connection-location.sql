@@ -0,0 +1,29 @@
+-- Migration: Connection locations, resolved offline by utils/gazetteer.js
+
+-- Location text as imported or typed in ("Greater Seattle Area")
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS location VARCHAR(255);
+-- 'import' or 'manual'; imports never overwrite a manual location
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS location_source VARCHAR(20);
+-- Resolved place (full names, e.g. 'Seattle', 'Washington', 'United States');
+-- NULL when the gazetteer does not know the location
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS country VARCHAR(100);
+-- City coordinates, only set when the city is known
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS lon DOUBLE PRECISION;
+
+CREATE INDEX IF NOT EXISTS idx_connections_user_city ON connections(user_id, city);
+CREATE INDEX IF NOT EXISTS idx_connections_user_region ON connections(user_id, region);
+CREATE INDEX IF NOT EXISTS idx_connections_user_country ON connections(user_id, country);
+CREATE INDEX IF NOT EXISTS idx_connections_lat_lon ON connections(lat, lon) WHERE lat IS NOT NULL;
+
+-- Great-circle distance in miles (haversine; matches gazetteer.distanceMiles)
+CREATE OR REPLACE FUNCTION distance_miles(lat1 DOUBLE PRECISION, lon1 DOUBLE PRECISION,
+                                          lat2 DOUBLE PRECISION, lon2 DOUBLE PRECISION) RETURNS DOUBLE PRECISION
+    LANGUAGE SQL IMMUTABLE AS $$
+    SELECT 2 * 3958.8 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(lat2 - lat1) / 2), 2) +
+        COS(RADIANS(lat1)) * COS(RADIANS(lat2)) * POWER(SIN(RADIANS(lon2 - lon1) / 2), 2)
+    )))
+$$;
@@ -0,0 +1,24 @@
+-- Migration: Notes, tags and hand-edited fields on connections (see utils/connections.js)
+
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS notes TEXT;
+-- Fields the user edited by hand; imports and merges keep their values
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS manual_fields TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name));
+
+CREATE TABLE IF NOT EXISTS connection_tags (
+    connection_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (connection_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_connection_tags_tag_id ON connection_tags(tag_id);
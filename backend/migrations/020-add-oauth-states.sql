@@ -0,0 +1,15 @@
+-- Migration: Pending LinkedIn sign-ins (OpenID Connect, see utils/linkedinOAuth.js)
+
+-- One row per authorization request, consumed by the callback. The state
+-- itself is only stored hashed; the PKCE verifier and nonce never leave the server.
+CREATE TABLE IF NOT EXISTS oauth_states (
+    state_hash VARCHAR(64) PRIMARY KEY, -- SHA-256 hex of the state parameter
+    provider VARCHAR(20) NOT NULL DEFAULT 'linkedin',
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(128) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- set when linking to a signed-in account
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states(expires_at);
@@ -0,0 +1,19 @@
+-- Migration: TOTP two-factor authentication with recovery codes (see utils/twoFactor.js)
+
+-- The secret is stored encrypted (utils/security.js EncryptionManager), which
+-- does not fit the original VARCHAR(255)
+ALTER TABLE users ALTER COLUMN two_factor_secret TYPE TEXT;
+-- Last accepted 30-second time step, so a code cannot be replayed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+
+-- Single-use recovery codes, bcrypt-hashed like passwords
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id) WHERE used_at IS NULL;
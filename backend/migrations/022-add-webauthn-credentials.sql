@@ -0,0 +1,30 @@
+-- Migration: passkey / WebAuthn sign-in (see utils/webauthn.js)
+
+-- One row per registered authenticator (platform passkey or security key)
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Credential ID and SubjectPublicKeyInfo (DER), both base64url
+    credential_id TEXT NOT NULL UNIQUE,
+    public_key TEXT NOT NULL,
+    -- Authenticator signature counter; a value that goes backwards means a
+    -- cloned authenticator. Authenticators that do not count always send 0.
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[],
+    name VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials(user_id);
+
+-- Outstanding ceremony challenges; each is consumed by the matching finish call
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    challenge_hash VARCHAR(64) PRIMARY KEY, -- sha256 hex of the challenge
+    purpose VARCHAR(20) NOT NULL, -- 'registration' | 'authentication'
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires ON webauthn_challenges(expires_at);
@@ -0,0 +1,15 @@
+-- Migration: Email verification for password registrations (see utils/emailVerification.js)
+
+-- When the address was confirmed (a verification link, a password reset link
+-- or a LinkedIn-verified email). email_verified stays in step with it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+-- email_verification_token (migration 004) now holds the SHA-256 hex of the
+-- token that was emailed, never the token itself
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMP;
+
+-- Addresses LinkedIn already vouched for; the exact time is not known
+UPDATE users SET email_verified_at = COALESCE(last_login, created_at, NOW())
+WHERE email_verified = true AND email_verified_at IS NULL;
+
+-- Nothing was ever sent with the old plaintext tokens
+UPDATE users SET email_verification_token = NULL WHERE email_verification_expires IS NULL;
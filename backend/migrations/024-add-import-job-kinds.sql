@@ -0,0 +1,8 @@
+-- Migration: Duplicate scans on the import worker (see utils/importJobs.js)
+
+-- import: parsed records written to a batch; merge_scan: refresh merge_candidates
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'import';
+-- A scan writes no connections, so it has no batch
+ALTER TABLE import_jobs ALTER COLUMN batch_id DROP NOT NULL;
+-- Outcome of jobs without import counts, e.g. {"pending": 12} for a scan
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS result JSONB;
@@ -0,0 +1,8 @@
+-- Migration: Treat accounts from before email verification as confirmed (see utils/emailVerification.js)
+
+-- They keep importing and adding sign-in methods as they did. Accounts that
+-- were sent a link since 023 (email_verification_expires is set) must still
+-- confirm. Separate from 023 so environments that already ran it backfill too.
+UPDATE users SET email_verified = true, email_verified_at = COALESCE(created_at, NOW())
+WHERE email_verified IS NOT TRUE
+  AND email_verification_expires IS NULL;
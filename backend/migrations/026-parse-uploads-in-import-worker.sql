@@ -0,0 +1,8 @@
+-- Migration: Uploads are parsed by the import worker (see utils/importJobs.js)
+
+-- The uploaded file as sent ({ csv_data | vcard_data | archive_data, source });
+-- replaced by records once the worker has parsed it
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS upload JSONB;
+-- Records in chunks that rolled back. A job with some ends as
+-- completed_with_errors, or failed when no chunk went through.
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS failed_records INTEGER NOT NULL DEFAULT 0;
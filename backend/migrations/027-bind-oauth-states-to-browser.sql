@@ -0,0 +1,5 @@
+-- Migration: Bind pending LinkedIn sign-ins to the browser that started them (see utils/linkedinOAuth.js)
+
+-- SHA-256 hex of the key the browser keeps in sessionStorage; the callback
+-- must present it. Requests started before this have none and are refused.
+ALTER TABLE oauth_states ADD COLUMN IF NOT EXISTS browser_hash VARCHAR(64);
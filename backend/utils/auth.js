@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const db = require('./db');
+const { validateSession } = require('./security');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRES_IN = '7d';
+const CHALLENGE_EXPIRES_IN = '5m';
 
 // Generate JWT token for user
 const generateToken = (userId) => {
@@ -13,48 +15,57 @@ const generateToken = (userId) => {
 const verifyToken = (token) => {
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Challenge tokens (below) only complete a login step; they are not sessions
+    if (decoded.purpose) throw new Error('Challenge token used as a session');
     return decoded.userId;
   } catch (error) {
     throw new Error('Invalid token');
   }
 };
 
-// Extract user ID from Authorization header or request body
+// Short-lived token proving the first login step passed (e.g. the password
+// before a two-factor code). `purpose` keeps it from working anywhere else.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+};
+
+// User ID from a challenge token for `purpose`, or null when invalid or expired
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Authenticate a request from its Authorization header: a JWT or a session
+// token issued by the auth handler. A user_id in the body or query string is
+// never trusted.
 const getUserFromRequest = async (event) => {
   let userId = null;
   
-  // Try to get from Authorization header first
   const authHeader = event.headers?.Authorization || event.headers?.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7);
     try {
-      const token = authHeader.substring(7);
       userId = verifyToken(token);
     } catch (error) {
-      throw new Error('Invalid authorization token');
-    }
-  }
-  
-  // Fallback to user_id in request body (for development/testing)
-  if (!userId && event.body) {
-    try {
-      const body = JSON.parse(event.body);
-      userId = body.user_id;
-    } catch (error) {
-      // Ignore parsing errors
+      // Not a JWT - try it as a session token issued by the auth handler
+      const session = await validateSession(token);
+      if (!session) {
+        throw new Error('Invalid authorization token');
+      }
+      userId = session.userId;
     }
   }
   
-  // Fallback to query parameter (for GET requests)
-  if (!userId && event.queryStringParameters?.user_id) {
-    userId = parseInt(event.queryStringParameters.user_id);
-  }
-  
   if (!userId) {
     throw new Error('Authentication required');
   }
   
   // Verify user exists in database
-  const userResult = await db.query('SELECT id, email, name FROM users WHERE id = $1', [userId]);
+  const userResult = await db.query('SELECT id, email, name, role, email_verified FROM users WHERE id = $1', [userId]);
   if (userResult.rows.length === 0) {
     throw new Error('User not found');
   }
@@ -62,10 +73,29 @@ const getUserFromRequest = async (event) => {
   return {
     id: userId,
     email: userResult.rows[0].email,
-    name: userResult.rows[0].name
+    name: userResult.rows[0].name,
+    role: userResult.rows[0].role,
+    emailVerified: Boolean(userResult.rows[0].email_verified)
   };
 };
 
+// Throw unless the authenticated user has the admin role
+const requireAdmin = (user) => {
+  if (!user || user.role !== 'admin') {
+    throw new Error('Admin access required');
+  }
+  return user;
+};
+
+// Throw unless the user has confirmed their email address
+// (utils/emailVerification.js); handlers answer 403 with code 'email_unverified'
+const requireVerifiedEmail = (user) => {
+  if (!user || !user.emailVerified) {
+    throw new Error('Email verification required');
+  }
+  return user;
+};
+
 // Create or update user (for LinkedIn OAuth or manual creation)
 const createOrUpdateUser = async (userData) => {
   const { linkedin_id, email, name, profile_url } = userData;
@@ -82,12 +112,15 @@ const createOrUpdateUser = async (userData) => {
     );
     
     if (userResult.rows.length > 0) {
-      // Update existing user
+      // Update existing user; a changed email address has to be confirmed again
       const userId = userResult.rows[0].id;
-      await db.query(
-        'UPDATE users SET email = $1, name = $2, profile_url = $3 WHERE id = $4',
-        [email, name, profile_url, userId]
-      );
+      await db.query(`
+        UPDATE users
+        SET email = $1, name = $2, profile_url = $3,
+            email_verified = email_verified AND email IS NOT DISTINCT FROM $1,
+            email_verified_at = CASE WHEN email IS NOT DISTINCT FROM $1 THEN email_verified_at END
+        WHERE id = $4
+      `, [email, name, profile_url, userId]);
       
       return {
         id: userId,
@@ -130,13 +163,20 @@ const createDemoUser = async () => {
     profile_url: null
   };
   
-  return await createOrUpdateUser(demoUserData);
+  const user = await createOrUpdateUser(demoUserData);
+  // Nobody owns demo@example.com; skip verification so the demo can import
+  await db.query('UPDATE users SET email_verified = true, email_verified_at = NOW() WHERE id = $1', [user.id]);
+  return user;
 };
 
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   getUserFromRequest,
+  requireAdmin,
+  requireVerifiedEmail,
   createOrUpdateUser,
   createDemoUser
 };
\ No newline at end of file
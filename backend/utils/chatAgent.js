@@ -0,0 +1,196 @@
+const { CHAT_TOOLS, executeChatTool } = require('./chatTools');
+const { getChatProvider } = require('./llmProviders');
+const { pickTool, toolArguments } = require('./rulesChatClient');
+
+// Upper bound on model <-> tool round trips per message
+const MAX_TOOL_ROUNDS = 5;
+
+// `positions` is the user's own work history (imported from their LinkedIn
+// archive); `lists` and `tags` are the names of their saved lists and tags
+const buildSystemPrompt = (user, connectionCount, positions = [], { lists = [], tags = [] } = {}) => {
+  const collections = [['Saved lists', lists, 'list'], ['Tags', tags, 'tag']]
+    .filter(([, names]) => names.length > 0)
+    .map(([label, names, filter]) => `\n\n${label}: ${names.map(name => `"${name}"`).join(', ')}. Use the \`${filter}\` filter when a question mentions one.`)
+    .join('');
+  const history = positions.length > 0
+    ? `\n\n${user.name || 'The user'}'s own positions, most recent first: ${positions
+      .map(p => [p.title, p.company].filter(Boolean).join(' at ') + (p.finished_on ? '' : ' (current)'))
+      .join('; ')}. Use them for questions like "who do I know from my old companies".`
+    : '';
+
+  return `You are PNIT, a helpful AI assistant that helps ${user.name || 'the user'} search their professional LinkedIn network of ${connectionCount} connections.
+
+Always answer questions about the network by calling the provided tools first and base your answer only on what they return:
+- search_connections to find specific people (company, position, name, industry, experience level, job function, specialty, founders, location with an optional radius in miles, saved list, tag, keywords)
+- count_connections for "how many" questions
+- group_by_company for "which companies" or "where do they work" questions
+
+Never invent connections or numbers. Summarize the results conversationally and mention how many matched. Do not include raw JSON in your reply. If the request is too vague to search, ask a clarifying question.${history}${collections}`;
+};
+
+// Tool arguments arrive as JSON text from the model, or as an object from the
+// rules parser
+const parseToolArguments = (args) => {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+// Runs the model <-> tool loop for one user message
+class ChatAgent {
+  constructor(userId, options = {}) {
+    this.userId = userId;
+    this.provider = options.provider || getChatProvider();
+    this.client = this.provider.getClient();
+    this.model = this.provider.model;
+    this.temperature = options.temperature ?? 0.3;
+  }
+
+  // Returns { reply, results, toolCalls }. With `onDelta` the completions are
+  // streamed and each content fragment is forwarded as it arrives;
+  // `onToolCall` fires before each tool runs and `onResults` after every
+  // search, so callers can show progress and rows before the answer.
+  async run(messages, { onDelta, onResults, onToolCall } = {}) {
+    const conversation = [...messages];
+    const state = { results: [], toolCalls: [], onResults, onToolCall };
+    let reply = '';
+
+    // Models without function calling get one rules-based search up front
+    if (!this.provider.supportsTools) {
+      await this.prefetchSearch(conversation, state);
+    }
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const offerTools = this.provider.supportsTools && round < MAX_TOOL_ROUNDS;
+      const request = {
+        model: this.model,
+        messages: conversation,
+        temperature: this.temperature,
+        // Force a final text answer once the round budget is spent
+        ...(offerTools ? { tools: CHAT_TOOLS, tool_choice: 'auto' } : {})
+      };
+
+      const message = onDelta
+        ? await this.streamCompletion(request, onDelta)
+        : (await this.client.chat.completions.create(request)).choices[0].message;
+
+      if (!message.tool_calls || message.tool_calls.length === 0) {
+        reply = message.content || '';
+        break;
+      }
+
+      conversation.push(message);
+
+      for (const call of message.tool_calls) {
+        const output = await this.runTool(call.function.name, call.function.arguments, state);
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(output)
+        });
+      }
+    }
+
+    return { reply, results: state.results, toolCalls: state.toolCalls };
+  }
+
+  // Execute one tool call, record it and return the output for the model
+  async runTool(name, args, state) {
+    if (state.onToolCall) {
+      await state.onToolCall({ name, arguments: parseToolArguments(args) });
+    }
+
+    let toolResult;
+    try {
+      toolResult = await executeChatTool(this.userId, name, args);
+    } catch (toolError) {
+      console.error('Tool execution error:', toolError);
+      toolResult = { output: { error: toolError.message } };
+    }
+
+    const toolCall = { name, filters: toolResult.filters || {} };
+    state.toolCalls.push(toolCall);
+    if (toolResult.results) {
+      // The most recent search is the one the answer is built on
+      state.results = toolResult.results;
+      if (state.onResults) {
+        await state.onResults(state.results, toolCall);
+      }
+    }
+
+    return toolResult.output;
+  }
+
+  // Choose and run a tool with the rules parser, then hand its output to the
+  // model as context for the final answer
+  async prefetchSearch(conversation, state) {
+    const lastUser = [...conversation].reverse().find(m => m.role === 'user');
+    const text = lastUser ? lastUser.content : '';
+    const name = pickTool(text);
+    const output = await this.runTool(name, toolArguments(text), state);
+
+    conversation.splice(conversation.length - 1, 0, {
+      role: 'system',
+      content: `Result of ${name} for the next user message (answer from this only):\n${JSON.stringify(output)}`
+    });
+  }
+
+  // Streams one completion and reassembles it into a regular assistant message
+  async streamCompletion(request, onDelta) {
+    const stream = await this.client.chat.completions.create({ ...request, stream: true });
+    let content = '';
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+
+      if (delta.content) {
+        content += delta.content;
+        await onDelta(delta.content);
+      }
+
+      // Tool calls arrive as fragments keyed by index
+      (delta.tool_calls || []).forEach(part => {
+        if (!toolCalls[part.index]) {
+          toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = toolCalls[part.index];
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      });
+    }
+
+    const message = { role: 'assistant', content: content || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
+    return message;
+  }
+}
+
+// Human-readable description of the searches the assistant ran
+const describeToolCalls = (toolCalls, connectionCount) => {
+  if (toolCalls.length === 0) {
+    return 'No search was needed for this message. Ask me about specific companies, roles, or people in your network.';
+  }
+
+  const descriptions = toolCalls.map(call => {
+    const filterDescriptions = Object.entries(call.filters)
+      .map(([key, value]) => `${key === 'experienceLevel' ? 'level' : key}: ${value}`);
+    const label = call.name.replace(/_/g, ' ');
+    return filterDescriptions.length > 0 ? `${label} (${filterDescriptions.join(', ')})` : label;
+  });
+
+  return `Searched ${connectionCount} connections: ${descriptions.join('; ')}`;
+};
+
+module.exports = {
+  ChatAgent,
+  buildSystemPrompt,
+  describeToolCalls,
+  MAX_TOOL_ROUNDS
+};
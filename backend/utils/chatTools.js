@@ -0,0 +1,156 @@
+const {
+  searchConnections,
+  countConnections,
+  groupConnectionsByCompany
+} = require('./searchEngine');
+const { JOB_FUNCTIONS } = require('./titleParser');
+
+// Filter arguments shared by every tool
+const FILTER_PROPERTIES = {
+  company: { type: 'string', description: 'Company name (typos are tolerated), e.g. "Google"' },
+  position: { type: 'string', description: 'Role or job title keyword, e.g. "engineer", "product manager"' },
+  name: { type: 'string', description: 'First name, last name or full name of a person' },
+  industry: {
+    type: 'string',
+    enum: ['tech', 'finance', 'consulting', 'healthcare', 'education', 'retail', 'media', 'automotive'],
+    description: 'Industry inferred from the company'
+  },
+  experienceLevel: {
+    type: 'string',
+    enum: ['senior', 'junior', 'manager', 'director', 'executive', 'mid', 'intern', 'lead', 'staff', 'principal', 'vp'],
+    description: 'Seniority parsed from the job title ("senior" includes lead, staff and principal)'
+  },
+  function: {
+    type: 'string',
+    enum: JOB_FUNCTIONS,
+    description: 'Job function parsed from the title, e.g. "engineering" for "Sr. Staff SWE"'
+  },
+  specialty: { type: 'string', description: 'Specialty parsed from the title, e.g. "payments", "frontend", "machine learning"' },
+  founder: { type: 'boolean', description: 'Only founders and co-founders' },
+  location: { type: 'string', description: 'City, region or country, e.g. "Seattle", "Texas", "Germany"' },
+  radius: {
+    type: 'number',
+    minimum: 1,
+    description: 'Distance in miles around `location` (a city), for "near" or "within N miles of" questions'
+  },
+  list: { type: 'string', description: 'Name of one of the user\'s saved lists, e.g. "Investors"' },
+  tag: { type: 'string', description: 'Name of one of the user\'s tags, e.g. "climate"' },
+  keywords: { type: 'string', description: 'Free-text keywords matched against name, company and position' }
+};
+
+// OpenAI tool (function calling) definitions
+const CHAT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_connections',
+      description: 'Find people in the user\'s network. Returns matching connections ranked by relevance. ' +
+        'Set semantic=true for intent-style questions (e.g. "people who work on payments infrastructure") ' +
+        'that do not name a specific company, title or person.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...FILTER_PROPERTIES,
+          semantic: { type: 'boolean', description: 'Use embedding similarity on `keywords` instead of keyword filters' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Maximum results (default 20)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'count_connections',
+      description: 'Count the connections matching the filters (all connections when no filters are given).',
+      parameters: {
+        type: 'object',
+        properties: { ...FILTER_PROPERTIES }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'group_by_company',
+      description: 'Count matching connections per company, largest first. Use for "where do my ... work" questions.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...FILTER_PROPERTIES,
+          limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Number of companies (default 10)' }
+        }
+      }
+    }
+  }
+];
+
+// Keep only known filter keys; the model sometimes says `role` for `position`
+const normalizeToolFilters = (args = {}) => {
+  const filters = {};
+  Object.keys(FILTER_PROPERTIES).forEach(key => {
+    if (typeof args[key] === 'string' && args[key].trim()) {
+      filters[key] = args[key].trim();
+    }
+  });
+  if (!filters.position && typeof args.role === 'string' && args.role.trim()) {
+    filters.position = args.role.trim();
+  }
+  if (args.founder === true) {
+    filters.founder = true;
+  }
+  if (filters.location && parseFloat(args.radius) > 0) {
+    filters.radius = parseFloat(args.radius);
+  }
+  return filters;
+};
+
+// Run a tool call. Returns { output } for the model and, for searches, the
+// full result rows so the handler can send them to the client.
+const executeChatTool = async (userId, name, rawArgs) => {
+  let args;
+  try {
+    args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+  } catch (error) {
+    return { output: { error: 'Invalid JSON arguments' } };
+  }
+
+  const filters = normalizeToolFilters(args);
+
+  if (name === 'search_connections') {
+    const limit = Math.min(parseInt(args.limit) || 20, 50);
+    const searchResult = args.semantic
+      ? await searchConnections(userId, filters.keywords || Object.values(filters).filter(value => typeof value === 'string').join(' '), { mode: 'semantic', limit })
+      : await searchConnections(userId, '', { ...filters, limit });
+
+    return {
+      filters,
+      results: searchResult.results,
+      output: {
+        count: searchResult.results.length,
+        connections: searchResult.results.map(row => ({
+          name: `${row.first_name} ${row.last_name}`,
+          company: row.company,
+          position: row.position,
+          location: [row.city, row.region, row.country].filter(Boolean).join(', ') || null
+        }))
+      }
+    };
+  }
+
+  if (name === 'count_connections') {
+    return { filters, output: { count: await countConnections(userId, filters) } };
+  }
+
+  if (name === 'group_by_company') {
+    const limit = Math.min(parseInt(args.limit) || 10, 50);
+    return { filters, output: { companies: await groupConnectionsByCompany(userId, filters, limit) } };
+  }
+
+  return { output: { error: `Unknown tool: ${name}` } };
+};
+
+module.exports = {
+  CHAT_TOOLS,
+  executeChatTool,
+  normalizeToolFilters
+};
@@ -0,0 +1,167 @@
+const db = require('./db');
+
+// Company registry (migrations/015-add-companies.sql): built-in companies
+// plus each user's own, with aliases resolved by normalize_company() in SQL.
+
+// Re-resolve company_id for the user's connections, or only `ids`. Runs on
+// `client` so imports can link inside their own transaction.
+const linkConnectionCompanies = async (client, userId, ids = null) => {
+  const result = await client.query(`
+    UPDATE connections SET company_id = resolve_company_id(user_id, company, email)
+    WHERE user_id = $1 AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+      AND company_id IS DISTINCT FROM resolve_company_id(user_id, company, email)
+  `, [userId, ids]);
+  return result.rowCount;
+};
+
+// Companies visible to the user, most connected first, with their aliases
+const listCompanies = async (userId, { search = null, limit = 50 } = {}) => {
+  const pattern = search ? `%${search}%` : null;
+  const result = await db.query(`
+    SELECT co.id, co.name, co.domains, co.user_id IS NOT NULL AS is_custom,
+           p.id AS parent_id, p.name AS parent_name,
+           (SELECT COUNT(*)::int FROM connections c WHERE c.user_id = $1 AND c.company_id = co.id) AS connection_count,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', a.id, 'alias', a.alias, 'is_custom', a.user_id IS NOT NULL) ORDER BY a.alias)
+             FROM company_aliases a
+             WHERE a.company_id = co.id AND (a.user_id IS NULL OR a.user_id = $1)
+           ), '[]') AS aliases
+    FROM companies co
+    LEFT JOIN companies p ON p.id = co.parent_id
+    WHERE (co.user_id IS NULL OR co.user_id = $1)
+      AND ($2::text IS NULL OR co.name ILIKE $2 OR EXISTS (
+        SELECT 1 FROM company_aliases a
+        WHERE a.company_id = co.id AND (a.user_id IS NULL OR a.user_id = $1) AND a.alias ILIKE $2
+      ))
+    ORDER BY connection_count DESC, co.name
+    LIMIT $3
+  `, [userId, pattern, Math.min(limit, 200)]);
+  return result.rows;
+};
+
+// Make `alias` mean a company for this user. The company is `companyId`, or
+// found/created by `companyName`. Returns { alias, company, linked } or null
+// when companyId is not visible to the user.
+const addCompanyAlias = async (userId, { alias, companyId = null, companyName = null }) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const key = (await client.query('SELECT normalize_company($1) AS key', [alias])).rows[0].key;
+    if (!key) {
+      throw new Error('Alias must contain letters or digits');
+    }
+
+    let company;
+    if (companyId) {
+      const found = await client.query(
+        'SELECT id, name FROM companies WHERE id = $1 AND (user_id IS NULL OR user_id = $2)',
+        [companyId, userId]
+      );
+      company = found.rows[0];
+      if (!company) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    } else {
+      // An existing company the name already resolves to, or a new one of the user's
+      const found = await client.query(`
+        SELECT co.id, co.name FROM company_aliases a JOIN companies co ON co.id = a.company_id
+        WHERE a.alias_key = normalize_company($1) AND (a.user_id IS NULL OR a.user_id = $2)
+        ORDER BY a.user_id NULLS LAST
+        LIMIT 1
+      `, [companyName, userId]);
+      company = found.rows[0];
+
+      if (!company) {
+        const created = await client.query(
+          'INSERT INTO companies (user_id, name) VALUES ($1, $2) RETURNING id, name',
+          [userId, companyName.trim()]
+        );
+        company = created.rows[0];
+        await client.query(`
+          INSERT INTO company_aliases (company_id, user_id, alias, alias_key)
+          VALUES ($1, $2, $3, normalize_company($3))
+          ON CONFLICT ((COALESCE(user_id, 0)), alias_key) DO NOTHING
+        `, [company.id, userId, company.name]);
+      }
+    }
+
+    // Re-pointing an alias the user already has moves it to the new company
+    const saved = await client.query(`
+      INSERT INTO company_aliases (company_id, user_id, alias, alias_key)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT ((COALESCE(user_id, 0)), alias_key)
+      DO UPDATE SET company_id = EXCLUDED.company_id, alias = EXCLUDED.alias
+      RETURNING id, company_id, alias
+    `, [company.id, userId, alias.trim(), key]);
+
+    const linked = await client.query(`
+      UPDATE connections SET company_id = resolve_company_id(user_id, company, email)
+      WHERE user_id = $1 AND normalize_company(company) = $2
+    `, [userId, key]);
+
+    await client.query('COMMIT');
+    return { alias: { ...saved.rows[0], is_custom: true }, company, linked: linked.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Remove one of the user's own aliases; connections fall back to the
+// built-in alias for the name, if any. Returns null when not found.
+const deleteCompanyAlias = async (userId, aliasId) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query(
+      'DELETE FROM company_aliases WHERE id = $1 AND user_id = $2 RETURNING id, alias_key',
+      [aliasId, userId]
+    );
+    if (deleted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const linked = await client.query(`
+      UPDATE connections SET company_id = resolve_company_id(user_id, company, email)
+      WHERE user_id = $1 AND normalize_company(company) = $2
+    `, [userId, deleted.rows[0].alias_key]);
+
+    await client.query('COMMIT');
+    return { id: deleted.rows[0].id, linked: linked.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// SQL for the ids of the companies `term` names for the user, plus their
+// subsidiaries. `term` and `userParam` are placeholders.
+const companyFamilySQL = (term, userParam) => `(
+  WITH RECURSIVE family AS (
+    (SELECT company_id AS id FROM company_aliases
+     WHERE alias_key = normalize_company(${term}) AND (user_id IS NULL OR user_id = ${userParam})
+     ORDER BY user_id NULLS LAST
+     LIMIT 1)
+    UNION
+    SELECT co.id FROM companies co JOIN family f ON co.parent_id = f.id
+  )
+  SELECT id FROM family
+)`;
+
+module.exports = {
+  linkConnectionCompanies,
+  listCompanies,
+  addCompanyAlias,
+  deleteCompanyAlias,
+  companyFamilySQL
+};
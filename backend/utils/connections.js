@@ -0,0 +1,129 @@
+const db = require('./db');
+const { embedConnections } = require('./vectorStore');
+const { linkConnectionCompanies } = require('./companies');
+const { parseConnectionTitles } = require('./titleParser');
+const { setConnectionLocation } = require('./locations');
+const { setConnectionTags, connectionTagsSQL } = require('./tags');
+const { connectionListsSQL } = require('./lists');
+
+// Single-connection reads and hand edits. Edited fields are recorded in
+// connections.manual_fields so imports, merges and rollbacks keep them.
+
+// Fields a user can edit; the same set mergeRecords merges
+const EDITABLE_FIELDS = ['first_name', 'last_name', 'email', 'company', 'position', 'profile_url'];
+
+const CONNECTION_SQL = `
+  SELECT c.id, c.first_name, c.last_name, c.email, c.company, c.position, c.profile_url,
+         c.connected_on, c.source, c.sources, c.company_id, co.name AS company_name,
+         c.seniority, c.function, c.specialty, c.is_founder,
+         c.location, c.location_source, c.city, c.region, c.country, c.lat, c.lon,
+         c.notes, c.manual_fields, c.last_message_at, c.message_count, c.last_invitation_at,
+         c.last_interaction_at, c.batch_id, c.imported_at, c.updated_at,
+         ${connectionTagsSQL('c.id')} AS tags,
+         ${connectionListsSQL('c.id')} AS lists
+  FROM connections c
+  LEFT JOIN companies co ON co.id = c.company_id
+  WHERE c.id = $1 AND c.user_id = $2
+`;
+
+// One connection with its tags and parsed fields, or null when not found
+const getConnection = async (userId, connectionId, client = db) => {
+  const result = await client.query(CONNECTION_SQL, [connectionId, userId]);
+  return result.rows[0] || null;
+};
+
+// Apply `changes` ({ first_name, ..., notes, location, tags }) in one
+// transaction. Returns the updated connection, or null when not found.
+const updateConnection = async (userId, connectionId, changes) => {
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  const client = await db.pool.connect();
+  let connection;
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id FROM connections WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [connectionId, userId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (fields.length > 0 || changes.notes !== undefined) {
+      const params = [connectionId, userId, fields];
+      const assignments = fields.map(field => {
+        params.push(changes[field]);
+        return `${field} = $${params.length}`;
+      });
+      if (changes.notes !== undefined) {
+        params.push(changes.notes);
+        assignments.push(`notes = $${params.length}`);
+      }
+
+      await client.query(`
+        UPDATE connections
+        SET ${assignments.join(', ')},
+            manual_fields = ARRAY(SELECT DISTINCT UNNEST(manual_fields || $3::text[])),
+            updated_at = NOW()
+        WHERE id = $1 AND user_id = $2
+      `, params);
+    }
+
+    if (changes.location !== undefined) {
+      await setConnectionLocation(userId, connectionId, { location: changes.location }, client);
+    }
+
+    if (changes.tags !== undefined) {
+      await setConnectionTags(client, userId, connectionId, changes.tags);
+    }
+
+    if (fields.includes('company') || fields.includes('email')) {
+      await linkConnectionCompanies(client, userId, [connectionId]);
+    }
+    if (fields.includes('position')) {
+      await parseConnectionTitles(client, userId, [connectionId]);
+    }
+
+    connection = await getConnection(userId, connectionId, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Another connection already has the email or profile URL (migrations/010)
+    if (error.code === '23505') {
+      throw new Error('Another connection already has this email or profile URL');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Embedding failures must not fail the edit; search backfills missing vectors
+  if (fields.length > 0) {
+    try {
+      await embedConnections(userId, [connection]);
+    } catch (error) {
+      console.error('Embedding error:', error);
+    }
+  }
+
+  return connection;
+};
+
+// Delete a connection (its tags, embedding and merge suggestions cascade).
+// Returns false when not found.
+const deleteConnection = async (userId, connectionId) => {
+  const result = await db.query(
+    'DELETE FROM connections WHERE id = $1 AND user_id = $2',
+    [connectionId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  getConnection,
+  updateConnection,
+  deleteConnection,
+  EDITABLE_FIELDS
+};
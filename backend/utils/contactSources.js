@@ -0,0 +1,258 @@
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { LinkedInDataProcessor } = require('./linkedinProcessor');
+
+// Source adapters: each turns one export format into connection records
+// (LinkedInDataProcessor.normalizeRecord shape) tagged with `source`, so the
+// same person imported from several places dedupes into one connection.
+
+// Rows of a CSV as objects keyed by the trimmed header
+const parseRows = (processor, text) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from(processor.stripPreamble(text))
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim(), strict: false }))
+    .on('data', (row) => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', (error) => reject(new Error(`CSV parsing failed: ${error.message}`)));
+});
+
+// First non-empty value among the given headers (case-insensitive)
+const field = (row, ...names) => {
+  for (const name of names) {
+    const key = Object.keys(row).find(header => header.toLowerCase() === name.toLowerCase());
+    if (key && row[key] && row[key].trim()) return row[key].trim();
+  }
+  return null;
+};
+
+const firstHeaderLine = (processor, text) =>
+  processor.stripPreamble(text).split(/\r?\n/, 1)[0].toLowerCase();
+
+const isLinkedInUrl = (url) => /linkedin\.com\//i.test(url || '');
+
+// "Ada King Lovelace" -> first "Ada King", last "Lovelace"
+const splitFullName = (name) => {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return { first: parts[0] || null, last: null };
+  return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+};
+
+// "Seattle, WA, United States" from address parts, skipping blanks
+const joinPlace = (...parts) => parts.filter(Boolean).join(', ') || null;
+
+// Normalize mapped rows, collecting the row number of each failure
+const toRecords = (processor, rows, source) => {
+  const records = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    try {
+      records.push({ ...processor.normalizeRecord(row), source });
+    } catch (error) {
+      errors.push({ row: index + 1, error: error.message });
+    }
+  });
+
+  return { records, errors };
+};
+
+// Google Contacts CSV, both the current ("First Name", "Organization Name")
+// and the older ("Given Name", "Organization 1 - Name") layouts
+const googleAdapter = {
+  name: 'google',
+  jobSource: 'google-csv',
+  detect: (header) => header.includes('e-mail 1 - value') &&
+    (header.includes('organization') || header.includes('given name')),
+  parse: async (processor, text) => {
+    const rows = (await parseRows(processor, text)).map(row => {
+      const names = splitFullName(field(row, 'Name', 'File As'));
+      const website = Object.keys(row)
+        .filter(header => /^website \d+ - value$/i.test(header))
+        .map(header => row[header])
+        .find(isLinkedInUrl);
+
+      return {
+        'First Name': field(row, 'First Name', 'Given Name') || names.first,
+        'Last Name': field(row, 'Last Name', 'Family Name') || names.last,
+        // Multiple addresses in one cell are separated by " ::: "
+        'Email Address': (field(row, 'E-mail 1 - Value') || '').split(' ::: ')[0],
+        'Company': field(row, 'Organization Name', 'Organization 1 - Name'),
+        'Position': field(row, 'Organization Title', 'Organization 1 - Title'),
+        'Profile URL': website || null,
+        'Location': joinPlace(
+          field(row, 'Address 1 - City'),
+          field(row, 'Address 1 - Region'),
+          field(row, 'Address 1 - Country')
+        )
+      };
+    });
+    return toRecords(processor, rows, 'google');
+  }
+};
+
+// Outlook / Microsoft 365 contacts CSV ("Title" there is Mr./Ms., not the job)
+const outlookAdapter = {
+  name: 'outlook',
+  jobSource: 'outlook-csv',
+  detect: (header) => header.includes('e-mail address') && header.includes('job title'),
+  parse: async (processor, text) => {
+    const rows = (await parseRows(processor, text)).map(row => ({
+      'First Name': field(row, 'First Name'),
+      'Last Name': field(row, 'Last Name'),
+      'Email Address': field(row, 'E-mail Address', 'E-mail 2 Address', 'E-mail 3 Address'),
+      'Company': field(row, 'Company'),
+      'Position': field(row, 'Job Title'),
+      'Profile URL': isLinkedInUrl(field(row, 'Web Page')) ? field(row, 'Web Page') : null,
+      // The work address says where someone is based; home is the fallback
+      'Location': joinPlace(
+        field(row, 'Business City'),
+        field(row, 'Business State'),
+        field(row, 'Business Country/Region', 'Business Country')
+      ) || joinPlace(
+        field(row, 'Home City'),
+        field(row, 'Home State'),
+        field(row, 'Home Country/Region', 'Home Country')
+      )
+    }));
+    return toRecords(processor, rows, 'outlook');
+  }
+};
+
+// vCard property line: "item1.EMAIL;TYPE=INTERNET,pref:ada@example.com"
+const parseVCardLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.split('.').pop().toUpperCase(),
+    params: params.join(';').toLowerCase(),
+    value: line.slice(colon + 1)
+  };
+};
+
+const unescapeVCard = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// Structured values (N, ORG) are split on unescaped semicolons
+const vCardComponents = (value) => value.split(/(?<!\\);/).map(unescapeVCard);
+
+// vCard 3.0 and 4.0 (.vcf), as exported by iOS, Android, macOS and Gmail
+const vcardAdapter = {
+  name: 'vcard',
+  jobSource: 'vcard',
+  detect: (header, text) => /^\s*BEGIN:VCARD/i.test(text),
+  parse: async (processor, text) => {
+    // Unfold continuation lines (RFC 6350 section 3.2)
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const rows = [];
+    let card = null;
+
+    for (const line of lines) {
+      const property = parseVCardLine(line.trim());
+      if (!property) continue;
+
+      if (property.name === 'BEGIN' && /^vcard$/i.test(property.value.trim())) {
+        card = { emails: [], urls: [] };
+      } else if (property.name === 'END' && card) {
+        rows.push(card);
+        card = null;
+      } else if (card) {
+        const { name, params, value } = property;
+        if (name === 'N') {
+          const [family, given] = vCardComponents(value);
+          card.last = family || null;
+          card.first = given || null;
+        } else if (name === 'FN') {
+          card.fullName = unescapeVCard(value);
+        } else if (name === 'EMAIL') {
+          // vCard 3 marks the preferred address with TYPE=pref, vCard 4 with PREF=1
+          const preferred = /\bpref\b|pref=1/.test(params);
+          card.emails[preferred ? 'unshift' : 'push'](unescapeVCard(value));
+        } else if (name === 'ORG') {
+          card.company = vCardComponents(value)[0] || null;
+        } else if (name === 'TITLE') {
+          card.title = unescapeVCard(value);
+        } else if (name === 'ADR') {
+          // PO box; extended; street; locality; region; postal code; country
+          const [, , , locality, region, , country] = vCardComponents(value);
+          const place = joinPlace(locality, region, country);
+          // The work address wins over any other
+          if (place && (!card.location || /\bwork\b/.test(params))) card.location = place;
+        } else if (['URL', 'SOCIALPROFILE', 'X-SOCIALPROFILE'].includes(name)) {
+          card.urls.push(unescapeVCard(value));
+        }
+      }
+    }
+
+    const mapped = rows.map(card => {
+      const names = splitFullName(card.fullName);
+      return {
+        'First Name': card.first || names.first,
+        'Last Name': card.last || names.last,
+        'Email Address': card.emails[0] || null,
+        'Company': card.company,
+        'Position': card.title,
+        'Profile URL': card.urls.find(isLinkedInUrl) || null,
+        'Location': card.location || null
+      };
+    });
+    return toRecords(processor, mapped, 'vcard');
+  }
+};
+
+// LinkedIn Connections.csv (the original format, mapped by FIELD_MAPPINGS)
+const linkedinAdapter = {
+  name: 'linkedin',
+  jobSource: 'csv',
+  detect: () => true,
+  parse: async (processor, text) => {
+    const { records, errors } = await processor.parseCSV(text);
+    return { records: records.map(record => ({ ...record, source: 'linkedin' })), errors };
+  }
+};
+
+// Detection order matters: LinkedIn is the fallback
+const CONTACT_SOURCES = [vcardAdapter, googleAdapter, outlookAdapter, linkedinAdapter];
+
+// Adapter for `source` when given, otherwise detected from the file name and contents
+const getContactSource = (text, { source, fileName } = {}) => {
+  if (source) {
+    const adapter = CONTACT_SOURCES.find(candidate => candidate.name === source);
+    if (!adapter) {
+      throw new Error(`Unsupported contact source: ${source}`);
+    }
+    return adapter;
+  }
+
+  if (fileName && /\.vcf$/i.test(fileName)) return vcardAdapter;
+
+  const processor = new LinkedInDataProcessor();
+  const header = firstHeaderLine(processor, text);
+  return CONTACT_SOURCES.find(adapter => adapter.detect(header, text));
+};
+
+// Parse an export into { records, errors, source, jobSource }
+const parseContacts = async (text, options = {}) => {
+  const adapter = getContactSource(text, options);
+  const { records, errors } = await adapter.parse(new LinkedInDataProcessor(), text);
+  return { records, errors, source: adapter.name, jobSource: adapter.jobSource };
+};
+
+module.exports = {
+  CONTACT_SOURCES,
+  getContactSource,
+  parseContacts,
+  parseRows,
+  field
+};
@@ -0,0 +1,111 @@
+const db = require('./db');
+
+// Messages replayed to the model as context for the next turn
+const HISTORY_LIMIT = 20;
+const TITLE_MAX_LENGTH = 80;
+
+// Default title: the first user message, shortened
+const titleFromMessage = (message) => {
+  const text = (message || '').replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.substring(0, TITLE_MAX_LENGTH - 3)}...` : text || 'New conversation';
+};
+
+const createConversation = async (userId, title) => {
+  const result = await db.query(`
+    INSERT INTO conversations (user_id, title, started_at, updated_at)
+    VALUES ($1, $2, NOW(), NOW())
+    RETURNING id, title, started_at, updated_at
+  `, [userId, titleFromMessage(title)]);
+  return result.rows[0];
+};
+
+// Most recently active first, with message counts
+const listConversations = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(`
+    SELECT c.id, c.title, c.started_at, c.updated_at, COUNT(m.id)::int AS message_count
+    FROM conversations c
+    LEFT JOIN messages m ON m.conversation_id = c.id
+    WHERE c.user_id = $1
+    GROUP BY c.id
+    ORDER BY c.updated_at DESC NULLS LAST, c.id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, Math.min(limit, 100), offset]);
+  return result.rows;
+};
+
+// Conversation owned by the user, or null
+const getConversation = async (userId, conversationId) => {
+  const result = await db.query(
+    'SELECT id, title, started_at, updated_at FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const getMessages = async (conversationId) => {
+  const result = await db.query(`
+    SELECT id, sender, message, results, search_summary, created_at
+    FROM messages
+    WHERE conversation_id = $1
+    ORDER BY created_at ASC, id ASC
+  `, [conversationId]);
+  return result.rows;
+};
+
+const renameConversation = async (userId, conversationId, title) => {
+  const result = await db.query(`
+    UPDATE conversations SET title = $3, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, title, started_at, updated_at
+  `, [conversationId, userId, titleFromMessage(title)]);
+  return result.rows[0] || null;
+};
+
+// Returns whether a conversation was deleted (messages cascade)
+const deleteConversation = async (userId, conversationId) => {
+  const result = await db.query(
+    'DELETE FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// Append a message and bump the conversation's activity time. Callers must
+// have checked ownership with getConversation.
+const appendMessage = async (conversationId, { sender, message, results = null, searchSummary = null }) => {
+  const result = await db.query(`
+    INSERT INTO messages (conversation_id, sender, message, results, search_summary, created_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    RETURNING id, sender, message, results, search_summary, created_at
+  `, [conversationId, sender, message, results ? JSON.stringify(results) : null, searchSummary]);
+
+  await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+  return result.rows[0];
+};
+
+// Recent turns in chat completion format, oldest first
+const loadHistory = async (conversationId, limit = HISTORY_LIMIT) => {
+  const result = await db.query(`
+    SELECT sender, message FROM (
+      SELECT id, sender, message, created_at FROM messages
+      WHERE conversation_id = $1 AND sender IN ('user', 'assistant')
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    ) recent
+    ORDER BY created_at ASC, id ASC
+  `, [conversationId, limit]);
+
+  return result.rows.map(row => ({ role: row.sender, content: row.message || '' }));
+};
+
+module.exports = {
+  createConversation,
+  listConversations,
+  getConversation,
+  getMessages,
+  renameConversation,
+  deleteConversation,
+  appendMessage,
+  loadHistory,
+  HISTORY_LIMIT
+};
@@ -0,0 +1,256 @@
+const ExcelJS = require('exceljs');
+const db = require('./db');
+
+// Export format version (bump when the JSON layout changes)
+const EXPORT_VERSION = 1;
+
+const EXPORT_TYPES = ['all', 'connections', 'queries', 'settings'];
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Column layout shared by the CSV and XLSX writers
+const CONNECTION_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'first_name', header: 'First Name' },
+  { key: 'last_name', header: 'Last Name' },
+  { key: 'email', header: 'Email Address' },
+  { key: 'company', header: 'Company' },
+  { key: 'position', header: 'Position' },
+  { key: 'profile_url', header: 'Profile URL' },
+  { key: 'connected_on', header: 'Connected On' },
+  { key: 'location', header: 'Location' },
+  { key: 'notes', header: 'Notes' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'lists', header: 'Lists' },
+  { key: 'source', header: 'Source' },
+  { key: 'batch_id', header: 'Batch ID' },
+  { key: 'imported_at', header: 'Imported At' }
+];
+
+const QUERY_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'query', header: 'Query' },
+  { key: 'response', header: 'Response' },
+  { key: 'created_at', header: 'Created At' }
+];
+
+const SETTING_COLUMNS = [
+  { key: 'setting', header: 'Setting' },
+  { key: 'value', header: 'Value' }
+];
+
+// Assembles a user's data and serializes it for download
+class DataExporter {
+  constructor(userId) {
+    this.userId = userId;
+  }
+
+  // Load every entity included in the requested export type
+  async collect(type = 'all') {
+    const data = {};
+
+    if (type === 'all' || type === 'connections') {
+      const result = await db.query(`
+        SELECT id, first_name, last_name, email, company, position, profile_url,
+               connected_on, location, notes, source, batch_id, imported_at,
+               ARRAY(
+                 SELECT t.name FROM connection_tags ct JOIN tags t ON t.id = ct.tag_id
+                 WHERE ct.connection_id = connections.id ORDER BY LOWER(t.name)
+               ) AS tags,
+               ARRAY(
+                 SELECT l.name FROM list_members m JOIN lists l ON l.id = m.list_id
+                 WHERE m.connection_id = connections.id ORDER BY LOWER(l.name)
+               ) AS lists
+        FROM connections
+        WHERE user_id = $1
+        ORDER BY last_name, first_name
+      `, [this.userId]);
+      data.connections = result.rows;
+    }
+
+    if (type === 'all' || type === 'queries') {
+      const result = await db.query(`
+        SELECT id, query, response, created_at
+        FROM query_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `, [this.userId]);
+      data.queries = result.rows;
+    }
+
+    if (type === 'all' || type === 'settings') {
+      const preferences = await db.query(
+        'SELECT preferences FROM user_preferences WHERE user_id = $1',
+        [this.userId]
+      );
+      const privacy = await db.query(
+        'SELECT privacy_settings FROM user_privacy WHERE user_id = $1',
+        [this.userId]
+      );
+
+      data.settings = {
+        preferences: preferences.rows.length > 0 ? preferences.rows[0].preferences : null,
+        privacy_settings: privacy.rows.length > 0 ? privacy.rows[0].privacy_settings : null
+      };
+    }
+
+    return data;
+  }
+
+  // Build the export file. Returns { body, contentType, extension, isBase64Encoded }
+  async export(type = 'all', format = 'json') {
+    if (!EXPORT_TYPES.includes(type)) {
+      throw new Error(`Invalid export type: ${type}`);
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format: ${format}`);
+    }
+    if (format === 'csv' && type === 'settings') {
+      throw new Error('CSV export is not available for settings');
+    }
+
+    const data = await this.collect(type);
+
+    if (format === 'csv') {
+      return {
+        body: this.toCSV(data),
+        contentType: CONTENT_TYPES.csv,
+        extension: 'csv',
+        isBase64Encoded: false
+      };
+    }
+
+    if (format === 'xlsx') {
+      const buffer = await this.toXLSX(data);
+      return {
+        body: buffer.toString('base64'),
+        contentType: CONTENT_TYPES.xlsx,
+        extension: 'xlsx',
+        isBase64Encoded: true
+      };
+    }
+
+    return {
+      body: JSON.stringify(this.toJSON(type, data), null, 2),
+      contentType: CONTENT_TYPES.json,
+      extension: 'json',
+      isBase64Encoded: false
+    };
+  }
+
+  toJSON(type, data) {
+    return {
+      format: 'pnit-export',
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      user_id: this.userId,
+      type,
+      ...data
+    };
+  }
+
+  // CSV holds a single table: connections when present, otherwise query history
+  toCSV(data) {
+    if (data.connections) {
+      return this.writeCSV(CONNECTION_COLUMNS, data.connections);
+    }
+    return this.writeCSV(QUERY_COLUMNS, data.queries || []);
+  }
+
+  writeCSV(columns, rows) {
+    const header = columns.map(column => this.escapeCSV(column.header)).join(',');
+    const lines = rows.map(row =>
+      columns.map(column => this.escapeCSV(this.formatValue(row[column.key]))).join(',')
+    );
+    return [header, ...lines].join('\n');
+  }
+
+  escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    const text = this.neutralizeFormula(value).toString();
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // XLSX gets one worksheet per entity
+  async toXLSX(data) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'PNIT';
+    workbook.created = new Date();
+
+    if (data.connections) {
+      this.addSheet(workbook, 'Connections', CONNECTION_COLUMNS, data.connections);
+    }
+
+    if (data.queries) {
+      this.addSheet(workbook, 'Query History', QUERY_COLUMNS, data.queries);
+    }
+
+    if (data.settings) {
+      this.addSheet(workbook, 'Preferences', SETTING_COLUMNS,
+        this.flattenSettings(data.settings.preferences));
+      this.addSheet(workbook, 'Privacy', SETTING_COLUMNS,
+        this.flattenSettings(data.settings.privacy_settings));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(column => ({
+      key: column.key,
+      header: column.header,
+      width: Math.max(column.header.length + 2, 14)
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    rows.forEach(row => {
+      const values = {};
+      columns.forEach(column => {
+        values[column.key] = this.neutralizeFormula(this.formatValue(row[column.key]));
+      });
+      sheet.addRow(values);
+    });
+
+    return sheet;
+  }
+
+  // Connection fields come from LinkedIn and other third parties; a leading
+  // quote keeps spreadsheets from running text like "=HYPERLINK(...)" as a formula
+  neutralizeFormula(value) {
+    if (typeof value !== 'string') return value;
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  }
+
+  // Turn nested settings JSON into "section.key" / value rows
+  flattenSettings(settings, prefix = '') {
+    if (!settings) return [];
+
+    return Object.entries(settings).flatMap(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return this.flattenSettings(value, path);
+      }
+      return [{ setting: path, value: Array.isArray(value) ? JSON.stringify(value) : value }];
+    });
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.join('; ');
+    return value;
+  }
+}
+
+module.exports = {
+  DataExporter,
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  EXPORT_VERSION
+};
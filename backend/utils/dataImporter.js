@@ -0,0 +1,358 @@
+const db = require('./db');
+const { LinkedInDataProcessor } = require('./linkedinProcessor');
+const { validatePreferences, validatePrivacySettings, SettingsValidationError } = require('./settings');
+const { EXPORT_VERSION } = require('./dataExporter');
+const { openImportBatch, addImportBatchCounts, saveBeforeImages } = require('./importBatches');
+const { linkConnectionCompanies } = require('./companies');
+const { parseConnectionTitles } = require('./titleParser');
+const { geocodeConnections } = require('./locations');
+const { setConnectionTags } = require('./tags');
+const { addToListsByName } = require('./lists');
+
+// A file the importer cannot use; the handler answers 400 with its message.
+// Anything else thrown while importing is a server error.
+class ImportValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportValidationError';
+  }
+}
+
+// Fields compared when reporting merge conflicts (same set mergeRecords merges)
+const MERGE_FIELDS = ['first_name', 'last_name', 'email', 'company', 'position', 'profile_url'];
+
+// Restores a PNIT export (or a connections CSV) into a user's account
+class DataImporter {
+  constructor(userId) {
+    this.userId = userId;
+    this.processor = new LinkedInDataProcessor();
+  }
+
+  // Validate the export envelope produced by DataExporter.toJSON
+  validateExport(exportData) {
+    if (!exportData || typeof exportData !== 'object' || Array.isArray(exportData)) {
+      throw new ImportValidationError('Import data must be a PNIT JSON export');
+    }
+    if (exportData.format && exportData.format !== 'pnit-export') {
+      throw new ImportValidationError(`Unsupported import format: ${exportData.format}`);
+    }
+    if (exportData.version && exportData.version > EXPORT_VERSION) {
+      throw new ImportValidationError(`Export version ${exportData.version} is newer than this server supports`);
+    }
+    if (exportData.connections && !Array.isArray(exportData.connections)) {
+      throw new ImportValidationError('connections must be an array');
+    }
+  }
+
+  // Map exported connection rows onto the processor's normalized record shape
+  normalizeConnections(rows = []) {
+    const records = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      try {
+        const record = this.processor.normalizeRecord({
+          'First Name': row.first_name,
+          'Last Name': row.last_name,
+          'Email Address': row.email,
+          'Company': row.company,
+          'Position': row.position,
+          'Profile URL': row.profile_url,
+          'Connected On': row.connected_on,
+          'Location': row.location
+        });
+        // Older exports have no source, notes, tags or lists
+        records.push({
+          ...record,
+          source: row.source || 'linkedin',
+          notes: typeof row.notes === 'string' && row.notes.trim() ? row.notes : null,
+          tags: Array.isArray(row.tags) ? row.tags : [],
+          lists: Array.isArray(row.lists) ? row.lists : []
+        });
+      } catch (error) {
+        errors.push({ row: index + 1, error: error.message });
+      }
+    });
+
+    return { records, errors };
+  }
+
+  // Work out what importing the connections would do without writing anything
+  async planConnections(records) {
+    const plan = { inserts: [], updates: [], unchanged: 0, conflicts: [], duplicates: 0 };
+
+    const { unique, duplicates } = this.processor.detectBatchDuplicates(records);
+    plan.duplicates = duplicates.length;
+
+    const { unique: newRecords, duplicates: existing } =
+      await this.processor.detectDatabaseDuplicates(this.userId, unique);
+    plan.inserts = newRecords;
+
+    for (const dup of existing) {
+      const merged = this.processor.mergeRecords(dup.existing, dup.record);
+      const changedFields = MERGE_FIELDS.filter(field => merged[field] !== dup.existing[field]);
+
+      const conflictingFields = MERGE_FIELDS.filter(field =>
+        dup.existing[field] && dup.record[field] &&
+        dup.existing[field].toLowerCase() !== dup.record[field].toLowerCase()
+      );
+
+      if (conflictingFields.length > 0) {
+        plan.conflicts.push({
+          id: dup.existing.id,
+          name: `${dup.existing.first_name} ${dup.existing.last_name}`,
+          fields: conflictingFields.map(field => ({
+            field,
+            existing: dup.existing[field],
+            incoming: dup.record[field],
+            kept: merged[field]
+          }))
+        });
+      }
+
+      // Locations are not merged field by field: an imported one replaces the old one
+      const locationChanged = Boolean(dup.record.location) && dup.existing.location_source !== 'manual' &&
+        dup.record.location !== dup.existing.location;
+
+      if (changedFields.length > 0 || locationChanged) {
+        plan.updates.push({ id: dup.existing.id, merged, location: dup.record.location });
+      } else {
+        plan.unchanged++;
+      }
+    }
+
+    return plan;
+  }
+
+  // Compare a single-row settings table against the incoming value
+  async planSettings(table, column, incoming) {
+    if (!incoming) return null;
+
+    const result = await db.query(
+      `SELECT ${column} FROM ${table} WHERE user_id = $1`,
+      [this.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return { action: 'insert', value: incoming, conflicts: [] };
+    }
+
+    const current = result.rows[0][column] || {};
+    const conflicts = this.diffSettings(current, incoming);
+    const changed = this.canonicalize(current) !== this.canonicalize(incoming);
+
+    return {
+      action: changed ? 'update' : 'unchanged',
+      value: incoming,
+      conflicts
+    };
+  }
+
+  // List "section.key" paths whose values differ between two settings objects
+  diffSettings(current, incoming, prefix = '') {
+    return Object.entries(incoming).flatMap(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const existing = current ? current[key] : undefined;
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return this.diffSettings(existing || {}, value, path);
+      }
+      if (existing === undefined || JSON.stringify(existing) === JSON.stringify(value)) {
+        return [];
+      }
+      return [path];
+    });
+  }
+
+  // Stable JSON for comparing settings regardless of key order (JSONB reorders keys)
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // Imported settings go through the settings API's validators, so a file
+  // cannot store what PUT /api/settings would refuse; unknown keys are dropped
+  validateSettings(settings) {
+    try {
+      return {
+        preferences: settings.preferences ? validatePreferences(settings.preferences) : null,
+        privacy: settings.privacy_settings ? validatePrivacySettings(settings.privacy_settings) : null
+      };
+    } catch (error) {
+      if (error instanceof SettingsValidationError) {
+        throw new ImportValidationError(`Invalid settings: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Build the import plan from either a PNIT export or raw CSV connections
+  async plan({ exportData, csvData }) {
+    let connectionRows = { records: [], errors: [] };
+    let settings = { preferences: null, privacy: null };
+
+    if (csvData) {
+      try {
+        connectionRows = await this.processor.parseCSV(csvData);
+      } catch (error) {
+        throw new ImportValidationError(error.message);
+      }
+    } else {
+      this.validateExport(exportData);
+      connectionRows = this.normalizeConnections(exportData.connections);
+      settings = this.validateSettings(exportData.settings || {});
+    }
+
+    const connections = await this.planConnections(connectionRows.records);
+    const preferences = await this.planSettings('user_preferences', 'preferences', settings.preferences);
+    const privacy = await this.planSettings('user_privacy', 'privacy_settings', settings.privacy);
+
+    return { connections, preferences, privacy, errors: connectionRows.errors };
+  }
+
+  // Per-table insert/update/conflict counts for the preview and the final report
+  summarize(plan) {
+    const settingsCounts = (entry) => ({
+      inserts: entry && entry.action === 'insert' ? 1 : 0,
+      updates: entry && entry.action === 'update' ? 1 : 0,
+      conflicts: entry ? entry.conflicts.length : 0,
+      unchanged: entry && entry.action === 'unchanged' ? 1 : 0
+    });
+
+    const tables = {
+      connections: {
+        inserts: plan.connections.inserts.length,
+        updates: plan.connections.updates.length,
+        conflicts: plan.connections.conflicts.length,
+        unchanged: plan.connections.unchanged,
+        duplicates_in_file: plan.connections.duplicates,
+        invalid: plan.errors.length
+      },
+      user_preferences: settingsCounts(plan.preferences),
+      user_privacy: settingsCounts(plan.privacy)
+    };
+
+    const imported = Object.values(tables).reduce((sum, t) => sum + t.inserts + t.updates, 0);
+
+    return { imported, tables };
+  }
+
+  // Apply the plan inside a single transaction, as an import batch that can
+  // be rolled back like any upload
+  async commit(plan, source = 'pnit-export') {
+    const batchId = this.processor.createBatchId();
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await openImportBatch(client, this.userId, batchId, source);
+      await saveBeforeImages(client, this.userId, batchId, plan.connections.updates.map(update => update.id));
+      const touched = plan.connections.updates.map(update => update.id);
+
+      for (const record of plan.connections.inserts) {
+        const inserted = await client.query(`
+          INSERT INTO connections
+          (user_id, first_name, last_name, company, position, email, profile_url, connected_on,
+           source, sources, location, location_source, notes, batch_id, imported_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ARRAY[$9::text], $10,
+                  CASE WHEN $10::text IS NOT NULL THEN 'import' END, $11, $12, NOW())
+          RETURNING id
+        `, [this.userId, record.first_name, record.last_name, record.company,
+            record.position, record.email, record.profile_url, record.connected_on,
+            record.source || 'linkedin', record.location || null, record.notes || null, batchId]);
+        touched.push(inserted.rows[0].id);
+
+        if (record.tags && record.tags.length > 0) {
+          await setConnectionTags(client, this.userId, inserted.rows[0].id, record.tags);
+        }
+        if (record.lists && record.lists.length > 0) {
+          await addToListsByName(client, this.userId, inserted.rows[0].id, record.lists);
+        }
+      }
+
+      // A location the user typed in survives re-imports (as in processBatch)
+      for (const { id, merged, location } of plan.connections.updates) {
+        await client.query(`
+          UPDATE connections
+          SET company = $1, position = $2, email = $3, profile_url = $4,
+              connected_on = COALESCE($5, connected_on),
+              location = CASE WHEN location_source = 'manual' THEN location ELSE COALESCE($8, location) END,
+              location_source = CASE
+                WHEN location_source = 'manual' THEN location_source
+                WHEN $8::text IS NOT NULL THEN 'import'
+                ELSE location_source
+              END,
+              imported_at = NOW()
+          WHERE id = $6 AND user_id = $7
+        `, [merged.company, merged.position, merged.email, merged.profile_url,
+            merged.connected_on || null, id, this.userId, location || null]);
+      }
+
+      await linkConnectionCompanies(client, this.userId, touched);
+      await parseConnectionTitles(client, this.userId, touched);
+      await geocodeConnections(client, this.userId, touched);
+
+      await addImportBatchCounts(client, batchId, {
+        inserted: plan.connections.inserts.length,
+        updated: plan.connections.updates.length,
+        duplicates: plan.connections.duplicates
+      });
+
+      if (plan.preferences && plan.preferences.action !== 'unchanged') {
+        await client.query(`
+          INSERT INTO user_preferences (user_id, preferences, updated_at)
+          VALUES ($1, $2, NOW())
+          ON CONFLICT (user_id)
+          DO UPDATE SET preferences = $2, updated_at = NOW()
+        `, [this.userId, JSON.stringify(plan.preferences.value)]);
+      }
+
+      if (plan.privacy && plan.privacy.action !== 'unchanged') {
+        await client.query(`
+          INSERT INTO user_privacy (user_id, privacy_settings, updated_at)
+          VALUES ($1, $2, NOW())
+          ON CONFLICT (user_id)
+          DO UPDATE SET privacy_settings = $2, updated_at = NOW()
+        `, [this.userId, JSON.stringify(plan.privacy.value)]);
+      }
+
+      await client.query('COMMIT');
+      return batchId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Plan the import and, unless this is a dry run, apply it
+  async import(source, { dryRun = false } = {}) {
+    const plan = await this.plan(source);
+    const summary = this.summarize(plan);
+
+    const result = {
+      dry_run: dryRun,
+      summary,
+      conflicts: plan.connections.conflicts.slice(0, 20),
+      errors: plan.errors.slice(0, 10)
+    };
+
+    if (!dryRun) {
+      result.batch_id = await this.commit(plan, source.csvData ? 'csv' : 'pnit-export');
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  DataImporter,
+  ImportValidationError
+};
@@ -0,0 +1,126 @@
+// Transactional email templates. Each builds { subject, text, html } from its
+// data; `essential` emails complete something the user just asked for and
+// are sent even when they have turned email notifications off.
+
+const PRODUCT_NAME = 'PNIT';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const formatTime = (time) => new Date(time || Date.now()).toUTCString();
+
+// Shared HTML shell: `paragraphs` are plain strings (escaped here, newlines
+// kept), `action` an optional { label, url } button
+const renderHtml = ({ title, name, paragraphs, action, footer }) => {
+  const body = paragraphs
+    .map(text => `<p style="margin:0 0 16px">${escapeHtml(text).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:13px;color:#6b7280">Or open this link: <a href="${escapeHtml(action.url)}" style="color:#2563eb">${escapeHtml(action.url)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+<h1 style="margin:0 0 24px;font-size:20px">${escapeHtml(title)}</h1>
+<p style="margin:0 0 16px">${escapeHtml(greeting(name))}</p>
+${body}
+${button}
+<p style="margin:32px 0 0;font-size:13px;color:#6b7280">${escapeHtml(footer || `Sent by ${PRODUCT_NAME}.`)}</p>
+</div>
+</body>
+</html>`;
+};
+
+const renderText = ({ name, paragraphs, action, footer }) => [
+  greeting(name),
+  ...paragraphs,
+  ...(action ? [`${action.label}: ${action.url}`] : []),
+  '--',
+  footer || `Sent by ${PRODUCT_NAME}.`
+].join('\n\n');
+
+const render = (subject, content) => ({
+  subject,
+  text: renderText(content),
+  html: renderHtml({ title: subject, ...content })
+});
+
+const TEMPLATES = {
+  // { name, resetUrl, expiresInMinutes }
+  passwordReset: {
+    essential: true,
+    build: ({ name, resetUrl, expiresInMinutes = 60 }) => render(`Reset your ${PRODUCT_NAME} password`, {
+      name,
+      paragraphs: [
+        'Someone asked to reset the password for your account. If it was you, choose a new password with the link below.',
+        `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for this, ignore this email; your password has not changed.`
+      ],
+      action: { label: 'Reset password', url: resetUrl }
+    })
+  },
+
+  // { name, verifyUrl, expiresInHours }
+  emailVerification: {
+    essential: true,
+    build: ({ name, verifyUrl, expiresInHours = 24 }) => render(`Confirm your email for ${PRODUCT_NAME}`, {
+      name,
+      paragraphs: [
+        'Confirm this is your email address to finish setting up your account.',
+        `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+      ],
+      action: { label: 'Confirm email', url: verifyUrl }
+    })
+  },
+
+  // { name, time, ipAddress, userAgent, securityUrl }
+  newDeviceLogin: {
+    essential: false,
+    build: ({ name, time, ipAddress, userAgent, securityUrl }) => render(`New sign-in to your ${PRODUCT_NAME} account`, {
+      name,
+      paragraphs: [
+        'Your account was just signed in to from a device we have not seen before.',
+        `When: ${formatTime(time)}\nIP address: ${ipAddress || 'unknown'}\nDevice: ${userAgent || 'unknown'}`,
+        'If this was you, there is nothing to do. If not, change your password now and sign out of all devices from Settings.'
+      ],
+      action: securityUrl ? { label: 'Review account security', url: securityUrl } : null
+    })
+  },
+
+  // { name, deletedAt }
+  accountDeleted: {
+    essential: false,
+    build: ({ name, deletedAt }) => render(`Your ${PRODUCT_NAME} account has been deleted`, {
+      name,
+      paragraphs: [
+        `Your account and its connections, conversations and settings were deleted on ${formatTime(deletedAt)}.`,
+        'This cannot be undone. If you did not delete your account, reply to this email.'
+      ],
+      footer: `Sent by ${PRODUCT_NAME}. This is the last email you will receive from us.`
+    })
+  }
+};
+
+// { subject, text, html, essential } for a template name
+const renderEmail = (templateName, data = {}) => {
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+  return { ...template.build(data), essential: template.essential };
+};
+
+module.exports = {
+  renderEmail,
+  escapeHtml,
+  TEMPLATE_NAMES: Object.keys(TEMPLATES)
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { generateSecureToken } = require('./security');
+const { sendTemplateEmail, appUrl } = require('./mailer');
+
+// Proof that a password account's owner controls its email address
+// (migrations/023-add-email-verification.sql). Until they confirm, the
+// account can sign in but cannot import connections or add sign-in methods
+// (2FA, passkeys, LinkedIn): an address typed in by someone else must not end
+// up holding data or credentials that outlive a password reset by its owner.
+
+const VERIFICATION_TTL_HOURS = 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Email a new verification link to `user` ({ id, email, name }); any earlier
+// link stops working. Returns the mailer result.
+const sendVerificationEmail = async (user) => {
+  const token = generateSecureToken();
+
+  await db.query(`
+    UPDATE users
+    SET email_verification_token = $2,
+        email_verification_expires = NOW() + INTERVAL '${VERIFICATION_TTL_HOURS} hours'
+    WHERE id = $1
+  `, [user.id, hashToken(token)]);
+
+  return sendTemplateEmail('emailVerification', { email: user.email, name: user.name, userId: user.id }, {
+    verifyUrl: appUrl('/verify-email', { token }),
+    expiresInHours: VERIFICATION_TTL_HOURS
+  });
+};
+
+// Confirm the address a link was sent to. Returns { id, email } or null when
+// the token is unknown, used or expired.
+const confirmEmailToken = async (token) => {
+  if (!token) return null;
+
+  const result = await db.query(`
+    UPDATE users
+    SET email_verified = true, email_verified_at = NOW(),
+        email_verification_token = NULL, email_verification_expires = NULL
+    WHERE email_verification_token = $1 AND email_verification_expires > NOW()
+    RETURNING id, email
+  `, [hashToken(token)]);
+  return result.rows[0] || null;
+};
+
+// A completed password reset proves the same thing as a verification link
+const markEmailVerified = async (userId) => {
+  await db.query(`
+    UPDATE users
+    SET email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW()),
+        email_verification_token = NULL, email_verification_expires = NULL
+    WHERE id = $1
+  `, [userId]);
+};
+
+const isEmailVerified = async (userId) => {
+  const result = await db.query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+  return Boolean(result.rows[0]?.email_verified);
+};
+
+module.exports = {
+  sendVerificationEmail,
+  confirmEmailToken,
+  markEmailVerified,
+  isEmailVerified,
+  VERIFICATION_TTL_HOURS
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// All providers emit vectors of this size so they fit the same pgvector column
+const EMBEDDING_DIMENSIONS = 1536;
+
+// OpenAI embeddings (text-embedding-3-small by default)
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.dimensions = EMBEDDING_DIMENSIONS;
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  async embed(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await this.getClient().embeddings.create({
+      model: this.model,
+      input: texts,
+      dimensions: this.dimensions
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Deterministic, offline embeddings using feature hashing of words and
+// character trigrams. Not semantic, but stable across runs - suitable for
+// tests and for deployments that must not call external APIs.
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || 'local-hash-v1';
+    this.dimensions = EMBEDDING_DIMENSIONS;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    const addFeature = (feature, weight) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32BE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign * weight;
+    };
+
+    words.forEach(word => {
+      addFeature(`w:${word}`, 1);
+      const padded = ` ${word} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        addFeature(`t:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    });
+
+    return normalizeVector(vector);
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+let activeProvider = null;
+
+// Provider chosen by EMBEDDING_PROVIDER (defaults to OpenAI when a key is set
+// and DISABLE_EXTERNAL_AI is not)
+const getEmbeddingProvider = () => {
+  if (!activeProvider) {
+    const externalDisabled = process.env.DISABLE_EXTERNAL_AI === 'true';
+    const name = process.env.EMBEDDING_PROVIDER ||
+      (process.env.OPENAI_API_KEY && !externalDisabled ? 'openai' : 'local');
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    if (externalDisabled && name === 'openai') {
+      throw new Error('Embedding provider openai is not allowed while DISABLE_EXTERNAL_AI is set');
+    }
+    activeProvider = new Provider();
+  }
+  return activeProvider;
+};
+
+// Override the provider (e.g. a deterministic stub in tests); pass null to reset
+const setEmbeddingProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Text embedded for a connection: what they do and where
+const connectionEmbeddingText = (connection) => {
+  return [connection.position, connection.company].filter(Boolean).join(' at ');
+};
+
+const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  connectionEmbeddingText,
+  cosineSimilarity,
+  EMBEDDING_DIMENSIONS
+};
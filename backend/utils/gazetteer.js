@@ -0,0 +1,323 @@
+// Offline gazetteer: resolves free-text locations ("Greater Seattle Area",
+// "Berlin, Germany", "Austin, TX") to { city, region, country, lat, lon }
+// without calling a geocoding service. Covers countries, US states, Canadian
+// provinces, UK nations and the metro areas LinkedIn profiles most often name.
+
+// ISO 3166 code -> [name, ...aliases]
+const COUNTRIES = {
+  US: ['United States', 'usa', 'us', 'united states of america', 'america'],
+  CA: ['Canada'],
+  MX: ['Mexico'],
+  BR: ['Brazil', 'brasil'],
+  AR: ['Argentina'],
+  CL: ['Chile'],
+  CO: ['Colombia'],
+  PE: ['Peru'],
+  GB: ['United Kingdom', 'uk', 'great britain', 'britain'],
+  IE: ['Ireland'],
+  FR: ['France'],
+  DE: ['Germany', 'deutschland'],
+  NL: ['Netherlands', 'the netherlands', 'holland'],
+  BE: ['Belgium'],
+  LU: ['Luxembourg'],
+  CH: ['Switzerland'],
+  AT: ['Austria'],
+  ES: ['Spain'],
+  PT: ['Portugal'],
+  IT: ['Italy'],
+  SE: ['Sweden'],
+  NO: ['Norway'],
+  DK: ['Denmark'],
+  FI: ['Finland'],
+  IS: ['Iceland'],
+  PL: ['Poland'],
+  CZ: ['Czechia', 'czech republic'],
+  HU: ['Hungary'],
+  RO: ['Romania'],
+  GR: ['Greece'],
+  UA: ['Ukraine'],
+  EE: ['Estonia'],
+  LT: ['Lithuania'],
+  TR: ['Turkey', 'turkiye'],
+  IL: ['Israel'],
+  AE: ['United Arab Emirates', 'uae'],
+  SA: ['Saudi Arabia'],
+  EG: ['Egypt'],
+  NG: ['Nigeria'],
+  KE: ['Kenya'],
+  ZA: ['South Africa'],
+  IN: ['India'],
+  PK: ['Pakistan'],
+  SG: ['Singapore'],
+  MY: ['Malaysia'],
+  ID: ['Indonesia'],
+  PH: ['Philippines'],
+  TH: ['Thailand'],
+  VN: ['Vietnam', 'viet nam'],
+  CN: ['China'],
+  HK: ['Hong Kong', 'hong kong sar'],
+  TW: ['Taiwan'],
+  JP: ['Japan'],
+  KR: ['South Korea', 'korea', 'republic of korea'],
+  AU: ['Australia'],
+  NZ: ['New Zealand']
+};
+
+// Regions that disambiguate cities: [name, country, ...aliases]
+const REGIONS = [
+  ['Alabama', 'US', 'al'], ['Alaska', 'US', 'ak'], ['Arizona', 'US', 'az'], ['Arkansas', 'US', 'ar'],
+  ['California', 'US', 'ca'], ['Colorado', 'US', 'co'], ['Connecticut', 'US', 'ct'], ['Delaware', 'US', 'de'],
+  ['District of Columbia', 'US', 'dc', 'd c'], ['Florida', 'US', 'fl'], ['Georgia', 'US', 'ga'],
+  ['Hawaii', 'US', 'hi'], ['Idaho', 'US', 'id'], ['Illinois', 'US', 'il'], ['Indiana', 'US', 'in'],
+  ['Iowa', 'US', 'ia'], ['Kansas', 'US', 'ks'], ['Kentucky', 'US', 'ky'], ['Louisiana', 'US', 'la'],
+  ['Maine', 'US', 'me'], ['Maryland', 'US', 'md'], ['Massachusetts', 'US', 'ma'], ['Michigan', 'US', 'mi'],
+  ['Minnesota', 'US', 'mn'], ['Mississippi', 'US', 'ms'], ['Missouri', 'US', 'mo'], ['Montana', 'US', 'mt'],
+  ['Nebraska', 'US', 'ne'], ['Nevada', 'US', 'nv'], ['New Hampshire', 'US', 'nh'], ['New Jersey', 'US', 'nj'],
+  ['New Mexico', 'US', 'nm'], ['New York', 'US', 'ny'], ['North Carolina', 'US', 'nc'], ['North Dakota', 'US', 'nd'],
+  ['Ohio', 'US', 'oh'], ['Oklahoma', 'US', 'ok'], ['Oregon', 'US', 'or'], ['Pennsylvania', 'US', 'pa'],
+  ['Rhode Island', 'US', 'ri'], ['South Carolina', 'US', 'sc'], ['South Dakota', 'US', 'sd'],
+  ['Tennessee', 'US', 'tn'], ['Texas', 'US', 'tx'], ['Utah', 'US', 'ut'], ['Vermont', 'US', 'vt'],
+  ['Virginia', 'US', 'va'], ['Washington', 'US', 'wa'], ['West Virginia', 'US', 'wv'], ['Wisconsin', 'US', 'wi'],
+  ['Wyoming', 'US', 'wy'],
+  ['Alberta', 'CA', 'ab'], ['British Columbia', 'CA', 'bc'], ['Manitoba', 'CA', 'mb'], ['New Brunswick', 'CA', 'nb'],
+  ['Newfoundland and Labrador', 'CA', 'nl'], ['Nova Scotia', 'CA', 'ns'], ['Ontario', 'CA', 'on'],
+  ['Prince Edward Island', 'CA', 'pe'], ['Quebec', 'CA', 'qc'], ['Saskatchewan', 'CA', 'sk'],
+  ['England', 'GB'], ['Scotland', 'GB'], ['Wales', 'GB'], ['Northern Ireland', 'GB'],
+  ['New South Wales', 'AU', 'nsw'], ['Victoria', 'AU', 'vic'], ['Queensland', 'AU', 'qld'],
+  ['Western Australia', 'AU', 'wa'], ['Bavaria', 'DE', 'bayern'], ['Berlin', 'DE'], ['Catalonia', 'ES', 'cataluna'],
+  ['Ile-de-France', 'FR', 'ile de france'], ['Karnataka', 'IN'], ['Maharashtra', 'IN'], ['Telangana', 'IN']
+];
+
+// [city, region, country, lat, lon, ...aliases]; larger cities first so an
+// ambiguous name without a region resolves to the better-known place
+const CITIES = [
+  ['New York', 'New York', 'US', 40.7128, -74.006, 'nyc', 'new york city', 'manhattan', 'brooklyn'],
+  ['Los Angeles', 'California', 'US', 34.0522, -118.2437, 'la', 'l a'],
+  ['Chicago', 'Illinois', 'US', 41.8781, -87.6298],
+  ['Houston', 'Texas', 'US', 29.7604, -95.3698],
+  ['Phoenix', 'Arizona', 'US', 33.4484, -112.074],
+  ['Philadelphia', 'Pennsylvania', 'US', 39.9526, -75.1652, 'philly'],
+  ['San Antonio', 'Texas', 'US', 29.4241, -98.4936],
+  ['San Diego', 'California', 'US', 32.7157, -117.1611],
+  ['Dallas', 'Texas', 'US', 32.7767, -96.797, 'dallas fort worth', 'dfw'],
+  ['Austin', 'Texas', 'US', 30.2672, -97.7431],
+  ['San Jose', 'California', 'US', 37.3382, -121.8863, 'silicon valley'],
+  ['San Francisco', 'California', 'US', 37.7749, -122.4194, 'sf', 'san francisco bay', 'bay area', 'sf bay'],
+  ['Oakland', 'California', 'US', 37.8044, -122.2712],
+  ['Palo Alto', 'California', 'US', 37.4419, -122.143],
+  ['Mountain View', 'California', 'US', 37.3861, -122.0839],
+  ['Seattle', 'Washington', 'US', 47.6062, -122.3321],
+  ['Bellevue', 'Washington', 'US', 47.6101, -122.2015],
+  ['Redmond', 'Washington', 'US', 47.674, -122.1215],
+  ['Portland', 'Oregon', 'US', 45.5152, -122.6784],
+  ['Denver', 'Colorado', 'US', 39.7392, -104.9903],
+  ['Boulder', 'Colorado', 'US', 40.015, -105.2705],
+  ['Salt Lake City', 'Utah', 'US', 40.7608, -111.891, 'slc'],
+  ['Las Vegas', 'Nevada', 'US', 36.1699, -115.1398],
+  ['Boston', 'Massachusetts', 'US', 42.3601, -71.0589],
+  ['Cambridge', 'Massachusetts', 'US', 42.3736, -71.1097],
+  ['Washington', 'District of Columbia', 'US', 38.9072, -77.0369, 'washington dc', 'washington d c', 'dc', 'd c', 'dmv'],
+  ['Baltimore', 'Maryland', 'US', 39.2904, -76.6122],
+  ['Atlanta', 'Georgia', 'US', 33.749, -84.388],
+  ['Miami', 'Florida', 'US', 25.7617, -80.1918, 'miami fort lauderdale', 'south florida'],
+  ['Orlando', 'Florida', 'US', 28.5383, -81.3792],
+  ['Tampa', 'Florida', 'US', 27.9506, -82.4572, 'tampa bay'],
+  ['Charlotte', 'North Carolina', 'US', 35.2271, -80.8431],
+  ['Raleigh', 'North Carolina', 'US', 35.7796, -78.6382, 'raleigh durham', 'research triangle'],
+  ['Nashville', 'Tennessee', 'US', 36.1627, -86.7816],
+  ['Minneapolis', 'Minnesota', 'US', 44.9778, -93.265, 'minneapolis st paul', 'twin cities'],
+  ['Detroit', 'Michigan', 'US', 42.3314, -83.0458],
+  ['Pittsburgh', 'Pennsylvania', 'US', 40.4406, -79.9959],
+  ['Columbus', 'Ohio', 'US', 39.9612, -82.9988],
+  ['Cleveland', 'Ohio', 'US', 41.4993, -81.6944],
+  ['Cincinnati', 'Ohio', 'US', 39.1031, -84.512],
+  ['Indianapolis', 'Indiana', 'US', 39.7684, -86.1581],
+  ['St. Louis', 'Missouri', 'US', 38.627, -90.1994, 'st louis', 'saint louis'],
+  ['Kansas City', 'Missouri', 'US', 39.0997, -94.5786],
+  ['New Orleans', 'Louisiana', 'US', 29.9511, -90.0715],
+  ['Sacramento', 'California', 'US', 38.5816, -121.4944],
+  ['Irvine', 'California', 'US', 33.6846, -117.8265, 'orange county'],
+  ['Toronto', 'Ontario', 'CA', 43.6532, -79.3832, 'gta'],
+  ['Vancouver', 'British Columbia', 'CA', 49.2827, -123.1207],
+  ['Montreal', 'Quebec', 'CA', 45.5017, -73.5673],
+  ['Ottawa', 'Ontario', 'CA', 45.4215, -75.6972],
+  ['Calgary', 'Alberta', 'CA', 51.0447, -114.0719],
+  ['Waterloo', 'Ontario', 'CA', 43.4643, -80.5204, 'kitchener waterloo'],
+  ['Mexico City', null, 'MX', 19.4326, -99.1332, 'cdmx', 'ciudad de mexico'],
+  ['Sao Paulo', null, 'BR', -23.5505, -46.6333],
+  ['Rio de Janeiro', null, 'BR', -22.9068, -43.1729],
+  ['Buenos Aires', null, 'AR', -34.6037, -58.3816],
+  ['Santiago', null, 'CL', -33.4489, -70.6693],
+  ['Bogota', null, 'CO', 4.711, -74.0721],
+  ['Lima', null, 'PE', -12.0464, -77.0428],
+  ['London', 'England', 'GB', 51.5074, -0.1278],
+  ['Manchester', 'England', 'GB', 53.4808, -2.2426],
+  ['Cambridge', 'England', 'GB', 52.2053, 0.1218],
+  ['Oxford', 'England', 'GB', 51.752, -1.2577],
+  ['Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883],
+  ['Dublin', null, 'IE', 53.3498, -6.2603],
+  ['Paris', 'Ile-de-France', 'FR', 48.8566, 2.3522],
+  ['Lyon', null, 'FR', 45.764, 4.8357],
+  ['Berlin', 'Berlin', 'DE', 52.52, 13.405],
+  ['Munich', 'Bavaria', 'DE', 48.1351, 11.582, 'munchen', 'muenchen'],
+  ['Hamburg', null, 'DE', 53.5511, 9.9937],
+  ['Frankfurt', null, 'DE', 50.1109, 8.6821, 'frankfurt am main'],
+  ['Amsterdam', null, 'NL', 52.3676, 4.9041],
+  ['Rotterdam', null, 'NL', 51.9244, 4.4777],
+  ['Brussels', null, 'BE', 50.8503, 4.3517, 'bruxelles'],
+  ['Zurich', null, 'CH', 47.3769, 8.5417, 'zuerich'],
+  ['Geneva', null, 'CH', 46.2044, 6.1432, 'geneve'],
+  ['Vienna', null, 'AT', 48.2082, 16.3738, 'wien'],
+  ['Madrid', null, 'ES', 40.4168, -3.7038],
+  ['Barcelona', 'Catalonia', 'ES', 41.3851, 2.1734],
+  ['Lisbon', null, 'PT', 38.7223, -9.1393, 'lisboa'],
+  ['Milan', null, 'IT', 45.4642, 9.19, 'milano'],
+  ['Rome', null, 'IT', 41.9028, 12.4964, 'roma'],
+  ['Stockholm', null, 'SE', 59.3293, 18.0686],
+  ['Oslo', null, 'NO', 59.9139, 10.7522],
+  ['Copenhagen', null, 'DK', 55.6761, 12.5683, 'kobenhavn'],
+  ['Helsinki', null, 'FI', 60.1699, 24.9384],
+  ['Warsaw', null, 'PL', 52.2297, 21.0122, 'warszawa'],
+  ['Krakow', null, 'PL', 50.0647, 19.945],
+  ['Prague', null, 'CZ', 50.0755, 14.4378, 'praha'],
+  ['Budapest', null, 'HU', 47.4979, 19.0402],
+  ['Bucharest', null, 'RO', 44.4268, 26.1025],
+  ['Athens', null, 'GR', 37.9838, 23.7275],
+  ['Kyiv', null, 'UA', 50.4501, 30.5234, 'kiev'],
+  ['Tallinn', null, 'EE', 59.437, 24.7536],
+  ['Istanbul', null, 'TR', 41.0082, 28.9784],
+  ['Tel Aviv', null, 'IL', 32.0853, 34.7818, 'tel aviv yafo'],
+  ['Dubai', null, 'AE', 25.2048, 55.2708],
+  ['Riyadh', null, 'SA', 24.7136, 46.6753],
+  ['Cairo', null, 'EG', 30.0444, 31.2357],
+  ['Lagos', null, 'NG', 6.5244, 3.3792],
+  ['Nairobi', null, 'KE', -1.2921, 36.8219],
+  ['Cape Town', null, 'ZA', -33.9249, 18.4241],
+  ['Johannesburg', null, 'ZA', -26.2041, 28.0473],
+  ['Bengaluru', 'Karnataka', 'IN', 12.9716, 77.5946, 'bangalore'],
+  ['Mumbai', 'Maharashtra', 'IN', 19.076, 72.8777, 'bombay'],
+  ['Pune', 'Maharashtra', 'IN', 18.5204, 73.8567],
+  ['Hyderabad', 'Telangana', 'IN', 17.385, 78.4867],
+  ['New Delhi', null, 'IN', 28.6139, 77.209, 'delhi', 'delhi ncr', 'gurgaon', 'gurugram', 'noida'],
+  ['Chennai', null, 'IN', 13.0827, 80.2707, 'madras'],
+  ['Karachi', null, 'PK', 24.8607, 67.0011],
+  ['Singapore', null, 'SG', 1.3521, 103.8198],
+  ['Kuala Lumpur', null, 'MY', 3.139, 101.6869],
+  ['Jakarta', null, 'ID', -6.2088, 106.8456],
+  ['Manila', null, 'PH', 14.5995, 120.9842, 'metro manila'],
+  ['Bangkok', null, 'TH', 13.7563, 100.5018],
+  ['Ho Chi Minh City', null, 'VN', 10.8231, 106.6297, 'saigon'],
+  ['Beijing', null, 'CN', 39.9042, 116.4074],
+  ['Shanghai', null, 'CN', 31.2304, 121.4737],
+  ['Shenzhen', null, 'CN', 22.5431, 114.0579],
+  ['Hong Kong', null, 'HK', 22.3193, 114.1694],
+  ['Taipei', null, 'TW', 25.033, 121.5654],
+  ['Tokyo', null, 'JP', 35.6762, 139.6503],
+  ['Osaka', null, 'JP', 34.6937, 135.5023],
+  ['Seoul', null, 'KR', 37.5665, 126.978],
+  ['Sydney', 'New South Wales', 'AU', -33.8688, 151.2093],
+  ['Melbourne', 'Victoria', 'AU', -37.8136, 144.9631],
+  ['Brisbane', 'Queensland', 'AU', -27.4698, 153.0251],
+  ['Perth', 'Western Australia', 'AU', -31.9505, 115.8605],
+  ['Auckland', null, 'NZ', -36.8485, 174.7633],
+  ['Wellington', null, 'NZ', -41.2865, 174.7762]
+];
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// "Greater Seattle Area" -> "seattle", "São Paulo" -> "sao paulo"
+const normalizePlace = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[.'\u2019]/g, '')
+  .replace(/[^a-z0-9\s-]/g, ' ')
+  .replace(/-/g, ' ')
+  .replace(/\b(greater|metropolitan|metro|area|region|city of)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const buildIndex = (entries, keysOf) => {
+  const index = new Map();
+  entries.forEach(entry => keysOf(entry).forEach(key => {
+    const normalized = normalizePlace(key);
+    if (!index.has(normalized)) index.set(normalized, []);
+    index.get(normalized).push(entry);
+  }));
+  return index;
+};
+
+const countryIndex = buildIndex(Object.keys(COUNTRIES), code => [code, ...COUNTRIES[code]]);
+const regionIndex = buildIndex(REGIONS, ([name, , ...aliases]) => [name, ...aliases]);
+const cityIndex = buildIndex(CITIES, ([name, , , , , ...aliases]) => [name, ...aliases]);
+
+const countryName = (code) => COUNTRIES[code][0];
+
+const cityResult = ([city, region, country, lat, lon]) =>
+  ({ city, region, country: countryName(country), lat, lon });
+
+// Resolve a location string to { city, region, country, lat, lon }; fields
+// the text does not pin down are null. Returns null when nothing matches.
+const resolveLocation = (text) => {
+  const parts = (text || '').split(/,|\s+[-–|]\s+/).map(normalizePlace).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  // Country and region named after the first part narrow everything else
+  const rest = parts.slice(1);
+  const countryCode = rest.map(part => (countryIndex.get(part) || [])[0]).find(Boolean) || null;
+  const regions = rest.flatMap(part => regionIndex.get(part) || [])
+    .filter(([, country]) => !countryCode || country === countryCode);
+
+  const whole = normalizePlace(text);
+  const cities = (cityIndex.get(parts[0]) || cityIndex.get(whole) || [])
+    .filter(([, region, country]) =>
+      (!countryCode || country === countryCode) &&
+      (regions.length === 0 || regions.some(([name]) => name === region) || !region)
+    );
+  if (cities.length > 0) return cityResult(cities[0]);
+
+  // No known city: the most specific region or country mentioned
+  const region = [...(regionIndex.get(parts[0]) || []), ...regions]
+    .find(([, country]) => !countryCode || country === countryCode);
+  if (region) {
+    return { city: null, region: region[0], country: countryName(region[1]), lat: null, lon: null };
+  }
+
+  const country = countryCode || [parts[0], whole].map(part => (countryIndex.get(part) || [])[0]).find(Boolean);
+  if (country) {
+    return { city: null, region: null, country: countryName(country), lat: null, lon: null };
+  }
+
+  return null;
+};
+
+// Great-circle distance in miles
+const distanceMiles = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+// Lat/lon box around a point that contains the `miles` radius (used to
+// narrow candidates before the exact distance check)
+const boundingBox = (lat, lon, miles) => {
+  const latDelta = miles / 69.0;
+  const lonDelta = miles / Math.max(69.0 * Math.cos(lat * Math.PI / 180), 0.01);
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLon: lon - lonDelta,
+    maxLon: lon + lonDelta
+  };
+};
+
+module.exports = {
+  resolveLocation,
+  distanceMiles,
+  boundingBox,
+  normalizePlace,
+  EARTH_RADIUS_MILES
+};
@@ -0,0 +1,436 @@
+const db = require('./db');
+const { LinkedInDataProcessor } = require('./linkedinProcessor');
+const { embedConnections } = require('./vectorStore');
+const { linkConnectionCompanies } = require('./companies');
+const { parseConnectionTitles } = require('./titleParser');
+const { geocodeConnections } = require('./locations');
+
+// Pairs scoring at least this much are queued for review
+const MERGE_THRESHOLD = 0.85;
+// Upper bound on pending suggestions per user, highest scores first
+const MAX_CANDIDATES = 500;
+
+// Common English given-name variants; every name in a group matches the others
+const NICKNAME_GROUPS = [
+  ['robert', 'bob', 'bobby', 'rob', 'robbie', 'bert'],
+  ['william', 'bill', 'billy', 'will', 'willy', 'liam'],
+  ['richard', 'rick', 'ricky', 'rich', 'dick'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['john', 'jack', 'johnny', 'jon'],
+  ['jonathan', 'jon', 'jonny', 'nathan'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['christopher', 'chris', 'kit', 'topher'],
+  ['christine', 'chris', 'chrissy', 'tina', 'christina'],
+  ['thomas', 'tom', 'tommy'],
+  ['joseph', 'joe', 'joey'],
+  ['charles', 'charlie', 'chuck', 'chas'],
+  ['daniel', 'dan', 'danny'],
+  ['matthew', 'matt', 'matty'],
+  ['anthony', 'tony'],
+  ['andrew', 'andy', 'drew'],
+  ['steven', 'stephen', 'steve', 'stevie'],
+  ['edward', 'ed', 'eddie', 'ted', 'ned'],
+  ['benjamin', 'ben', 'benny', 'benji'],
+  ['samuel', 'sam', 'sammy'],
+  ['alexander', 'alex', 'al', 'xander', 'sasha'],
+  ['alexandra', 'alex', 'alexa', 'sandra', 'sasha'],
+  ['nicholas', 'nick', 'nicky', 'nico'],
+  ['patrick', 'pat', 'paddy'],
+  ['patricia', 'pat', 'patty', 'trish', 'tricia'],
+  ['peter', 'pete'],
+  ['timothy', 'tim', 'timmy'],
+  ['gregory', 'greg'],
+  ['jeffrey', 'geoffrey', 'jeff', 'geoff'],
+  ['kenneth', 'ken', 'kenny'],
+  ['ronald', 'ron', 'ronnie'],
+  ['donald', 'don', 'donnie'],
+  ['lawrence', 'laurence', 'larry'],
+  ['raymond', 'ray'],
+  ['frederick', 'fred', 'freddie'],
+  ['henry', 'hank', 'harry'],
+  ['harold', 'harry', 'hal'],
+  ['david', 'dave', 'davey'],
+  ['douglas', 'doug'],
+  ['gerald', 'gerry', 'jerry'],
+  ['zachary', 'zach', 'zack'],
+  ['elizabeth', 'liz', 'lizzie', 'beth', 'betty', 'eliza', 'libby'],
+  ['katherine', 'catherine', 'kathryn', 'kate', 'katie', 'kathy', 'cathy', 'kat'],
+  ['margaret', 'maggie', 'meg', 'peggy', 'marge'],
+  ['jennifer', 'jen', 'jenny'],
+  ['jessica', 'jess', 'jessie'],
+  ['rebecca', 'becky', 'becca'],
+  ['deborah', 'debra', 'deb', 'debbie'],
+  ['susan', 'sue', 'susie', 'suzanne'],
+  ['victoria', 'vicky', 'tori'],
+  ['abigail', 'abby', 'gail'],
+  ['samantha', 'sam', 'sammy'],
+  ['kimberly', 'kim'],
+  ['barbara', 'barb', 'babs'],
+  ['dorothy', 'dot', 'dottie'],
+  ['jacqueline', 'jackie'],
+  ['pamela', 'pam'],
+  ['cynthia', 'cindy'],
+  ['stephanie', 'steph'],
+  ['theodore', 'ted', 'teddy', 'theo'],
+  ['vincent', 'vince', 'vinny'],
+  ['leonard', 'leo', 'len', 'lenny']
+];
+
+const NICKNAMES = new Map();
+for (const group of NICKNAME_GROUPS) {
+  for (const name of group) {
+    if (!NICKNAMES.has(name)) NICKNAMES.set(name, new Set());
+    group.forEach(variant => NICKNAMES.get(name).add(variant));
+  }
+}
+
+const areNicknames = (a, b) => Boolean(NICKNAMES.get(a) && NICKNAMES.get(a).has(b));
+
+// Jaro-Winkler similarity (0..1), prefix bonus up to 4 characters
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Lowercase, strip accents and punctuation: "José-Luis" -> "jose luis"
+const normalizeName = (name) => (name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Legal-form suffixes and filler words ignored when comparing companies
+const COMPANY_NOISE = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'plc', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'pty', 'srl', 'oy', 'ab', 'the', 'group', 'holdings'
+]);
+
+// "The Google, LLC" -> "google"
+const normalizeCompany = (company) => (company || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !COMPANY_NOISE.has(word))
+  .join(' ');
+
+// Confidence that two connections are the same person, with the reasons.
+// Returns { score: 0 } when the names are too far apart to consider.
+const scorePair = (a, b) => {
+  const processor = new LinkedInDataProcessor();
+  const emailA = processor.normalizeEmailKey(a.email);
+  const emailB = processor.normalizeEmailKey(b.email);
+  const urlA = processor.normalizeProfileUrlKey(a.profile_url);
+  const urlB = processor.normalizeProfileUrlKey(b.profile_url);
+
+  if (emailA && emailA === emailB) return { score: 1, reasons: ['Same email address'] };
+  if (urlA && urlA === urlB) return { score: 1, reasons: ['Same LinkedIn profile'] };
+
+  const reasons = [];
+  const firstA = normalizeName(a.first_name);
+  const firstB = normalizeName(b.first_name);
+  const lastA = normalizeName(a.last_name);
+  const lastB = normalizeName(b.last_name);
+
+  let firstScore;
+  if (firstA === firstB) {
+    firstScore = 1;
+    reasons.push('Same first name');
+  } else if (areNicknames(firstA.split(' ')[0], firstB.split(' ')[0])) {
+    firstScore = 0.95;
+    reasons.push(`Nickname match (${a.first_name} / ${b.first_name})`);
+  } else {
+    firstScore = jaroWinkler(firstA, firstB);
+  }
+
+  const lastScore = jaroWinkler(lastA, lastB);
+  if (firstScore < 0.8 || lastScore < 0.85) return { score: 0, reasons: [] };
+
+  if (lastScore === 1) {
+    reasons.push('Same last name');
+  } else {
+    reasons.push(`Similar last name (${a.last_name} / ${b.last_name})`);
+  }
+  if (firstScore < 0.95) reasons.push(`Similar first name (${a.first_name} / ${b.first_name})`);
+
+  const companyA = normalizeCompany(a.company);
+  const companyB = normalizeCompany(b.company);
+  let companyScore;
+  if (!companyA || !companyB) {
+    companyScore = 0.6;
+  } else if (companyA === companyB) {
+    companyScore = 1;
+    reasons.push(`Same company (${a.company} / ${b.company})`);
+  } else if (jaroWinkler(companyA, companyB) >= 0.9) {
+    companyScore = 0.9;
+    reasons.push(`Similar company (${a.company} / ${b.company})`);
+  } else {
+    companyScore = 0.3;
+  }
+
+  let score = (0.45 * firstScore + 0.55 * lastScore) * 0.7 + companyScore * 0.3;
+
+  // Two different addresses is weak evidence of two people (many have several)
+  if (emailA && emailB) {
+    score -= 0.1;
+    reasons.push('Different email addresses');
+  }
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 1000) / 1000)), reasons };
+};
+
+// Candidate pairs among `connections`, highest score first. Only rows whose
+// last names start with the same letter are compared (blocking), which keeps
+// this well under n² for real networks.
+const findCandidatePairs = (connections, threshold = MERGE_THRESHOLD) => {
+  const blocks = new Map();
+  for (const connection of connections) {
+    const key = normalizeName(connection.last_name).charAt(0);
+    if (!key) continue;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(connection);
+  }
+
+  const pairs = [];
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const { score, reasons } = scorePair(block[i], block[j]);
+        if (score >= threshold) {
+          const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+          pairs.push({ connection_a_id: a.id, connection_b_id: b.id, score, reasons });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+// Rescan the user's connections and replace the pending suggestions.
+// Rejected pairs stay rejected. Returns the number of pending candidates.
+const refreshMergeCandidates = async (userId) => {
+  const connections = await db.query(
+    'SELECT id, first_name, last_name, email, company, profile_url FROM connections WHERE user_id = $1',
+    [userId]
+  );
+  const pairs = findCandidatePairs(connections.rows).slice(0, MAX_CANDIDATES);
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("DELETE FROM merge_candidates WHERE user_id = $1 AND status = 'pending'", [userId]);
+
+    if (pairs.length > 0) {
+      await client.query(`
+        INSERT INTO merge_candidates (user_id, connection_a_id, connection_b_id, score, reasons)
+        SELECT $1, * FROM UNNEST($2::int[], $3::int[], $4::numeric[], $5::jsonb[])
+        ON CONFLICT (user_id, connection_a_id, connection_b_id) DO NOTHING
+      `, [
+        userId,
+        pairs.map(pair => pair.connection_a_id),
+        pairs.map(pair => pair.connection_b_id),
+        pairs.map(pair => pair.score),
+        pairs.map(pair => JSON.stringify(pair.reasons))
+      ]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const count = await db.query(
+    "SELECT COUNT(*)::int AS count FROM merge_candidates WHERE user_id = $1 AND status = 'pending'",
+    [userId]
+  );
+  return count.rows[0].count;
+};
+
+const connectionJSON = (alias) => `json_build_object(
+  'id', ${alias}.id, 'first_name', ${alias}.first_name, 'last_name', ${alias}.last_name,
+  'email', ${alias}.email, 'company', ${alias}.company, 'position', ${alias}.position,
+  'profile_url', ${alias}.profile_url, 'connected_on', ${alias}.connected_on, 'sources', ${alias}.sources,
+  'location', ${alias}.location
+)`;
+
+const listMergeCandidates = async (userId, { status = 'pending', limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(`
+    SELECT m.id, m.score::float AS score, m.reasons, m.status, m.created_at, m.resolved_at,
+           ${connectionJSON('a')} AS connection_a,
+           ${connectionJSON('b')} AS connection_b
+    FROM merge_candidates m
+    JOIN connections a ON a.id = m.connection_a_id
+    JOIN connections b ON b.id = m.connection_b_id
+    WHERE m.user_id = $1 AND m.status = $2
+    ORDER BY m.score DESC, m.id
+    LIMIT $3 OFFSET $4
+  `, [userId, status, Math.min(limit, 100), offset]);
+  return result.rows;
+};
+
+const getMergeCandidate = async (userId, candidateId) => {
+  const result = await db.query(
+    'SELECT id, connection_a_id, connection_b_id, score::float AS score, reasons, status FROM merge_candidates WHERE id = $1 AND user_id = $2',
+    [candidateId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Merge the pair with mergeRecords into `keepId` (default: the older row) and
+// delete the other row; its other suggestions go with it. Returns the merged
+// connection, or null when the candidate is not pending.
+const approveMergeCandidate = async (userId, candidateId, keepId = null) => {
+  const processor = new LinkedInDataProcessor();
+  const client = await db.pool.connect();
+  let merged;
+
+  try {
+    await client.query('BEGIN');
+
+    const candidate = await client.query(`
+      SELECT connection_a_id, connection_b_id FROM merge_candidates
+      WHERE id = $1 AND user_id = $2 AND status = 'pending'
+      FOR UPDATE
+    `, [candidateId, userId]);
+    if (candidate.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { connection_a_id: aId, connection_b_id: bId } = candidate.rows[0];
+    const survivorId = keepId === bId ? bId : aId;
+    const removedId = survivorId === aId ? bId : aId;
+
+    const rows = await client.query(
+      'SELECT * FROM connections WHERE user_id = $1 AND id = ANY($2::int[]) FOR UPDATE',
+      [userId, [aId, bId]]
+    );
+    const survivor = rows.rows.find(row => row.id === survivorId);
+    const removed = rows.rows.find(row => row.id === removedId);
+    const fields = processor.mergeRecords(survivor, removed);
+
+    // The survivor inherits the other row's tags and list memberships
+    await client.query(`
+      INSERT INTO connection_tags (connection_id, tag_id)
+      SELECT $1, tag_id FROM connection_tags WHERE connection_id = $2
+      ON CONFLICT DO NOTHING
+    `, [survivorId, removedId]);
+    await client.query(`
+      INSERT INTO list_members (list_id, connection_id, added_at)
+      SELECT list_id, $1, added_at FROM list_members WHERE connection_id = $2
+      ON CONFLICT DO NOTHING
+    `, [survivorId, removedId]);
+
+    // Delete first so the survivor can take over its email or profile URL
+    await client.query('DELETE FROM connections WHERE id = $1 AND user_id = $2', [removedId, userId]);
+
+    const updated = await client.query(`
+      UPDATE connections
+      SET first_name = $3, last_name = $4, email = $5, company = $6, position = $7, profile_url = $8,
+          connected_on = $9,
+          last_message_at = GREATEST(last_message_at, $10),
+          message_count = GREATEST(message_count, $11),
+          last_invitation_at = GREATEST(last_invitation_at, $12),
+          last_interaction_at = GREATEST(last_interaction_at, $13),
+          sources = ARRAY(SELECT DISTINCT UNNEST(sources || $14::text[])),
+          -- The survivor's location wins; the other row's fills a blank one
+          location_source = CASE WHEN location IS NULL THEN $16 ELSE location_source END,
+          location = COALESCE(location, $15),
+          manual_fields = $17,
+          notes = NULLIF(CONCAT_WS(E'\n\n', NULLIF(notes, ''), NULLIF($18, '')), ''),
+          updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, first_name, last_name, email, company, position, profile_url, connected_on, sources
+    `, [survivorId, userId, fields.first_name, fields.last_name, fields.email, fields.company,
+        fields.position, fields.profile_url, fields.connected_on, removed.last_message_at,
+        removed.message_count, removed.last_invitation_at, removed.last_interaction_at, removed.sources,
+        removed.location, removed.location_source, fields.manual_fields || [], removed.notes]);
+    await linkConnectionCompanies(client, userId, [survivorId]);
+    await parseConnectionTitles(client, userId, [survivorId]);
+    await geocodeConnections(client, userId, [survivorId]);
+
+    await client.query('COMMIT');
+    merged = updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Embedding failures must not fail the merge; search backfills missing vectors
+  try {
+    await embedConnections(userId, [merged]);
+  } catch (error) {
+    console.error('Embedding error:', error);
+  }
+
+  return merged;
+};
+
+// Keep both rows; the pair is not suggested again
+const rejectMergeCandidate = async (userId, candidateId) => {
+  const result = await db.query(`
+    UPDATE merge_candidates SET status = 'rejected', resolved_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND status = 'pending'
+    RETURNING id, status, resolved_at
+  `, [candidateId, userId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  jaroWinkler,
+  areNicknames,
+  normalizeName,
+  normalizeCompany,
+  scorePair,
+  findCandidatePairs,
+  refreshMergeCandidates,
+  listMergeCandidates,
+  getMergeCandidate,
+  approveMergeCandidate,
+  rejectMergeCandidate,
+  MERGE_THRESHOLD
+};
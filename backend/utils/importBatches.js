@@ -0,0 +1,211 @@
+const db = require('./db');
+const { embedConnections } = require('./vectorStore');
+const { linkConnectionCompanies } = require('./companies');
+const { parseConnectionTitles } = require('./titleParser');
+const { geocodeConnections } = require('./locations');
+
+// Columns an import merge can overwrite (see LinkedInDataProcessor.processBatch)
+const BEFORE_IMAGE_SQL = `jsonb_build_object(
+  'company', c.company, 'position', c.position, 'email', c.email,
+  'profile_url', c.profile_url, 'connected_on', c.connected_on, 'imported_at', c.imported_at,
+  'last_message_at', c.last_message_at, 'message_count', c.message_count,
+  'last_invitation_at', c.last_invitation_at, 'last_interaction_at', c.last_interaction_at,
+  'sources', c.sources, 'location', c.location, 'location_source', c.location_source
+)`;
+
+const BATCH_COLUMNS = `b.batch_id, b.source, b.status, b.inserted_count, b.updated_count, b.duplicate_count,
+  b.created_at, b.rolled_back_at, j.id AS job_id, j.status AS job_status,
+  (SELECT COUNT(*)::int FROM connections c WHERE c.user_id = b.user_id AND c.batch_id = b.batch_id) AS remaining_count`;
+
+// API representation of a batch row
+const formatBatch = (row) => ({
+  batch_id: row.batch_id,
+  source: row.source,
+  status: row.status,
+  job_id: row.job_id || null,
+  counts: {
+    inserted: row.inserted_count,
+    updated: row.updated_count,
+    duplicates: row.duplicate_count,
+    // Inserted rows still carrying the batch id (others were deleted since)
+    remaining: row.remaining_count
+  },
+  // Still importing, or already undone
+  can_rollback: row.status === 'active' && !['queued', 'processing'].includes(row.job_status),
+  created_at: row.created_at,
+  rolled_back_at: row.rolled_back_at
+});
+
+// Register the batch inside the caller's transaction (no-op when it exists,
+// e.g. for the later chunks of an import job)
+const openImportBatch = async (client, userId, batchId, source = 'csv') => {
+  await client.query(`
+    INSERT INTO import_batches (batch_id, user_id, source)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (batch_id) DO NOTHING
+  `, [batchId, userId, source]);
+};
+
+const addImportBatchCounts = async (client, batchId, { inserted = 0, updated = 0, duplicates = 0 }) => {
+  await client.query(`
+    UPDATE import_batches
+    SET inserted_count = inserted_count + $2, updated_count = updated_count + $3,
+        duplicate_count = duplicate_count + $4, updated_at = NOW()
+    WHERE batch_id = $1
+  `, [batchId, inserted, updated, duplicates]);
+};
+
+// Snapshot connections the batch is about to merge into. The first snapshot
+// per batch wins, so it always holds the values from before the batch; rows
+// the batch inserted itself need none (rollback deletes them).
+const saveBeforeImages = async (client, userId, batchId, connectionIds) => {
+  if (connectionIds.length === 0) return;
+
+  await client.query(`
+    INSERT INTO import_batch_changes (batch_id, user_id, connection_id, before)
+    SELECT $1::text, c.user_id, c.id, ${BEFORE_IMAGE_SQL}
+    FROM connections c
+    WHERE c.user_id = $2 AND c.id = ANY($3::int[]) AND c.batch_id IS DISTINCT FROM $1::text
+    ON CONFLICT (batch_id, connection_id) DO NOTHING
+  `, [batchId, userId, connectionIds]);
+};
+
+const listImportBatches = async (userId, limit = 20) => {
+  const result = await db.query(`
+    SELECT ${BATCH_COLUMNS}
+    FROM import_batches b
+    LEFT JOIN import_jobs j ON j.batch_id = b.batch_id AND j.user_id = b.user_id
+    WHERE b.user_id = $1
+    ORDER BY b.created_at DESC
+    LIMIT $2
+  `, [userId, Math.min(limit, 100)]);
+  return result.rows;
+};
+
+const getImportBatch = async (userId, batchId) => {
+  const result = await db.query(`
+    SELECT ${BATCH_COLUMNS}
+    FROM import_batches b
+    LEFT JOIN import_jobs j ON j.batch_id = b.batch_id AND j.user_id = b.user_id
+    WHERE b.user_id = $1 AND b.batch_id = $2
+  `, [userId, batchId]);
+  return result.rows[0] || null;
+};
+
+// Inserted rows the user has worked on since: notes, tags, list membership or
+// hand-edited fields. Rollback keeps these instead of deleting them.
+const EDITED_SQL = `(
+  COALESCE(c.notes, '') <> '' OR CARDINALITY(c.manual_fields) > 0
+  OR EXISTS (SELECT 1 FROM connection_tags t WHERE t.connection_id = c.id)
+  OR EXISTS (SELECT 1 FROM list_members m WHERE m.connection_id = c.id)
+)`;
+
+// Undo a batch in one transaction: restore the before-images of merged rows,
+// then delete the rows it inserted, except those edited by hand since. A later
+// import that merged into the same connections has to be undone first, or its
+// before-images would put this batch's values back. Callers check
+// `can_rollback` first.
+const rollbackImportBatch = async (userId, batchId) => {
+  const client = await db.pool.connect();
+  let restored;
+  let deleted;
+  let kept;
+
+  try {
+    await client.query('BEGIN');
+
+    const claimed = await client.query(`
+      UPDATE import_batches SET status = 'rolled_back', rolled_back_at = NOW(), updated_at = NOW()
+      WHERE batch_id = $1 AND user_id = $2 AND status = 'active'
+    `, [batchId, userId]);
+    if (claimed.rowCount === 0) {
+      throw new Error('Import batch has already been rolled back');
+    }
+
+    const later = await client.query(`
+      SELECT DISTINCT l.batch_id
+      FROM import_batch_changes ch
+      JOIN import_batches l ON l.batch_id = ch.batch_id
+      JOIN import_batches b ON b.batch_id = $1
+      WHERE l.user_id = $2 AND l.status = 'active' AND l.batch_id <> $1 AND l.created_at > b.created_at
+        AND ch.connection_id IN (
+          SELECT id FROM connections WHERE user_id = $2 AND batch_id = $1
+          UNION
+          SELECT connection_id FROM import_batch_changes WHERE batch_id = $1
+        )
+    `, [batchId, userId]);
+    if (later.rows.length > 0) {
+      throw new Error('Import batch cannot be rolled back before the later imports that changed the same connections');
+    }
+
+    restored = await client.query(`
+      UPDATE connections c
+      -- Fields edited by hand since the import keep the user's value
+      SET company = CASE WHEN 'company' = ANY(c.manual_fields) THEN c.company ELSE b.before->>'company' END,
+          position = CASE WHEN 'position' = ANY(c.manual_fields) THEN c.position ELSE b.before->>'position' END,
+          email = CASE WHEN 'email' = ANY(c.manual_fields) THEN c.email ELSE b.before->>'email' END,
+          profile_url = CASE WHEN 'profile_url' = ANY(c.manual_fields) THEN c.profile_url ELSE b.before->>'profile_url' END,
+          connected_on = (b.before->>'connected_on')::timestamp,
+          imported_at = (b.before->>'imported_at')::timestamp,
+          last_message_at = (b.before->>'last_message_at')::timestamp,
+          message_count = COALESCE((b.before->>'message_count')::int, 0),
+          last_invitation_at = (b.before->>'last_invitation_at')::timestamp,
+          last_interaction_at = (b.before->>'last_interaction_at')::timestamp,
+          sources = ARRAY(SELECT jsonb_array_elements_text(b.before->'sources')),
+          -- Before-images saved before migration 017 carry no location
+          location = CASE WHEN b.before ? 'location' AND c.location_source IS DISTINCT FROM 'manual'
+            THEN b.before->>'location' ELSE c.location END,
+          location_source = CASE WHEN b.before ? 'location' AND c.location_source IS DISTINCT FROM 'manual'
+            THEN b.before->>'location_source' ELSE c.location_source END
+      FROM import_batch_changes b
+      WHERE b.batch_id = $1 AND b.user_id = $2 AND c.id = b.connection_id AND c.user_id = $2
+      RETURNING c.id, c.position, c.company
+    `, [batchId, userId]);
+
+    await linkConnectionCompanies(client, userId, restored.rows.map(row => row.id));
+    await parseConnectionTitles(client, userId, restored.rows.map(row => row.id));
+    await geocodeConnections(client, userId, restored.rows.map(row => row.id));
+
+    deleted = await client.query(
+      `DELETE FROM connections c WHERE c.user_id = $1 AND c.batch_id = $2 AND NOT ${EDITED_SQL}`,
+      [userId, batchId]
+    );
+    kept = await client.query(
+      'SELECT COUNT(*)::int AS count FROM connections WHERE user_id = $1 AND batch_id = $2',
+      [userId, batchId]
+    );
+
+    // Before-images are only needed while the batch can be undone
+    await client.query('DELETE FROM import_batch_changes WHERE batch_id = $1', [batchId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // A restored email or profile URL now belongs to another connection
+    if (error.code === '23505') {
+      throw new Error('Import batch conflicts with later changes and cannot be rolled back');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Embedding failures must not fail the rollback; search backfills missing vectors
+  try {
+    await embedConnections(userId, restored.rows);
+  } catch (error) {
+    console.error('Embedding error:', error);
+  }
+
+  return { restored: restored.rowCount, deleted: deleted.rowCount, kept: kept.rows[0].count };
+};
+
+module.exports = {
+  openImportBatch,
+  addImportBatchCounts,
+  saveBeforeImages,
+  listImportBatches,
+  getImportBatch,
+  rollbackImportBatch,
+  formatBatch
+};
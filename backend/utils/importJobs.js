@@ -0,0 +1,289 @@
+const db = require('./db');
+const { LinkedInDataProcessor } = require('./linkedinProcessor');
+const { refreshMergeCandidates } = require('./identityResolution');
+const { isEmailVerified } = require('./emailVerification');
+const { parseContacts } = require('./contactSources');
+const { parseLinkedInArchive, saveUserPositions } = require('./linkedinArchive');
+
+// Records processed between progress updates
+const IMPORT_CHUNK_SIZE = 500;
+// Errors kept on the job row; the counters still cover all of them
+const MAX_STORED_ERRORS = 100;
+// A lease older than the Lambda maximum runtime belongs to a dead worker
+const LEASE_TIMEOUT = '15 minutes';
+
+// Compact error entry (no full record copies on the job row)
+const toJobError = (stage, error) => {
+  const entry = { stage, error: error.error };
+  if (error.row) entry.row = error.row;
+  if (error.batch) entry.batch = error.batch;
+  if (error.record) entry.name = `${error.record.first_name || ''} ${error.record.last_name || ''}`.trim();
+  return entry;
+};
+
+// API representation of a job row
+const formatJob = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  status: row.status,
+  source: row.source,
+  batch_id: row.batch_id,
+  total_records: row.total_records,
+  processed_records: row.processed_records,
+  progress: row.total_records > 0
+    ? Math.floor((row.processed_records / row.total_records) * 100)
+    : (row.status === 'completed' ? 100 : 0),
+  counts: {
+    inserted: row.inserted_count,
+    updated: row.updated_count,
+    duplicates: row.duplicate_count,
+    parse_errors: row.parse_error_count,
+    errors: row.error_count,
+    failed: row.failed_records
+  },
+  errors: row.errors || [],
+  result: row.result || null,
+  error_message: row.error_message,
+  created_at: row.created_at,
+  started_at: row.started_at,
+  completed_at: row.completed_at
+});
+
+const JOB_COLUMNS = `id, kind, status, source, batch_id, total_records, processed_records, inserted_count,
+  updated_count, duplicate_count, parse_error_count, error_count, failed_records, errors, result, error_message,
+  created_at, started_at, completed_at`;
+
+// Queue an uploaded file ({ csv_data | vcard_data | archive_data, source })
+// for the worker, which parses it on its first run
+const createImportJob = async (userId, upload) => {
+  const processor = new LinkedInDataProcessor();
+
+  const result = await db.query(`
+    INSERT INTO import_jobs (user_id, source, batch_id, upload)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${JOB_COLUMNS}
+  `, [userId, upload.archive_data ? 'linkedin-archive' : 'csv', processor.createBatchId(), JSON.stringify(upload)]);
+
+  return result.rows[0];
+};
+
+// Queue a rescan of the user's connections for likely duplicates
+// (identityResolution.refreshMergeCandidates). A scan still waiting or running
+// is returned instead of queueing a second one.
+const createMergeScanJob = async (userId) => {
+  const running = await db.query(`
+    SELECT ${JOB_COLUMNS} FROM import_jobs
+    WHERE user_id = $1 AND kind = 'merge_scan' AND status IN ('queued', 'processing')
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [userId]);
+  if (running.rows[0]) return { job: running.rows[0], created: false };
+
+  const result = await db.query(`
+    INSERT INTO import_jobs (user_id, kind, source)
+    VALUES ($1, 'merge_scan', 'merge_scan')
+    RETURNING ${JOB_COLUMNS}
+  `, [userId]);
+  return { job: result.rows[0], created: true };
+};
+
+const getImportJob = async (userId, jobId) => {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = $1 AND user_id = $2`,
+    [jobId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const listImportJobs = async (userId, limit = 20) => {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE user_id = $1 AND kind = 'import' ORDER BY created_at DESC LIMIT $2`,
+    [userId, Math.min(limit, 100)]
+  );
+  return result.rows;
+};
+
+// Take the worker lease; null when the job is finished or another worker holds it
+const claimImportJob = async (jobId) => {
+  const result = await db.query(`
+    UPDATE import_jobs
+    SET status = 'processing', locked_at = NOW(), started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+    WHERE id = $1 AND status IN ('queued', 'processing')
+      AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL '${LEASE_TIMEOUT}')
+    RETURNING user_id, records, upload, ${JOB_COLUMNS}
+  `, [jobId]);
+  return result.rows[0] || null;
+};
+
+const failImportJob = async (jobId, error) => {
+  console.error(`Import job ${jobId} failed:`, error);
+  await db.query(`
+    UPDATE import_jobs
+    SET status = 'failed', error_message = $2, locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+    WHERE id = $1
+  `, [jobId, error.message]);
+  return 'failed';
+};
+
+// Turn the job's uploaded file into records and store them in its place.
+// Throws when the file cannot be read or holds no usable record; parse errors
+// are kept on the job either way.
+const parseJobUpload = async (job) => {
+  const { csv_data, vcard_data, archive_data, source } = job.upload;
+  let parsed;
+  let archive = null;
+
+  if (archive_data) {
+    archive = await parseLinkedInArchive(Buffer.from(archive_data, 'base64'));
+    parsed = { records: archive.records, errors: archive.errors, jobSource: 'linkedin-archive' };
+  } else {
+    // Detect the export format and parse it with the matching source adapter
+    parsed = await parseContacts(csv_data || vcard_data, { source: source || (vcard_data ? 'vcard' : undefined) });
+  }
+
+  const errors = parsed.errors.slice(0, MAX_STORED_ERRORS).map(error => toJobError('parse', error));
+  const result = archive ? { archive_files: archive.files, positions: archive.positions.length } : null;
+
+  await db.query(`
+    UPDATE import_jobs
+    SET records = $2, total_records = $3, parse_error_count = $4, errors = $5, source = $6, result = $7,
+        upload = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [job.id, JSON.stringify(parsed.records), parsed.records.length, parsed.errors.length,
+      JSON.stringify(errors), parsed.jobSource, JSON.stringify(result)]);
+
+  if (parsed.records.length === 0) {
+    throw new Error('No valid records found in the uploaded file');
+  }
+
+  // The user's own work history from Positions.csv
+  if (archive && archive.positions.length > 0) {
+    await saveUserPositions(job.user_id, archive.positions);
+  }
+
+  return { ...job, records: parsed.records, errors, source: parsed.jobSource };
+};
+
+// A duplicate scan runs in one go; it finishes well within one invocation
+const runMergeScanJob = async (job) => {
+  try {
+    const pending = await refreshMergeCandidates(job.user_id);
+    await db.query(`
+      UPDATE import_jobs
+      SET status = 'completed', result = $2, locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, JSON.stringify({ pending })]);
+    return 'completed';
+  } catch (error) {
+    return failImportJob(job.id, error);
+  }
+};
+
+// Process a job chunk by chunk while `hasTime()` allows. Returns 'completed',
+// 'completed_with_errors' (some chunks rolled back), 'paused' (more chunks
+// left, lease released for the next invocation), 'failed', or null when the
+// job could not be claimed.
+const runImportJob = async (jobId, { hasTime = () => true } = {}) => {
+  let job = await claimImportJob(jobId);
+  if (!job) return null;
+  if (job.kind === 'merge_scan') return runMergeScanJob(job);
+
+  // The upload handler checks this as well; every queued import ends up here
+  if (!await isEmailVerified(job.user_id)) {
+    return failImportJob(jobId, new Error('Confirm your email address before importing connections'));
+  }
+
+  try {
+    if (job.upload) {
+      job = await parseJobUpload(job);
+    }
+
+    const records = job.records || [];
+    const processor = new LinkedInDataProcessor();
+    const errors = [...(job.errors || [])];
+    let offset = job.processed_records;
+    let failedRecords = job.failed_records;
+
+    while (offset < records.length && hasTime()) {
+      const chunk = records.slice(offset, offset + IMPORT_CHUNK_SIZE);
+      const results = await processor.processBatch(job.user_id, chunk, job.batch_id, job.source);
+      offset += chunk.length;
+
+      // processBatch only reports errors for a chunk it rolled back
+      const failed = results.errors.length > 0 ? chunk.length : 0;
+      failedRecords += failed;
+
+      results.errors.forEach(error => {
+        if (errors.length < MAX_STORED_ERRORS) errors.push(toJobError('process', error));
+      });
+
+      await db.query(`
+        UPDATE import_jobs
+        SET processed_records = $2, inserted_count = inserted_count + $3, updated_count = updated_count + $4,
+            duplicate_count = duplicate_count + $5, error_count = error_count + $6, errors = $7,
+            failed_records = failed_records + $8, locked_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [jobId, offset, results.inserted, results.updated, results.duplicates,
+          results.errors.length, JSON.stringify(errors), failed]);
+    }
+
+    if (offset < records.length) {
+      await db.query('UPDATE import_jobs SET locked_at = NULL, updated_at = NOW() WHERE id = $1', [jobId]);
+      return 'paused';
+    }
+
+    // A job whose chunks all rolled back imported nothing
+    if (failedRecords > 0 && failedRecords >= records.length) {
+      await db.query('UPDATE import_jobs SET records = NULL WHERE id = $1', [jobId]);
+      return failImportJob(jobId, new Error(`No records could be imported: ${errors[errors.length - 1].error}`));
+    }
+
+    const status = failedRecords > 0 ? 'completed_with_errors' : 'completed';
+    await db.query(`
+      UPDATE import_jobs
+      SET status = $2, records = NULL, locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [jobId, status]);
+
+    // New rows may be fuzzy duplicates of existing ones; queue them for review
+    try {
+      await refreshMergeCandidates(job.user_id);
+    } catch (error) {
+      console.error('Merge candidate scan failed:', error);
+    }
+    return status;
+  } catch (error) {
+    return failImportJob(jobId, error);
+  }
+};
+
+// Hand a job to the worker Lambda, or run it in this process when there is
+// none (serverless-offline, scripts)
+const dispatchImportJob = async (jobId) => {
+  if (process.env.IMPORT_WORKER_FUNCTION && !process.env.IS_OFFLINE) {
+    const AWS = require('aws-sdk');
+    const lambda = new AWS.Lambda();
+    await lambda.invoke({
+      FunctionName: process.env.IMPORT_WORKER_FUNCTION,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({ job_id: jobId })
+    }).promise();
+    return;
+  }
+
+  const runToCompletion = async () => {
+    while (await runImportJob(jobId) === 'paused');
+  };
+  runToCompletion().catch(error => console.error(`Import job ${jobId} failed:`, error));
+};
+
+module.exports = {
+  createImportJob,
+  createMergeScanJob,
+  getImportJob,
+  listImportJobs,
+  runImportJob,
+  dispatchImportJob,
+  formatJob,
+  IMPORT_CHUNK_SIZE
+};
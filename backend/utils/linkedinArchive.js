@@ -0,0 +1,222 @@
+const JSZip = require('jszip');
+const db = require('./db');
+const { LinkedInDataProcessor } = require('./linkedinProcessor');
+const { parseRows, field } = require('./contactSources');
+
+// CSVs read from LinkedIn's "Get a copy of your data" archive, matched on the
+// file name only (some export versions nest them in folders)
+const ARCHIVE_FILES = {
+  connections: /^connections\.csv$/i,
+  positions: /^positions\.csv$/i,
+  messages: /^messages\.csv$/i,
+  invitations: /^invitations\.csv$/i,
+  endorsementsReceived: /^endorsement_received_info\.csv$/i,
+  endorsementsGiven: /^endorsement_given_info\.csv$/i
+};
+
+// Archives are small; anything bigger is probably not a LinkedIn export
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const later = (a, b) => (!a || (b && b > a) ? b : a);
+
+// Latest message/invitation/endorsement per person, keyed by normalized
+// profile URL and by lowercased full name
+class InteractionIndex {
+  constructor(processor) {
+    this.processor = processor;
+    this.entries = new Map();
+  }
+
+  keysFor(url, name) {
+    const keys = [];
+    const urlKey = this.processor.normalizeProfileUrlKey(url);
+    if (urlKey) keys.push(`url:${urlKey}`);
+    if (name) keys.push(`name:${name.replace(/\s+/g, ' ').trim().toLowerCase()}`);
+    return keys;
+  }
+
+  add(type, date, { url, name }) {
+    if (!date) return;
+
+    for (const key of this.keysFor(url, name)) {
+      const entry = this.entries.get(key) || { last_message_at: null, message_count: 0, last_invitation_at: null, last_endorsement_at: null };
+      if (type === 'message') {
+        entry.last_message_at = later(entry.last_message_at, date);
+        entry.message_count++;
+      } else if (type === 'invitation') {
+        entry.last_invitation_at = later(entry.last_invitation_at, date);
+      } else {
+        entry.last_endorsement_at = later(entry.last_endorsement_at, date);
+      }
+      this.entries.set(key, entry);
+    }
+  }
+
+  // Interaction fields for a connection record; the profile URL match wins
+  // over the name match
+  lookup(record) {
+    const name = `${record.first_name} ${record.last_name}`;
+    const entry = this.keysFor(record.profile_url, name)
+      .map(key => this.entries.get(key))
+      .find(Boolean);
+    if (!entry) return null;
+
+    return {
+      last_message_at: entry.last_message_at,
+      message_count: entry.message_count,
+      last_invitation_at: entry.last_invitation_at,
+      last_interaction_at: [entry.last_message_at, entry.last_invitation_at, entry.last_endorsement_at].reduce(later, null)
+    };
+  }
+}
+
+// messages.csv: one row per message, the user on one side of it
+const indexMessages = (index, rows) => {
+  for (const row of rows) {
+    const date = parseTimestamp(field(row, 'DATE'));
+    index.add('message', date, { url: field(row, 'SENDER PROFILE URL'), name: field(row, 'FROM') });
+
+    // Names are comma separated for group messages, so only trust them for 1:1 threads
+    const recipients = (field(row, 'RECIPIENT PROFILE URLS') || '').split(/[\s,]+/).filter(Boolean);
+    const toName = field(row, 'TO');
+    recipients.forEach(url => index.add('message', date, {
+      url,
+      name: recipients.length === 1 && toName && !toName.includes(',') ? toName : null
+    }));
+  }
+};
+
+// Invitations.csv: sent and received invitations
+const indexInvitations = (index, rows) => {
+  for (const row of rows) {
+    const date = parseTimestamp(field(row, 'Sent At'));
+    index.add('invitation', date, { url: field(row, 'inviterProfileUrl'), name: field(row, 'From') });
+    index.add('invitation', date, { url: field(row, 'inviteeProfileUrl'), name: field(row, 'To') });
+  }
+};
+
+const indexEndorsements = (index, rows, role) => {
+  for (const row of rows) {
+    const first = field(row, `${role} First Name`);
+    const last = field(row, `${role} Last Name`);
+    index.add('endorsement', parseTimestamp(field(row, 'Endorsement Date')), {
+      url: field(row, `${role} Public Url`),
+      name: first && last ? `${first} ${last}` : null
+    });
+  }
+};
+
+const parsePositions = (rows) => rows
+  .map(row => ({
+    company: field(row, 'Company Name'),
+    title: field(row, 'Title'),
+    description: field(row, 'Description'),
+    location: field(row, 'Location'),
+    started_on: parseTimestamp(field(row, 'Started On')),
+    finished_on: parseTimestamp(field(row, 'Finished On'))
+  }))
+  .filter(position => position.company || position.title);
+
+// Unpack an archive into connection records (with interaction dates) and the
+// user's positions. Returns { records, errors, positions, files } where
+// `files` lists which of ARCHIVE_FILES were found.
+const parseLinkedInArchive = async (buffer) => {
+  if (buffer.length > MAX_ARCHIVE_BYTES) {
+    throw new Error('Archive is larger than 50MB');
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const texts = {};
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    const fileName = entry.name.split('/').pop();
+    const kind = Object.keys(ARCHIVE_FILES).find(name => ARCHIVE_FILES[name].test(fileName));
+    if (kind && !texts[kind]) {
+      texts[kind] = await entry.async('string');
+    }
+  }
+
+  if (!texts.connections) {
+    throw new Error('Archive does not contain Connections.csv');
+  }
+
+  const processor = new LinkedInDataProcessor();
+  const { records, errors } = await processor.parseCSV(texts.connections);
+
+  const index = new InteractionIndex(processor);
+  if (texts.messages) indexMessages(index, await parseRows(processor, texts.messages));
+  if (texts.invitations) indexInvitations(index, await parseRows(processor, texts.invitations));
+  if (texts.endorsementsReceived) {
+    indexEndorsements(index, await parseRows(processor, texts.endorsementsReceived), 'Endorser');
+  }
+  if (texts.endorsementsGiven) {
+    indexEndorsements(index, await parseRows(processor, texts.endorsementsGiven), 'Endorsee');
+  }
+
+  const enriched = records.map(record => ({ ...record, source: 'linkedin', ...index.lookup(record) }));
+  const positions = texts.positions ? parsePositions(await parseRows(processor, texts.positions)) : [];
+
+  return { records: enriched, errors, positions, files: Object.keys(texts) };
+};
+
+// Replace the user's stored work history with the archive's
+const saveUserPositions = async (userId, positions) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM user_positions WHERE user_id = $1', [userId]);
+
+    if (positions.length > 0) {
+      await client.query(`
+        INSERT INTO user_positions (user_id, company, title, description, location, started_on, finished_on)
+        SELECT $1, * FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::date[], $7::date[])
+      `, [
+        userId,
+        positions.map(position => position.company),
+        positions.map(position => position.title),
+        positions.map(position => position.description),
+        positions.map(position => position.location),
+        positions.map(position => position.started_on),
+        positions.map(position => position.finished_on)
+      ]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Most recent first; current positions (no end date) lead
+const getUserPositions = async (userId) => {
+  const result = await db.query(`
+    SELECT company, title, location, started_on, finished_on
+    FROM user_positions
+    WHERE user_id = $1
+    ORDER BY finished_on DESC NULLS FIRST, started_on DESC NULLS LAST
+  `, [userId]);
+  return result.rows;
+};
+
+module.exports = {
+  parseLinkedInArchive,
+  saveUserPositions,
+  getUserPositions,
+  ARCHIVE_FILES
+};
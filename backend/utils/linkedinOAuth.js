@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+
+// "Sign In with LinkedIn using OpenID Connect": authorization-code flow with
+// PKCE, state and nonce. Pending requests live in oauth_states
+// (migrations/020-add-oauth-states.sql) between the redirect and the callback.
+// Each request is bound to the browser that started it by a key the browser
+// keeps in sessionStorage (migrations/027-bind-oauth-states-to-browser.sql),
+// so a callback URL from someone else's sign-in cannot log this browser in.
+
+const DEFAULT_ISSUER = 'https://www.linkedin.com/oauth';
+const SCOPES = 'openid profile email';
+const STATE_TTL_MINUTES = 10;
+// Allowed clock drift when checking id_token exp/iat
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+const codeChallenge = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+// An OpenID Connect provider found through its discovery document.
+// LINKEDIN_OIDC_ISSUER points the flow at another issuer, e.g. a local mock
+// provider in tests; `options.fetch` replaces the HTTP client.
+class LinkedInOIDCProvider {
+  constructor(options = {}) {
+    this.issuer = (options.issuer || process.env.LINKEDIN_OIDC_ISSUER || DEFAULT_ISSUER).replace(/\/+$/, '');
+    this.clientId = options.clientId || process.env.LINKEDIN_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.LINKEDIN_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri || process.env.LINKEDIN_REDIRECT_URI;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  async getJSON(url, init) {
+    const response = await this.fetch(url, init);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status}: ${data.error_description || data.error || 'no details'}`);
+    }
+    return data;
+  }
+
+  // Endpoints from /.well-known/openid-configuration, cached per instance
+  async discover() {
+    if (!this.metadata) {
+      const metadata = await this.getJSON(`${this.issuer}/.well-known/openid-configuration`);
+      if (metadata.issuer !== this.issuer) {
+        throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${this.issuer}`);
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }
+
+  async authorizationUrl({ state, nonce, codeChallenge: challenge }) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: SCOPES,
+      state,
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+    return `${endpoint}?${params}`;
+  }
+
+  // Trade the authorization code for tokens; the verifier proves this server
+  // started the request
+  async exchangeCode(code, codeVerifier) {
+    const { token_endpoint: endpoint } = await this.discover();
+    const tokens = await this.getJSON(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        code_verifier: codeVerifier
+      }).toString()
+    });
+    if (!tokens.id_token) {
+      throw new Error('Token response has no id_token');
+    }
+    return tokens;
+  }
+
+  // Public key for `kid`, refetching the key set once for rotated keys
+  async signingKey(kid) {
+    const find = () => (this.keys || []).find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+    if (!find()) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      this.keys = (await this.getJSON(jwksUri)).keys || [];
+    }
+    const jwk = find();
+    if (!jwk) {
+      throw new Error(`No signing key ${kid} in the provider's key set`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Verified id_token claims: signature, issuer, audience, expiry and nonce
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new Error('Malformed id_token');
+    }
+
+    const { issuer } = await this.discover();
+    const claims = jwt.verify(idToken, await this.signingKey(decoded.header.kid), {
+      algorithms: ['RS256'],
+      issuer,
+      audience: this.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('id_token nonce does not match the sign-in request');
+    }
+    if (!claims.sub) {
+      throw new Error('id_token has no subject');
+    }
+    return claims;
+  }
+}
+
+// Reused across warm invocations so discovery and keys stay cached
+let cachedProvider = null;
+let overrideProvider = null;
+
+const getLinkedInProvider = () => {
+  if (overrideProvider) return overrideProvider;
+  if (!cachedProvider) cachedProvider = new LinkedInOIDCProvider();
+  return cachedProvider;
+};
+
+// Override the provider (e.g. one pointed at a mock issuer); pass null to reset
+const setLinkedInProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+const USER_COLUMNS = 'id, email, name, profile_url, linkedin_id, email_verified, two_factor_enabled';
+
+// Begin a sign-in. With `linkUserId` the callback links LinkedIn to that
+// account instead of signing in. Returns { authorizationUrl, state,
+// browserKey }: the URL to send the browser to, and what the browser keeps
+// to finish the sign-in (only hashes are stored here).
+const startLinkedInLogin = async ({ linkUserId = null } = {}, provider = getLinkedInProvider()) => {
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const browserKey = randomToken();
+
+  await db.query('DELETE FROM oauth_states WHERE expires_at < NOW()');
+  await db.query(`
+    INSERT INTO oauth_states (state_hash, provider, code_verifier, nonce, user_id, browser_hash, expires_at)
+    VALUES ($1, 'linkedin', $2, $3, $4, $5, NOW() + INTERVAL '${STATE_TTL_MINUTES} minutes')
+  `, [hashState(state), codeVerifier, nonce, linkUserId, hashState(browserKey)]);
+
+  const authorizationUrl = await provider.authorizationUrl({ state, nonce, codeChallenge: codeChallenge(codeVerifier) });
+  return { authorizationUrl, state, browserKey };
+};
+
+// The account a verified LinkedIn identity belongs to: the one already linked
+// to it, the signed-in account being linked, an account with the same
+// LinkedIn-verified email whose owner confirmed it too, or a new account.
+// Returns { user, linked, created }.
+const resolveLinkedInUser = async (claims, linkUserId = null) => {
+  const existing = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE linkedin_id = $1`, [claims.sub]);
+  if (existing.rows.length > 0) {
+    if (linkUserId && existing.rows[0].id !== linkUserId) {
+      throw new Error('This LinkedIn account is already linked to another account');
+    }
+    return { user: existing.rows[0], linked: false, created: false };
+  }
+
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+  const emailVerified = Boolean(email) && (claims.email_verified === true || claims.email_verified === 'true');
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null;
+
+  let target = null;
+  if (linkUserId) {
+    target = (await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [linkUserId])).rows[0];
+  } else if (emailVerified) {
+    target = (await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = $1`, [email])).rows[0];
+    // Whoever registered an unconfirmed address may not own it; linking would
+    // hand them this LinkedIn sign-in. The owner can reset the password instead.
+    if (target && !target.email_verified) {
+      target = null;
+    }
+  }
+
+  try {
+    if (target) {
+      if (target.linkedin_id) {
+        throw new Error('This account is already linked to a different LinkedIn account');
+      }
+      const result = await db.query(`
+        UPDATE users
+        SET linkedin_id = $2,
+            name = COALESCE(name, $3),
+            email_verified = COALESCE(email_verified, false) OR COALESCE(LOWER(email) = $4 AND $5, false),
+            email_verified_at = CASE
+              WHEN COALESCE(LOWER(email) = $4 AND $5, false) THEN COALESCE(email_verified_at, NOW())
+              ELSE email_verified_at
+            END
+        WHERE id = $1
+        RETURNING ${USER_COLUMNS}
+      `, [target.id, claims.sub, name, email, emailVerified]);
+      return { user: result.rows[0], linked: true, created: false };
+    }
+
+    // An unverified email must not take over (or block) a password account
+    if (email) {
+      const taken = await db.query('SELECT 1 FROM users WHERE LOWER(email) = $1', [email]);
+      if (taken.rows.length > 0) {
+        throw new Error('An account with this email already exists. Sign in with your password and connect LinkedIn from Settings.');
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO users (linkedin_id, email, name, email_verified, email_verified_at, created_at)
+      VALUES ($1, $2, $3, $4, CASE WHEN $4 THEN NOW() END, NOW())
+      RETURNING ${USER_COLUMNS}
+    `, [claims.sub, email, name, emailVerified]);
+    return { user: result.rows[0], linked: false, created: true };
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation (a concurrent sign-in)
+      throw new Error('This LinkedIn account is already linked to another account');
+    }
+    throw error;
+  }
+};
+
+// Finish a sign-in from the callback's `code` and `state`, the `browserKey`
+// from startLinkedInLogin and the user of the session making the request
+// (`sessionUserId`, required when linking). The state is single-use.
+// Returns { user, linked, created, linkUserId }.
+const completeLinkedInLogin = async ({ code, state, browserKey, sessionUserId = null }, provider = getLinkedInProvider()) => {
+  const stored = await db.query(`
+    DELETE FROM oauth_states
+    WHERE state_hash = $1 AND provider = 'linkedin'
+    RETURNING code_verifier, nonce, user_id, browser_hash, expires_at > NOW() AS is_current
+  `, [hashState(state)]);
+
+  const request = stored.rows[0];
+  if (!request || !request.is_current) {
+    throw new Error('Invalid or expired LinkedIn sign-in request');
+  }
+  if (typeof browserKey !== 'string' || !request.browser_hash || hashState(browserKey) !== request.browser_hash) {
+    throw new Error('LinkedIn sign-in request was started in another browser');
+  }
+  if (request.user_id && request.user_id !== sessionUserId) {
+    throw new Error('LinkedIn sign-in request was started in another session');
+  }
+
+  let claims;
+  try {
+    const tokens = await provider.exchangeCode(code, request.code_verifier);
+    claims = await provider.verifyIdToken(tokens.id_token, request.nonce);
+  } catch (error) {
+    console.error('LinkedIn token verification error:', error);
+    throw new Error(`LinkedIn sign-in could not be verified: ${error.message}`);
+  }
+
+  const result = await resolveLinkedInUser(claims, request.user_id);
+  return { ...result, linkUserId: request.user_id };
+};
+
+module.exports = {
+  LinkedInOIDCProvider,
+  getLinkedInProvider,
+  setLinkedInProvider,
+  startLinkedInLogin,
+  completeLinkedInLogin,
+  resolveLinkedInUser
+};
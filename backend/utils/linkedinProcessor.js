@@ -1,6 +1,11 @@
 const csv = require('csv-parser');
 const { Readable } = require('stream');
 const db = require('./db');
+const { embedConnections } = require('./vectorStore');
+const { linkConnectionCompanies } = require('./companies');
+const { parseConnectionTitles } = require('./titleParser');
+const { geocodeConnections } = require('./locations');
+const { openImportBatch, addImportBatchCounts, saveBeforeImages } = require('./importBatches');
 
 // LinkedIn CSV field mappings (supports multiple LinkedIn export formats)
 const FIELD_MAPPINGS = {
@@ -12,6 +17,7 @@ const FIELD_MAPPINGS = {
   'Position': ['position', 'Position', 'Job Title', 'Title'],
   'Connected On': ['connected_on', 'Connected On', 'Connection Date'],
   'Profile URL': ['profile_url', 'Profile URL', 'LinkedIn Profile', 'URL'],
+  'Location': ['location', 'Location', 'Geography', 'Geographic Area', 'City'],
   
   // Alternative formats
   'URL': ['profile_url', 'URL', 'LinkedIn URL'],
@@ -21,6 +27,106 @@ const FIELD_MAPPINGS = {
   'Connected': ['connected_on', 'Connected', 'Connected On'],
 };
 
+// Match conditions between a connection `c` and an incoming row `r` carrying
+// email_key/url_key (see migrations/010 for normalize_email/normalize_profile_url)
+const EMAIL_MATCH = 'c.email IS NOT NULL AND normalize_email(c.email) = r.email_key';
+const URL_MATCH = 'c.profile_url IS NOT NULL AND normalize_profile_url(c.profile_url) = r.url_key';
+// Names alone are too weak to merge on: both sides need the same company.
+// A match with the company missing on one side goes to merge_candidates for
+// review instead (see COMPANYLESS_NAME_MATCH)
+const NAME_MATCH = `LOWER(c.first_name) = LOWER(r.first_name) AND LOWER(c.last_name) = LOWER(r.last_name) AND
+  LOWER(c.company) = LOWER(r.company)`;
+const COMPANYLESS_NAME_MATCH = `LOWER(c.first_name) = LOWER(r.first_name) AND LOWER(c.last_name) = LOWER(r.last_name) AND
+  (c.company IS NULL OR r.company IS NULL)`;
+// identityResolution.scorePair's score for equal names with one company missing
+const COMPANYLESS_NAME_SCORE = 0.88;
+
+// Staging table for one processBatch call, dropped when the transaction ends
+const STAGING_TABLE_SQL = `
+  CREATE TEMP TABLE import_staging (
+    ord INTEGER PRIMARY KEY,
+    first_name TEXT,
+    last_name TEXT,
+    email TEXT,
+    company TEXT,
+    position TEXT,
+    profile_url TEXT,
+    connected_on TIMESTAMP,
+    email_key TEXT,
+    url_key TEXT,
+    last_message_at TIMESTAMP,
+    message_count INTEGER,
+    last_invitation_at TIMESTAMP,
+    last_interaction_at TIMESTAMP,
+    source TEXT,
+    location TEXT,
+    existing_id INTEGER,
+    action VARCHAR(10)
+  ) ON COMMIT DROP
+`;
+
+// Point still-unmatched staged rows at the first connection matching `condition`
+const matchStagedSQL = (condition) => `
+  UPDATE import_staging s SET existing_id = m.id
+  FROM (
+    SELECT DISTINCT ON (r.ord) r.ord, c.id
+    FROM import_staging r
+    JOIN connections c ON c.user_id = $1 AND ${condition}
+    WHERE r.existing_id IS NULL
+    ORDER BY r.ord, c.id
+  ) m
+  WHERE s.ord = m.ord
+`;
+
+// mergeRecords' rule in SQL: fill blanks, otherwise prefer the longer value
+const preferLongerSQL = (column) => `CASE
+    WHEN c.${column} IS NULL OR c.${column} = '' THEN COALESCE(s.${column}, c.${column})
+    WHEN LENGTH(s.${column}) > LENGTH(c.${column}) THEN s.${column}
+    ELSE c.${column}
+  END`;
+
+// Fields the user edited by hand (connections.manual_fields) keep their value
+const keepManualSQL = (column, expression) =>
+  `CASE WHEN '${column}' = ANY(c.manual_fields) THEN c.${column} ELSE ${expression} END`;
+
+// Identifier columns only take a new value no other connection already holds,
+// so a merge never trips the unique indexes
+const preferLongerUniqueSQL = (column, normalize, key) => `CASE
+    WHEN EXISTS (
+      SELECT 1 FROM connections o
+      WHERE o.user_id = c.user_id AND o.id <> c.id AND o.${column} IS NOT NULL
+        AND ${normalize}(o.${column}) = s.${key}
+    ) THEN c.${column}
+    ELSE ${preferLongerSQL(column)}
+  END`;
+
+// Merge the staged rows with `action` ($2) into the connections they matched
+const MERGE_STAGED_SQL = `
+  UPDATE connections c
+  SET company = ${keepManualSQL('company', preferLongerSQL('company'))},
+      position = ${keepManualSQL('position', preferLongerSQL('position'))},
+      email = ${keepManualSQL('email', preferLongerUniqueSQL('email', 'normalize_email', 'email_key'))},
+      profile_url = ${keepManualSQL('profile_url', preferLongerUniqueSQL('profile_url', 'normalize_profile_url', 'url_key'))},
+      connected_on = COALESCE(s.connected_on, c.connected_on),
+      -- Re-importing the same archive must not double count
+      last_message_at = GREATEST(c.last_message_at, s.last_message_at),
+      message_count = GREATEST(c.message_count, s.message_count),
+      last_invitation_at = GREATEST(c.last_invitation_at, s.last_invitation_at),
+      last_interaction_at = GREATEST(c.last_interaction_at, s.last_interaction_at),
+      sources = CASE WHEN s.source = ANY(c.sources) THEN c.sources ELSE array_append(c.sources, s.source) END,
+      -- A location the user typed in survives re-imports
+      location = CASE WHEN c.location_source = 'manual' THEN c.location ELSE COALESCE(s.location, c.location) END,
+      location_source = CASE
+        WHEN c.location_source = 'manual' THEN c.location_source
+        WHEN s.location IS NOT NULL THEN 'import'
+        ELSE c.location_source
+      END,
+      imported_at = NOW()
+  FROM import_staging s
+  WHERE s.action = $2 AND c.id = s.existing_id AND c.user_id = $1
+  RETURNING c.id, c.position, c.company
+`;
+
 // Data normalization functions
 class LinkedInDataProcessor {
   constructor() {
@@ -36,7 +142,7 @@ class LinkedInDataProcessor {
     const errors = [];
 
     return new Promise((resolve, reject) => {
-      const stream = Readable.from(csvData)
+      const stream = Readable.from(this.stripPreamble(csvData))
         .pipe(csv({
           mapHeaders: ({ header }) => this.normalizeHeader(header),
           skipEmptyLines: true,
@@ -61,6 +167,16 @@ class LinkedInDataProcessor {
     });
   }
 
+  // LinkedIn archive CSVs can open with a "Notes:" paragraph before the header
+  // row; drop everything up to the first blank line after it
+  stripPreamble(csvData) {
+    const text = csvData.toString().replace(/^\uFEFF/, '');
+    if (!/^"?Notes:/i.test(text.trimStart())) return text;
+
+    const blankLine = text.search(/\r?\n[ \t]*\r?\n/);
+    return blankLine === -1 ? '' : text.slice(blankLine).trimStart();
+  }
+
   // Normalize CSV headers to standard field names
   normalizeHeader(header) {
     const cleanHeader = header.trim().replace(/['"]/g, '');
@@ -95,6 +211,7 @@ class LinkedInDataProcessor {
       position: this.cleanPosition(rawData['Position']),
       profile_url: this.cleanURL(rawData['Profile URL']),
       connected_on: this.parseDate(rawData['Connected On']),
+      location: this.cleanText(rawData['Location']),
       batch_id: null // Will be set during processing
     };
 
@@ -116,6 +233,10 @@ class LinkedInDataProcessor {
       record.position = record.position.substring(0, 255);
     }
 
+    if (record.location && record.location.length > 255) {
+      record.location = record.location.substring(0, 255);
+    }
+
     return record;
   }
 
@@ -148,7 +269,7 @@ class LinkedInDataProcessor {
     // Common company name normalizations
     const patterns = [
       // Remove common suffixes for better matching
-      { from: /\s+(Inc\.?|LLC\.?|Ltd\.?|Corp\.?|Corporation|Company|Co\.?)$/i, to: '' },
+      { from: /,?\s+(Inc\.?|LLC\.?|Ltd\.?|Corp\.?|Corporation|Company|Co\.?)$/i, to: '' },
       // Normalize ampersands
       { from: /\s+&\s+/g, to: ' & ' },
       // Remove extra whitespace around parentheses
@@ -222,20 +343,35 @@ class LinkedInDataProcessor {
     }
   }
 
+  // Normalized email, as the normalize_email SQL function computes it
+  normalizeEmailKey(email) {
+    if (!email) return null;
+    return email.toString().trim().toLowerCase() || null;
+  }
+
+  // Normalized profile URL, as the normalize_profile_url SQL function computes it
+  normalizeProfileUrlKey(url) {
+    if (!url) return null;
+    return url.toString().trim().split('?')[0].toLowerCase()
+      .replace(/^https?:\/\/(www\.)?/, '')
+      .replace(/\/+$/, '') || null;
+  }
+
   // Generate duplicate detection key
   generateDuplicateKey(record) {
-    // Primary key: first_name + last_name + company (case insensitive)
-    const key1 = [
-      record.first_name?.toLowerCase() || '',
-      record.last_name?.toLowerCase() || '',
-      record.company?.toLowerCase() || ''
-    ].join('|');
+    // Primary key: first_name + last_name + company (case insensitive), only
+    // when all three are known, as NAME_MATCH requires
+    const key1 = record.first_name && record.last_name && record.company
+      ? [record.first_name, record.last_name, record.company].map(value => value.toLowerCase()).join('|')
+      : null;
 
     // Secondary key: email if available
-    const key2 = record.email ? `email:${record.email.toLowerCase()}` : null;
+    const emailKey = this.normalizeEmailKey(record.email);
+    const key2 = emailKey ? `email:${emailKey}` : null;
 
     // Tertiary key: profile_url if available
-    const key3 = record.profile_url ? `url:${record.profile_url.toLowerCase()}` : null;
+    const urlKey = this.normalizeProfileUrlKey(record.profile_url);
+    const key3 = urlKey ? `url:${urlKey}` : null;
 
     return [key1, key2, key3].filter(Boolean);
   }
@@ -274,69 +410,73 @@ class LinkedInDataProcessor {
     return { unique, duplicates };
   }
 
-  // Check for existing duplicates in database
+  // Check for existing duplicates in database (one query for all records).
+  // Email matches win over profile URL matches, which win over name + company.
   async detectDatabaseDuplicates(userId, records) {
-    const duplicates = [];
-    const unique = [];
-
-    for (const record of records) {
-      // Check for exact matches first
-      let existingQuery = `
-        SELECT id, first_name, last_name, company, position, email, profile_url 
-        FROM connections 
-        WHERE user_id = $1 AND (
-          (LOWER(first_name) = LOWER($2) AND LOWER(last_name) = LOWER($3) AND 
-           (company IS NULL OR LOWER(company) = LOWER($4)))
-      `;
-      let queryParams = [userId, record.first_name, record.last_name, record.company];
-      let paramIndex = 5;
-
-      // Add email check if available
-      if (record.email) {
-        existingQuery += ` OR LOWER(email) = LOWER($${paramIndex})`;
-        queryParams.push(record.email);
-        paramIndex++;
-      }
+    if (records.length === 0) {
+      return { unique: [], duplicates: [] };
+    }
 
-      // Add profile URL check if available
-      if (record.profile_url) {
-        existingQuery += ` OR LOWER(profile_url) = LOWER($${paramIndex})`;
-        queryParams.push(record.profile_url);
-        paramIndex++;
-      }
+    let matches;
+    try {
+      const result = await db.query(`
+        SELECT DISTINCT ON (r.ord) r.ord, c.id, c.first_name, c.last_name, c.company, c.position, c.email, c.profile_url,
+               c.location, c.location_source, c.manual_fields
+        FROM UNNEST($2::int[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[])
+          AS r(ord, first_name, last_name, company, email_key, url_key)
+        JOIN connections c ON c.user_id = $1 AND ((${EMAIL_MATCH}) OR (${URL_MATCH}) OR (${NAME_MATCH}))
+        ORDER BY r.ord,
+          CASE WHEN ${EMAIL_MATCH} THEN 0 WHEN ${URL_MATCH} THEN 1 ELSE 2 END,
+          c.id
+      `, [
+        userId,
+        records.map((_, index) => index),
+        records.map(record => record.first_name),
+        records.map(record => record.last_name),
+        records.map(record => record.company),
+        records.map(record => this.normalizeEmailKey(record.email)),
+        records.map(record => this.normalizeProfileUrlKey(record.profile_url))
+      ]);
+      matches = new Map(result.rows.map(({ ord, ...existing }) => [ord, existing]));
+    } catch (error) {
+      console.error('Duplicate check error:', error);
+      return { unique: [...records], duplicates: [] }; // Include if check fails
+    }
 
-      existingQuery += ')';
+    const duplicates = [];
+    const unique = [];
 
-      try {
-        const result = await db.query(existingQuery, queryParams);
-        
-        if (result.rows.length > 0) {
-          duplicates.push({
-            record,
-            existing: result.rows[0],
-            reason: 'Database duplicate found'
-          });
-        } else {
-          unique.push(record);
-        }
-      } catch (error) {
-        console.error('Duplicate check error:', error);
-        unique.push(record); // Include if check fails
+    records.forEach((record, index) => {
+      if (matches.has(index)) {
+        duplicates.push({
+          record,
+          existing: matches.get(index),
+          reason: 'Database duplicate found'
+        });
+      } else {
+        unique.push(record);
       }
-    }
+    });
 
     return { unique, duplicates };
   }
 
-  // Merge duplicate records intelligently
+  // Merge duplicate records intelligently. Fields either record lists in
+  // `manual_fields` (edited by hand) are never replaced by imported values.
   mergeRecords(existing, newRecord) {
     const merged = { ...existing };
+    const existingManual = existing.manual_fields || [];
+    const incomingManual = newRecord.manual_fields || [];
 
     // Merge strategy: prefer non-null, more complete data
     const fields = ['first_name', 'last_name', 'email', 'company', 'position', 'profile_url'];
     
     fields.forEach(field => {
-      if (!merged[field] && newRecord[field]) {
+      if (existingManual.includes(field)) {
+        return;
+      } else if (incomingManual.includes(field)) {
+        merged[field] = newRecord[field];
+      } else if (!merged[field] && newRecord[field]) {
         merged[field] = newRecord[field];
       } else if (merged[field] && newRecord[field] && newRecord[field].length > merged[field].length) {
         // Prefer longer, more descriptive values
@@ -349,11 +489,24 @@ class LinkedInDataProcessor {
       merged.connected_on = newRecord.connected_on;
     }
 
+    if (existingManual.length > 0 || incomingManual.length > 0) {
+      merged.manual_fields = [...new Set([...existingManual, ...incomingManual])];
+    }
+
     return merged;
   }
 
-  // Process records in batches for better performance
-  async processBatch(userId, records, batchSize = 100) {
+  // Batch ID for tracking one import
+  createBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Upsert records as one transaction: stage them in a temp table, match them
+  // to existing connections with joined statements, then merge and insert
+  // set-wise. A failure rolls back every record of the call. Pass `batchId` to
+  // continue an import that spans several calls (e.g. an import job's chunks);
+  // merged rows keep a before-image so the batch can be undone (importBatches).
+  async processBatch(userId, records, batchId = this.createBatchId(), source = 'csv') {
     const results = {
       processed: 0,
       inserted: 0,
@@ -362,69 +515,161 @@ class LinkedInDataProcessor {
       errors: []
     };
 
-    // Generate batch ID for tracking this import
-    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (records.length === 0) {
+      return results;
+    }
 
-    for (let i = 0; i < records.length; i += batchSize) {
-      const batch = records.slice(i, i + batchSize);
-      
-      try {
-        // Detect batch-internal duplicates
-        const { unique: batchUnique, duplicates: batchDuplicates } = this.detectBatchDuplicates(batch);
-        results.duplicates += batchDuplicates.length;
+    // Duplicates within the file never reach the database
+    const { unique, duplicates } = this.detectBatchDuplicates(records);
 
-        // Check against existing database records
-        const { unique: dbUnique, duplicates: dbDuplicates } = await this.detectDatabaseDuplicates(userId, batchUnique);
-        results.duplicates += dbDuplicates.length;
+    // Rows written by this call, embedded once the transaction commits
+    let touched = [];
+    const client = await db.pool.connect();
 
-        // Process updates for database duplicates
-        for (const dup of dbDuplicates) {
-          try {
-            const merged = this.mergeRecords(dup.existing, dup.record);
-            
-            await db.query(`
-              UPDATE connections 
-              SET company = $1, position = $2, email = $3, profile_url = $4, 
-                  connected_on = $5, imported_at = NOW()
-              WHERE id = $6
-            `, [merged.company, merged.position, merged.email, merged.profile_url, 
-                merged.connected_on, dup.existing.id]);
-            
-            results.updated++;
-          } catch (error) {
-            results.errors.push({
-              record: dup.record,
-              error: `Update failed: ${error.message}`
-            });
-          }
-        }
+    try {
+      await client.query('BEGIN');
+      await openImportBatch(client, userId, batchId, source);
+      await client.query(STAGING_TABLE_SQL);
+
+      await client.query(`
+        INSERT INTO import_staging
+        (ord, first_name, last_name, email, company, position, profile_url, connected_on, email_key, url_key,
+         last_message_at, message_count, last_invitation_at, last_interaction_at, source, location)
+        SELECT * FROM UNNEST($1::int[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[],
+                             $7::text[], $8::timestamp[], $9::text[], $10::text[],
+                             $11::timestamp[], $12::int[], $13::timestamp[], $14::timestamp[], $15::text[],
+                             $16::text[])
+      `, [
+        unique.map((_, index) => index),
+        unique.map(record => record.first_name),
+        unique.map(record => record.last_name),
+        unique.map(record => record.email),
+        unique.map(record => record.company),
+        unique.map(record => record.position),
+        unique.map(record => record.profile_url),
+        unique.map(record => record.connected_on || null),
+        unique.map(record => this.normalizeEmailKey(record.email)),
+        unique.map(record => this.normalizeProfileUrlKey(record.profile_url)),
+        // Interaction fields are only set by archive imports (utils/linkedinArchive.js)
+        unique.map(record => record.last_message_at || null),
+        unique.map(record => record.message_count || 0),
+        unique.map(record => record.last_invitation_at || null),
+        unique.map(record => record.last_interaction_at || null),
+        // Set by the contact source adapters (utils/contactSources.js)
+        unique.map(record => record.source || 'linkedin'),
+        unique.map(record => record.location || null)
+      ]);
+
+      // Same precedence as detectDatabaseDuplicates: email, profile URL, name + company
+      for (const condition of [EMAIL_MATCH, URL_MATCH, NAME_MATCH]) {
+        await client.query(matchStagedSQL(condition), [userId]);
+      }
 
-        // Insert new unique records
-        for (const record of dbUnique) {
-          try {
-            await db.query(`
-              INSERT INTO connections 
-              (user_id, first_name, last_name, company, position, email, profile_url, connected_on, batch_id, imported_at)
-              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
-            `, [userId, record.first_name, record.last_name, record.company, 
-                record.position, record.email, record.profile_url, record.connected_on, batchId]);
-            
-            results.inserted++;
-          } catch (error) {
-            results.errors.push({
-              record,
-              error: `Insert failed: ${error.message}`
-            });
-          }
-        }
+      // The first staged row for a connection merges into it; later ones are duplicates
+      await client.query(`
+        UPDATE import_staging s SET action = CASE
+          WHEN s.existing_id IS NULL THEN 'insert'
+          WHEN s.ord = (SELECT MIN(o.ord) FROM import_staging o WHERE o.existing_id = s.existing_id) THEN 'update'
+          ELSE 'skip'
+        END
+      `);
+
+      const actions = await client.query(
+        'SELECT action, COUNT(*)::int AS count FROM import_staging GROUP BY action'
+      );
+      const counts = Object.fromEntries(actions.rows.map(row => [row.action, row.count]));
+
+      const merging = await client.query("SELECT existing_id FROM import_staging WHERE action = 'update'");
+      await saveBeforeImages(client, userId, batchId, merging.rows.map(row => row.existing_id));
+
+      const updated = await client.query(MERGE_STAGED_SQL, [userId, 'update']);
+
+      // The unique indexes catch anything the matching passes missed
+      const inserted = await client.query(`
+        INSERT INTO connections
+        (user_id, first_name, last_name, company, position, email, profile_url, connected_on,
+         last_message_at, message_count, last_invitation_at, last_interaction_at, source, sources,
+         location, location_source, batch_id, imported_at)
+        SELECT $1, first_name, last_name, company, position, email, profile_url, connected_on,
+               last_message_at, message_count, last_invitation_at, last_interaction_at, source, ARRAY[source],
+               location, CASE WHEN location IS NOT NULL THEN 'import' END, $2, NOW()
+        FROM import_staging
+        WHERE action = 'insert'
+        ORDER BY ord
+        ON CONFLICT DO NOTHING
+        RETURNING id, position, company
+      `, [userId, batchId]);
+
+      // Rows the unique indexes refused: a connection with the same email or
+      // profile URL was committed after the matching passes (a concurrent
+      // import). They merge into that connection instead of being dropped,
+      // the first one per connection as for any other match.
+      await client.query(`
+        UPDATE import_staging s SET existing_id = m.id, action = 'refused'
+        FROM (
+          SELECT DISTINCT ON (r.ord) r.ord, c.id
+          FROM import_staging r
+          JOIN connections c ON c.user_id = $1 AND ((${EMAIL_MATCH}) OR (${URL_MATCH})) AND c.id <> ALL($2::int[])
+          WHERE r.action = 'insert'
+          ORDER BY r.ord, c.id
+        ) m
+        WHERE s.ord = m.ord
+      `, [userId, inserted.rows.map(row => row.id)]);
+      await client.query(`
+        UPDATE import_staging s SET action = 'skip'
+        WHERE s.action = 'refused'
+          AND s.ord > (SELECT MIN(o.ord) FROM import_staging o WHERE o.action = 'refused' AND o.existing_id = s.existing_id)
+      `);
+      const refused = await client.query("SELECT existing_id FROM import_staging WHERE action = 'refused'");
+      await saveBeforeImages(client, userId, batchId, refused.rows.map(row => row.existing_id));
+      const merged = await client.query(MERGE_STAGED_SQL, [userId, 'refused']);
+
+      // New rows that share a name with a connection lacking a company (or
+      // lack one themselves) are suggested for review rather than merged
+      await client.query(`
+        INSERT INTO merge_candidates (user_id, connection_a_id, connection_b_id, score, reasons)
+        SELECT DISTINCT $1::int, LEAST(r.id, c.id), GREATEST(r.id, c.id), $3::numeric,
+               '["Same first name", "Same last name"]'::jsonb
+        FROM connections r
+        JOIN connections c ON c.user_id = $1 AND c.id <> r.id AND ${COMPANYLESS_NAME_MATCH}
+        WHERE r.user_id = $1 AND r.id = ANY($2::int[])
+        ON CONFLICT (user_id, connection_a_id, connection_b_id) DO NOTHING
+      `, [userId, inserted.rows.map(row => row.id), COMPANYLESS_NAME_SCORE]);
+
+      touched = [...updated.rows, ...merged.rows, ...inserted.rows];
+      await linkConnectionCompanies(client, userId, touched.map(row => row.id));
+      await parseConnectionTitles(client, userId, touched.map(row => row.id));
+      await geocodeConnections(client, userId, touched.map(row => row.id));
+
+      results.processed = records.length;
+      results.updated = updated.rowCount + merged.rowCount;
+      results.inserted = inserted.rowCount;
+      // Refused rows count like any row that matched an existing connection
+      results.duplicates = duplicates.length + (counts.update || 0) + (counts.skip || 0) +
+        ((counts.insert || 0) - inserted.rowCount);
+      await addImportBatchCounts(client, batchId, results);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      touched = [];
+      results.processed = 0;
+      results.inserted = 0;
+      results.updated = 0;
+      results.duplicates = 0;
+      results.errors.push({
+        error: `Batch of ${records.length} records rolled back: ${error.message}`
+      });
+    } finally {
+      client.release();
+    }
 
-        results.processed += batch.length;
-        
+    // Embedding failures must not fail the import; search backfills missing vectors
+    if (touched.length > 0) {
+      try {
+        await embedConnections(userId, touched);
       } catch (error) {
-        results.errors.push({
-          batch: i / batchSize + 1,
-          error: `Batch processing failed: ${error.message}`
-        });
+        console.error('Embedding error:', error);
       }
     }
 
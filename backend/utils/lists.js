@@ -0,0 +1,154 @@
+const db = require('./db');
+
+// Named lists of connections (migrations/019-add-connection-lists.sql). Unlike
+// tags, lists have a description and remember when each member was added.
+
+const MAX_LIST_NAME_LENGTH = 100;
+
+const LIST_COLUMNS = `l.id, l.name, l.description, l.created_at, l.updated_at,
+  (SELECT COUNT(*)::int FROM list_members m WHERE m.list_id = l.id) AS member_count`;
+
+// The user's lists, alphabetically, with member counts
+const listLists = async (userId) => {
+  const result = await db.query(`
+    SELECT ${LIST_COLUMNS} FROM lists l
+    WHERE l.user_id = $1
+    ORDER BY LOWER(l.name)
+  `, [userId]);
+  return result.rows;
+};
+
+const getList = async (userId, listId) => {
+  const result = await db.query(
+    `SELECT ${LIST_COLUMNS} FROM lists l WHERE l.id = $1 AND l.user_id = $2`,
+    [listId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Create a list; a name the user already has raises 'List name already in use'
+const createList = async (userId, { name, description = null }) => {
+  try {
+    const result = await db.query(`
+      INSERT INTO lists (user_id, name, description) VALUES ($1, $2, $3)
+      RETURNING id, name, description, created_at, updated_at, 0 AS member_count
+    `, [userId, name, description]);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error('List name already in use');
+    }
+    throw error;
+  }
+};
+
+// Rename or re-describe a list (fields left undefined are kept). Returns null
+// when not found.
+const updateList = async (userId, listId, { name, description }) => {
+  try {
+    const result = await db.query(`
+      UPDATE lists
+      SET name = COALESCE($3, name),
+          description = CASE WHEN $4 THEN $5 ELSE description END,
+          updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [listId, userId, name === undefined ? null : name, description !== undefined, description ?? null]);
+    return result.rows.length > 0 ? await getList(userId, listId) : null;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error('List name already in use');
+    }
+    throw error;
+  }
+};
+
+const deleteList = async (userId, listId) => {
+  const result = await db.query('DELETE FROM lists WHERE id = $1 AND user_id = $2', [listId, userId]);
+  return result.rowCount > 0;
+};
+
+// Members of a list, most recently added first
+const listMembers = async (userId, listId, { limit = 100, offset = 0 } = {}) => {
+  const result = await db.query(`
+    SELECT c.id, c.first_name, c.last_name, c.company, c.position, c.profile_url,
+           c.city, c.region, c.country, m.added_at
+    FROM list_members m
+    JOIN lists l ON l.id = m.list_id
+    JOIN connections c ON c.id = m.connection_id
+    WHERE m.list_id = $1 AND l.user_id = $2
+    ORDER BY m.added_at DESC, c.last_name, c.first_name
+    LIMIT $3 OFFSET $4
+  `, [listId, userId, Math.min(limit, 500), offset]);
+  return result.rows;
+};
+
+const listExists = async (userId, listId) => {
+  const result = await db.query('SELECT 1 FROM lists WHERE id = $1 AND user_id = $2', [listId, userId]);
+  return result.rows.length > 0;
+};
+
+// Add or remove many connections at once. Ids of other users' connections are
+// ignored. Returns the number of memberships changed, or null when the list
+// is not found.
+const addListMembers = async (userId, listId, connectionIds) => {
+  const result = await db.query(`
+    INSERT INTO list_members (list_id, connection_id)
+    SELECT l.id, c.id FROM connections c JOIN lists l ON l.id = $2 AND l.user_id = $1
+    WHERE c.user_id = $1 AND c.id = ANY($3::int[])
+    ON CONFLICT DO NOTHING
+    RETURNING list_id
+  `, [userId, listId, connectionIds]);
+  if (result.rowCount > 0) return result.rowCount;
+  return (await listExists(userId, listId)) ? 0 : null;
+};
+
+const removeListMembers = async (userId, listId, connectionIds) => {
+  if (!(await listExists(userId, listId))) return null;
+  const result = await db.query(
+    'DELETE FROM list_members WHERE list_id = $1 AND connection_id = ANY($2::int[])',
+    [listId, connectionIds]
+  );
+  return result.rowCount;
+};
+
+// Lists the named lists exist in, creating missing ones, and add `connectionId`
+// to each. Runs on `client` (used when restoring an export).
+const addToListsByName = async (client, userId, connectionId, names) => {
+  const cleaned = [...new Set(names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().slice(0, MAX_LIST_NAME_LENGTH)))];
+  if (cleaned.length === 0) return;
+
+  await client.query(`
+    INSERT INTO lists (user_id, name)
+    SELECT $1, name FROM UNNEST($2::text[]) AS t(name)
+    ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+  `, [userId, cleaned]);
+  await client.query(`
+    INSERT INTO list_members (list_id, connection_id)
+    SELECT id, $3 FROM lists WHERE user_id = $1 AND LOWER(name) = ANY($2::text[])
+    ON CONFLICT DO NOTHING
+  `, [userId, cleaned.map(name => name.toLowerCase()), connectionId]);
+};
+
+// SQL for the lists a connection is on as a JSON array; `connection` is a column reference
+const connectionListsSQL = (connection) => `COALESCE((
+  SELECT json_agg(json_build_object('id', l.id, 'name', l.name) ORDER BY LOWER(l.name))
+  FROM list_members m JOIN lists l ON l.id = m.list_id
+  WHERE m.connection_id = ${connection}
+), '[]')`;
+
+module.exports = {
+  listLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  listMembers,
+  addListMembers,
+  removeListMembers,
+  addToListsByName,
+  connectionListsSQL,
+  MAX_LIST_NAME_LENGTH
+};
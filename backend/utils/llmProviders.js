@@ -0,0 +1,150 @@
+const db = require('./db');
+
+// Providers that send prompts (and therefore connection data) off-site
+const EXTERNAL_PROVIDERS = ['openai'];
+
+// DISABLE_EXTERNAL_AI=true pins every chat and embedding call to local providers
+const externalProvidersDisabled = () => process.env.DISABLE_EXTERNAL_AI === 'true';
+
+// OpenAI chat completions (gpt-4o by default)
+class OpenAIChatProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.OPENAI_CHAT_MODEL || 'gpt-4o';
+    this.supportsTools = true;
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+}
+
+// Any OpenAI-compatible server inside our network (Ollama, llama.cpp, vLLM).
+// Set LOCAL_LLM_TOOLS=false for models without function calling; the agent
+// then runs the search itself and passes the results in the prompt.
+class LocalChatProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    this.baseURL = options.baseURL || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1';
+    this.supportsTools = options.supportsTools ?? process.env.LOCAL_LLM_TOOLS !== 'false';
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({
+        // Local servers ignore the key, but the SDK requires one
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        baseURL: this.baseURL
+      });
+    }
+    return this.client;
+  }
+}
+
+// No language model at all: parseSearchIntent plus templated answers
+class RulesChatProvider {
+  constructor() {
+    this.name = 'rules';
+    this.model = 'rules-v1';
+    this.supportsTools = true;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { RulesChatClient } = require('./rulesChatClient');
+      this.client = new RulesChatClient();
+    }
+    return this.client;
+  }
+}
+
+const CHAT_PROVIDERS = {
+  openai: OpenAIChatProvider,
+  local: LocalChatProvider,
+  rules: RulesChatProvider
+};
+
+// Values accepted for the `ai.provider` user preference
+const CHAT_PROVIDER_PREFERENCES = ['default', 'openai', 'local', 'rules'];
+
+// Reused across warm invocations so SDK clients keep their connections
+const providerCache = new Map();
+let overrideProvider = null;
+
+// Deployment default: LLM_PROVIDER, else OpenAI when a key is configured and allowed
+const getDefaultChatProviderName = () => {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  return process.env.OPENAI_API_KEY && !externalProvidersDisabled() ? 'openai' : 'rules';
+};
+
+// Resolve a provider by preferred name. Unknown or (when external providers
+// are disabled) external preferences fall back to the deployment default.
+const getChatProvider = (preferredName) => {
+  if (overrideProvider) return overrideProvider;
+
+  const isUsable = (name) => CHAT_PROVIDERS[name] &&
+    !(externalProvidersDisabled() && EXTERNAL_PROVIDERS.includes(name));
+
+  let name = preferredName && preferredName !== 'default' && isUsable(preferredName)
+    ? preferredName
+    : getDefaultChatProviderName();
+
+  if (!CHAT_PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!isUsable(name)) {
+    throw new Error(`LLM provider ${name} is not allowed while DISABLE_EXTERNAL_AI is set`);
+  }
+
+  if (!providerCache.has(name)) {
+    providerCache.set(name, new CHAT_PROVIDERS[name]());
+  }
+  return providerCache.get(name);
+};
+
+// Provider for a user, honouring their `ai.provider` preference
+const getUserChatProvider = async (userId) => {
+  if (overrideProvider) return overrideProvider;
+
+  let preferredName = null;
+  try {
+    const result = await db.query('SELECT preferences FROM user_preferences WHERE user_id = $1', [userId]);
+    preferredName = result.rows[0]?.preferences?.ai?.provider || null;
+  } catch (error) {
+    console.error('Failed to load AI provider preference:', error);
+  }
+
+  return getChatProvider(preferredName);
+};
+
+// Preference values this deployment accepts (for the settings UI)
+const getAvailableChatProviders = () => {
+  return CHAT_PROVIDER_PREFERENCES.filter(name =>
+    !(externalProvidersDisabled() && EXTERNAL_PROVIDERS.includes(name)));
+};
+
+// Override the provider (e.g. a stub client in tests); pass null to reset
+const setChatProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+module.exports = {
+  OpenAIChatProvider,
+  LocalChatProvider,
+  RulesChatProvider,
+  CHAT_PROVIDER_PREFERENCES,
+  getChatProvider,
+  getUserChatProvider,
+  getAvailableChatProviders,
+  setChatProvider,
+  externalProvidersDisabled
+};
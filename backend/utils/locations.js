@@ -0,0 +1,93 @@
+const db = require('./db');
+const { resolveLocation } = require('./gazetteer');
+
+// Connection locations (migrations/017-add-connection-location.sql): the raw
+// text plus city/region/country/lat/lon resolved by the offline gazetteer.
+
+const LOCATION_COLUMNS = 'id, location, location_source, city, region, country, lat, lon';
+
+// Resolve the stored location text of `ids` into place fields. Manual
+// locations are left alone (setConnectionLocation resolved them already).
+// Runs on `client` so imports can geocode inside their own transaction.
+const geocodeConnections = async (client, userId, ids) => {
+  if (!ids || ids.length === 0) return 0;
+
+  const rows = await client.query(`
+    SELECT id, location FROM connections
+    WHERE user_id = $1 AND id = ANY($2::int[]) AND location_source IS DISTINCT FROM 'manual'
+  `, [userId, ids]);
+  if (rows.rows.length === 0) return 0;
+
+  const places = rows.rows.map(row => resolveLocation(row.location) || {});
+  await client.query(`
+    UPDATE connections c
+    SET city = p.city, region = p.region, country = p.country, lat = p.lat, lon = p.lon
+    FROM UNNEST($2::int[], $3::text[], $4::text[], $5::text[], $6::float8[], $7::float8[])
+      AS p(id, city, region, country, lat, lon)
+    WHERE c.id = p.id AND c.user_id = $1
+  `, [
+    userId,
+    rows.rows.map(row => row.id),
+    places.map(place => place.city || null),
+    places.map(place => place.region || null),
+    places.map(place => place.country || null),
+    places.map(place => place.lat ?? null),
+    places.map(place => place.lon ?? null)
+  ]);
+
+  return rows.rows.length;
+};
+
+// Place fields for a manual edit: `location` text resolved by the gazetteer,
+// with any explicitly given city/region/country/lat/lon taking precedence.
+// Explicit fields without text still pick up coordinates for a known city.
+const manualPlace = ({ location = null, city, region, country, lat, lon }) => {
+  const explicit = { city, region, country, lat, lon };
+  const given = Object.fromEntries(Object.entries(explicit).filter(([, value]) => value !== undefined));
+  const text = location || [city, region, country].filter(Boolean).join(', ') || null;
+  const resolved = resolveLocation(text) || {};
+
+  // Coordinates only belong to the resolved city when the user did not name another one
+  const sameCity = !given.city || (resolved.city && resolved.city.toLowerCase() === given.city.toLowerCase());
+  const place = {
+    city: null,
+    region: null,
+    country: null,
+    lat: null,
+    lon: null,
+    ...resolved,
+    ...(sameCity ? {} : { lat: null, lon: null }),
+    ...given
+  };
+
+  return { location: text, ...place };
+};
+
+// Set a connection's location by hand; imports will not overwrite it. Pass
+// `location: null` with no other fields to clear it (the next import may
+// then fill it again). Pass `client` to run inside a transaction. Returns
+// the updated row, or null when not found.
+const setConnectionLocation = async (userId, connectionId, fields, client = db) => {
+  const clear = fields.location === null &&
+    ['city', 'region', 'country', 'lat', 'lon'].every(key => fields[key] === undefined || fields[key] === null);
+  const place = clear
+    ? { location: null, city: null, region: null, country: null, lat: null, lon: null }
+    : manualPlace(fields);
+
+  const result = await client.query(`
+    UPDATE connections
+    SET location = $3, city = $4, region = $5, country = $6, lat = $7, lon = $8,
+        location_source = $9
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${LOCATION_COLUMNS}
+  `, [connectionId, userId, place.location, place.city, place.region, place.country,
+      place.lat, place.lon, clear ? null : 'manual']);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  geocodeConnections,
+  setConnectionLocation,
+  LOCATION_COLUMNS
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const { renderEmail } = require('./emailTemplates');
+const { getDefaultPreferences } = require('./settings');
+
+// Transactional email delivery. MAIL_TRANSPORT picks the transport:
+// 'smtp' (SMTP_* settings), 'ses' (Amazon SES with the Lambda's role),
+// 'file' (writes each message under MAIL_FILE_DIR) or 'console' (logs it;
+// the default, for local development). MAIL_FROM is the sender. In
+// production (NODE_ENV or the serverless STAGE) MAIL_TRANSPORT must be set
+// and must actually deliver.
+
+const DEFAULT_FROM = 'PNIT <no-reply@localhost>';
+const PRODUCTION_STAGES = ['prod', 'production'];
+// Keep messages, reset links included, on the server instead of delivering them
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// SMTP through nodemailer; SMTP_SECURE=true for implicit TLS (port 465),
+// otherwise STARTTLS is used when the server offers it
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.options = {
+      host: options.host || process.env.SMTP_HOST,
+      port: Number(options.port || process.env.SMTP_PORT || 587),
+      secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+      auth: (options.user || process.env.SMTP_USER)
+        ? { user: options.user || process.env.SMTP_USER, pass: options.pass || process.env.SMTP_PASS }
+        : undefined
+    };
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.options.host) {
+        throw new Error('SMTP_HOST is not set');
+      }
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Amazon SES (aws-sdk v2, already used for Lambda invocations)
+class SesTransport {
+  constructor(options = {}) {
+    this.name = 'ses';
+    this.region = options.region || process.env.SES_REGION || process.env.AWS_REGION;
+    this.client = options.client || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const AWS = require('aws-sdk');
+      this.client = new AWS.SES({ apiVersion: '2010-12-01', region: this.region });
+    }
+    return this.client;
+  }
+
+  async send({ from, to, subject, text, html }) {
+    const result = await this.getClient().sendEmail({
+      Source: from,
+      Destination: { ToAddresses: [to] },
+      Message: {
+        Subject: { Data: subject, Charset: 'UTF-8' },
+        Body: {
+          Text: { Data: text, Charset: 'UTF-8' },
+          Html: { Data: html, Charset: 'UTF-8' }
+        }
+      }
+    }).promise();
+    return { messageId: result.MessageId };
+  }
+}
+
+// Writes <timestamp>-<id>.json (headers and text) and .html next to it, so
+// links in development emails can be opened from disk
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'pnit-mail');
+  }
+
+  async send({ from, to, subject, text, html }) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ from, to, subject, text, sentAt: new Date().toISOString() }, null, 2)
+    );
+    await fs.promises.writeFile(path.join(this.directory, `${messageId}.html`), html);
+    return { messageId };
+  }
+}
+
+// Logs the text part; never use in production, it prints reset links
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ from, to, subject, text }) {
+    console.log(`Email (console transport)\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+const MAIL_TRANSPORTS = {
+  smtp: SmtpTransport,
+  ses: SesTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+let cachedTransport = null;
+let overrideTransport = null;
+
+const isProduction = () =>
+  process.env.NODE_ENV === 'production' || PRODUCTION_STAGES.includes(process.env.STAGE);
+
+const getMailTransport = () => {
+  if (overrideTransport) return overrideTransport;
+
+  if (!cachedTransport) {
+    const production = isProduction();
+    const name = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT is not set');
+    }
+    if (production && DEVELOPMENT_TRANSPORTS.includes(name)) {
+      throw new Error(`Mail transport ${name} does not deliver email; use smtp or ses in production`);
+    }
+
+    const Transport = MAIL_TRANSPORTS[name];
+    if (!Transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    cachedTransport = new Transport();
+  }
+  return cachedTransport;
+};
+
+// Override the transport (e.g. one that records messages in tests); pass
+// null to reset, which also picks MAIL_TRANSPORT up again
+const setMailTransport = (transport) => {
+  overrideTransport = transport;
+  cachedTransport = null;
+};
+
+// Absolute link into the frontend, e.g. appUrl('/reset-password', { token })
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// The user's `notifications.email` preference (default on)
+const emailNotificationsEnabled = async (userId) => {
+  const result = await db.query('SELECT preferences FROM user_preferences WHERE user_id = $1', [userId]);
+  const enabled = result.rows[0]?.preferences?.notifications?.email;
+  return typeof enabled === 'boolean' ? enabled : getDefaultPreferences().notifications.email;
+};
+
+// Render and send a template to { email, name, userId }. Non-essential
+// emails are skipped for users who turned email notifications off; pass
+// `userId: null` when that was already checked (e.g. before deleting the
+// account). Returns { sent, skipped, messageId }.
+const sendTemplateEmail = async (templateName, recipient, data = {}) => {
+  if (!recipient?.email) {
+    return { sent: false, skipped: 'no_address' };
+  }
+
+  const { subject, text, html, essential } = renderEmail(templateName, { name: recipient.name, ...data });
+
+  if (!essential && recipient.userId && !await emailNotificationsEnabled(recipient.userId)) {
+    return { sent: false, skipped: 'notifications_disabled' };
+  }
+
+  const { messageId } = await getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to: recipient.email,
+    subject,
+    text,
+    html
+  });
+  return { sent: true, messageId };
+};
+
+module.exports = {
+  SmtpTransport,
+  SesTransport,
+  FileTransport,
+  ConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendTemplateEmail,
+  emailNotificationsEnabled,
+  appUrl
+};
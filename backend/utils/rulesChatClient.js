@@ -0,0 +1,124 @@
+const { parseSearchIntent } = require('./searchEngine');
+
+// Rules-only stand-in for the OpenAI chat completions client. It picks a tool
+// from the user's wording and filters from parseSearchIntent, then summarizes
+// the tool output with templates. No model is involved and nothing leaves the
+// process; responses are deterministic, so it doubles as the offline test
+// client for the tool loop and the streaming path.
+class RulesChatClient {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: (request) => this.create(request)
+      }
+    };
+  }
+
+  async create(request) {
+    const message = this.respond(request);
+    if (request.stream) {
+      return this.toStream(message);
+    }
+    return { choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }] };
+  }
+
+  respond(request) {
+    const { messages } = request;
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    const toolOutputs = messages.slice(lastUserIndex + 1).filter(m => m.role === 'tool');
+
+    // Tools already ran for this message (or are no longer offered): answer
+    if (toolOutputs.length > 0 || !request.tools) {
+      return { role: 'assistant', content: summarizeToolOutputs(toolOutputs) };
+    }
+
+    const text = lastUserIndex >= 0 ? messages[lastUserIndex].content : '';
+    return {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{
+        id: `call_fake_${messages.length}`,
+        type: 'function',
+        function: { name: pickTool(text), arguments: JSON.stringify(toolArguments(text)) }
+      }]
+    };
+  }
+
+  // Emit the message as OpenAI-style stream chunks, word by word
+  async *toStream(message) {
+    if (message.tool_calls) {
+      for (let index = 0; index < message.tool_calls.length; index++) {
+        const call = message.tool_calls[index];
+        const half = Math.ceil(call.function.arguments.length / 2);
+        yield chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments.slice(0, half) } }] });
+        yield chunk({ tool_calls: [{ index, function: { arguments: call.function.arguments.slice(half) } }] });
+      }
+      return;
+    }
+
+    for (const token of (message.content || '').match(/\S+\s*/g) || []) {
+      yield chunk({ content: token });
+    }
+  }
+}
+
+const chunk = (delta) => ({ choices: [{ index: 0, delta }] });
+
+const pickTool = (text) => {
+  if (/\bhow many\b|\bcount\b|\bnumber of\b/i.test(text)) return 'count_connections';
+  if (/\bwhich compan|\bwhat compan|\bwhere do\b|\btop compan/i.test(text)) return 'group_by_company';
+  return 'search_connections';
+};
+
+// Structured filters from the intent parser, or the raw text as keywords
+const toolArguments = (text) => {
+  const intent = parseSearchIntent(text || '');
+  const args = {};
+  Object.entries(intent).forEach(([key, value]) => {
+    if (value) args[key] = value;
+  });
+  if (Object.keys(args).length === 0 && pickTool(text) === 'search_connections') {
+    args.keywords = text;
+  }
+  return args;
+};
+
+const summarizeToolOutputs = (toolOutputs) => {
+  if (toolOutputs.length === 0) {
+    return 'I can only answer questions about your network. Try asking about a company, a role or a person.';
+  }
+
+  const output = JSON.parse(toolOutputs[toolOutputs.length - 1].content);
+
+  if (output.error) {
+    return `Sorry, the search failed: ${output.error}`;
+  }
+
+  if (output.companies) {
+    if (output.companies.length === 0) return 'None of your matching connections list a company.';
+    const top = output.companies.map(row => `${row.company} (${row.count})`).join(', ');
+    return `Your matching connections work most often at: ${top}.`;
+  }
+
+  if (output.connections) {
+    if (output.count === 0) return 'I could not find any connections matching that.';
+    const named = output.connections.slice(0, 3).map(row => {
+      const role = [row.position, row.company].filter(Boolean).join(' at ');
+      return role ? `${row.name} (${role})` : row.name;
+    });
+    const more = output.count > named.length ? ` and ${output.count - named.length} more` : '';
+    return `I found ${output.count} matching connection${output.count === 1 ? '' : 's'}, including ${named.join(', ')}${more}.`;
+  }
+
+  if (typeof output.count === 'number') {
+    return `You have ${output.count} matching connection${output.count === 1 ? '' : 's'}.`;
+  }
+
+  return 'Here is what I found.';
+};
+
+module.exports = {
+  RulesChatClient,
+  pickTool,
+  toolArguments
+};
@@ -1,60 +1,151 @@
 const db = require('./db');
+const { embedMissingConnections, searchSimilarConnections } = require('./vectorStore');
+const { companyFamilySQL } = require('./companies');
+const { parseTitle, parseStaleTitles, SENIORITY_LEVELS } = require('./titleParser');
+const { resolveLocation, boundingBox, normalizePlace } = require('./gazetteer');
+const { nameMatchSQL } = require('./tags');
+
+// Words ignored when turning free text into a search (they match nearly everyone)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'at', 'do', 'does', 'find', 'for', 'from', 'get', 'have',
+  'i', 'in', 'is', 'know', 'list', 'me', 'my', 'network', 'of', 'on', 'or', 'people', 'person',
+  'show', 'someone', 'the', 'to', 'who', 'whom', 'with', 'work', 'works', 'working'
+]);
+
+// experienceLevel filter values -> stored seniority levels (any stored level
+// also works as a value of its own)
+const EXPERIENCE_LEVELS = {
+  senior: ['senior', 'lead', 'staff', 'principal'],
+  junior: ['junior', 'intern'],
+  mid: ['mid'],
+  manager: ['manager'],
+  director: ['director', 'vp'],
+  executive: ['executive']
+};
+
+// Radius for "near Austin" when the query gives no distance
+const DEFAULT_RADIUS_MILES = 25;
+const KM_PER_MILE = 1.609344;
+
+// Expression indexed by idx_connections_full_name_trgm (must match exactly)
+const FULL_NAME_SQL = "(coalesce(first_name, '') || ' ' || coalesce(last_name, ''))";
 
 // Advanced search builder for connection queries
 class ConnectionSearchEngine {
   constructor(userId) {
     this.userId = userId;
-    this.query = 'SELECT first_name, last_name, company, position, profile_url FROM connections WHERE user_id = $1';
+    this.columns = 'id, first_name, last_name, company, position, profile_url, last_interaction_at, city, region, country';
+    this.conditions = ['user_id = $1'];
+    this.scoreTerms = [];
+    this.orderClause = '';
+    this.limitClause = '';
     this.params = [userId];
     this.paramIndex = 2;
   }
 
-  // Add company filter with fuzzy matching
+  // Full SQL for the current filters; each row carries a relevance score
+  get query() {
+    const score = this.scoreTerms.length > 0 ? this.scoreTerms.join(' + ') : '0';
+    return `SELECT ${this.columns}, (${score})::float AS score FROM connections` +
+      ` WHERE ${this.conditions.join(' AND ')}${this.orderClause}${this.limitClause}`;
+  }
+
+  // Reserve the next positional parameter
+  addParam(value) {
+    this.params.push(value);
+    return `$${this.paramIndex++}`;
+  }
+
+  // Add company filter: the company's aliases and subsidiaries ("Meta" also
+  // finds "Facebook" and "Instagram"), substring, or trigram match so typos
+  // ("Gogle") still hit
   filterByCompany(company) {
     if (!company) return this;
-    
-    this.query += ` AND (
-      LOWER(company) LIKE LOWER($${this.paramIndex}) OR
-      LOWER(company) LIKE LOWER($${this.paramIndex + 1}) OR
-      LOWER(company) LIKE LOWER($${this.paramIndex + 2})
-    )`;
-    
-    // Multiple variations for better matching
-    this.params.push(
-      `%${company}%`,           // Contains
-      `${company}%`,            // Starts with
-      `%${company.split(' ')[0]}%` // First word contains
+
+    const term = this.addParam(company);
+    const contains = this.addParam(`%${company}%`);
+    const firstWord = this.addParam(`%${company.split(' ')[0]}%`);
+    const family = companyFamilySQL(term, '$1');
+
+    this.conditions.push(`(
+      company_id IN ${family} OR
+      company ILIKE ${contains} OR
+      company ILIKE ${firstWord} OR
+      ${term} <% company
+    )`);
+    this.scoreTerms.push(
+      `word_similarity(${term}, coalesce(company, ''))`,
+      `(CASE WHEN company_id IN ${family} THEN 1 ELSE 0 END)`
     );
-    this.paramIndex += 3;
     return this;
   }
 
-  // Add position/role filter with synonym matching
+  // Add position/role filter. Titles the parser understands ("senior
+  // engineer", "founder") filter on the parsed columns; anything else falls
+  // back to synonym and trigram matching on the raw position.
   filterByPosition(position) {
     if (!position) return this;
-    
+
+    const parsed = parseTitle(position);
+    if (parsed.is_founder || parsed.function || parsed.seniority) {
+      const term = this.addParam(position);
+      if (parsed.is_founder) {
+        this.filterByFounder(true);
+      } else {
+        this.filterByFunction(parsed.function);
+        this.filterBySeniority(parsed.seniority);
+        this.filterBySpecialty(parsed.specialty);
+      }
+      this.scoreTerms.push(`word_similarity(${term}, coalesce(position, ''))`);
+      return this;
+    }
+
     // Common role synonyms
     const synonyms = this.getRoleSynonyms(position);
-    const synonymPlaceholders = synonyms.map((_, index) => `LOWER(position) LIKE LOWER($${this.paramIndex + index})`).join(' OR ');
-    
-    this.query += ` AND (${synonymPlaceholders})`;
-    this.params.push(...synonyms.map(syn => `%${syn}%`));
-    this.paramIndex += synonyms.length;
+    const term = this.addParam(position);
+    const synonymPlaceholders = synonyms
+      .map(syn => `position ILIKE ${this.addParam(`%${syn}%`)}`)
+      .join(' OR ');
+
+    this.conditions.push(`(${synonymPlaceholders} OR ${term} <% position)`);
+    this.scoreTerms.push(`word_similarity(${term}, coalesce(position, ''))`);
     return this;
   }
 
   // Add name filter (first or last name)
   filterByName(name) {
     if (!name) return this;
-    
-    this.query += ` AND (
-      LOWER(first_name) LIKE LOWER($${this.paramIndex}) OR
-      LOWER(last_name) LIKE LOWER($${this.paramIndex + 1}) OR
-      CONCAT(LOWER(first_name), ' ', LOWER(last_name)) LIKE LOWER($${this.paramIndex + 2})
-    )`;
-    
-    this.params.push(`%${name}%`, `%${name}%`, `%${name}%`);
-    this.paramIndex += 3;
+
+    const term = this.addParam(name);
+    const contains = this.addParam(`%${name}%`);
+
+    this.conditions.push(`(
+      first_name ILIKE ${contains} OR
+      last_name ILIKE ${contains} OR
+      ${FULL_NAME_SQL} ILIKE ${contains} OR
+      ${term} <% ${FULL_NAME_SQL}
+    )`);
+    this.scoreTerms.push(`word_similarity(${term}, ${FULL_NAME_SQL})`);
+    return this;
+  }
+
+  // Free-text ranked search across name, company and position
+  filterByText(text) {
+    const words = this.extractSearchWords(text);
+    if (words.length === 0) return this;
+
+    // Prefix-match any word in the weighted tsvector, or fuzzy-match the flattened text
+    const tsQuery = this.addParam(words.map(word => `${word}:*`).join(' | '));
+    const fuzzy = this.addParam(words.join(' '));
+
+    this.conditions.push(`(
+      search_vector @@ to_tsquery('simple', ${tsQuery}) OR
+      ${fuzzy} <% search_text
+    )`);
+    this.scoreTerms.push(
+      `ts_rank_cd(search_vector, to_tsquery('simple', ${tsQuery}))`,
+      `word_similarity(${fuzzy}, search_text)`
+    );
     return this;
   }
 
@@ -63,63 +154,140 @@ class ConnectionSearchEngine {
     if (!industry) return this;
     
     const industryKeywords = this.getIndustryKeywords(industry.toLowerCase());
-    const keywordPlaceholders = industryKeywords.map((_, index) => `LOWER(company) LIKE LOWER($${this.paramIndex + index})`).join(' OR ');
     
     if (industryKeywords.length > 0) {
-      this.query += ` AND (${keywordPlaceholders})`;
-      this.params.push(...industryKeywords.map(keyword => `%${keyword}%`));
-      this.paramIndex += industryKeywords.length;
+      const keywordPlaceholders = industryKeywords
+        .map(keyword => `company ILIKE ${this.addParam(`%${keyword}%`)}`)
+        .join(' OR ');
+      this.conditions.push(`(${keywordPlaceholders})`);
     }
     return this;
   }
 
-  // Add experience level filter (inferred from position titles)
+  // Add experience level filter on the parsed seniority; founders count as executives
   filterByExperienceLevel(level) {
     if (!level) return this;
-    
-    const levelKeywords = this.getExperienceLevelKeywords(level.toLowerCase());
-    const keywordPlaceholders = levelKeywords.map((_, index) => `LOWER(position) LIKE LOWER($${this.paramIndex + index})`).join(' OR ');
-    
-    if (levelKeywords.length > 0) {
-      this.query += ` AND (${keywordPlaceholders})`;
-      this.params.push(...levelKeywords.map(keyword => `%${keyword}%`));
-      this.paramIndex += levelKeywords.length;
-    }
+
+    const key = level.toLowerCase();
+    const levels = EXPERIENCE_LEVELS[key] || (SENIORITY_LEVELS.includes(key) ? [key] : null);
+    if (!levels) return this;
+
+    const param = this.addParam(levels);
+    this.conditions.push(key === 'executive'
+      ? `(seniority = ANY(${param}::text[]) OR is_founder)`
+      : `seniority = ANY(${param}::text[])`);
     return this;
   }
 
-  // Add location filter (if position contains location info)
-  filterByLocation(location) {
+  // Add exact parsed-title filters (see utils/titleParser.js)
+  filterBySeniority(seniority) {
+    if (!seniority) return this;
+    this.conditions.push(`seniority = ${this.addParam(seniority)}`);
+    return this;
+  }
+
+  filterByFunction(jobFunction) {
+    if (!jobFunction) return this;
+    this.conditions.push(`function = ${this.addParam(jobFunction.toLowerCase())}`);
+    return this;
+  }
+
+  filterBySpecialty(specialty) {
+    if (!specialty) return this;
+    this.conditions.push(`specialty = ${this.addParam(specialty.toLowerCase().trim())}`);
+    return this;
+  }
+
+  filterByFounder(isFounder) {
+    if (!isFounder) return this;
+    this.conditions.push('is_founder');
+    return this;
+  }
+
+  // Add tag and list filters by name, ignoring case and a trailing "s"
+  // ("investor" finds the "Investors" list)
+  filterByTag(tag) {
+    if (!tag) return this;
+    this.conditions.push(`id IN (
+      SELECT ct.connection_id FROM connection_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE t.user_id = $1 AND ${nameMatchSQL('t.name', this.addParam(tag))}
+    )`);
+    return this;
+  }
+
+  filterByList(list) {
+    if (!list) return this;
+    this.conditions.push(`id IN (
+      SELECT m.connection_id FROM list_members m JOIN lists l ON l.id = m.list_id
+      WHERE l.user_id = $1 AND ${nameMatchSQL('l.name', this.addParam(list))}
+    )`);
+    return this;
+  }
+
+  // Add location filter on the resolved place (utils/gazetteer.js). With
+  // `radiusMiles` and a known city, matches connections within that distance,
+  // nearest first; otherwise the same city, region or country. Locations the
+  // gazetteer could not resolve are matched on their text.
+  filterByLocation(location, radiusMiles = null) {
     if (!location) return this;
-    
-    this.query += ` AND (
-      LOWER(position) LIKE LOWER($${this.paramIndex}) OR
-      LOWER(company) LIKE LOWER($${this.paramIndex + 1})
-    )`;
-    
-    this.params.push(`%${location}%`, `%${location}%`);
-    this.paramIndex += 2;
+
+    const place = resolveLocation(location);
+    const unresolved = () => `(country IS NULL AND location ILIKE ${this.addParam(`%${location}%`)})`;
+
+    if (place && place.lat !== null && radiusMiles > 0) {
+      const box = boundingBox(place.lat, place.lon, radiusMiles);
+      const lat = this.addParam(place.lat);
+      const lon = this.addParam(place.lon);
+      const radius = this.addParam(radiusMiles);
+      const distance = `distance_miles(lat, lon, ${lat}, ${lon})`;
+
+      // The bounding box lets idx_connections_lat_lon narrow the rows first
+      this.conditions.push(`(
+        lat BETWEEN ${this.addParam(box.minLat)} AND ${this.addParam(box.maxLat)} AND
+        lon BETWEEN ${this.addParam(box.minLon)} AND ${this.addParam(box.maxLon)} AND
+        ${distance} <= ${radius}
+      )`);
+      this.scoreTerms.push(`(1 - ${distance} / ${radius})`);
+    } else if (place && place.city) {
+      const city = this.addParam(place.city);
+      const country = this.addParam(place.country);
+      this.conditions.push(`((city = ${city} AND country = ${country}) OR ${unresolved()})`);
+    } else if (place && place.region) {
+      const region = this.addParam(place.region);
+      const country = this.addParam(place.country);
+      this.conditions.push(`((region = ${region} AND country = ${country}) OR ${unresolved()})`);
+    } else if (place) {
+      this.conditions.push(`(country = ${this.addParam(place.country)} OR ${unresolved()})`);
+    } else {
+      this.conditions.push(`location ILIKE ${this.addParam(`%${location}%`)}`);
+    }
     return this;
   }
 
   // Add sorting and pagination
   orderBy(field = 'first_name', direction = 'ASC') {
-    const validFields = ['first_name', 'last_name', 'company', 'position'];
+    const validFields = ['score', 'first_name', 'last_name', 'company', 'position'];
     const validDirections = ['ASC', 'DESC'];
     
     if (validFields.includes(field) && validDirections.includes(direction.toUpperCase())) {
-      this.query += ` ORDER BY ${field} ${direction.toUpperCase()}`;
+      // Ties (and unscored searches) fall back to alphabetical order
+      this.orderClause = field === 'score'
+        ? ` ORDER BY score ${direction.toUpperCase()}, last_name ASC, first_name ASC`
+        : ` ORDER BY ${field} ${direction.toUpperCase()}`;
     }
     return this;
   }
 
   limit(count = 50) {
-    this.query += ` LIMIT $${this.paramIndex}`;
-    this.params.push(Math.min(count, 200)); // Max 200 results
-    this.paramIndex += 1;
+    this.limitClause = ` LIMIT ${this.addParam(Math.min(count, 200))}`; // Max 200 results
     return this;
   }
 
+  // Whether any relevance-producing filter has been applied
+  isRanked() {
+    return this.scoreTerms.length > 0;
+  }
+
   // Execute the search
   async execute() {
     try {
@@ -135,6 +303,48 @@ class ConnectionSearchEngine {
     }
   }
 
+  // Number of connections matching the current filters
+  async count() {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(*) AS count FROM connections WHERE ${this.conditions.join(' AND ')}`,
+        this.params
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw new Error(`Search execution failed: ${error.message}`);
+    }
+  }
+
+  // Connection counts per company for the current filters, aliases counted
+  // under the canonical company name
+  async groupByCompany(limit = 10) {
+    const limitParam = `$${this.paramIndex}`;
+    try {
+      const result = await db.query(
+        `SELECT COALESCE(co.name, g.company) AS company, g.count FROM (
+           SELECT company_id, MIN(company) AS company, COUNT(*) AS count FROM connections
+           WHERE ${this.conditions.join(' AND ')} AND company IS NOT NULL AND company != ''
+           GROUP BY company_id, CASE WHEN company_id IS NULL THEN COALESCE(normalize_company(company), company) END
+         ) g
+         LEFT JOIN companies co ON co.id = g.company_id
+         ORDER BY g.count DESC, 1 ASC
+         LIMIT ${limitParam}`,
+        [...this.params, Math.min(limit, 100)]
+      );
+      return result.rows.map(row => ({ company: row.company, count: parseInt(row.count) }));
+    } catch (error) {
+      throw new Error(`Search execution failed: ${error.message}`);
+    }
+  }
+
+  // Lowercased alphanumeric words from free text, minus stop words
+  extractSearchWords(text) {
+    if (!text) return [];
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+
   // Get role synonyms for better matching
   getRoleSynonyms(role) {
     const roleMap = {
@@ -177,31 +387,96 @@ class ConnectionSearchEngine {
 
     return industryMap[industry] || [];
   }
+}
 
-  // Get experience level keywords
-  getExperienceLevelKeywords(level) {
-    const levelMap = {
-      'senior': ['senior', 'sr', 'principal', 'staff', 'lead'],
-      'junior': ['junior', 'jr', 'associate', 'entry', 'intern'],
-      'manager': ['manager', 'mgr', 'lead', 'supervisor'],
-      'director': ['director', 'head', 'vp', 'vice president'],
-      'executive': ['ceo', 'cto', 'cfo', 'president', 'founder'],
-      'mid': ['mid', 'intermediate', 'specialist']
-    };
+// Longest run of leading words (up to four) the gazetteer knows: "Seattle
+// who work at Google" -> "Seattle". Two-letter abbreviations only count in
+// capitals ("in WA", not "in me"). `strict` also requires the part before
+// any comma to be a place ("fintech in Berlin, Germany" is not one).
+const leadingPlace = (text, strict = false) => {
+  const words = text.trim().split(/\s+/).slice(0, 4);
+  for (let count = words.length; count > 0; count--) {
+    const candidate = words.slice(0, count).join(' ').replace(/[,.!?;:]+$/, '');
+    if (candidate.length <= 2 && candidate !== candidate.toUpperCase()) continue;
+    if (strict && !resolveLocation(candidate.split(',')[0])) continue;
+    if (candidate && resolveLocation(candidate)) return candidate;
+  }
+  return null;
+};
 
-    return levelMap[level] || [];
+// { location, radius } named in a query, or null. Radii are in miles.
+const findLocation = (query) => {
+  const within = query.match(/\bwithin\s+(\d+(?:\.\d+)?)\s*(miles?|mi|km|kilomet(?:er|re)s?)\s+(?:of|from)\s+(.+)/i);
+  if (within) {
+    const location = leadingPlace(within[3]);
+    if (location) {
+      const distance = parseFloat(within[1]);
+      const radius = /^k/i.test(within[2]) ? distance / KM_PER_MILE : distance;
+      return { location, radius };
+    }
   }
-}
+
+  const patterns = [
+    [/\b(?:near|around|close to|nearby)\s+(?=(.+))/i, DEFAULT_RADIUS_MILES],
+    [/\b(?:based in|located in|living in|lives in|live in|in|from)\s+(?=(.+))/i, null]
+  ];
+  // Every occurrence, so "engineers in fintech in Seattle" finds Seattle;
+  // exact places first, then looser ones ("Portland, Maine" -> Maine)
+  for (const strict of [true, false]) {
+    for (const [pattern, radius] of patterns) {
+      for (const match of query.matchAll(new RegExp(pattern.source, 'gi'))) {
+        const location = leadingPlace(match[1], strict);
+        if (location) return { location, radius };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Named lists and tags: "my investor list", "the list called "Q3 intros"",
+// "tagged as climate", "#climate"
+const LIST_PATTERNS = [
+  /\blist\s+(?:called\s+|named\s+)?"([^"]+)"/i,
+  /"([^"]+)"\s+list\b/i,
+  /\blist\s+(?:called|named)\s+([\w&'-]+)/i,
+  /\b(?:my|the)\s+((?:[\w&'-]+\s+){0,4}?[\w&'-]+)\s+list\b/i
+];
+const TAG_PATTERNS = [
+  /\btagged\s+(?:as\s+|with\s+)?"([^"]+)"/i,
+  /\btagged\s+(?:as\s+|with\s+)?#?([\w&-]+)/i,
+  /(?:^|\s)#([\w&-]+)/
+];
+
+// First capture of the first matching pattern, and the query without the
+// matched phrase so its words are not read as other filters
+const extractNamed = (query, patterns) => {
+  for (const pattern of patterns) {
+    const match = query.match(pattern);
+    if (match) {
+      return { value: match[1].trim(), rest: query.replace(match[0], ' ').replace(/\s+/g, ' ').trim() };
+    }
+  }
+  return { value: null, rest: query };
+};
 
 // AI-powered search intent parser
-const parseSearchIntent = (query) => {
+const parseSearchIntent = (text) => {
+  const list = extractNamed(text, LIST_PATTERNS);
+  const tag = extractNamed(list.rest, TAG_PATTERNS);
+  const query = tag.rest;
+
   const intent = {
     company: null,
     position: null,
     name: null,
     industry: null,
     experienceLevel: null,
-    location: null
+    founder: false,
+    location: null,
+    radius: null,
+    list: list.value,
+    tag: tag.value
   };
 
   const lowerQuery = query.toLowerCase();
@@ -221,7 +496,7 @@ const parseSearchIntent = (query) => {
   }
 
   // Extract positions/roles
-  const roleKeywords = ['engineer', 'developer', 'manager', 'director', 'analyst', 'designer', 'consultant', 'founder', 'sales', 'marketing', 'product', 'data'];
+  const roleKeywords = ['engineer', 'developer', 'manager', 'director', 'analyst', 'designer', 'consultant', 'sales', 'marketing', 'product', 'data'];
   for (const role of roleKeywords) {
     if (lowerQuery.includes(role)) {
       intent.position = role;
@@ -229,6 +504,11 @@ const parseSearchIntent = (query) => {
     }
   }
 
+  // Founders are a parsed flag, not a title keyword ("founders I know")
+  if (/\b(co-?)?founders?\b/.test(lowerQuery)) {
+    intent.founder = true;
+  }
+
   // Extract experience levels
   const experienceLevels = ['senior', 'junior', 'lead', 'principal', 'staff', 'director', 'manager', 'executive'];
   for (const level of experienceLevels) {
@@ -247,6 +527,17 @@ const parseSearchIntent = (query) => {
     }
   }
 
+  // Extract locations: "within 50 miles of Austin", "near Seattle", "in Berlin"
+  const place = findLocation(query);
+  if (place) {
+    intent.location = place.location;
+    intent.radius = place.radius;
+    // "engineers from Seattle" is a place, not a company
+    if (intent.company && normalizePlace(intent.company) === normalizePlace(place.location)) {
+      intent.company = null;
+    }
+  }
+
   // Extract names (look for quoted names or "named", "called")
   const namePatterns = [
     /"([^"]+)"/g,
@@ -264,13 +555,26 @@ const parseSearchIntent = (query) => {
   return intent;
 };
 
-// Main search function
-const searchConnections = async (userId, query, filters = {}) => {
-  const searchEngine = new ConnectionSearchEngine(userId);
-  
-  // Apply filters from AI parsing or explicit filters
-  const searchIntent = parseSearchIntent(query);
-  const combinedFilters = { ...searchIntent, ...filters };
+// Semantic (embedding) search for intent-style queries such as
+// "people who work on payments infrastructure"
+const semanticSearch = async (userId, query, filters = {}) => {
+  await embedMissingConnections(userId);
+  const results = await searchSimilarConnections(userId, query, { limit: filters.limit || 50 });
+
+  return {
+    results,
+    count: results.length,
+    mode: 'semantic'
+  };
+};
+
+// Apply structured filters to a search engine. `role` is accepted as an
+// alias for `position` (the AI's vocabulary vs. the column name).
+const applySearchFilters = (searchEngine, filters, query = '') => {
+  const combinedFilters = { ...filters };
+  if (!combinedFilters.position && combinedFilters.role) {
+    combinedFilters.position = combinedFilters.role;
+  }
 
   if (combinedFilters.company) {
     searchEngine.filterByCompany(combinedFilters.company);
@@ -291,21 +595,88 @@ const searchConnections = async (userId, query, filters = {}) => {
   if (combinedFilters.experienceLevel) {
     searchEngine.filterByExperienceLevel(combinedFilters.experienceLevel);
   }
+
+  if (combinedFilters.function) {
+    searchEngine.filterByFunction(combinedFilters.function);
+  }
+
+  if (combinedFilters.specialty) {
+    searchEngine.filterBySpecialty(combinedFilters.specialty);
+  }
+
+  if (combinedFilters.founder) {
+    searchEngine.filterByFounder(true);
+  }
   
   if (combinedFilters.location) {
-    searchEngine.filterByLocation(combinedFilters.location);
+    searchEngine.filterByLocation(combinedFilters.location, parseFloat(combinedFilters.radius) || null);
+  }
+
+  if (combinedFilters.tag) {
+    searchEngine.filterByTag(combinedFilters.tag);
   }
 
-  // Apply sorting and limits
+  if (combinedFilters.list) {
+    searchEngine.filterByList(combinedFilters.list);
+  }
+
+  // Explicit keywords, or the raw query when nothing structured was recognized
+  const hasStructuredFilter = ['company', 'position', 'name', 'industry', 'experienceLevel', 'function',
+    'specialty', 'founder', 'location', 'tag', 'list']
+    .some(key => combinedFilters[key]);
+  if (combinedFilters.keywords) {
+    searchEngine.filterByText(combinedFilters.keywords);
+  } else if (!hasStructuredFilter && query) {
+    searchEngine.filterByText(query);
+  }
+
+  return searchEngine;
+};
+
+// Main search function (filters.mode: 'keyword' (default) or 'semantic')
+const searchConnections = async (userId, query, filters = {}) => {
+  if (filters.mode === 'semantic') {
+    return await semanticSearch(userId, query, filters);
+  }
+
+  // Title filters read the parsed columns; parse any rows imported before them
+  await parseStaleTitles(userId);
+
+  // Apply filters from AI parsing or explicit filters
+  const searchIntent = parseSearchIntent(query);
+  const searchEngine = applySearchFilters(
+    new ConnectionSearchEngine(userId),
+    { ...searchIntent, ...filters },
+    query
+  );
+
+  // Apply sorting and limits (relevance first whenever the search is ranked)
+  const defaultSort = searchEngine.isRanked() ? 'score' : 'first_name';
+  const defaultOrder = searchEngine.isRanked() ? 'DESC' : 'ASC';
   searchEngine
-    .orderBy(filters.sortBy || 'first_name', filters.sortOrder || 'ASC')
+    .orderBy(filters.sortBy || defaultSort, filters.sortOrder || defaultOrder)
     .limit(filters.limit || 50);
 
   return await searchEngine.execute();
 };
 
+// Count connections matching explicit filters
+const countConnections = async (userId, filters = {}) => {
+  await parseStaleTitles(userId);
+  return await applySearchFilters(new ConnectionSearchEngine(userId), filters).count();
+};
+
+// Top companies among connections matching explicit filters
+const groupConnectionsByCompany = async (userId, filters = {}, limit = 10) => {
+  await parseStaleTitles(userId);
+  return await applySearchFilters(new ConnectionSearchEngine(userId), filters).groupByCompany(limit);
+};
+
 module.exports = {
   ConnectionSearchEngine,
   parseSearchIntent,
-  searchConnections
+  searchConnections,
+  semanticSearch,
+  countConnections,
+  groupConnectionsByCompany
 };
\ No newline at end of file
@@ -14,6 +14,8 @@ const RATE_LIMITS = {
   register: { requests: 3, window: 60 * 60 * 1000 }, // 3 attempts per hour
   api: { requests: 100, window: 60 * 60 * 1000 }, // 100 requests per hour
   password_reset: { requests: 3, window: 60 * 60 * 1000 }, // 3 attempts per hour
+  email_verification: { requests: 3, window: 60 * 60 * 1000 }, // 3 resent links per hour
+  reauthenticate: { requests: 5, window: 15 * 60 * 1000 }, // 5 two-factor changes per account per 15 minutes
 };
 
 const ACCOUNT_LOCKOUT = {
@@ -22,28 +24,46 @@ const ACCOUNT_LOCKOUT = {
 };
 
 // Encryption utilities
+// Payload format written by encrypt(); payloads without `version` came from
+// the removed crypto.createCipher and are still read (see legacyKeyAndIv)
+const ENCRYPTION_VERSION = 2;
+const GCM_IV_LENGTH = 12;
+
 class EncryptionManager {
-  constructor() {
-    this.masterKey = process.env.ENCRYPTION_MASTER_KEY || this.generateKey();
-    if (!process.env.ENCRYPTION_MASTER_KEY) {
-      console.warn('WARNING: Using generated encryption key. Set ENCRYPTION_MASTER_KEY in production.');
+  constructor(masterKey = process.env.ENCRYPTION_MASTER_KEY) {
+    // A generated key would make every stored secret unreadable after a cold start
+    if (!masterKey) {
+      throw new Error('ENCRYPTION_MASTER_KEY is not set');
     }
-  }
-
-  generateKey() {
-    return crypto.randomBytes(32).toString('hex');
+    this.masterKey = masterKey;
   }
 
   deriveKey(password, salt) {
     return crypto.pbkdf2Sync(password, salt, KEY_DERIVATION_ITERATIONS, 32, 'sha256');
   }
 
+  // Key and IV crypto.createCipher derived from its password (OpenSSL
+  // EVP_BytesToKey: MD5, no salt, one round); it ignored the stored IV
+  legacyKeyAndIv(password) {
+    let derived = Buffer.alloc(0);
+    let block = Buffer.alloc(0);
+    while (derived.length < 32 + GCM_IV_LENGTH) {
+      block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+      derived = Buffer.concat([derived, block]);
+    }
+    return { key: derived.subarray(0, 32), iv: derived.subarray(32, 32 + GCM_IV_LENGTH) };
+  }
+
+  keyId() {
+    return crypto.createHash('sha256').update(this.masterKey).digest('hex').substring(0, 16);
+  }
+
   encrypt(data) {
     const salt = crypto.randomBytes(16);
     const key = this.deriveKey(this.masterKey, salt);
-    const iv = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(GCM_IV_LENGTH);
     
-    const cipher = crypto.createCipher(ENCRYPTION_ALGORITHM, key);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
     cipher.setAAD(salt); // Additional authenticated data
     
     let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'base64');
@@ -52,26 +72,29 @@ class EncryptionManager {
     const authTag = cipher.getAuthTag();
     
     return {
+      version: ENCRYPTION_VERSION,
       encrypted,
       salt: salt.toString('base64'),
       iv: iv.toString('base64'),
       authTag: authTag.toString('base64'),
-      keyId: crypto.createHash('sha256').update(this.masterKey).digest('hex').substring(0, 16)
+      keyId: this.keyId()
     };
   }
 
   decrypt(encryptedData) {
-    const { encrypted, salt, iv, authTag, keyId } = encryptedData;
+    const { version, encrypted, salt, iv, authTag, keyId } = encryptedData;
     
     // Verify key ID
-    const currentKeyId = crypto.createHash('sha256').update(this.masterKey).digest('hex').substring(0, 16);
-    if (keyId !== currentKeyId) {
+    if (keyId !== this.keyId()) {
       throw new Error('Encryption key mismatch');
     }
     
-    const key = this.deriveKey(this.masterKey, Buffer.from(salt, 'base64'));
+    const derivedKey = this.deriveKey(this.masterKey, Buffer.from(salt, 'base64'));
+    const { key, iv: cipherIv } = version >= ENCRYPTION_VERSION
+      ? { key: derivedKey, iv: Buffer.from(iv, 'base64') }
+      : this.legacyKeyAndIv(derivedKey);
     
-    const decipher = crypto.createDecipher(ENCRYPTION_ALGORITHM, key);
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, cipherIv);
     decipher.setAAD(Buffer.from(salt, 'base64'));
     decipher.setAuthTag(Buffer.from(authTag, 'base64'));
     
@@ -345,6 +368,20 @@ const createSession = async (userId, deviceInfo, ipAddress, userAgent) => {
   }
 };
 
+// True when the user has signed in before, but never with this user agent.
+// The first sign-in of an account is not "new".
+const isNewDevice = async (userId, userAgent) => {
+  const result = await db.query(`
+    SELECT COUNT(*)::int AS sessions,
+           COUNT(*) FILTER (WHERE user_agent = $2)::int AS matching
+    FROM user_sessions
+    WHERE user_id = $1
+  `, [userId, userAgent || '']);
+
+  const { sessions, matching } = result.rows[0];
+  return sessions > 0 && matching === 0;
+};
+
 const validateSession = async (sessionToken) => {
   try {
     const result = await db.query(`
@@ -499,6 +536,7 @@ module.exports = {
   
   // Session management
   createSession,
+  isNewDevice,
   validateSession,
   refreshSession,
   revokeSession,
@@ -0,0 +1,115 @@
+// Default and validated user settings shared by the settings and data handlers
+
+const { CHAT_PROVIDER_PREFERENCES } = require('./llmProviders');
+
+// Settings a client sent that cannot be stored; handlers answer 400
+class SettingsValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsValidationError';
+  }
+}
+
+function getDefaultPreferences() {
+  return {
+    notifications: {
+      email: true,
+      browser: true,
+      query_results: true,
+      system_updates: false
+    },
+    privacy: {
+      data_retention_days: 365,
+      allow_analytics: true,
+      share_usage_stats: false
+    },
+    interface: {
+      theme: 'auto',
+      language: 'en',
+      timezone: 'UTC',
+      items_per_page: 25
+    },
+    ai: {
+      // 'default' follows the deployment's LLM_PROVIDER
+      provider: 'default'
+    }
+  };
+}
+
+function getDefaultPrivacySettings() {
+  return {
+    data_processing_consent: true,
+    marketing_consent: false,
+    analytics_consent: true,
+    third_party_sharing: false,
+    data_retention_period: 365,
+    automatic_deletion: true
+  };
+}
+
+function validatePrivacySettings(settings) {
+  const defaults = getDefaultPrivacySettings();
+  const validated = { ...defaults };
+
+  // Validate each setting
+  if (typeof settings.data_processing_consent === 'boolean') {
+    validated.data_processing_consent = settings.data_processing_consent;
+  }
+  
+  if (typeof settings.marketing_consent === 'boolean') {
+    validated.marketing_consent = settings.marketing_consent;
+  }
+  
+  if (typeof settings.analytics_consent === 'boolean') {
+    validated.analytics_consent = settings.analytics_consent;
+  }
+  
+  if (typeof settings.third_party_sharing === 'boolean') {
+    validated.third_party_sharing = settings.third_party_sharing;
+  }
+  
+  if (typeof settings.data_retention_period === 'number' && 
+      [30, 90, 180, 365, 730, -1].includes(settings.data_retention_period)) {
+    validated.data_retention_period = settings.data_retention_period;
+  }
+  
+  if (typeof settings.automatic_deletion === 'boolean') {
+    validated.automatic_deletion = settings.automatic_deletion;
+  }
+
+  return validated;
+}
+
+// Keep the known sections and keys of `preferences` whose values have the
+// default's type; anything else falls back to the default. An unknown AI
+// provider is refused rather than reset.
+function validatePreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new SettingsValidationError('Preferences must be an object');
+  }
+  if (preferences.ai?.provider && !CHAT_PROVIDER_PREFERENCES.includes(preferences.ai.provider)) {
+    throw new SettingsValidationError(`Invalid AI provider. Use one of: ${CHAT_PROVIDER_PREFERENCES.join(', ')}`);
+  }
+
+  const defaults = getDefaultPreferences();
+  const validated = {};
+
+  for (const [section, keys] of Object.entries(defaults)) {
+    const incoming = preferences[section] && typeof preferences[section] === 'object' ? preferences[section] : {};
+    validated[section] = {};
+
+    for (const [key, fallback] of Object.entries(keys)) {
+      validated[section][key] = typeof incoming[key] === typeof fallback ? incoming[key] : fallback;
+    }
+  }
+
+  return validated;
+}
+
+module.exports = {
+  getDefaultPreferences,
+  getDefaultPrivacySettings,
+  validatePreferences,
+  validatePrivacySettings,
+  SettingsValidationError
+};
@@ -0,0 +1,157 @@
+const db = require('./db');
+
+// User-defined tags on connections (migrations/018-add-connection-notes-and-tags.sql).
+// Names are unique per user regardless of case.
+
+const MAX_TAG_LENGTH = 50;
+
+// Trimmed, de-duplicated (case-insensitively) tag names
+const normalizeTagNames = (names = []) => {
+  const seen = new Set();
+  return names
+    .filter(name => typeof name === 'string')
+    .map(name => name.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH))
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Ids of the named tags, creating the ones the user does not have yet
+const ensureTags = async (client, userId, names) => {
+  if (names.length === 0) return [];
+
+  await client.query(`
+    INSERT INTO tags (user_id, name)
+    SELECT $1, name FROM UNNEST($2::text[]) AS t(name)
+    ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+  `, [userId, names]);
+
+  const result = await client.query(
+    'SELECT id, name FROM tags WHERE user_id = $1 AND LOWER(name) = ANY($2::text[]) ORDER BY name',
+    [userId, names.map(name => name.toLowerCase())]
+  );
+  return result.rows;
+};
+
+// Replace a connection's tags with `names`. Runs on `client` so it can join
+// the caller's transaction. Returns the connection's tags.
+const setConnectionTags = async (client, userId, connectionId, names) => {
+  const tags = await ensureTags(client, userId, normalizeTagNames(names));
+  const tagIds = tags.map(tag => tag.id);
+
+  await client.query(
+    'DELETE FROM connection_tags WHERE connection_id = $1 AND NOT (tag_id = ANY($2::int[]))',
+    [connectionId, tagIds]
+  );
+  await client.query(`
+    INSERT INTO connection_tags (connection_id, tag_id)
+    SELECT $1, UNNEST($2::int[])
+    ON CONFLICT DO NOTHING
+  `, [connectionId, tagIds]);
+
+  return tags;
+};
+
+// The user's tags with how many connections carry each
+const listTags = async (userId) => {
+  const result = await db.query(`
+    SELECT t.id, t.name, COUNT(ct.connection_id)::int AS connection_count
+    FROM tags t
+    LEFT JOIN connection_tags ct ON ct.tag_id = t.id
+    WHERE t.user_id = $1
+    GROUP BY t.id
+    ORDER BY LOWER(t.name)
+  `, [userId]);
+  return result.rows;
+};
+
+// Create a tag; returns null when the user already has one with that name
+const createTag = async (userId, name) => {
+  const result = await db.query(`
+    INSERT INTO tags (user_id, name) VALUES ($1, $2)
+    ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+    RETURNING id, name
+  `, [userId, name]);
+  return result.rows[0] || null;
+};
+
+// Rename a tag; returns null when not found. A name another tag already has
+// raises 'Tag name already in use'.
+const renameTag = async (userId, tagId, name) => {
+  try {
+    const result = await db.query(
+      'UPDATE tags SET name = $3 WHERE id = $1 AND user_id = $2 RETURNING id, name',
+      [tagId, userId, name]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error('Tag name already in use');
+    }
+    throw error;
+  }
+};
+
+const deleteTag = async (userId, tagId) => {
+  const result = await db.query('DELETE FROM tags WHERE id = $1 AND user_id = $2', [tagId, userId]);
+  return result.rowCount > 0;
+};
+
+const tagExists = async (userId, tagId) => {
+  const result = await db.query('SELECT 1 FROM tags WHERE id = $1 AND user_id = $2', [tagId, userId]);
+  return result.rows.length > 0;
+};
+
+// Tag or untag many connections at once. Ids of other users' connections are
+// ignored. Returns the number of connections changed, or null when the tag
+// is not found.
+const addTagMembers = async (userId, tagId, connectionIds) => {
+  const result = await db.query(`
+    INSERT INTO connection_tags (connection_id, tag_id)
+    SELECT c.id, t.id FROM connections c JOIN tags t ON t.id = $2 AND t.user_id = $1
+    WHERE c.user_id = $1 AND c.id = ANY($3::int[])
+    ON CONFLICT DO NOTHING
+    RETURNING tag_id
+  `, [userId, tagId, connectionIds]);
+  if (result.rowCount > 0) return result.rowCount;
+  return (await tagExists(userId, tagId)) ? 0 : null;
+};
+
+const removeTagMembers = async (userId, tagId, connectionIds) => {
+  if (!(await tagExists(userId, tagId))) return null;
+  const result = await db.query(
+    'DELETE FROM connection_tags WHERE tag_id = $1 AND connection_id = ANY($2::int[])',
+    [tagId, connectionIds]
+  );
+  return result.rowCount;
+};
+
+// SQL comparing a tag or list name column with a search term, ignoring case
+// and a trailing "s" ("investor" finds the "Investors" list)
+const nameMatchSQL = (column, term) =>
+  `REGEXP_REPLACE(LOWER(${column}), 's$', '') = REGEXP_REPLACE(LOWER(TRIM(${term})), 's$', '')`;
+
+// SQL for a connection's tags as a JSON array; `connection` is a column reference
+const connectionTagsSQL = (connection) => `COALESCE((
+  SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY LOWER(t.name))
+  FROM connection_tags ct JOIN tags t ON t.id = ct.tag_id
+  WHERE ct.connection_id = ${connection}
+), '[]')`;
+
+module.exports = {
+  normalizeTagNames,
+  ensureTags,
+  setConnectionTags,
+  listTags,
+  createTag,
+  renameTag,
+  deleteTag,
+  addTagMembers,
+  removeTagMembers,
+  nameMatchSQL,
+  connectionTagsSQL,
+  MAX_TAG_LENGTH
+};
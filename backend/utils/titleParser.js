@@ -0,0 +1,242 @@
+const db = require('./db');
+
+// Bump when the rules change so stored titles are re-parsed (see parseConnectionTitles)
+const TITLE_PARSER_VERSION = 1;
+
+// Seniority levels, highest first; the first level found in a title wins
+const SENIORITY_RULES = [
+  ['executive', /\b(chief \w+( \w+)? officer|c[etfomipr]o|(?<!vice )president|owner|managing partner|general partner|partner)\b/],
+  ['vp', /\b(vice president|svp|evp|avp|vp)\b/],
+  ['director', /\b(director|head of|head)\b/],
+  ['manager', /\b(manager|mgr|supervisor)\b/],
+  ['principal', /\bprincipal\b/],
+  ['staff', /\bstaff\b/],
+  ['lead', /\b(lead|leader)\b/],
+  ['senior', /\b(senior|sr)\b/],
+  ['mid', /\b(mid|intermediate)\b/],
+  ['junior', /\b(junior|jr|associate|entry level|graduate|new grad)\b/],
+  ['intern', /\b(intern|internship|trainee|apprentice|working student)\b/]
+];
+
+const SENIORITY_LEVELS = SENIORITY_RULES.map(([level]) => level);
+
+// "Manager" in these titles is a role, not a people manager
+const IC_MANAGER_TITLES = /\b(product|program|project|account|community|social media|content|partner|office|case|marketing|brand|territory|relationship) manager\b/;
+
+// Job functions, checked in order (more specific phrases first; "ML Engineer"
+// is engineering with a machine learning specialty)
+const FUNCTION_RULES = [
+  ['design', /\b(designer|design|ux|ui|creative director|art director|illustrator)\b/],
+  ['engineering', /\b(engineer|engineering|developer|programmer|architect|devops|cto|qa|tester|coder|firmware|technical lead|tech lead|chief (technology|technical|information) officer|cio)\b/],
+  ['data', /\b(data|machine learning|ml|ai|analytics|statistician|bi)\b/],
+  ['product', /\b(product manager|product owner|product lead|product|cpo|chief product officer)\b/],
+  ['sales', /\b(sales|account executive|business development|bdr|sdr|account manager|partner manager|cro|chief revenue officer|partnerships)\b/],
+  ['marketing', /\b(marketing|marketer|growth|brand|seo|content|communications|pr|cmo|community|social media|chief marketing officer)\b/],
+  ['finance', /\b(finance|financial|accountant|accounting|controller|cfo|treasury|investment|investor|auditor|tax|chief financial officer)\b/],
+  ['people', /\b(recruiter|recruiting|recruitment|talent|hr|human resources|people|chro|chief people officer)\b/],
+  ['legal', /\b(lawyer|attorney|counsel|legal|paralegal|solicitor)\b/],
+  ['support', /\b(customer success|customer support|customer service|support|customer experience)\b/],
+  ['operations', /\b(operations|ops|coo|supply chain|logistics|program manager|project manager|procurement|chief operating officer)\b/],
+  ['research', /\b(research|researcher|scientist|phd)\b/],
+  ['consulting', /\b(consultant|consulting|advisor|adviser)\b/],
+  ['education', /\b(teacher|professor|lecturer|instructor|tutor)\b/],
+  ['healthcare', /\b(physician|doctor|nurse|surgeon|pharmacist|therapist|clinician)\b/],
+  ['general_management', /\b(ceo|chief executive officer|founder|president|general manager|managing director|owner|partner|entrepreneur)\b/]
+];
+
+const JOB_FUNCTIONS = FUNCTION_RULES.map(([name]) => name);
+
+// Specialties recognized anywhere in a title when none is given explicitly
+const SPECIALTY_RULES = [
+  ['frontend', /\b(front end|frontend)\b/],
+  ['backend', /\b(back end|backend)\b/],
+  ['full stack', /\b(full stack|fullstack)\b/],
+  ['mobile', /\bmobile\b/],
+  ['ios', /\bios\b/],
+  ['android', /\bandroid\b/],
+  ['machine learning', /\b(machine learning|ml)\b/],
+  ['ai', /\b(ai|artificial intelligence)\b/],
+  ['infrastructure', /\b(infrastructure|infra)\b/],
+  ['platform', /\bplatform\b/],
+  ['security', /\b(security|infosec|appsec)\b/],
+  ['reliability', /\b(site reliability|reliability)\b/],
+  ['devops', /\bdevops\b/],
+  ['cloud', /\bcloud\b/],
+  ['embedded', /\b(embedded|firmware)\b/],
+  ['payments', /\bpayments?\b/],
+  ['growth', /\bgrowth\b/],
+  ['enterprise', /\benterprise\b/],
+  ['quality', /\b(qa|quality assurance|test automation)\b/],
+  ['data', /\b(data|analytics)\b/]
+];
+
+// Abbreviations expanded before matching
+const ABBREVIATIONS = [
+  [/\bswe\b/g, 'software engineer'],
+  [/\bsde\b/g, 'software development engineer'],
+  [/\bsre\b/g, 'site reliability engineer'],
+  [/\bem\b/g, 'engineering manager'],
+  [/\btpm\b/g, 'technical program manager'],
+  [/\bapm\b/g, 'associate product manager'],
+  [/\bpm\b/g, 'product manager'],
+  [/\bae\b/g, 'account executive'],
+  [/\bmd\b/g, 'managing director'],
+  [/\bgm\b/g, 'general manager'],
+  [/\beng\b/g, 'engineer'],
+  [/\bdev\b/g, 'developer'],
+  [/\bmgr\b/g, 'manager'],
+  [/\bdir\b/g, 'director'],
+  [/\bmktg\b/g, 'marketing'],
+  [/\bfe\b/g, 'frontend'],
+  [/\bbe\b/g, 'backend']
+];
+
+// Words that name a function rather than a specialty ("VP of Engineering")
+const GENERIC_QUALIFIERS = new Set([
+  'engineering', 'product', 'design', 'sales', 'marketing', 'finance', 'operations', 'data', 'people',
+  'hr', 'legal', 'research', 'technology', 'the company', 'business'
+]);
+
+const normalizeTitle = (text) => {
+  let normalized = text.toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[./]/g, ' ')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  ABBREVIATIONS.forEach(([pattern, expansion]) => {
+    normalized = normalized.replace(pattern, expansion);
+  });
+  return normalized;
+};
+
+// Current-role segments of a headline-style title: "Sr. Staff SWE, Payments
+// | ex-Stripe" -> ["Sr. Staff SWE, Payments"]. Past employers ("ex-Stripe",
+// "formerly Google") and "@ Company" tails are dropped.
+const splitSegments = (title) => title
+  .split(/\s*[|•·]\s*|\s+\/\s+/)
+  .map(segment => segment.replace(/\s+(@|at)\s+.*$/i, '').trim())
+  .filter(segment => segment && !/^(ex[-\s]|former(ly)?\b|previously\b|prev\b)/i.test(segment));
+
+// Qualifier after a comma, dash or in parentheses: "SWE, Payments",
+// "Engineer - Platform", "Designer (Growth)"
+const splitQualifier = (segment) => {
+  const match = segment.match(/^(.*?)(?:\s*,\s*|\s+[-–—]\s+|\s*\()\s*([^)]*)\)?$/);
+  if (!match || !match[1].trim()) return { role: segment, qualifier: null };
+  return { role: match[1].trim(), qualifier: match[2].trim() || null };
+};
+
+const firstMatch = (rules, text) => {
+  const rule = rules.find(([, pattern]) => pattern.test(text));
+  return rule ? rule[0] : null;
+};
+
+const seniorityOf = (role) => {
+  // Drop role-style "manager" titles before looking for a people manager
+  const text = role.replace(IC_MANAGER_TITLES, '');
+  return firstMatch(SENIORITY_RULES, text);
+};
+
+const specialtyOf = (role, qualifier) => {
+  if (qualifier) {
+    const normalized = normalizeTitle(qualifier);
+    if (normalized && !GENERIC_QUALIFIERS.has(normalized)) return normalized.slice(0, 100);
+  }
+
+  const of = role.match(/\b(?:of|for)\s+(.+)$/);
+  if (of && !GENERIC_QUALIFIERS.has(of[1])) {
+    const known = firstMatch(SPECIALTY_RULES, of[1]);
+    return known || of[1].slice(0, 100);
+  }
+
+  return firstMatch(SPECIALTY_RULES, role);
+};
+
+// Structured fields of a job title:
+// { seniority, function, specialty, is_founder }. Seniority is null unless
+// the title states one (see titleFields for the stored default).
+const parseTitle = (title) => {
+  const empty = { seniority: null, function: null, specialty: null, is_founder: false };
+  if (!title || !title.trim()) return empty;
+
+  const segments = splitSegments(title);
+  if (segments.length === 0) return empty;
+
+  const is_founder = segments.some(segment => /\b(co-?\s?)?founder\b|\bfounding\b/i.test(segment));
+
+  // The first segment naming a recognizable role is the job; later segments
+  // are usually taglines ("Founder & CEO | Angel Investor")
+  const parsed = segments.map(segment => {
+    const { role, qualifier } = splitQualifier(segment);
+    const normalizedRole = normalizeTitle(role);
+    return {
+      seniority: seniorityOf(normalizedRole),
+      // "Associate Director, Marketing": the function can sit in the qualifier
+      function: firstMatch(FUNCTION_RULES, normalizedRole) ||
+        (qualifier ? firstMatch(FUNCTION_RULES, normalizeTitle(qualifier)) : null),
+      specialty: specialtyOf(normalizedRole, qualifier)
+    };
+  });
+  const primary = parsed.find(fields => fields.function) || parsed[0];
+
+  return {
+    seniority: primary.seniority || (is_founder ? 'executive' : null),
+    function: primary.function || (is_founder ? 'general_management' : null),
+    specialty: primary.specialty,
+    is_founder
+  };
+};
+
+// Fields stored on a connection: titles with a function but no stated
+// seniority count as mid-level
+const titleFields = (title) => {
+  const fields = parseTitle(title);
+  if (!fields.seniority && fields.function) fields.seniority = 'mid';
+  return fields;
+};
+
+// Parse and store title fields for `ids`, or for up to `limit` of the user's
+// connections parsed by an older parser version (backfill). Runs on `client`
+// so imports can update inside their own transaction.
+const parseConnectionTitles = async (client, userId, ids = null, limit = 5000) => {
+  const rows = await client.query(`
+    SELECT id, position FROM connections
+    WHERE user_id = $1 AND ${ids ? 'id = ANY($2::int[])' : 'title_parser_version IS DISTINCT FROM $2'}
+    LIMIT $3
+  `, [userId, ids || TITLE_PARSER_VERSION, ids ? ids.length : limit]);
+  if (rows.rows.length === 0) return 0;
+
+  const fields = rows.rows.map(row => titleFields(row.position));
+  await client.query(`
+    UPDATE connections c
+    SET seniority = t.seniority, function = t.function, specialty = t.specialty,
+        is_founder = t.is_founder, title_parser_version = $2
+    FROM UNNEST($3::int[], $4::text[], $5::text[], $6::text[], $7::boolean[])
+      AS t(id, seniority, function, specialty, is_founder)
+    WHERE c.id = t.id AND c.user_id = $1
+  `, [
+    userId,
+    TITLE_PARSER_VERSION,
+    rows.rows.map(row => row.id),
+    fields.map(field => field.seniority),
+    fields.map(field => field.function),
+    fields.map(field => field.specialty),
+    fields.map(field => field.is_founder)
+  ]);
+
+  return rows.rows.length;
+};
+
+// Backfill outside a transaction (search calls this before filtering)
+const parseStaleTitles = (userId) => parseConnectionTitles(db, userId);
+
+module.exports = {
+  parseTitle,
+  titleFields,
+  parseConnectionTitles,
+  parseStaleTitles,
+  SENIORITY_LEVELS,
+  JOB_FUNCTIONS,
+  TITLE_PARSER_VERSION
+};
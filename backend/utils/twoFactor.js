@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { hashPassword, verifyPassword, encryptionManager } = require('./security');
+
+// TOTP (RFC 6238) second factor and recovery codes
+// (migrations/021-add-two-factor-auth.sql). Compatible with Google
+// Authenticator, 1Password, Authy and friends: SHA-1, 6 digits, 30 seconds.
+
+const ISSUER = 'PNIT';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept the previous and next step as well, for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.toUpperCase().replace(/[\s=-]/g, '').split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error('Invalid base32 secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TIME_STEP_SECONDS);
+
+// The code for one time step (HOTP over the step counter)
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+// The step `code` is valid for, or null. Steps at or before `lastStep` were
+// already used and are rejected.
+const matchTotp = (secret, code, lastStep = null, now = Date.now()) => {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(digits)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastStep !== null && candidate <= lastStep) continue;
+    const expected = totpCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return candidate;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; this is what the QR code encodes
+const provisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// "xxxx-xxxx" from an unambiguous alphabet
+const generateRecoveryCode = () => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const readSecret = (stored) => (stored ? encryptionManager.decrypt(JSON.parse(stored)) : null);
+
+const getTwoFactorStatus = async (userId) => {
+  const result = await db.query(`
+    SELECT u.two_factor_enabled, u.two_factor_enabled_at, u.password_hash IS NOT NULL AS has_password,
+           (SELECT COUNT(*)::int FROM two_factor_recovery_codes r
+            WHERE r.user_id = u.id AND r.used_at IS NULL) AS recovery_codes_remaining
+    FROM users u WHERE u.id = $1
+  `, [userId]);
+  const row = result.rows[0];
+  return {
+    enabled: Boolean(row?.two_factor_enabled),
+    enabledAt: row?.two_factor_enabled_at || null,
+    recoveryCodesRemaining: row?.two_factor_enabled ? row.recovery_codes_remaining : 0,
+    // Re-authentication asks for the password only when the account has one
+    hasPassword: Boolean(row?.has_password)
+  };
+};
+
+// Start enrollment: a new secret, stored encrypted but not yet enabled.
+// Returns { secret, otpauthUrl }.
+const beginTwoFactorSetup = async (userId, accountName) => {
+  const status = await getTwoFactorStatus(userId);
+  if (status.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query(
+    'UPDATE users SET two_factor_secret = $2, two_factor_last_step = NULL WHERE id = $1',
+    [userId, JSON.stringify(encryptionManager.encrypt(secret))]
+  );
+  return { secret, otpauthUrl: provisioningUri(secret, accountName) };
+};
+
+// Replace the user's recovery codes; returns the plain codes (shown once)
+const regenerateRecoveryCodes = async (userId, client = db) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const hashes = await Promise.all(codes.map(code => hashPassword(normalizeRecoveryCode(code))));
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(`
+    INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::text[])
+  `, [userId, hashes]);
+  return codes;
+};
+
+// Finish enrollment with a code from the app. Returns the recovery codes, or
+// null when the code is wrong.
+const enableTwoFactor = async (userId, code) => {
+  const result = await db.query(
+    'SELECT two_factor_secret, two_factor_enabled FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || user.two_factor_enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  if (!user.two_factor_secret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  const step = matchTotp(readSecret(user.two_factor_secret), code);
+  if (step === null) return null;
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE users
+      SET two_factor_enabled = true, two_factor_enabled_at = NOW(), two_factor_last_step = $2
+      WHERE id = $1
+    `, [userId, step]);
+    const codes = await regenerateRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const disableTwoFactor = async (userId) => {
+  await db.query(`
+    UPDATE users
+    SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_last_step = NULL,
+        two_factor_enabled_at = NULL
+    WHERE id = $1
+  `, [userId]);
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Check a second factor: an authenticator `code` or an unused `recoveryCode`.
+// Accepted codes are spent. Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const result = await db.query(
+    'SELECT two_factor_secret, two_factor_enabled, two_factor_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.two_factor_enabled) return null;
+
+  if (code) {
+    const lastStep = user.two_factor_last_step === null ? null : Number(user.two_factor_last_step);
+    const step = matchTotp(readSecret(user.two_factor_secret), code, lastStep);
+    if (step === null) return null;
+
+    // Conditional so two requests racing with the same code cannot both pass
+    const updated = await db.query(`
+      UPDATE users SET two_factor_last_step = $2
+      WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+    `, [userId, step]);
+    return updated.rowCount > 0 ? 'totp' : null;
+  }
+
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) return null;
+
+  const codes = await db.query(
+    'SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  for (const row of codes.rows) {
+    if (await verifyPassword(normalized, row.code_hash)) {
+      const spent = await db.query(
+        'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+        [row.id]
+      );
+      return spent.rowCount > 0 ? 'recovery' : null;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  matchTotp,
+  provisioningUri,
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  RECOVERY_CODE_COUNT
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const db = require('./db');
+const {
+  getEmbeddingProvider,
+  connectionEmbeddingText,
+  cosineSimilarity
+} = require('./embeddings');
+
+// Whether migration 007 managed to add the pgvector column (checked once)
+let vectorColumnAvailable = null;
+
+const hasVectorColumn = async () => {
+  if (vectorColumnAvailable === null) {
+    try {
+      const result = await db.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'connection_embeddings' AND column_name = 'embedding_vector'
+      `);
+      vectorColumnAvailable = result.rows.length > 0;
+    } catch (error) {
+      console.error('pgvector detection error:', error);
+      vectorColumnAvailable = false;
+    }
+  }
+  return vectorColumnAvailable;
+};
+
+const hashContent = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Embed and store vectors for the given connection rows ({ id, position, company })
+const embedConnections = async (userId, connections) => {
+  const provider = getEmbeddingProvider();
+  const items = connections
+    .map(connection => ({ id: connection.id, text: connectionEmbeddingText(connection) }))
+    .filter(item => item.id && item.text);
+
+  if (items.length === 0) return 0;
+
+  // Skip rows whose text and model are unchanged since the last embedding
+  const existing = await db.query(`
+    SELECT connection_id, content_hash FROM connection_embeddings
+    WHERE connection_id = ANY($1) AND model = $2
+  `, [items.map(item => item.id), provider.model]);
+  const storedHashes = new Map(existing.rows.map(row => [row.connection_id, row.content_hash]));
+
+  const pending = items.filter(item => storedHashes.get(item.id) !== hashContent(item.text));
+  if (pending.length === 0) return 0;
+
+  const vectors = await provider.embed(pending.map(item => item.text));
+  const withVector = await hasVectorColumn();
+
+  for (let i = 0; i < pending.length; i++) {
+    await db.query(`
+      INSERT INTO connection_embeddings (connection_id, user_id, model, content_hash, embedding, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (connection_id)
+      DO UPDATE SET model = $3, content_hash = $4, embedding = $5, updated_at = NOW()
+    `, [pending[i].id, userId, provider.model, hashContent(pending[i].text), vectors[i]]);
+
+    if (withVector) {
+      await db.query(
+        'UPDATE connection_embeddings SET embedding_vector = embedding::vector WHERE connection_id = $1',
+        [pending[i].id]
+      );
+    }
+  }
+
+  return pending.length;
+};
+
+// Backfill embeddings for connections imported before the pipeline existed
+const embedMissingConnections = async (userId, limit = 500) => {
+  const provider = getEmbeddingProvider();
+  const result = await db.query(`
+    SELECT c.id, c.position, c.company
+    FROM connections c
+    LEFT JOIN connection_embeddings e ON e.connection_id = c.id AND e.model = $2
+    WHERE c.user_id = $1 AND e.connection_id IS NULL
+      AND (c.position IS NOT NULL OR c.company IS NOT NULL)
+    LIMIT $3
+  `, [userId, provider.model, limit]);
+
+  return await embedConnections(userId, result.rows);
+};
+
+// Nearest-neighbour lookup: pgvector when installed, otherwise in-process cosine
+const searchSimilarConnections = async (userId, text, { limit = 50 } = {}) => {
+  const provider = getEmbeddingProvider();
+  const [queryVector] = await provider.embed([text]);
+  const cappedLimit = Math.min(limit, 200);
+
+  if (await hasVectorColumn()) {
+    const result = await db.query(`
+      SELECT c.id, c.first_name, c.last_name, c.company, c.position, c.profile_url,
+             (1 - (e.embedding_vector <=> $3::vector))::float AS score
+      FROM connection_embeddings e
+      JOIN connections c ON c.id = e.connection_id
+      WHERE e.user_id = $1 AND e.model = $2
+      ORDER BY e.embedding_vector <=> $3::vector
+      LIMIT $4
+    `, [userId, provider.model, `[${queryVector.join(',')}]`, cappedLimit]);
+    return result.rows;
+  }
+
+  const embeddings = await db.query(`
+    SELECT connection_id, embedding FROM connection_embeddings
+    WHERE user_id = $1 AND model = $2
+  `, [userId, provider.model]);
+
+  const ranked = embeddings.rows
+    .map(row => ({ id: row.connection_id, score: cosineSimilarity(queryVector, row.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, cappedLimit);
+
+  if (ranked.length === 0) return [];
+
+  const connections = await db.query(`
+    SELECT id, first_name, last_name, company, position, profile_url
+    FROM connections
+    WHERE user_id = $1 AND id = ANY($2)
+  `, [userId, ranked.map(item => item.id)]);
+  const byId = new Map(connections.rows.map(row => [row.id, row]));
+
+  return ranked
+    .filter(item => byId.has(item.id))
+    .map(item => ({ ...byId.get(item.id), score: item.score }));
+};
+
+module.exports = {
+  embedConnections,
+  embedMissingConnections,
+  searchSimilarConnections
+};
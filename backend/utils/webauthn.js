@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Passkey / WebAuthn (Level 2) registration and assertion ceremonies for
+// platform authenticators and security keys. Credentials live in
+// webauthn_credentials, pending challenges in webauthn_challenges
+// (migrations/022-add-webauthn-credentials.sql). Attestation is not
+// requested, so authenticators are trusted by possession alone.
+
+const CHALLENGE_TTL_MINUTES = 5;
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_PASSKEY_NAME_LENGTH = 100;
+// COSE algorithms offered at registration: ES256, EdDSA, RS256
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+const KNOWN_TRANSPORTS = ['usb', 'nfc', 'ble', 'internal', 'hybrid', 'smart-card'];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+// WEBAUTHN_RP_ID is the site's domain; WEBAUTHN_ORIGINS lists the frontend
+// origins (comma separated) allowed to run the ceremonies
+const relyingParty = () => ({
+  id: process.env.WEBAUTHN_RP_ID || 'localhost',
+  name: process.env.WEBAUTHN_RP_NAME || 'PNIT',
+  origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+});
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const hashChallenge = (challenge) => sha256(challenge).toString('hex');
+const userHandle = (userId) => Buffer.from(String(userId)).toString('base64url');
+
+const fail = (reason) => {
+  throw new Error(`Passkey verification failed: ${reason}`);
+};
+
+// Minimal CBOR (RFC 8949) decoder, enough for attestation objects and COSE
+// keys: integers, byte and text strings, arrays, maps and simple values.
+// Returns { value, length } where length is the number of bytes read.
+const decodeCbor = (buffer) => {
+  let offset = 0;
+
+  const take = (length) => {
+    if (offset + length > buffer.length) throw new Error('Truncated CBOR data');
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+
+  const readArgument = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return take(1).readUInt8(0);
+    if (info === 25) return take(2).readUInt16BE(0);
+    if (info === 26) return take(4).readUInt32BE(0);
+    if (info === 27) return Number(take(8).readBigUInt64BE(0));
+    throw new Error('Unsupported CBOR length');
+  };
+
+  const readItem = () => {
+    const initial = take(1)[0];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0: return readArgument(info);
+      case 1: return -1 - readArgument(info);
+      case 2: return Buffer.from(take(readArgument(info)));
+      case 3: return take(readArgument(info)).toString('utf8');
+      case 4: return Array.from({ length: readArgument(info) }, readItem);
+      case 5: {
+        const map = new Map();
+        const size = readArgument(info);
+        for (let i = 0; i < size; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new Error('Unsupported CBOR simple value');
+      default:
+        throw new Error('Unsupported CBOR item');
+    }
+  };
+
+  const value = readItem();
+  return { value, length: offset };
+};
+
+// rpIdHash, flags, signCount and, during registration, the new credential
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) fail('authenticator data is too short');
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    // 16-byte AAGUID, then a length-prefixed credential ID and the COSE key
+    if (authData.length < 55) fail('attested credential data is too short');
+    const idLength = authData.readUInt16BE(53);
+    parsed.credentialId = authData.subarray(55, 55 + idLength);
+    parsed.credentialPublicKey = decodeCbor(authData.subarray(55 + idLength)).value;
+  }
+  return parsed;
+};
+
+// A COSE_Key as a Node public key
+const coseToPublicKey = (cose) => {
+  if (!(cose instanceof Map)) fail('credential public key is not a COSE key');
+
+  const keyType = cose.get(1);
+  const algorithm = cose.get(3);
+  const base64url = (label) => {
+    const value = cose.get(label);
+    if (!Buffer.isBuffer(value)) fail('credential public key is incomplete');
+    return value.toString('base64url');
+  };
+
+  let jwk;
+  if (keyType === 2 && algorithm === -7 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: base64url(-2), y: base64url(-3) };
+  } else if (keyType === 1 && algorithm === -8 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: base64url(-2) };
+  } else if (keyType === 3 && algorithm === -257) {
+    jwk = { kty: 'RSA', n: base64url(-1), e: base64url(-2) };
+  } else {
+    fail(`unsupported public key algorithm ${algorithm}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Stored public keys are SubjectPublicKeyInfo DER, base64url
+const verifySignature = (storedKey, data, signature) => {
+  const key = crypto.createPublicKey({ key: Buffer.from(storedKey, 'base64url'), format: 'der', type: 'spki' });
+  // Ed25519 hashes internally; ES256 and RS256 sign SHA-256 digests
+  const algorithm = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+  return crypto.verify(algorithm, data, key, signature);
+};
+
+// Decoded clientDataJSON after checking the ceremony type and origin
+const parseClientData = (clientDataJSON, type) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch (error) {
+    fail('client data is not valid JSON');
+  }
+
+  if (clientData.type !== type) fail(`unexpected ceremony type ${clientData.type}`);
+  if (!relyingParty().origins.includes(clientData.origin)) fail(`origin ${clientData.origin} is not allowed`);
+  if (typeof clientData.challenge !== 'string') fail('client data has no challenge');
+  return clientData;
+};
+
+const checkAuthenticatorData = (authData) => {
+  if (!authData.rpIdHash.equals(sha256(relyingParty().id))) fail('credential is for another site');
+  if (!authData.userPresent) fail('user presence was not confirmed');
+};
+
+const createChallenge = async (purpose, userId = null) => {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  await db.query('DELETE FROM webauthn_challenges WHERE expires_at < NOW()');
+  await db.query(`
+    INSERT INTO webauthn_challenges (challenge_hash, purpose, user_id, expires_at)
+    VALUES ($1, $2, $3, NOW() + INTERVAL '${CHALLENGE_TTL_MINUTES} minutes')
+  `, [hashChallenge(challenge), purpose, userId]);
+  return challenge;
+};
+
+// Single use: the row is deleted whether or not the rest of the ceremony passes
+const consumeChallenge = async (challenge, purpose) => {
+  const result = await db.query(`
+    DELETE FROM webauthn_challenges
+    WHERE challenge_hash = $1 AND purpose = $2
+    RETURNING user_id, expires_at > NOW() AS is_current
+  `, [hashChallenge(challenge), purpose]);
+
+  const stored = result.rows[0];
+  if (!stored || !stored.is_current) {
+    throw new Error('Invalid or expired passkey challenge');
+  }
+  return stored;
+};
+
+const PASSKEY_COLUMNS = 'id, name, transports, created_at, last_used_at';
+
+const listPasskeys = async (userId) => {
+  const result = await db.query(`
+    SELECT ${PASSKEY_COLUMNS} FROM webauthn_credentials
+    WHERE user_id = $1
+    ORDER BY created_at
+  `, [userId]);
+  return result.rows;
+};
+
+// Returns false when the passkey does not exist or belongs to someone else
+const deletePasskey = async (userId, passkeyId) => {
+  const result = await db.query(
+    'DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2',
+    [passkeyId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// PublicKeyCredentialCreationOptions (binary fields base64url) for the
+// browser's navigator.credentials.create()
+const startPasskeyRegistration = async (user) => {
+  const rp = relyingParty();
+  const existing = await db.query(
+    'SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1',
+    [user.id]
+  );
+
+  return {
+    challenge: await createChallenge('registration', user.id),
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: userHandle(user.id),
+      name: user.email || user.name || String(user.id),
+      displayName: user.name || user.email || String(user.id)
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    // Discoverable, so sign-in needs no email to find the credential
+    authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'preferred' },
+    excludeCredentials: existing.rows.map(row => ({
+      type: 'public-key',
+      id: row.credential_id,
+      transports: row.transports || undefined
+    }))
+  };
+};
+
+// Verify navigator.credentials.create()'s result and store the credential.
+// Returns the new passkey row.
+const finishPasskeyRegistration = async (userId, credential, name) => {
+  const response = credential?.response;
+  if (typeof credential?.id !== 'string' || typeof response?.clientDataJSON !== 'string' ||
+      typeof response.attestationObject !== 'string') {
+    fail('malformed credential');
+  }
+
+  const clientData = parseClientData(response.clientDataJSON, 'webauthn.create');
+  const challenge = await consumeChallenge(clientData.challenge, 'registration');
+  if (challenge.user_id !== userId) fail('challenge was issued to another account');
+
+  let authData;
+  try {
+    const attestation = decodeCbor(Buffer.from(response.attestationObject, 'base64url')).value;
+    authData = parseAuthenticatorData(attestation.get('authData'));
+  } catch (error) {
+    if (error.message.startsWith('Passkey verification failed')) throw error;
+    fail(`attestation object could not be read (${error.message})`);
+  }
+
+  checkAuthenticatorData(authData);
+  if (!authData.credentialId) fail('no credential was created');
+  if (authData.credentialId.toString('base64url') !== credential.id) fail('credential ID mismatch');
+
+  const publicKey = coseToPublicKey(authData.credentialPublicKey)
+    .export({ format: 'der', type: 'spki' })
+    .toString('base64url');
+  const transports = Array.isArray(response.transports)
+    ? response.transports.filter(transport => KNOWN_TRANSPORTS.includes(transport))
+    : null;
+  const label = typeof name === 'string' && name.trim()
+    ? name.trim().slice(0, MAX_PASSKEY_NAME_LENGTH)
+    : 'Passkey';
+
+  try {
+    const result = await db.query(`
+      INSERT INTO webauthn_credentials (user_id, credential_id, public_key, sign_count, transports, name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${PASSKEY_COLUMNS}
+    `, [userId, credential.id, publicKey, authData.signCount, transports, label]);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      throw new Error('This passkey is already registered');
+    }
+    throw error;
+  }
+};
+
+// PublicKeyCredentialRequestOptions for navigator.credentials.get(). No
+// allowCredentials: the authenticator offers its discoverable passkeys.
+const startPasskeyAuthentication = async () => ({
+  challenge: await createChallenge('authentication'),
+  rpId: relyingParty().id,
+  timeout: CEREMONY_TIMEOUT_MS,
+  userVerification: 'preferred',
+  allowCredentials: []
+});
+
+// Verify navigator.credentials.get()'s result. Returns
+// { userId, passkeyId, userVerified }.
+const finishPasskeyAuthentication = async (credential) => {
+  const response = credential?.response;
+  if (typeof credential?.id !== 'string' || typeof response?.clientDataJSON !== 'string' ||
+      typeof response.authenticatorData !== 'string' || typeof response.signature !== 'string') {
+    fail('malformed credential');
+  }
+
+  const clientData = parseClientData(response.clientDataJSON, 'webauthn.get');
+  await consumeChallenge(clientData.challenge, 'authentication');
+
+  const stored = await db.query(
+    'SELECT id, user_id, public_key, sign_count FROM webauthn_credentials WHERE credential_id = $1',
+    [credential.id]
+  );
+  const passkey = stored.rows[0];
+  if (!passkey) fail('unknown passkey');
+  if (response.userHandle && response.userHandle !== userHandle(passkey.user_id)) {
+    fail('passkey belongs to another account');
+  }
+
+  const rawAuthData = Buffer.from(response.authenticatorData, 'base64url');
+  const authData = parseAuthenticatorData(rawAuthData);
+  checkAuthenticatorData(authData);
+
+  const signedData = Buffer.concat([rawAuthData, sha256(Buffer.from(response.clientDataJSON, 'base64url'))]);
+  let valid = false;
+  try {
+    valid = verifySignature(passkey.public_key, signedData, Buffer.from(response.signature, 'base64url'));
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) fail('signature is invalid');
+
+  // A counter that fails to increase means another copy of the key exists
+  const previousCount = Number(passkey.sign_count);
+  if ((authData.signCount > 0 || previousCount > 0) && authData.signCount <= previousCount) {
+    fail('sign counter went backwards; the authenticator may have been cloned');
+  }
+
+  // Compare-and-set, so two racing assertions cannot both advance the counter
+  const updated = await db.query(`
+    UPDATE webauthn_credentials SET sign_count = $2, last_used_at = NOW()
+    WHERE id = $1 AND sign_count = $3
+  `, [passkey.id, authData.signCount, previousCount]);
+  if (updated.rowCount === 0) fail('passkey was used concurrently');
+
+  return { userId: passkey.user_id, passkeyId: passkey.id, userVerified: authData.userVerified };
+};
+
+module.exports = {
+  decodeCbor,
+  parseAuthenticatorData,
+  listPasskeys,
+  deletePasskey,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyAuthentication,
+  finishPasskeyAuthentication,
+  MAX_PASSKEY_NAME_LENGTH
+};
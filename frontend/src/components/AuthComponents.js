@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth } from '../utils/auth';
+import { useAuth, startLinkedInSignIn, isPasskeySupported, signInWithPasskey, resendVerificationEmail } from '../utils/auth';
 import { useAccessibility } from './AccessibilityProvider';
 import { LoadingSpinner } from './LoadingSpinner';
 import { ErrorAlert } from './ErrorBoundary';
@@ -15,6 +15,13 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [passkeysAvailable, setPasskeysAvailable] = useState(false);
+
+  // Checked after mount; the server render cannot know
+  useEffect(() => {
+    setPasskeysAvailable(isPasskeySupported());
+  }, []);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -26,6 +33,46 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
     if (error) setError(null);
   };
 
+  const handleLinkedIn = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      await startLinkedInSignIn();
+    } catch (err) {
+      setError(err.message);
+      announce('LinkedIn sign-in failed', 'assertive');
+      setLoading(false);
+    }
+  };
+
+  const handlePasskey = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await signInWithPasskey();
+
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        announce('Enter your authentication code', 'polite');
+        return;
+      }
+
+      await login(data.session.token, data.user, data.session.refreshToken, data.session.expiresAt);
+      announce('Successfully logged in', 'polite');
+
+      if (onSuccess) onSuccess(data.user);
+
+    } catch (err) {
+      // NotAllowedError: the prompt was dismissed or timed out
+      setError(err.name === 'NotAllowedError' ? 'Passkey sign-in was cancelled' : err.message);
+      announce('Passkey sign-in failed', 'assertive');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -66,6 +113,13 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
         return;
       }
 
+      // Password accepted; the session needs the second factor
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        announce('Enter your authentication code', 'polite');
+        return;
+      }
+
       // Store session tokens and login
       await login(data.session.token, data.user, data.session.refreshToken, data.session.expiresAt);
       announce('Successfully logged in', 'polite');
@@ -80,6 +134,19 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
     }
   };
 
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onSuccess={onSuccess}
+        onCancel={() => {
+          setChallengeToken(null);
+          setFormData(prev => ({ ...prev, password: '' }));
+        }}
+      />
+    );
+  }
+
   return (
     <div className="w-full max-w-md mx-auto">
       <div className="bg-white dark:bg-gray-800 shadow-lg rounded-lg p-6">
@@ -189,6 +256,32 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
           </button>
         </form>
 
+        <div className="mt-4 flex items-center gap-3" aria-hidden="true">
+          <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+          <span className="text-xs text-gray-500 dark:text-gray-400">or</span>
+          <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+        </div>
+
+        <button
+          type="button"
+          onClick={handleLinkedIn}
+          disabled={loading}
+          className="mt-4 w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Continue with LinkedIn
+        </button>
+
+        {passkeysAvailable && (
+          <button
+            type="button"
+            onClick={handlePasskey}
+            disabled={loading}
+            className="mt-3 w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Sign in with a passkey
+          </button>
+        )}
+
         <div className="mt-6 text-center">
           <p className="text-sm text-gray-600 dark:text-gray-400">
             Don't have an account?{' '}
@@ -205,6 +298,159 @@ export const LoginForm = ({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
   );
 };
 
+// Second login step for accounts with two-factor authentication: a code from
+// the authenticator app, or one of the recovery codes
+export const TwoFactorChallenge = ({ challengeToken, onSuccess, onCancel }) => {
+  const { login } = useAuth();
+  const { announce } = useAccessibility();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter your authentication code');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/2fa/challenge', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(useRecoveryCode
+          ? { challengeToken, recoveryCode: code.trim() }
+          : { challengeToken, code: code.trim() })
+      });
+
+      const data = await response.json();
+
+      if (response.status === 423) {
+        setError('Your account has been temporarily locked due to too many failed login attempts. Please try again later.');
+        announce('Account temporarily locked', 'assertive');
+        return;
+      }
+
+      if (response.status === 429) {
+        setError('Too many login attempts. Please try again later.');
+        announce('Rate limit exceeded', 'assertive');
+        return;
+      }
+
+      if (!response.ok) {
+        setError(data.error || 'Verification failed');
+        setCode('');
+        announce('Verification failed', 'assertive');
+        return;
+      }
+
+      await login(data.session.token, data.user, data.session.refreshToken, data.session.expiresAt);
+      announce('Successfully logged in', 'polite');
+
+      if (onSuccess) onSuccess(data.user);
+
+    } catch (err) {
+      setError('Network error. Please check your connection and try again.');
+      announce('Network error during login', 'assertive');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <div className="bg-white dark:bg-gray-800 shadow-lg rounded-lg p-6">
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Two-Factor Authentication</h2>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved. Each code works once.'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+
+        {error && (
+          <ErrorAlert 
+            error={error} 
+            onDismiss={() => setError(null)}
+            className="mb-4"
+          />
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+            </label>
+            <input
+              id="two-factor-code"
+              name="code"
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              maxLength={useRecoveryCode ? 20 : 6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={loading}
+              className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white disabled:opacity-50 tracking-widest"
+              placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? (
+              <>
+                <LoadingSpinner size="sm" color="white" className="mr-2" />
+                Verifying...
+              </>
+            ) : (
+              'Verify'
+            )}
+          </button>
+        </form>
+
+        <div className="mt-6 flex items-center justify-between">
+          <button
+            type="button"
+            onClick={toggleRecoveryCode}
+            className="text-sm text-primary hover:text-blue-700 font-medium"
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="text-sm text-gray-600 dark:text-gray-400 hover:text-primary"
+            >
+              ← Back to Sign In
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Registration Form Component
 export const RegisterForm = ({ onSuccess, onSwitchToLogin }) => {
   const { login } = useAuth();
@@ -645,6 +891,58 @@ export const ForgotPasswordForm = ({ onSuccess, onSwitchToLogin }) => {
   );
 };
 
+// Reminder for accounts whose email address is not confirmed yet; until it
+// is, importing connections and adding sign-in methods are blocked
+export const EmailVerificationNotice = ({ className = '' }) => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const data = await resendVerificationEmail();
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className={`p-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg ${className}`}>
+      <h2 className="text-sm font-semibold text-yellow-900 dark:text-yellow-100">
+        Confirm your email address
+      </h2>
+      <p className="mt-1 text-sm text-yellow-800 dark:text-yellow-200">
+        We sent a confirmation link to <span className="font-medium">{user.email}</span>. Until you open it,
+        you can&apos;t import connections, add a passkey, turn on two-factor authentication or connect LinkedIn.
+      </p>
+      <div className="mt-3 flex items-center space-x-3" aria-live="polite">
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending}
+          className="inline-flex items-center px-3 py-1.5 border border-yellow-300 dark:border-yellow-700 text-sm font-medium rounded-md text-yellow-900 dark:text-yellow-100 hover:bg-yellow-100 dark:hover:bg-yellow-900/40 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend link'}
+        </button>
+        {message && <span className="text-sm text-yellow-800 dark:text-yellow-200">{message}</span>}
+        {error && <span className="text-sm text-red-600 dark:text-red-400">{error}</span>}
+      </div>
+    </div>
+  );
+};
+
 // Authentication Modal Component
 export const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
   const [mode, setMode] = useState(initialMode);
@@ -708,4 +1006,4 @@ export const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
   );
 };
 
-export default { LoginForm, RegisterForm, ForgotPasswordForm, AuthModal };
\ No newline at end of file
+export default { LoginForm, TwoFactorChallenge, RegisterForm, ForgotPasswordForm, EmailVerificationNotice, AuthModal };
\ No newline at end of file
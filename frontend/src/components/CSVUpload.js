@@ -1,6 +1,35 @@
-import { useState, useRef } from 'react';
-
-export default function CSVUpload({ userId = 1, onUploadSuccess }) {
+import { useState, useRef, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/auth';
+
+// How often the import job status is polled
+const POLL_INTERVAL_MS = 1500;
+
+// LinkedIn archive CSVs open with a "Notes:" paragraph before the header row
+const stripPreamble = (text) => {
+  if (!/^\uFEFF?"?Notes:/i.test(text)) return text;
+  const blankLine = text.search(/\r?\n[ \t]*\r?\n/);
+  return blankLine === -1 ? '' : text.slice(blankLine).trimStart();
+};
+
+// Address-book exports the server maps with its own source adapter
+const detectContactFormat = (text) => {
+  const header = stripPreamble(text).split('\n', 1)[0].toLowerCase();
+  if (header.includes('e-mail 1 - value')) return 'Google Contacts';
+  if (header.includes('e-mail address') && header.includes('job title')) return 'Outlook';
+  return null;
+};
+
+// Base64 for the archive upload, in slices to stay under the argument limit
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+};
+
+export default function CSVUpload({ onUploadSuccess }) {
   const [file, setFile] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -8,8 +37,13 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
   const [success, setSuccess] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [validationResults, setValidationResults] = useState(null);
+  // Server-side import job being tracked ({ status, processed_records, total_records, ... })
+  const [importJob, setImportJob] = useState(null);
   
   const fileInputRef = useRef(null);
+  const unmountedRef = useRef(false);
+
+  useEffect(() => () => { unmountedRef.current = true; }, []);
 
   // Expected LinkedIn CSV headers (case-insensitive matching)
   const expectedHeaders = [
@@ -21,7 +55,7 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
   ];
 
   const validateCSVStructure = (csvText) => {
-    const lines = csvText.split('\n').filter(line => line.trim());
+    const lines = stripPreamble(csvText).split('\n').filter(line => line.trim());
     if (lines.length < 2) {
       throw new Error('CSV file must contain at least a header row and one data row');
     }
@@ -70,8 +104,9 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
     }
 
     // Validate file type
-    if (!selectedFile.name.toLowerCase().endsWith('.csv')) {
-      setError('Please select a CSV file (.csv extension required)');
+    const fileName = selectedFile.name.toLowerCase();
+    if (!['.csv', '.zip', '.vcf'].some(extension => fileName.endsWith(extension))) {
+      setError('Please select your LinkedIn data archive (.zip), a CSV file (.csv) or contacts (.vcf)');
       return;
     }
 
@@ -81,8 +116,30 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
       return;
     }
 
+    // Archives are unpacked and checked on the server
+    if (fileName.endsWith('.zip')) {
+      setFile(selectedFile);
+      setValidationResults({ isArchive: true, hasRequiredData: true });
+      return;
+    }
+
     try {
       const text = await selectedFile.text();
+
+      const format = fileName.endsWith('.vcf') ? 'vCard' : detectContactFormat(text);
+      if (format) {
+        const totalRows = format === 'vCard'
+          ? (text.match(/^BEGIN:VCARD/gim) || []).length
+          : stripPreamble(text).split('\n').filter(line => line.trim()).length - 1;
+        if (totalRows < 1) {
+          setError(`No contacts found in this ${format} file`);
+          return;
+        }
+        setFile(selectedFile);
+        setValidationResults({ format, totalRows, hasRequiredData: true });
+        return;
+      }
+
       const validation = validateCSVStructure(text);
       
       if (!validation.hasRequiredData) {
@@ -138,7 +195,7 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
     e.preventDefault();
     
     if (!file || !validationResults?.hasRequiredData) {
-      setError('Please select a valid CSV file first');
+      setError('Please select a valid CSV, ZIP or vCard file first');
       return;
     }
 
@@ -147,33 +204,42 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
     setUploadProgress(0);
 
     try {
-      const csvText = await file.text();
-      
-      // Simulate progress for better UX
-      setUploadProgress(25);
+      const payload = validationResults.isArchive
+        ? { archive_data: toBase64(await file.arrayBuffer()) }
+        : validationResults.format === 'vCard'
+        ? { vcard_data: await file.text() }
+        : { csv_data: await file.text() };
       
-      const response = await fetch('/api/upload-connections', {
+      const response = await authenticatedFetch('/api/upload-connections', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          user_id: userId,
-          csv_data: csvText
-        }),
+        body: JSON.stringify(payload),
       });
 
-      setUploadProgress(75);
-
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
       }
 
-      const result = await response.json();
-      setUploadProgress(100);
-      
-      setSuccess(`Successfully imported ${result.message.match(/\d+/)?.[0] || 'your'} connections!`);
+      // The server queued an import job; follow it until it finishes
+      const { job } = await response.json();
+      setImportJob(job);
+      const finishedJob = await pollImportJob(job.id);
+
+      if (finishedJob.status === 'failed') {
+        throw new Error(finishedJob.error_message || 'Import failed');
+      }
+
+      const { inserted, updated, duplicates, parse_errors, failed } = finishedJob.counts;
+      const message = `Imported ${inserted} new and updated ${updated} existing connections` +
+        (duplicates ? `, ${duplicates} duplicates merged` : '') +
+        (parse_errors ? `, ${parse_errors} rows skipped` : '');
+
+      // Some chunks rolled back: what went through stays, the rest is reported
+      if (finishedJob.status === 'completed_with_errors') {
+        setError(`${message}, but ${failed} connections could not be imported. Upload the file again to retry them.`);
+      } else {
+        setSuccess(`${message}.`);
+      }
       setFile(null);
       setValidationResults(null);
       
@@ -182,7 +248,7 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
       }
 
       if (onUploadSuccess) {
-        onUploadSuccess(result);
+        onUploadSuccess({ message, job: finishedJob });
       }
 
       // Clear success message after 5 seconds
@@ -194,6 +260,28 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
     } finally {
       setIsUploading(false);
       setUploadProgress(0);
+      setImportJob(null);
+    }
+  };
+
+  // Poll GET /api/imports/:id until the job completes or fails
+  const pollImportJob = async (jobId) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      if (unmountedRef.current) throw new Error('Upload view closed');
+
+      const response = await authenticatedFetch(`/api/imports/${jobId}`);
+      if (!response.ok) {
+        throw new Error(`Could not read import status (HTTP ${response.status})`);
+      }
+
+      const { job } = await response.json();
+      setImportJob(job);
+      setUploadProgress(job.progress);
+
+      if (['completed', 'completed_with_errors', 'failed'].includes(job.status)) {
+        return job;
+      }
     }
   };
 
@@ -208,8 +296,8 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
           <li>Go to LinkedIn.com and sign in</li>
           <li>Click on "Me" → "Settings & Privacy"</li>
           <li>Go to "Data Privacy" → "Get a copy of your data"</li>
-          <li>Select "Connections" and download the CSV file</li>
-          <li>Upload the "Connections.csv" file below</li>
+          <li>Request the larger data archive and download the ZIP file</li>
+          <li>Upload the ZIP below as is (or just the "Connections.csv" inside it)</li>
         </ol>
       </div>
 
@@ -240,14 +328,14 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
           <div>
             <label htmlFor="file-upload" className="cursor-pointer">
               <span className="text-lg font-medium text-gray-900 dark:text-white">
-                {file ? file.name : 'Drop your CSV file here, or browse'}
+                {file ? file.name : 'Drop your LinkedIn archive, CSV or vCard file here, or browse'}
               </span>
               <input
                 id="file-upload"
                 ref={fileInputRef}
                 name="file-upload"
                 type="file"
-                accept=".csv"
+                accept=".csv,.zip,.vcf"
                 className="sr-only"
                 onChange={handleFileInputChange}
                 disabled={isUploading}
@@ -255,7 +343,7 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
               />
             </label>
             <p id="file-upload-description" className="text-sm text-gray-500 dark:text-gray-400 mt-1">
-              CSV files up to 50MB
+              LinkedIn ZIP or CSV, Google Contacts or Outlook CSV, or vCard (.vcf), up to 50MB
             </p>
           </div>
 
@@ -273,7 +361,31 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
       </div>
 
       {/* Validation Results */}
-      {validationResults && (
+      {validationResults?.isArchive && (
+        <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+          <h3 className="text-lg font-semibold text-green-900 dark:text-green-100 mb-2">
+            ✓ LinkedIn Data Archive Selected
+          </h3>
+          <p className="text-green-800 dark:text-green-200 text-sm">
+            Your connections are imported from Connections.csv. Messages, invitations and endorsements
+            in the archive are used to record when you last interacted with each connection.
+          </p>
+        </div>
+      )}
+
+      {validationResults?.format && (
+        <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+          <h3 className="text-lg font-semibold text-green-900 dark:text-green-100 mb-2">
+            ✓ {validationResults.format} File Detected
+          </h3>
+          <p className="text-green-800 dark:text-green-200 text-sm">
+            Found {validationResults.totalRows} contacts. Contacts you already have from another source
+            are merged into the existing connection.
+          </p>
+        </div>
+      )}
+
+      {validationResults && !validationResults.isArchive && !validationResults.format && (
         <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
           <h3 className="text-lg font-semibold text-green-900 dark:text-green-100 mb-2">
             ✓ File Validation Passed
@@ -335,7 +447,15 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
       {isUploading && (
         <div className="space-y-2">
           <div className="flex justify-between text-sm">
-            <span className="text-gray-600 dark:text-gray-400">Uploading...</span>
+            <span className="text-gray-600 dark:text-gray-400" aria-live="polite">
+              {!importJob
+                ? 'Uploading...'
+                : importJob.status === 'queued'
+                ? 'Waiting for the importer...'
+                : importJob.total_records === 0
+                ? 'Reading the file...'
+                : `Importing ${importJob.processed_records} of ${importJob.total_records} connections`}
+            </span>
             <span className="text-gray-600 dark:text-gray-400">{uploadProgress}%</span>
           </div>
           <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
@@ -348,6 +468,12 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
               aria-valuemax="100"
             />
           </div>
+          {importJob && importJob.processed_records > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {importJob.counts.inserted} new, {importJob.counts.updated} updated, {importJob.counts.duplicates} duplicates
+              {importJob.counts.errors > 0 && `, ${importJob.counts.errors} errors`}
+            </p>
+          )}
         </div>
       )}
 
@@ -365,10 +491,12 @@ export default function CSVUpload({ userId = 1, onUploadSuccess }) {
                   <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Uploading Connections...
+                Importing Connections...
               </>
             ) : (
-              `Upload ${validationResults.totalRows} Connections`
+              validationResults.isArchive
+                ? 'Upload Archive'
+                : `Upload ${validationResults.totalRows} ${validationResults.format ? 'Contacts' : 'Connections'}`
             )}
           </button>
         </form>
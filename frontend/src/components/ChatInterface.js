@@ -1,7 +1,12 @@
 import { useState, useRef, useEffect } from 'react';
 import { authenticatedFetch, useAuth } from '../utils/auth';
+import { streamChatQuery } from '../utils/chatStream';
+import { ChatMessage, TypingIndicator } from './ChatMessage';
 
-export default function ChatInterface() {
+// Fired on window so the sidebar can refresh its conversation list
+export const CONVERSATIONS_CHANGED_EVENT = 'pnit:conversations-changed';
+
+export default function ChatInterface({ conversationId = null, onConversationChange = () => {} }) {
   const { user } = useAuth();
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
@@ -10,6 +15,8 @@ export default function ChatInterface() {
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const messagesContainerRef = useRef(null);
+  // Conversation the messages on screen belong to
+  const activeConversationRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -19,6 +26,44 @@ export default function ChatInterface() {
     scrollToBottom();
   }, [messages]);
 
+  // Load a past conversation when it is opened (not when we just created it)
+  useEffect(() => {
+    if (conversationId === activeConversationRef.current) return;
+    activeConversationRef.current = conversationId;
+    setError(null);
+
+    if (!conversationId) {
+      setMessages([]);
+      return;
+    }
+
+    const loadConversation = async () => {
+      try {
+        setIsLoading(true);
+        const response = await authenticatedFetch(`/api/conversations/${conversationId}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setMessages(data.messages.map(msg => ({
+          id: msg.id,
+          type: msg.sender,
+          content: msg.message,
+          results: msg.results || [],
+          timestamp: msg.created_at
+        })));
+      } catch (err) {
+        console.error('Error loading conversation:', err);
+        setMessages([]);
+        setError('Failed to load this conversation.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadConversation();
+  }, [conversationId]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!inputValue.trim() || isLoading) return;
@@ -38,39 +83,52 @@ export default function ChatInterface() {
     
     setMessages(prev => [...prev, newUserMessage]);
 
-    try {
-      const response = await authenticatedFetch('/api/query', {
-        method: 'POST',
-        body: JSON.stringify({
-          message: userMessage,
-          history: messages.map(msg => ({
-            role: msg.type === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          }))
-        }),
+    // Assistant message filled in as results and token deltas stream in
+    const assistantId = Date.now() + 1;
+    const updateAssistant = (changes) => {
+      setMessages(prev => {
+        const existing = prev.find(msg => msg.id === assistantId);
+        if (!existing) {
+          return [...prev, {
+            id: assistantId,
+            type: 'assistant',
+            content: '',
+            results: [],
+            timestamp: new Date().toISOString(),
+            isStreaming: true,
+            ...changes(null)
+          }];
+        }
+        return prev.map(msg => msg.id === assistantId ? { ...msg, ...changes(msg) } : msg);
       });
+    };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+    try {
+      // History is loaded server-side from the conversation
+      const data = await streamChatQuery({
+        message: userMessage,
+        conversation_id: activeConversationRef.current || undefined
+      }, {
+        onResults: ({ results }) => updateAssistant(() => ({ results })),
+        onDelta: (content) => updateAssistant(msg => ({ content: (msg?.content || '') + content }))
+      });
 
-      const data = await response.json();
-      
-      // Add assistant response to chat
-      const assistantMessage = {
-        id: Date.now() + 1,
-        type: 'assistant',
+      updateAssistant(() => ({
         content: data.assistant_message,
         results: data.results || [],
-        timestamp: new Date().toISOString()
-      };
-      
-      setMessages(prev => [...prev, assistantMessage]);
+        isStreaming: false
+      }));
+
+      if (data.conversation_id && data.conversation_id !== activeConversationRef.current) {
+        activeConversationRef.current = data.conversation_id;
+        onConversationChange(data.conversation_id);
+      }
+      window.dispatchEvent(new Event(CONVERSATIONS_CHANGED_EVENT));
     } catch (err) {
       console.error('Error sending message:', err);
       setError('Failed to send message. Please try again.');
-      
-      // Add error message to chat
+
+      // Drop any partially streamed answer and add an error message to chat
       const errorMessage = {
         id: Date.now() + 1,
         type: 'error',
@@ -78,7 +136,7 @@ export default function ChatInterface() {
         timestamp: new Date().toISOString()
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(msg => msg.id !== assistantId), errorMessage]);
     } finally {
       setIsLoading(false);
     }
@@ -91,13 +149,6 @@ export default function ChatInterface() {
     }
   };
 
-  const formatTimestamp = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString([], { 
-      hour: '2-digit', 
-      minute: '2-digit' 
-    });
-  };
-
   return (
     <div className="flex flex-col h-full max-h-[600px] border border-gray-300 rounded-lg bg-white dark:bg-gray-900 dark:border-gray-700">
       {/* Chat Header */}
@@ -134,78 +185,19 @@ export default function ChatInterface() {
         )}
         
         {messages.map((message) => (
-          <div
+          <ChatMessage
             key={message.id}
-            className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
-            role="article"
-            aria-label={`${message.type === 'user' ? 'Your' : 'Assistant'} message at ${formatTimestamp(message.timestamp)}`}
-          >
-            <div
-              className={`max-w-[70%] rounded-lg px-4 py-2 ${
-                message.type === 'user'
-                  ? 'bg-primary text-white'
-                  : message.type === 'error'
-                  ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 border border-red-300 dark:border-red-700'
-                  : 'bg-gray-100 text-gray-900 dark:bg-gray-800 dark:text-white border border-gray-200 dark:border-gray-700'
-              }`}
-            >
-              <div className="text-sm whitespace-pre-wrap">{message.content}</div>
-              
-              {/* Display search results if present */}
-              {message.results && message.results.length > 0 && (
-                <div className="mt-3 pt-3 border-t border-gray-300 dark:border-gray-600">
-                  <h4 className="text-xs font-semibold mb-2 text-gray-600 dark:text-gray-400">
-                    Found {message.results.length} connections:
-                  </h4>
-                  <div className="space-y-2">
-                    {message.results.slice(0, 5).map((result, index) => (
-                      <div 
-                        key={index} 
-                        className="text-xs p-2 bg-white dark:bg-gray-700 rounded border border-gray-200 dark:border-gray-600"
-                      >
-                        <div className="font-medium">
-                          {result.first_name} {result.last_name}
-                        </div>
-                        {result.position && (
-                          <div className="text-gray-600 dark:text-gray-400">
-                            {result.position}
-                          </div>
-                        )}
-                        {result.company && (
-                          <div className="text-gray-600 dark:text-gray-400">
-                            {result.company}
-                          </div>
-                        )}
-                      </div>
-                    ))}
-                    {message.results.length > 5 && (
-                      <div className="text-xs text-gray-500 dark:text-gray-400">
-                        ... and {message.results.length - 5} more
-                      </div>
-                    )}
-                  </div>
-                </div>
-              )}
-              
-              <div className="text-xs opacity-70 mt-1">
-                {formatTimestamp(message.timestamp)}
-              </div>
-            </div>
-          </div>
+            message={message.content}
+            isUser={message.type === 'user'}
+            isError={message.type === 'error'}
+            isStreaming={message.isStreaming}
+            timestamp={message.timestamp}
+            results={message.results}
+          />
         ))}
         
-        {isLoading && (
-          <div className="flex justify-start" role="status" aria-label="Assistant is typing">
-            <div className="max-w-[70%] rounded-lg px-4 py-2 bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
-              <div className="flex space-x-1">
-                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
-                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
-              </div>
-              <span className="sr-only">Assistant is typing</span>
-            </div>
-          </div>
-        )}
+        {/* Shown until the first streamed event creates the assistant message */}
+        {isLoading && messages[messages.length - 1]?.type === 'user' && <TypingIndicator />}
         
         <div ref={messagesEndRef} />
       </div>
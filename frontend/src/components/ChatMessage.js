@@ -1,10 +1,13 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useRouter } from 'next/router';
 import { useAccessibility } from './AccessibilityProvider';
 
 // Individual chat message component
 export const ChatMessage = ({ 
   message, 
   isUser = false, 
+  isError = false,
+  isStreaming = false,
   timestamp, 
   results = [],
   onResultClick,
@@ -13,13 +16,16 @@ export const ChatMessage = ({
   const { announce } = useAccessibility();
   const [isExpanded, setIsExpanded] = useState(false);
   const messageRef = useRef(null);
+  const announcedRef = useRef(null);
 
-  // Announce new messages to screen readers
+  // Announce new messages to screen readers (once, when streaming finishes).
+  // `announce` changes identity on every provider render, hence the ref guard.
   useEffect(() => {
-    if (!isUser && message) {
+    if (!isUser && !isStreaming && message && announcedRef.current !== message) {
+      announcedRef.current = message;
       announce(`Assistant: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`, 'polite');
     }
-  }, [message, isUser, announce]);
+  }, [message, isUser, isStreaming, announce]);
 
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return '';
@@ -53,13 +59,18 @@ export const ChatMessage = ({
           max-w-[80%] rounded-lg px-4 py-3 shadow-sm
           ${isUser 
             ? 'bg-primary text-white' 
+            : isError
+            ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 border border-red-300 dark:border-red-700'
             : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white border border-gray-200 dark:border-gray-700'
           }
         `}
       >
         {/* Message content */}
-        <div className="text-sm whitespace-pre-wrap break-words">
+        <div className="text-sm whitespace-pre-wrap break-words" aria-busy={isStreaming}>
           {message}
+          {isStreaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" aria-hidden="true" />
+          )}
         </div>
 
         {/* Results section */}
@@ -136,9 +147,14 @@ export const ConnectionCard = ({
   compact = false,
   className = '' 
 }) => {
+  const router = useRouter();
+
+  // Without a handler, open the connection's detail page
   const handleClick = () => {
     if (onClick) {
       onClick(connection);
+    } else if (connection.id) {
+      router.push(`/pnit/connections/${connection.id}`);
     }
   };
 
@@ -227,7 +243,13 @@ export const ConnectionCard = ({
               {connection.company}
             </p>
           )}
-          
+
+          {(connection.city || connection.region || connection.country) && (
+            <p className="text-xs text-gray-500 dark:text-gray-500 mt-1 truncate">
+              {[connection.city, connection.region, connection.country].filter(Boolean).join(', ')}
+            </p>
+          )}
+
           {connection.email && (
             <p className="text-xs text-gray-400 dark:text-gray-600 mt-2 truncate">
               {connection.email}
@@ -24,7 +24,13 @@ export const DataExport = () => {
   const formatOptions = {
     json: 'JSON',
     csv: 'CSV (Connections only)',
-    xlsx: 'Excel (Connections only)'
+    xlsx: 'Excel (One sheet per data type)'
+  };
+
+  const acceptTypes = {
+    json: 'application/json',
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
   };
 
   const handleExport = async () => {
@@ -42,6 +48,9 @@ export const DataExport = () => {
 
       const response = await authenticatedFetch('/api/data/export', {
         method: 'POST',
+        headers: {
+          'Accept': acceptTypes[exportFormat]
+        },
         body: JSON.stringify({
           type: exportType,
           format: exportFormat
@@ -52,7 +61,8 @@ export const DataExport = () => {
       setProgress(100);
 
       if (!response.ok) {
-        throw new Error('Export failed');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Export failed');
       }
 
       // Handle file download
@@ -137,9 +147,14 @@ export const DataExport = () => {
               <option key={value} value={value}>{label}</option>
             ))}
           </select>
-          {(exportFormat === 'csv' || exportFormat === 'xlsx') && exportType === 'all' && (
+          {exportFormat === 'csv' && exportType === 'all' && (
+            <p className="text-xs text-amber-600 dark:text-amber-400 mt-2">
+              ⚠️ CSV format only supports connections data. Other data will be excluded.
+            </p>
+          )}
+          {exportFormat === 'csv' && exportType === 'settings' && (
             <p className="text-xs text-amber-600 dark:text-amber-400 mt-2">
-              ⚠️ CSV/Excel formats only support connections data. Other data will be excluded.
+              ⚠️ Settings cannot be exported as CSV. Choose JSON or Excel instead.
             </p>
           )}
         </div>
@@ -206,6 +221,7 @@ export const DataImport = () => {
   const [success, setSuccess] = useState(null);
   const [progress, setProgress] = useState(0);
   const [importPreview, setImportPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -236,6 +252,32 @@ export const DataImport = () => {
     }
   };
 
+  // Build the request payload for either a PNIT JSON export or a connections CSV
+  const buildImportPayload = async (file, dryRun) => {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json');
+
+    return isJson
+      ? { data: JSON.parse(text), dry_run: dryRun }
+      : { csv_data: text, dry_run: dryRun };
+  };
+
+  const requestImport = async (file, dryRun) => {
+    const payload = await buildImportPayload(file, dryRun);
+
+    const response = await authenticatedFetch('/api/data/import', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Import failed');
+    }
+
+    return result;
+  };
+
   const handleFileSelect = async (file) => {
     setError(null);
     setSuccess(null);
@@ -263,24 +305,22 @@ export const DataImport = () => {
 
     setSelectedFile(file);
 
-    // Generate preview for JSON files
-    if (fileExtension === '.json') {
-      try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        
-        const preview = {
-          connections: data.connections?.length || 0,
-          queries: data.queries?.length || 0,
-          settings: data.settings ? 1 : 0,
-          fileSize: (file.size / 1024 / 1024).toFixed(2) + ' MB'
-        };
-        
-        setImportPreview(preview);
-      } catch (err) {
-        setError('Invalid JSON file format');
-        setSelectedFile(null);
-      }
+    // Dry run on the server to preview what the import would change
+    try {
+      setPreviewing(true);
+      const result = await requestImport(file, true);
+
+      setImportPreview({
+        tables: result.summary.tables,
+        conflicts: result.conflicts || [],
+        fileSize: (file.size / 1024 / 1024).toFixed(2) + ' MB'
+      });
+      announce('Import preview ready', 'polite');
+    } catch (err) {
+      setError(err instanceof SyntaxError ? 'Invalid JSON file format' : err.message);
+      setSelectedFile(null);
+    } finally {
+      setPreviewing(false);
     }
   };
 
@@ -294,28 +334,19 @@ export const DataImport = () => {
       
       announce('Starting data import', 'polite');
 
-      const formData = new FormData();
-      formData.append('file', selectedFile);
-
       // Simulate progress
       const progressInterval = setInterval(() => {
         setProgress(prev => Math.min(prev + 15, 90));
       }, 500);
 
-      const response = await authenticatedFetch('/api/data/import', {
-        method: 'POST',
-        body: formData
-      });
-
-      clearInterval(progressInterval);
-      setProgress(100);
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Import failed');
+      let result;
+      try {
+        result = await requestImport(selectedFile, false);
+      } finally {
+        clearInterval(progressInterval);
       }
+      setProgress(100);
 
-      const result = await response.json();
       setSuccess(`Successfully imported: ${result.summary?.imported || 0} records`);
       setSelectedFile(null);
       setImportPreview(null);
@@ -335,6 +366,12 @@ export const DataImport = () => {
     }
   };
 
+  const tableLabels = {
+    connections: 'Connections',
+    user_preferences: 'Preferences',
+    user_privacy: 'Privacy Settings'
+  };
+
   return (
     <SettingsContainer 
       title="Import Data" 
@@ -422,29 +459,52 @@ export const DataImport = () => {
         </div>
 
         {/* Import Preview */}
+        {previewing && (
+          <div className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+            <LoadingSpinner size="sm" className="mr-2" />
+            Checking what this import will change...
+          </div>
+        )}
+
         {importPreview && (
           <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
             <h4 className="text-sm font-medium text-green-900 dark:text-green-100 mb-3">
-              ✓ File Preview
+              ✓ Import Preview ({importPreview.fileSize})
             </h4>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-green-800 dark:text-green-200">
-              <div>
-                <div className="font-medium">{importPreview.connections}</div>
-                <div className="text-xs opacity-75">Connections</div>
+            <table className="w-full text-sm text-green-800 dark:text-green-200">
+              <thead>
+                <tr className="text-left text-xs opacity-75">
+                  <th scope="col" className="font-normal pb-2">Data</th>
+                  <th scope="col" className="font-normal pb-2">New</th>
+                  <th scope="col" className="font-normal pb-2">Updated</th>
+                  <th scope="col" className="font-normal pb-2">Conflicts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(importPreview.tables).map(([table, counts]) => (
+                  <tr key={table}>
+                    <td className="py-1">{tableLabels[table] || table}</td>
+                    <td className="py-1 font-medium">{counts.inserts}</td>
+                    <td className="py-1 font-medium">{counts.updates}</td>
+                    <td className="py-1 font-medium">{counts.conflicts}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {importPreview.conflicts.length > 0 && (
+              <div className="mt-4">
+                <p className="text-xs font-medium text-amber-800 dark:text-amber-200 mb-1">
+                  Conflicting values (the longer, more complete value is kept):
+                </p>
+                <ul className="text-xs text-amber-800 dark:text-amber-200 space-y-1">
+                  {importPreview.conflicts.slice(0, 5).map(conflict => (
+                    <li key={conflict.id}>
+                      • {conflict.name}: {conflict.fields.map(f => `${f.field} (${f.existing} → ${f.kept})`).join(', ')}
+                    </li>
+                  ))}
+                </ul>
               </div>
-              <div>
-                <div className="font-medium">{importPreview.queries}</div>
-                <div className="text-xs opacity-75">Queries</div>
-              </div>
-              <div>
-                <div className="font-medium">{importPreview.settings}</div>
-                <div className="text-xs opacity-75">Settings</div>
-              </div>
-              <div>
-                <div className="font-medium">{importPreview.fileSize}</div>
-                <div className="text-xs opacity-75">File Size</div>
-              </div>
-            </div>
+            )}
           </div>
         )}
 
@@ -464,7 +524,7 @@ export const DataImport = () => {
           <div className="flex justify-start">
             <button
               onClick={handleImport}
-              disabled={importing}
+              disabled={importing || previewing || !importPreview}
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {importing ? (
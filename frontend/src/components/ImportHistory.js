@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/auth';
+
+const SOURCE_LABELS = {
+  csv: 'CSV upload',
+  'linkedin-archive': 'LinkedIn archive',
+  'google-csv': 'Google Contacts',
+  'outlook-csv': 'Outlook contacts',
+  vcard: 'vCard contacts',
+  'pnit-export': 'PNIT export'
+};
+
+// Past imports with an undo action. `refreshKey` changes whenever a new
+// upload finishes so the list picks it up.
+export default function ImportHistory({ refreshKey }) {
+  const [batches, setBatches] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [refreshKey]);
+
+  const fetchBatches = async () => {
+    try {
+      const response = await authenticatedFetch('/api/imports/batches?limit=10');
+      if (response.ok) {
+        const data = await response.json();
+        setBatches(data.batches);
+      }
+    } catch (err) {
+      console.error('Failed to fetch import history:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const rollback = async (batch) => {
+    const { inserted, updated } = batch.counts;
+    if (!window.confirm(
+      `Undo this import? ${inserted} added connections will be deleted and ${updated} updated connections restored. ` +
+      'Added connections you have since edited, tagged or put on a list are kept.'
+    )) return;
+
+    setRollingBack(batch.batch_id);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authenticatedFetch(`/api/imports/batches/${batch.batch_id}/rollback`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setBatches(prev => prev.map(b => b.batch_id === batch.batch_id ? data.batch : b));
+      setNotice(
+        `Import undone: ${data.deleted} connections removed, ${data.restored} restored` +
+        (data.kept > 0 ? `, ${data.kept} edited since the import kept.` : '.')
+      );
+    } catch (err) {
+      console.error('Rollback error:', err);
+      setError(`Could not undo import: ${err.message}`);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  if (isLoading || batches.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mt-6 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+        Import History
+      </h2>
+
+      <div aria-live="polite">
+        {notice && <p className="text-sm text-green-700 dark:text-green-300 mb-2">{notice}</p>}
+        {error && <p role="alert" className="text-sm text-red-700 dark:text-red-300 mb-2">{error}</p>}
+      </div>
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {batches.map(batch => (
+          <li key={batch.batch_id} className="py-2 flex items-center justify-between gap-4 text-sm">
+            <div className="text-gray-700 dark:text-gray-300">
+              <p className="font-medium">
+                {SOURCE_LABELS[batch.source] || batch.source} · {new Date(batch.created_at).toLocaleString()}
+              </p>
+              <p className="text-gray-500 dark:text-gray-400">
+                {batch.counts.inserted} added, {batch.counts.updated} updated, {batch.counts.duplicates} duplicates
+              </p>
+            </div>
+            {batch.status === 'rolled_back' ? (
+              <span className="text-gray-500 dark:text-gray-400">Undone</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => rollback(batch)}
+                disabled={!batch.can_rollback || rollingBack !== null}
+                className="px-3 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {rollingBack === batch.batch_id ? 'Undoing...' : 'Undo'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
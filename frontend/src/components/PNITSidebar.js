@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
-import { useAuth } from '../utils/auth';
+import { authenticatedFetch, useAuth } from '../utils/auth';
+import { CONVERSATIONS_CHANGED_EVENT } from './ChatInterface';
 
 const navItems = [
   { 
@@ -16,6 +17,18 @@ const navItems = [
     icon: 'M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 12l3 3m0 0l3-3m-3 3V8',
     description: 'Import LinkedIn connections'
   },
+  { 
+    href: '/pnit/duplicates', 
+    label: 'Duplicates', 
+    icon: 'M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2',
+    description: 'Review possible duplicate contacts'
+  },
+  { 
+    href: '/pnit/lists', 
+    label: 'Lists', 
+    icon: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01',
+    description: 'Saved lists of connections'
+  },
   { 
     href: '/pnit/chat', 
     label: 'AI Chat', 
@@ -47,6 +60,12 @@ export default function PNITSidebar({ isOpen = false, onClose = () => {}, classN
   const { user, isAuthenticated } = useAuth();
   const [connectionStats, setConnectionStats] = useState(null);
   const [isCollapsed, setIsCollapsed] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const activeConversationId = router.pathname === '/pnit/chat' && router.query.c
+    ? parseInt(router.query.c, 10)
+    : null;
 
   // Fetch connection statistics
   useEffect(() => {
@@ -57,7 +76,7 @@ export default function PNITSidebar({ isOpen = false, onClose = () => {}, classN
 
   const fetchConnectionStats = async () => {
     try {
-      const response = await fetch(`/api/settings?user_id=${user.id}`);
+      const response = await authenticatedFetch('/api/settings');
       if (response.ok) {
         const data = await response.json();
         setConnectionStats(data.statistics);
@@ -67,6 +86,72 @@ export default function PNITSidebar({ isOpen = false, onClose = () => {}, classN
     }
   };
 
+  // Past conversations, refreshed whenever the chat saves a turn
+  useEffect(() => {
+    if (!isAuthenticated || !user) return;
+
+    fetchConversations();
+    window.addEventListener(CONVERSATIONS_CHANGED_EVENT, fetchConversations);
+    return () => window.removeEventListener(CONVERSATIONS_CHANGED_EVENT, fetchConversations);
+  }, [isAuthenticated, user]);
+
+  const fetchConversations = async () => {
+    try {
+      const response = await authenticatedFetch('/api/conversations?limit=20');
+      if (response.ok) {
+        const data = await response.json();
+        setConversations(data.conversations);
+      }
+    } catch (error) {
+      console.error('Failed to fetch conversations:', error);
+    }
+  };
+
+  const startRename = (conversation) => {
+    setRenamingId(conversation.id);
+    setRenameValue(conversation.title || '');
+  };
+
+  const submitRename = async (e) => {
+    e.preventDefault();
+    // Enter submits and the input then blurs; only handle the first
+    if (renamingId === null) return;
+    const title = renameValue.trim();
+    const id = renamingId;
+    setRenamingId(null);
+    if (!title) return;
+
+    try {
+      const response = await authenticatedFetch(`/api/conversations/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ title })
+      });
+      if (response.ok) {
+        setConversations(prev => prev.map(c => c.id === id ? { ...c, title } : c));
+      }
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
+    }
+  };
+
+  const deleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+
+    try {
+      const response = await authenticatedFetch(`/api/conversations/${conversation.id}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        setConversations(prev => prev.filter(c => c.id !== conversation.id));
+        if (conversation.id === activeConversationId) {
+          router.push('/pnit/chat');
+        }
+      }
+    } catch (error) {
+      console.error('Failed to delete conversation:', error);
+    }
+  };
+
   const handleNavClick = () => {
     onClose();
   };
@@ -230,6 +315,89 @@ export default function PNITSidebar({ isOpen = false, onClose = () => {}, classN
           })}
         </nav>
 
+        {/* Conversations */}
+        {user && !isCollapsed && (
+          <div className="px-4 py-3 border-t border-gray-200 dark:border-gray-700 max-h-72 overflow-y-auto">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                Conversations
+              </h3>
+              <Link href="/pnit/chat" legacyBehavior>
+                <a
+                  className="text-xs text-primary hover:text-blue-700 dark:text-blue-400 focus:outline-none focus:ring-2 focus:ring-primary rounded"
+                  onClick={handleNavClick}
+                >
+                  New chat
+                </a>
+              </Link>
+            </div>
+
+            {conversations.length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">No saved conversations yet</p>
+            ) : (
+              <ul className="space-y-1" aria-label="Past conversations">
+                {conversations.map((conversation) => {
+                  const isActive = conversation.id === activeConversationId;
+                  return (
+                    <li key={conversation.id} className="group flex items-center">
+                      {renamingId === conversation.id ? (
+                        <form onSubmit={submitRename} className="flex-1">
+                          <label htmlFor={`rename-${conversation.id}`} className="sr-only">Conversation title</label>
+                          <input
+                            id={`rename-${conversation.id}`}
+                            value={renameValue}
+                            onChange={(e) => setRenameValue(e.target.value)}
+                            onBlur={submitRename}
+                            onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                            autoFocus
+                            maxLength={80}
+                            className="w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-800 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary"
+                          />
+                        </form>
+                      ) : (
+                        <>
+                          <Link href={{ pathname: '/pnit/chat', query: { c: conversation.id } }} legacyBehavior>
+                            <a
+                              className={`flex-1 min-w-0 truncate px-2 py-1 text-xs rounded focus:outline-none focus:ring-2 focus:ring-primary ${
+                                isActive
+                                  ? 'bg-gray-200 dark:bg-gray-800 text-gray-900 dark:text-white font-medium'
+                                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+                              }`}
+                              aria-current={isActive ? 'page' : undefined}
+                              title={conversation.title}
+                              onClick={handleNavClick}
+                            >
+                              {conversation.title}
+                            </a>
+                          </Link>
+                          <button
+                            onClick={() => startRename(conversation)}
+                            className="ml-1 p-1 text-gray-400 hover:text-gray-700 dark:hover:text-white opacity-0 group-hover:opacity-100 focus:opacity-100 focus:outline-none focus:ring-2 focus:ring-primary rounded"
+                            aria-label={`Rename ${conversation.title}`}
+                          >
+                            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536M9 13l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 16.536H9V13z" />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => deleteConversation(conversation)}
+                            className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100 focus:outline-none focus:ring-2 focus:ring-primary rounded"
+                            aria-label={`Delete ${conversation.title}`}
+                          >
+                            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Footer */}
         {!isCollapsed && (
           <div className="p-4 border-t border-gray-200 dark:border-gray-700">
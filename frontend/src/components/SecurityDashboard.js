@@ -11,18 +11,29 @@ export const SecurityDashboard = () => {
   const [securityEvents, setSecurityEvents] = useState([]);
   const [activeSessions, setActiveSessions] = useState([]);
   const [rateLimitStats, setRateLimitStats] = useState([]);
+  const [totalEvents, setTotalEvents] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     eventType: '',
     dateFrom: '',
     dateTo: '',
-    limit: 50
+    limit: 50,
+    offset: 0
   });
 
+  const isAdmin = user?.role === 'admin';
+
   useEffect(() => {
-    loadSecurityData();
-  }, [filters]);
+    if (isAdmin) {
+      loadSecurityData();
+    }
+  }, [filters, isAdmin]);
+
+  // Changing any filter starts again from the first page
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value, offset: 0 }));
+  };
 
   const loadSecurityData = async () => {
     try {
@@ -32,6 +43,7 @@ export const SecurityDashboard = () => {
       // Load security events
       const eventsParams = new URLSearchParams({
         limit: filters.limit.toString(),
+        offset: filters.offset.toString(),
         ...(filters.eventType && { event_type: filters.eventType }),
         ...(filters.dateFrom && { date_from: filters.dateFrom }),
         ...(filters.dateTo && { date_to: filters.dateTo })
@@ -46,6 +58,9 @@ export const SecurityDashboard = () => {
       if (eventsResponse.ok) {
         const eventsData = await eventsResponse.json();
         setSecurityEvents(eventsData.events || []);
+        setTotalEvents(eventsData.total || 0);
+      } else if (eventsResponse.status === 403) {
+        throw new Error('Admin access required');
       }
 
       if (sessionsResponse.ok) {
@@ -120,7 +135,7 @@ export const SecurityDashboard = () => {
     return new Date(dateString).toLocaleString();
   };
 
-  if (!user) {
+  if (!user || !isAdmin) {
     return <div>Access denied</div>;
   }
 
@@ -149,17 +164,19 @@ export const SecurityDashboard = () => {
             <select
               id="eventType"
               value={filters.eventType}
-              onChange={(e) => setFilters(prev => ({ ...prev, eventType: e.target.value }))}
+              onChange={(e) => updateFilter('eventType', e.target.value)}
               className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
             >
               <option value="">All Events</option>
               <option value="login">Login</option>
               <option value="logout">Logout</option>
               <option value="failed_login">Failed Login</option>
+              <option value="login_account_locked">Account Locked</option>
               <option value="registration">Registration</option>
               <option value="password_change">Password Change</option>
               <option value="api_key_created">API Key Created</option>
               <option value="rate_limit_exceeded">Rate Limit Exceeded</option>
+              <option value="admin_session_revoked">Session Revoked by Admin</option>
             </select>
           </div>
           
@@ -171,7 +188,7 @@ export const SecurityDashboard = () => {
               id="dateFrom"
               type="date"
               value={filters.dateFrom}
-              onChange={(e) => setFilters(prev => ({ ...prev, dateFrom: e.target.value }))}
+              onChange={(e) => updateFilter('dateFrom', e.target.value)}
               className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
             />
           </div>
@@ -184,7 +201,7 @@ export const SecurityDashboard = () => {
               id="dateTo"
               type="date"
               value={filters.dateTo}
-              onChange={(e) => setFilters(prev => ({ ...prev, dateTo: e.target.value }))}
+              onChange={(e) => updateFilter('dateTo', e.target.value)}
               className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
             />
           </div>
@@ -196,7 +213,7 @@ export const SecurityDashboard = () => {
             <select
               id="limit"
               value={filters.limit}
-              onChange={(e) => setFilters(prev => ({ ...prev, limit: parseInt(e.target.value) }))}
+              onChange={(e) => updateFilter('limit', parseInt(e.target.value))}
               className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
             >
               <option value={25}>25</option>
@@ -374,6 +391,27 @@ export const SecurityDashboard = () => {
                   </li>
                 ))}
               </ul>
+              <nav className="mt-8 flex items-center justify-between border-t border-gray-200 dark:border-gray-700 pt-4" aria-label="Security events pagination">
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Showing {filters.offset + 1}–{filters.offset + securityEvents.length} of {totalEvents}
+                </p>
+                <div className="space-x-2">
+                  <button
+                    onClick={() => setFilters(prev => ({ ...prev, offset: Math.max(prev.offset - prev.limit, 0) }))}
+                    disabled={filters.offset === 0}
+                    className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setFilters(prev => ({ ...prev, offset: prev.offset + prev.limit }))}
+                    disabled={filters.offset + securityEvents.length >= totalEvents}
+                    className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </nav>
             </div>
           )}
         </div>
@@ -412,7 +450,7 @@ export const SecurityDashboard = () => {
                   {activeSessions.map((session) => (
                     <tr key={session.id}>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
-                        User #{session.user_id}
+                        {session.email || `User #${session.user_id}`}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {session.ip_address}
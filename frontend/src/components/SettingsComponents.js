@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth, authenticatedFetch } from '../utils/auth';
+import { useAuth, authenticatedFetch, startLinkedInSignIn, isPasskeySupported, registerPasskey } from '../utils/auth';
 import { useAccessibility, AccessibilitySettings } from './AccessibilityProvider';
 import { LoadingSpinner, SkeletonLoader } from './LoadingSpinner';
 import { ErrorAlert } from './ErrorBoundary';
@@ -45,8 +45,12 @@ export const UserPreferences = () => {
       language: 'en',
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       items_per_page: 25
+    },
+    ai: {
+      provider: 'default' // default, openai, local, rules
     }
   });
+  const [aiProviders, setAiProviders] = useState(['default', 'openai', 'local', 'rules']);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -66,6 +70,9 @@ export const UserPreferences = () => {
       if (response.ok) {
         const data = await response.json();
         setPreferences(prev => ({ ...prev, ...data.preferences }));
+        if (data.ai_providers) {
+          setAiProviders(data.ai_providers);
+        }
       }
     } catch (err) {
       console.error('Failed to load preferences:', err);
@@ -155,7 +162,7 @@ export const UserPreferences = () => {
                   Email Notifications
                 </label>
                 <p className="text-xs text-gray-500 dark:text-gray-400">
-                  Receive email updates about your queries and connections
+                  Sign-in alerts and account emails. Password resets and email confirmations are always sent.
                 </p>
               </div>
               <input
@@ -267,6 +274,32 @@ export const UserPreferences = () => {
           </div>
         </fieldset>
 
+        {/* AI Assistant */}
+        <fieldset>
+          <legend className="text-base font-medium text-gray-900 dark:text-white mb-4">
+            AI Assistant
+          </legend>
+          <div>
+            <label htmlFor="ai-provider" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Chat provider
+            </label>
+            <select
+              id="ai-provider"
+              value={preferences.ai?.provider || 'default'}
+              onChange={(e) => updatePreference('ai', 'provider', e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
+            >
+              {aiProviders.includes('default') && <option value="default">Organization default</option>}
+              {aiProviders.includes('openai') && <option value="openai">OpenAI</option>}
+              {aiProviders.includes('local') && <option value="local">Self-hosted model</option>}
+              {aiProviders.includes('rules') && <option value="rules">Rules only (no language model)</option>}
+            </select>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Self-hosted and rules-only modes keep your connection data inside our infrastructure
+            </p>
+          </div>
+        </fieldset>
+
         {/* Privacy */}
         <fieldset>
           <legend className="text-base font-medium text-gray-900 dark:text-white mb-4">
@@ -555,4 +588,803 @@ export const APIKeyManagement = () => {
   );
 };
 
-export default { SettingsContainer, UserPreferences, APIKeyManagement };
\ No newline at end of file
+// Company aliases: names that should count as the same company in search
+// and analytics ("FB" -> Meta)
+export const CompanyAliases = () => {
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [search, setSearch] = useState('');
+  const [alias, setAlias] = useState('');
+  const [companyName, setCompanyName] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadCompanies(search), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadCompanies = async (term) => {
+    try {
+      const query = term.trim() ? `?search=${encodeURIComponent(term.trim())}` : '';
+      const response = await authenticatedFetch(`/api/companies${query}`);
+      if (response.ok) {
+        const data = await response.json();
+        setCompanies(data.companies);
+      }
+    } catch (err) {
+      setError('Failed to load companies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addAlias = async (e) => {
+    e.preventDefault();
+    if (!alias.trim() || !companyName.trim()) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+
+      const response = await authenticatedFetch('/api/companies/aliases', {
+        method: 'POST',
+        body: JSON.stringify({ alias: alias.trim(), company_name: companyName.trim() })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add alias');
+      }
+
+      setNotice(`${data.message} (${data.linked} connections updated)`);
+      setAlias('');
+      setCompanyName('');
+      await loadCompanies(search);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeAlias = async (aliasId) => {
+    try {
+      setError(null);
+      setNotice(null);
+
+      const response = await authenticatedFetch(`/api/companies/aliases/${aliasId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to remove alias');
+      }
+
+      await loadCompanies(search);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SettingsContainer title="Companies" description="Company names and aliases">
+        <SkeletonLoader lines={4} height="h-8" />
+      </SettingsContainer>
+    );
+  }
+
+  return (
+    <SettingsContainer
+      title="Companies"
+      description="Names listed under one company count as that company in search and analytics"
+    >
+      {error && (
+        <ErrorAlert
+          error={error}
+          onDismiss={() => setError(null)}
+          className="mb-6"
+        />
+      )}
+      {notice && (
+        <p className="mb-6 text-sm text-green-700 dark:text-green-300" aria-live="polite">{notice}</p>
+      )}
+
+      <div className="space-y-6">
+        {/* Add Alias */}
+        <form onSubmit={addAlias} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-3">
+            Add an Alias
+          </h4>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <div className="flex-1">
+              <label htmlFor="company-alias" className="sr-only">Alias</label>
+              <input
+                id="company-alias"
+                type="text"
+                value={alias}
+                onChange={(e) => setAlias(e.target.value)}
+                placeholder="Alias, e.g. FB"
+                className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
+              />
+            </div>
+            <div className="flex-1">
+              <label htmlFor="company-name" className="sr-only">Company</label>
+              <input
+                id="company-name"
+                type="text"
+                list="company-names"
+                value={companyName}
+                onChange={(e) => setCompanyName(e.target.value)}
+                placeholder="Company, e.g. Meta"
+                className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
+              />
+              <datalist id="company-names">
+                {companies.map((company) => (
+                  <option key={company.id} value={company.name} />
+                ))}
+              </datalist>
+            </div>
+            <button
+              type="submit"
+              disabled={saving || !alias.trim() || !companyName.trim()}
+              className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? <LoadingSpinner size="sm" color="white" /> : 'Add'}
+            </button>
+          </div>
+        </form>
+
+        {/* Company List */}
+        <div>
+          <label htmlFor="company-search" className="sr-only">Search companies</label>
+          <input
+            id="company-search"
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search companies..."
+            className="block w-full mb-3 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
+          />
+          {companies.length === 0 ? (
+            <p className="text-center py-6 text-gray-500 dark:text-gray-400">No companies found</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {companies.map((company) => (
+                <li key={company.id} className="py-3">
+                  <div className="flex items-baseline justify-between">
+                    <h5 className="text-sm font-medium text-gray-900 dark:text-white">
+                      {company.name}
+                      {company.parent_name && (
+                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                          part of {company.parent_name}
+                        </span>
+                      )}
+                    </h5>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {company.connection_count} connections
+                    </span>
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {company.aliases.map((item) => (
+                      <span
+                        key={item.id}
+                        className="inline-flex items-center text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                      >
+                        {item.alias}
+                        {item.is_custom && (
+                          <button
+                            type="button"
+                            onClick={() => removeAlias(item.id)}
+                            className="ml-1 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded"
+                            aria-label={`Remove alias ${item.alias}`}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </SettingsContainer>
+  );
+};
+
+// Connect LinkedIn sign-in to an email/password account
+export const LinkedInConnection = ({ justConnected = false }) => {
+  const { user } = useAuth();
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const isLinked = justConnected || Boolean(user?.linkedinLinked);
+
+  const connect = async () => {
+    try {
+      setConnecting(true);
+      setError(null);
+      await startLinkedInSignIn({ link: true });
+    } catch (err) {
+      setError(err.message);
+      setConnecting(false);
+    }
+  };
+
+  return (
+    <SettingsContainer title="LinkedIn" description="Sign in with LinkedIn as well as your password">
+      {error && (
+        <ErrorAlert
+          error={error}
+          onDismiss={() => setError(null)}
+          className="mb-6"
+        />
+      )}
+      {isLinked ? (
+        <p className="text-sm text-green-700 dark:text-green-300" aria-live="polite">
+          Your LinkedIn account is connected.
+        </p>
+      ) : (
+        <button
+          type="button"
+          onClick={connect}
+          disabled={connecting}
+          className="px-4 py-2 rounded-md bg-primary text-white text-sm font-medium hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+        >
+          {connecting ? 'Redirecting to LinkedIn...' : 'Connect LinkedIn'}
+        </button>
+      )}
+    </SettingsContainer>
+  );
+};
+
+// Authenticator-app (TOTP) second factor: enrollment, recovery codes and
+// turning it off. Changes ask for the password again, and disabling or new
+// recovery codes also need a current code.
+export const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authenticatedFetch('/api/auth/2fa');
+      if (response.ok) {
+        setStatus(await response.json());
+      }
+    } catch (err) {
+      setError('Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setPassword('');
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  // POST to a /api/auth/2fa endpoint; returns the JSON body or throws
+  const post = async (path, body = {}) => {
+    const response = await authenticatedFetch(`/api/auth/2fa/${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const run = async (task) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+      await task();
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await post('setup'));
+    resetForm();
+  });
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await post('enable', { password, code: code.trim() });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      setNotice('Two-factor authentication is on.');
+      resetForm();
+      await loadStatus();
+    });
+  };
+
+  // Disable or regenerate, confirmed with the password and a current code
+  const confirmAction = (e) => {
+    e.preventDefault();
+    const factor = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() };
+
+    run(async () => {
+      if (action === 'disable') {
+        await post('disable', { password, ...factor });
+        setRecoveryCodes(null);
+        setNotice('Two-factor authentication is off.');
+      } else {
+        const data = await post('recovery-codes', { password, ...factor });
+        setRecoveryCodes(data.recoveryCodes);
+        setNotice('New recovery codes created. The old ones no longer work.');
+      }
+      setAction(null);
+      resetForm();
+      await loadStatus();
+    });
+  };
+
+  const inputClass = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white';
+  const primaryButtonClass = 'px-4 py-2 rounded-md bg-primary text-white text-sm font-medium hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2';
+  const secondaryButtonClass = 'px-4 py-2 rounded-md border border-gray-300 dark:border-gray-600 text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary';
+
+  const passwordField = status?.hasPassword ? (
+    <div>
+      <label htmlFor="two-factor-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Current Password
+      </label>
+      <input
+        id="two-factor-password"
+        type="password"
+        autoComplete="current-password"
+        required
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className={inputClass}
+      />
+    </div>
+  ) : (
+    // Accounts without a password re-authenticate by signing in again
+    status && !status.freshSignIn && (
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        To confirm it&apos;s you, sign out and sign in again with LinkedIn or a passkey, then make this change within 10 minutes.
+      </p>
+    )
+  );
+
+  if (loading) {
+    return (
+      <SettingsContainer title="Two-Factor Authentication" description="A code from your phone as well as your password">
+        <SkeletonLoader lines={3} height="h-8" />
+      </SettingsContainer>
+    );
+  }
+
+  return (
+    <SettingsContainer
+      title="Two-Factor Authentication"
+      description="A code from your phone as well as your password"
+    >
+      {error && (
+        <ErrorAlert
+          error={error}
+          onDismiss={() => setError(null)}
+          className="mb-6"
+        />
+      )}
+      {notice && (
+        <p className="mb-6 text-sm text-green-700 dark:text-green-300" aria-live="polite">{notice}</p>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-6 border border-yellow-300 dark:border-yellow-700 bg-yellow-50 dark:bg-yellow-900/20 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Recovery Codes</h4>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+            Save these somewhere safe. Each one signs you in once if you lose your phone, and they won&apos;t be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white mb-3">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => setRecoveryCodes(null)}
+            className={secondaryButtonClass}
+          >
+            I&apos;ve saved them
+          </button>
+        </div>
+      )}
+
+      {status?.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-green-700 dark:text-green-300">
+            Two-factor authentication is on. {status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left.
+          </p>
+
+          {!action && (
+            <div className="flex flex-wrap gap-3">
+              <button
+                type="button"
+                onClick={() => { setAction('regenerate'); resetForm(); }}
+                className={secondaryButtonClass}
+              >
+                New Recovery Codes
+              </button>
+              <button
+                type="button"
+                onClick={() => { setAction('disable'); resetForm(); }}
+                className="px-4 py-2 rounded-md border border-red-300 text-sm font-medium text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500"
+              >
+                Turn Off
+              </button>
+            </div>
+          )}
+
+          {action && (
+            <form onSubmit={confirmAction} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-4">
+              <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+                {action === 'disable' ? 'Turn off two-factor authentication' : 'Create new recovery codes'}
+              </h4>
+              {passwordField}
+              <div>
+                <label htmlFor="two-factor-confirm-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <input
+                  id="two-factor-confirm-code"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  required
+                  maxLength={useRecoveryCode ? 20 : 6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                  className="mt-1 text-sm text-primary hover:text-blue-700 font-medium"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+              <div className="flex gap-3">
+                <button type="submit" disabled={saving} className={primaryButtonClass}>
+                  {saving ? 'Confirming...' : 'Confirm'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => { setAction(null); resetForm(); }}
+                  className={secondaryButtonClass}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      ) : setup ? (
+        <form onSubmit={enable} className="space-y-4">
+          <ol className="list-decimal list-inside space-y-2 text-sm text-gray-700 dark:text-gray-300">
+            <li>
+              In your authenticator app, add an account with{' '}
+              <a href={setup.otpauthUrl} className="text-primary hover:underline font-medium">this setup link</a>
+              {' '}(on your phone) or by typing the key below.
+            </li>
+            <li>Enter the 6-digit code the app shows.</li>
+          </ol>
+          <div>
+            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Setup Key</span>
+            <code className="block break-all px-3 py-2 rounded-md bg-gray-100 dark:bg-gray-700 text-sm text-gray-900 dark:text-white select-all">
+              {setup.secret.match(/.{1,4}/g).join(' ')}
+            </code>
+          </div>
+          {passwordField}
+          <div>
+            <label htmlFor="two-factor-setup-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Authentication Code
+            </label>
+            <input
+              id="two-factor-setup-code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" disabled={saving} className={primaryButtonClass}>
+              {saving ? 'Verifying...' : 'Turn On'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setSetup(null); resetForm(); }}
+              className={secondaryButtonClass}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Sign-ins will also ask for a code from an authenticator app such as Google Authenticator, 1Password or Authy.
+          </p>
+          <button type="button" onClick={startSetup} disabled={saving} className={primaryButtonClass}>
+            {saving ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+          </button>
+        </div>
+      )}
+    </SettingsContainer>
+  );
+};
+
+// Passkeys (platform authenticators and security keys) for password-free sign-in
+export const PasskeySettings = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [name, setName] = useState('');
+  const [supported, setSupported] = useState(false);
+  const [action, setAction] = useState(null); // { type: 'add' } | { type: 'remove', passkey }
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  useEffect(() => {
+    setSupported(isPasskeySupported());
+    loadPasskeys();
+  }, []);
+
+  const loadPasskeys = async () => {
+    try {
+      // Two-factor status says what re-authentication asks for
+      const [response, statusResponse] = await Promise.all([
+        authenticatedFetch('/api/auth/passkeys'),
+        authenticatedFetch('/api/auth/2fa')
+      ]);
+      if (response.ok) {
+        const data = await response.json();
+        setPasskeys(data.passkeys);
+      }
+      if (statusResponse.ok) {
+        setStatus(await statusResponse.json());
+      }
+    } catch (err) {
+      setError('Failed to load passkeys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setAction(null);
+    setPassword('');
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  // Adding or removing a passkey is confirmed like a two-factor change
+  const confirmAction = async (e) => {
+    e.preventDefault();
+    const reauthentication = {
+      password,
+      ...(status?.enabled ? (useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }) : {})
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+
+      if (action.type === 'add') {
+        const passkey = await registerPasskey(name.trim(), reauthentication);
+        setPasskeys(prev => [...prev, passkey]);
+        setNotice(`Added ${passkey.name}. You can now sign in with it.`);
+        setName('');
+      } else {
+        const response = await authenticatedFetch(`/api/auth/passkeys/${action.passkey.id}`, {
+          method: 'DELETE',
+          body: JSON.stringify(reauthentication)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to remove passkey');
+        }
+
+        setPasskeys(prev => prev.filter(other => other.id !== action.passkey.id));
+        setNotice(`Removed ${action.passkey.name}.`);
+      }
+      resetForm();
+    } catch (err) {
+      // NotAllowedError: the prompt was dismissed or timed out
+      setError(err.name === 'NotAllowedError' ? 'Passkey setup was cancelled' : err.message);
+      setCode('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white';
+  const primaryButtonClass = 'px-4 py-2 rounded-md bg-primary text-white text-sm font-medium hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2';
+  const secondaryButtonClass = 'px-4 py-2 rounded-md border border-gray-300 dark:border-gray-600 text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary';
+
+  if (loading) {
+    return (
+      <SettingsContainer title="Passkeys" description="Sign in with your fingerprint, face, screen lock or a security key">
+        <SkeletonLoader lines={3} height="h-8" />
+      </SettingsContainer>
+    );
+  }
+
+  return (
+    <SettingsContainer
+      title="Passkeys"
+      description="Sign in with your fingerprint, face, screen lock or a security key"
+    >
+      {error && (
+        <ErrorAlert
+          error={error}
+          onDismiss={() => setError(null)}
+          className="mb-6"
+        />
+      )}
+      {notice && (
+        <p className="mb-6 text-sm text-green-700 dark:text-green-300" aria-live="polite">{notice}</p>
+      )}
+
+      <div className="space-y-6">
+        {passkeys.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">You have no passkeys yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {passkeys.map(passkey => (
+              <li key={passkey.id} className="flex items-center justify-between gap-4 p-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">{passkey.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Added {new Date(passkey.created_at).toLocaleDateString()}
+                    {passkey.last_used_at && ` · Last used ${new Date(passkey.last_used_at).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => { resetForm(); setAction({ type: 'remove', passkey }); }}
+                  disabled={saving}
+                  className="text-sm text-red-600 hover:text-red-800 dark:text-red-400 font-medium"
+                  aria-label={`Remove ${passkey.name}`}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {action ? (
+          <form onSubmit={confirmAction} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-4">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {action.type === 'add' ? 'Add a passkey' : `Remove ${action.passkey.name}`}
+            </h4>
+            {status?.hasPassword ? (
+              <div>
+                <label htmlFor="passkey-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Current Password
+                </label>
+                <input
+                  id="passkey-password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            ) : (
+              // Accounts without a password re-authenticate by signing in again
+              status && !status.freshSignIn && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  To confirm it&apos;s you, sign out and sign in again with LinkedIn or a passkey, then make this change within 10 minutes.
+                </p>
+              )
+            )}
+            {status?.enabled && (
+              <div>
+                <label htmlFor="passkey-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <input
+                  id="passkey-code"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  required
+                  maxLength={useRecoveryCode ? 20 : 6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                  className="mt-1 text-sm text-primary hover:text-blue-700 font-medium"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+            )}
+            <div className="flex gap-3">
+              <button type="submit" disabled={saving} className={primaryButtonClass}>
+                {saving
+                  ? (action.type === 'add' ? 'Waiting for your device...' : 'Removing...')
+                  : (action.type === 'add' ? 'Continue' : 'Remove')}
+              </button>
+              <button type="button" onClick={resetForm} disabled={saving} className={secondaryButtonClass}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : supported ? (
+          <form onSubmit={(e) => { e.preventDefault(); setAction({ type: 'add' }); }} className="flex flex-col sm:flex-row gap-3">
+            <label htmlFor="passkey-name" className="sr-only">Passkey name</label>
+            <input
+              id="passkey-name"
+              type="text"
+              maxLength={100}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. Work laptop"
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white"
+            />
+            <button type="submit" className={primaryButtonClass}>
+              Add a Passkey
+            </button>
+          </form>
+        ) : (
+          <p className="text-sm text-gray-600 dark:text-gray-400">This browser does not support passkeys.</p>
+        )}
+      </div>
+    </SettingsContainer>
+  );
+};
+
+export default { SettingsContainer, UserPreferences, APIKeyManagement, CompanyAliases, LinkedInConnection, TwoFactorSettings, PasskeySettings };
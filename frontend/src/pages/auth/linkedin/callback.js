@@ -0,0 +1,109 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { LoadingSpinner } from '../../../components/LoadingSpinner';
+import { TwoFactorChallenge } from '../../../components/AuthComponents';
+import { useAuth, getAuthHeaders, takeLinkedInRequest } from '../../../utils/auth';
+
+// LinkedIn redirects here with ?code=&state= (or ?error=). The state must be
+// the one this browser stored when it started the sign-in; the backend checks
+// it again with the browser key, exchanges the code and verifies the id_token.
+export default function LinkedInCallback() {
+  const router = useRouter();
+  const { login } = useAuth();
+  const [error, setError] = useState(null);
+  const [challengeToken, setChallengeToken] = useState(null);
+  // The state is single-use, so never post it twice (React strict mode)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!router.isReady || submitted.current) return;
+    submitted.current = true;
+
+    const { code, state, error: providerError } = router.query;
+    const browserKey = takeLinkedInRequest(state);
+
+    const complete = async () => {
+      // A sign-in started elsewhere (e.g. a link someone sent) is not finished here
+      if (!browserKey && !providerError) {
+        setError('This LinkedIn sign-in was not started in this browser. Please try again.');
+        return;
+      }
+
+      try {
+        // Linking needs the session that started it
+        const response = await fetch('/api/auth/linkedin/callback', {
+          method: 'POST',
+          headers: getAuthHeaders(),
+          body: JSON.stringify({ code, state, browserKey, error: providerError })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setError(data.error || 'LinkedIn sign-in failed');
+          return;
+        }
+
+        if (data.linked) {
+          router.replace('/pnit/settings?linkedin=connected');
+          return;
+        }
+
+        if (data.twoFactorRequired) {
+          setChallengeToken(data.challengeToken);
+          return;
+        }
+
+        await login(data.session.token, data.user, data.session.refreshToken, data.session.expiresAt);
+        router.replace('/pnit');
+      } catch (err) {
+        setError('Network error. Please check your connection and try again.');
+      }
+    };
+
+    complete();
+  }, [router, login]);
+
+  if (challengeToken) {
+    return (
+      <>
+        <Head>
+          <title>Two-Factor Authentication | PNIT</title>
+        </Head>
+
+        <div className="py-12 px-4">
+          <TwoFactorChallenge
+            challengeToken={challengeToken}
+            onSuccess={() => router.replace('/pnit')}
+            onCancel={() => router.replace('/login')}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Signing in with LinkedIn | PNIT</title>
+      </Head>
+
+      <div className="max-w-md mx-auto py-12 px-4 text-center">
+        {error ? (
+          <div role="alert">
+            <p className="text-red-700 dark:text-red-300 mb-4">{error}</p>
+            <Link href="/login" legacyBehavior>
+              <a className="text-primary hover:underline font-medium">Back to sign in</a>
+            </Link>
+          </div>
+        ) : (
+          <div aria-live="polite" className="flex items-center justify-center gap-3 text-gray-600 dark:text-gray-400">
+            <LoadingSpinner size="sm" />
+            Signing in with LinkedIn...
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,311 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useState, useEffect } from 'react';
+import PNITLayout from '../../../components/PNITLayout';
+import { authenticatedFetch } from '../../../utils/auth';
+
+const EDIT_FIELDS = [
+  ['first_name', 'First name', 'text'],
+  ['last_name', 'Last name', 'text'],
+  ['email', 'Email', 'email'],
+  ['company', 'Company', 'text'],
+  ['position', 'Position', 'text'],
+  ['profile_url', 'LinkedIn profile', 'url'],
+  ['location', 'Location', 'text']
+];
+
+const INPUT_CLASS = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white';
+
+// Form state for a connection as returned by the API
+const toForm = (connection) => ({
+  ...Object.fromEntries(EDIT_FIELDS.map(([key]) => [key, connection[key] || ''])),
+  notes: connection.notes || '',
+  tags: connection.tags.map(tag => tag.name).join(', ')
+});
+
+// View and edit one connection: fields, notes, tags and list membership.
+// Edited fields are kept over imported values on later imports.
+export default function ConnectionDetail() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [connection, setConnection] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [lists, setLists] = useState([]);
+  const [memberOf, setMemberOf] = useState([]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchConnection = async () => {
+      try {
+        const response = await authenticatedFetch(`/api/connections/${id}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        setConnection(data.connection);
+        setForm(toForm(data.connection));
+        setMemberOf(data.connection.lists.map(list => list.id));
+
+        const listsResponse = await authenticatedFetch('/api/lists');
+        if (listsResponse.ok) {
+          setLists((await listsResponse.json()).lists);
+        }
+      } catch (err) {
+        console.error('Failed to fetch connection:', err);
+        setError(`Could not load this connection: ${err.message}`);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchConnection();
+  }, [id]);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+
+    // Only send what changed, so untouched fields stay import-managed
+    const original = toForm(connection);
+    const changes = Object.fromEntries(
+      Object.entries(form).filter(([key, value]) => value !== original[key])
+    );
+    if (changes.tags !== undefined) {
+      changes.tags = changes.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (Object.keys(changes).length === 0) {
+      setNotice('No changes to save.');
+      setIsSaving(false);
+      return;
+    }
+
+    try {
+      const response = await authenticatedFetch(`/api/connections/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setConnection(data.connection);
+      setForm(toForm(data.connection));
+      setNotice('Saved.');
+    } catch (err) {
+      console.error('Connection update error:', err);
+      setError(`Could not save: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Lists are saved as soon as a box is ticked, separately from the form
+  const toggleList = async (list) => {
+    const isMember = memberOf.includes(list.id);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authenticatedFetch(`/api/lists/${list.id}/members`, {
+        method: isMember ? 'DELETE' : 'POST',
+        body: JSON.stringify({ connection_ids: [connection.id] })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setMemberOf(prev => isMember ? prev.filter(other => other !== list.id) : [...prev, list.id]);
+      setNotice(isMember ? `Removed from ${list.name}.` : `Added to ${list.name}.`);
+    } catch (err) {
+      console.error('List membership error:', err);
+      setError(`Could not update ${list.name}: ${err.message}`);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete ${connection.first_name} ${connection.last_name} from your network?`)) {
+      return;
+    }
+
+    try {
+      const response = await authenticatedFetch(`/api/connections/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      router.push('/pnit/chat');
+    } catch (err) {
+      console.error('Connection delete error:', err);
+      setError(`Could not delete: ${err.message}`);
+    }
+  };
+
+  const place = connection && [connection.city, connection.region, connection.country].filter(Boolean).join(', ');
+
+  return (
+    <PNITLayout>
+      <Head>
+        <title>{connection ? `${connection.first_name} ${connection.last_name}` : 'Connection'} | PNIT</title>
+        <meta name="description" content="View and edit a connection" />
+      </Head>
+
+      <div className="max-w-3xl mx-auto">
+        <Link href="/pnit/chat" legacyBehavior>
+          <a className="text-sm text-primary hover:underline">← Back to chat</a>
+        </Link>
+
+        <div aria-live="polite" className="mt-4">
+          {notice && <p className="text-sm text-green-700 dark:text-green-300 mb-4">{notice}</p>}
+          {error && <p role="alert" className="text-sm text-red-700 dark:text-red-300 mb-4">{error}</p>}
+        </div>
+
+        {isLoading ? (
+          <p className="text-gray-600 dark:text-gray-400">Loading...</p>
+        ) : connection && form && (
+          <>
+            <header className="mb-6 flex items-start justify-between gap-4">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-1">
+                  {connection.first_name} {connection.last_name}
+                </h1>
+                <p className="text-gray-600 dark:text-gray-400">
+                  {[connection.position, connection.company_name || connection.company].filter(Boolean).join(' at ')}
+                </p>
+                {place && <p className="text-sm text-gray-500 dark:text-gray-500">{place}</p>}
+                <p className="text-xs text-gray-500 dark:text-gray-500 mt-2">
+                  Sources: {connection.sources.join(', ')}
+                  {connection.connected_on && ` · Connected ${new Date(connection.connected_on).toLocaleDateString()}`}
+                </p>
+              </div>
+              {connection.profile_url && (
+                <a
+                  href={connection.profile_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="shrink-0 text-sm text-primary hover:underline"
+                >
+                  LinkedIn profile
+                </a>
+              )}
+            </header>
+
+            <form onSubmit={save} className="p-6 bg-white dark:bg-gray-900 rounded-lg shadow space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {EDIT_FIELDS.map(([key, label, type]) => (
+                  <div key={key} className={key === 'profile_url' || key === 'location' ? 'sm:col-span-2' : ''}>
+                    <label htmlFor={`connection-${key}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      {label}
+                      {(connection.manual_fields.includes(key) ||
+                        (key === 'location' && connection.location_source === 'manual')) && (
+                        <span className="ml-2 text-xs font-normal text-gray-500">edited</span>
+                      )}
+                    </label>
+                    <input
+                      id={`connection-${key}`}
+                      type={type}
+                      value={form[key]}
+                      onChange={(e) => updateField(key, e.target.value)}
+                      required={key === 'first_name' || key === 'last_name'}
+                      className={INPUT_CLASS}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <label htmlFor="connection-tags" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Tags
+                </label>
+                <input
+                  id="connection-tags"
+                  type="text"
+                  value={form.tags}
+                  onChange={(e) => updateField('tags', e.target.value)}
+                  placeholder="investor, climate, met at conference"
+                  aria-describedby="connection-tags-help"
+                  className={INPUT_CLASS}
+                />
+                <p id="connection-tags-help" className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Separate tags with commas.
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="connection-notes" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  id="connection-notes"
+                  rows={6}
+                  value={form.notes}
+                  onChange={(e) => updateField('notes', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Fields you edit here are kept when you import this connection again.
+              </p>
+
+              <div className="flex justify-between gap-2">
+                <button
+                  type="button"
+                  onClick={remove}
+                  className="px-4 py-2 rounded-md border border-red-300 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500"
+                >
+                  Delete connection
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 rounded-md bg-primary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+                >
+                  {isSaving ? 'Saving...' : 'Save changes'}
+                </button>
+              </div>
+            </form>
+
+            <section className="mt-6 p-6 bg-white dark:bg-gray-900 rounded-lg shadow">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Lists</h2>
+              {lists.length === 0 ? (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  You have no lists yet.{' '}
+                  <Link href="/pnit/lists" legacyBehavior>
+                    <a className="text-primary hover:underline">Create one</a>
+                  </Link>
+                </p>
+              ) : (
+                <fieldset className="space-y-2">
+                  <legend className="sr-only">Lists this connection is on</legend>
+                  {lists.map(list => (
+                    <label key={list.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={memberOf.includes(list.id)}
+                        onChange={() => toggleList(list)}
+                        className="focus:ring-2 focus:ring-primary"
+                      />
+                      {list.name}
+                    </label>
+                  ))}
+                </fieldset>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </PNITLayout>
+  );
+}
@@ -42,19 +42,17 @@ export default function LinkedInInstructions() {
               Click the download link in that message.
             </li>
             <li>
-              <strong>Unzip the File and Find <code>Connections.csv</code></strong><br />
-              Once you download the .zip file:
+              <strong>Upload the .zip File to the App</strong><br />
+              Return to PNIT and upload the downloaded .zip file as is. PNIT reads:
               <ul className="list-disc list-inside ml-6 mt-2 text-base">
-                <li>Extract it to a folder.</li>
-                <li>Inside, locate this file:
-                  <div className="inline-block bg-gray-100 rounded px-2 py-1 my-1 font-mono text-sm">Connections.csv</div>
-                  <span className="block mt-1">This file contains your full connection list with first name, last name, company, job title, and profile URL.</span>
+                <li>
+                  <span className="inline-block bg-gray-100 rounded px-2 py-1 my-1 font-mono text-sm">Connections.csv</span>
+                  {' '}for your full connection list with first name, last name, company, job title, and profile URL.
                 </li>
+                <li>Messages, invitations and endorsements, to show when you last interacted with each connection.</li>
+                <li>Your own positions, so the assistant knows where you have worked.</li>
               </ul>
-            </li>
-            <li>
-              <strong>Upload <code>Connections.csv</code> to the App</strong><br />
-              Return to PNIT and upload the file to get started.
+              <span className="block mt-1">If the archive is too large, unzip it and upload only <code>Connections.csv</code>.</span>
             </li>
           </ol>
         </nav>
@@ -0,0 +1,266 @@
+import Head from 'next/head';
+import { useState, useEffect, useRef } from 'react';
+import PNITLayout from '../../components/PNITLayout';
+import { authenticatedFetch } from '../../utils/auth';
+
+const POLL_INTERVAL_MS = 1500;
+
+const DETAIL_FIELDS = [
+  ['email', 'Email'],
+  ['company', 'Company'],
+  ['position', 'Position'],
+  ['profile_url', 'Profile'],
+  ['connected_on', 'Connected']
+];
+
+function ConnectionCard({ connection, isKept, onKeep, name }) {
+  return (
+    <label
+      className={`block p-3 rounded-md border cursor-pointer ${
+        isKept
+          ? 'border-primary bg-blue-50 dark:bg-gray-800'
+          : 'border-gray-200 dark:border-gray-700'
+      }`}
+    >
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="radio"
+          name={name}
+          checked={isKept}
+          onChange={onKeep}
+          className="focus:ring-2 focus:ring-primary"
+        />
+        <span className="font-medium text-gray-900 dark:text-white">
+          {connection.first_name} {connection.last_name}
+        </span>
+        {isKept && <span className="text-xs text-primary">Keep</span>}
+      </div>
+      <dl className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+        {DETAIL_FIELDS.map(([key, label]) => (
+          <div key={key} className="flex gap-2">
+            <dt className="w-20 shrink-0 text-gray-500">{label}</dt>
+            <dd className="truncate">
+              {connection[key]
+                ? (key === 'connected_on' ? new Date(connection[key]).toLocaleDateString() : connection[key])
+                : '—'}
+            </dd>
+          </div>
+        ))}
+        {connection.sources && (
+          <div className="flex gap-2">
+            <dt className="w-20 shrink-0 text-gray-500">Sources</dt>
+            <dd>{connection.sources.join(', ')}</dd>
+          </div>
+        )}
+      </dl>
+    </label>
+  );
+}
+
+// Review queue for connections that look like the same person
+export default function Duplicates() {
+  const [candidates, setCandidates] = useState([]);
+  const [keep, setKeep] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isScanning, setIsScanning] = useState(false);
+  const [resolving, setResolving] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // Stop polling the scan job once the page is gone
+  const unmountedRef = useRef(false);
+
+  useEffect(() => {
+    fetchCandidates();
+    return () => { unmountedRef.current = true; };
+  }, []);
+
+  const fetchCandidates = async () => {
+    try {
+      const response = await authenticatedFetch('/api/merge-candidates');
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      setCandidates(data.candidates);
+    } catch (err) {
+      console.error('Failed to fetch merge candidates:', err);
+      setError('Could not load suggested duplicates.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const scan = async () => {
+    setIsScanning(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authenticatedFetch('/api/merge-candidates/refresh', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const job = await pollScanJob(data.job.id);
+      if (job.status === 'failed') {
+        throw new Error(job.error_message || 'Scan failed');
+      }
+      setNotice(`Scan complete: ${job.result.pending} possible duplicates.`);
+      await fetchCandidates();
+    } catch (err) {
+      console.error('Duplicate scan error:', err);
+      setError(`Could not scan for duplicates: ${err.message}`);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  // The scan runs on the import worker; poll GET /api/imports/:id until it ends
+  const pollScanJob = async (jobId) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      if (unmountedRef.current) throw new Error('Page closed');
+
+      const response = await authenticatedFetch(`/api/imports/${jobId}`);
+      if (!response.ok) {
+        throw new Error(`Could not read scan status (HTTP ${response.status})`);
+      }
+
+      const { job } = await response.json();
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+    }
+  };
+
+  const resolve = async (candidate, action) => {
+    setResolving(candidate.id);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authenticatedFetch(`/api/merge-candidates/${candidate.id}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(action === 'approve'
+          ? { keep_id: keep[candidate.id] || candidate.connection_a.id }
+          : {})
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      if (action === 'approve') {
+        // The removed connection's other suggestions are gone too
+        const removedIds = [candidate.connection_a.id, candidate.connection_b.id]
+          .filter(id => id !== data.connection.id);
+        setCandidates(prev => prev.filter(c =>
+          c.id !== candidate.id &&
+          !removedIds.includes(c.connection_a.id) &&
+          !removedIds.includes(c.connection_b.id)
+        ));
+        setNotice(`Merged into ${data.connection.first_name} ${data.connection.last_name}.`);
+      } else {
+        setCandidates(prev => prev.filter(c => c.id !== candidate.id));
+        setNotice('Kept both connections.');
+      }
+    } catch (err) {
+      console.error('Merge review error:', err);
+      setError(`Could not ${action === 'approve' ? 'merge' : 'dismiss'}: ${err.message}`);
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return (
+    <PNITLayout>
+      <Head>
+        <title>Possible Duplicates | PNIT</title>
+        <meta name="description" content="Review and merge connections that look like the same person" />
+      </Head>
+
+      <div className="max-w-5xl mx-auto">
+        <header className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Possible Duplicates
+            </h1>
+            <p className="text-lg text-gray-600 dark:text-gray-400">
+              Connections that look like the same person across imports. Merge them or keep both.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={scan}
+            disabled={isScanning}
+            className="shrink-0 px-4 py-2 rounded-md bg-primary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+          >
+            {isScanning ? 'Scanning...' : 'Scan again'}
+          </button>
+        </header>
+
+        <div aria-live="polite">
+          {notice && <p className="text-sm text-green-700 dark:text-green-300 mb-4">{notice}</p>}
+          {error && <p role="alert" className="text-sm text-red-700 dark:text-red-300 mb-4">{error}</p>}
+        </div>
+
+        {isLoading ? (
+          <p className="text-gray-600 dark:text-gray-400">Loading...</p>
+        ) : candidates.length === 0 ? (
+          <div className="p-6 bg-white dark:bg-gray-900 rounded-lg shadow text-gray-600 dark:text-gray-400">
+            No possible duplicates found.
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {candidates.map(candidate => {
+              const keptId = keep[candidate.id] || candidate.connection_a.id;
+              return (
+                <li key={candidate.id} className="p-4 bg-white dark:bg-gray-900 rounded-lg shadow">
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="text-sm text-gray-700 dark:text-gray-300">
+                      <span className="font-semibold">{Math.round(candidate.score * 100)}% match</span>
+                      {' · '}
+                      {candidate.reasons.join(', ')}
+                    </p>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                    {[candidate.connection_a, candidate.connection_b].map(connection => (
+                      <ConnectionCard
+                        key={connection.id}
+                        name={`keep-${candidate.id}`}
+                        connection={connection}
+                        isKept={keptId === connection.id}
+                        onKeep={() => setKeep(prev => ({ ...prev, [candidate.id]: connection.id }))}
+                      />
+                    ))}
+                  </div>
+
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => resolve(candidate, 'reject')}
+                      disabled={resolving !== null}
+                      className="px-3 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary"
+                    >
+                      Keep both
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => resolve(candidate, 'approve')}
+                      disabled={resolving !== null}
+                      className="px-3 py-1 rounded bg-primary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary"
+                    >
+                      {resolving === candidate.id ? 'Saving...' : 'Merge'}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </PNITLayout>
+  );
+}
@@ -0,0 +1,278 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState, useEffect } from 'react';
+import PNITLayout from '../../components/PNITLayout';
+import { authenticatedFetch } from '../../utils/auth';
+
+const INPUT_CLASS = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary dark:bg-gray-700 dark:text-white';
+
+// Parsed JSON body, or an Error with the API's message
+const readResponse = async (response) => {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+};
+
+// Saved lists of connections ("Investors", "Warm intros for Q3"). Connections
+// are added from their detail page; members are removed here in bulk.
+export default function Lists() {
+  const [lists, setLists] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [checked, setChecked] = useState([]);
+  const [newList, setNewList] = useState({ name: '', description: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    fetchLists();
+  }, []);
+
+  const fetchLists = async () => {
+    try {
+      const data = await readResponse(await authenticatedFetch('/api/lists'));
+      setLists(data.lists);
+    } catch (err) {
+      console.error('Failed to fetch lists:', err);
+      setError('Could not load your lists.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openList = async (list) => {
+    setError(null);
+    setNotice(null);
+    setChecked([]);
+
+    try {
+      const data = await readResponse(await authenticatedFetch(`/api/lists/${list.id}?limit=500`));
+      setSelected(data.list);
+      setMembers(data.members);
+    } catch (err) {
+      console.error('Failed to fetch list:', err);
+      setError(`Could not open ${list.name}: ${err.message}`);
+    }
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const data = await readResponse(await authenticatedFetch('/api/lists', {
+        method: 'POST',
+        body: JSON.stringify(newList)
+      }));
+      setNewList({ name: '', description: '' });
+      setNotice(`Created ${data.list.name}.`);
+      await fetchLists();
+    } catch (err) {
+      console.error('List create error:', err);
+      setError(`Could not create the list: ${err.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the list ${selected.name}? The connections themselves are kept.`)) {
+      return;
+    }
+
+    try {
+      await readResponse(await authenticatedFetch(`/api/lists/${selected.id}`, { method: 'DELETE' }));
+      setLists(prev => prev.filter(list => list.id !== selected.id));
+      setNotice(`Deleted ${selected.name}.`);
+      setSelected(null);
+      setMembers([]);
+    } catch (err) {
+      console.error('List delete error:', err);
+      setError(`Could not delete the list: ${err.message}`);
+    }
+  };
+
+  const removeMembers = async () => {
+    setIsBusy(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const data = await readResponse(await authenticatedFetch(`/api/lists/${selected.id}/members`, {
+        method: 'DELETE',
+        body: JSON.stringify({ connection_ids: checked })
+      }));
+      setMembers(prev => prev.filter(member => !checked.includes(member.id)));
+      setLists(prev => prev.map(list =>
+        list.id === selected.id ? { ...list, member_count: list.member_count - data.removed } : list
+      ));
+      setChecked([]);
+      setNotice(`Removed ${data.removed} from ${selected.name}.`);
+    } catch (err) {
+      console.error('List member removal error:', err);
+      setError(`Could not remove connections: ${err.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggle = (id) => {
+    setChecked(prev => prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]);
+  };
+
+  return (
+    <PNITLayout>
+      <Head>
+        <title>Lists | PNIT</title>
+        <meta name="description" content="Saved lists of connections" />
+      </Head>
+
+      <div className="max-w-5xl mx-auto">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Lists</h1>
+          <p className="text-lg text-gray-600 dark:text-gray-400">
+            Group connections into lists like &quot;Potential hires&quot; or &quot;Investors&quot;, then ask about them in chat.
+          </p>
+        </header>
+
+        <div aria-live="polite">
+          {notice && <p className="text-sm text-green-700 dark:text-green-300 mb-4">{notice}</p>}
+          {error && <p role="alert" className="text-sm text-red-700 dark:text-red-300 mb-4">{error}</p>}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <section className="space-y-4">
+            <form onSubmit={create} className="p-4 bg-white dark:bg-gray-900 rounded-lg shadow space-y-3">
+              <label htmlFor="list-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                New list
+              </label>
+              <input
+                id="list-name"
+                type="text"
+                required
+                maxLength={100}
+                value={newList.name}
+                onChange={(e) => setNewList(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Warm intros for Q3"
+                className={INPUT_CLASS}
+              />
+              <input
+                type="text"
+                aria-label="Description"
+                value={newList.description}
+                onChange={(e) => setNewList(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="Description (optional)"
+                className={INPUT_CLASS}
+              />
+              <button
+                type="submit"
+                disabled={isBusy}
+                className="w-full px-4 py-2 rounded-md bg-primary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+              >
+                Create list
+              </button>
+            </form>
+
+            {isLoading ? (
+              <p className="text-gray-600 dark:text-gray-400">Loading...</p>
+            ) : lists.length === 0 ? (
+              <p className="text-sm text-gray-600 dark:text-gray-400">You have no lists yet.</p>
+            ) : (
+              <ul className="bg-white dark:bg-gray-900 rounded-lg shadow divide-y divide-gray-200 dark:divide-gray-700">
+                {lists.map(list => (
+                  <li key={list.id}>
+                    <button
+                      type="button"
+                      onClick={() => openList(list)}
+                      aria-current={selected?.id === list.id ? 'true' : undefined}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-primary ${
+                        selected?.id === list.id ? 'bg-blue-50 dark:bg-gray-800' : ''
+                      }`}
+                    >
+                      <span className="block font-medium text-gray-900 dark:text-white">{list.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {list.member_count} {list.member_count === 1 ? 'connection' : 'connections'}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="md:col-span-2">
+            {!selected ? (
+              <div className="p-6 bg-white dark:bg-gray-900 rounded-lg shadow text-gray-600 dark:text-gray-400">
+                Choose a list to see its connections. Add people from their connection page.
+              </div>
+            ) : (
+              <div className="p-6 bg-white dark:bg-gray-900 rounded-lg shadow">
+                <div className="flex items-start justify-between gap-4 mb-4">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white">{selected.name}</h2>
+                    {selected.description && (
+                      <p className="text-sm text-gray-600 dark:text-gray-400">{selected.description}</p>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={remove}
+                    className="shrink-0 px-3 py-1 rounded border border-red-300 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500"
+                  >
+                    Delete list
+                  </button>
+                </div>
+
+                {members.length === 0 ? (
+                  <p className="text-sm text-gray-600 dark:text-gray-400">This list is empty.</p>
+                ) : (
+                  <>
+                    <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+                      {members.map(member => (
+                        <li key={member.id} className="flex items-center gap-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={checked.includes(member.id)}
+                            onChange={() => toggle(member.id)}
+                            aria-label={`Select ${member.first_name} ${member.last_name}`}
+                            className="focus:ring-2 focus:ring-primary"
+                          />
+                          <div className="min-w-0">
+                            <Link href={`/pnit/connections/${member.id}`} legacyBehavior>
+                              <a className="font-medium text-gray-900 dark:text-white hover:underline">
+                                {member.first_name} {member.last_name}
+                              </a>
+                            </Link>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                              {[member.position, member.company].filter(Boolean).join(' at ')}
+                            </p>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="flex justify-end">
+                      <button
+                        type="button"
+                        onClick={removeMembers}
+                        disabled={isBusy || checked.length === 0}
+                        className="px-3 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary"
+                      >
+                        Remove selected ({checked.length})
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </PNITLayout>
+  );
+}
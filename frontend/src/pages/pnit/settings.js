@@ -1,22 +1,38 @@
 import Head from 'next/head';
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
 import PNITLayout from '../../components/PNITLayout';
 import { AccessibilityProvider, AccessibilitySettings } from '../../components/AccessibilityProvider';
-import { UserPreferences, APIKeyManagement } from '../../components/SettingsComponents';
+import { UserPreferences, APIKeyManagement, CompanyAliases, LinkedInConnection, TwoFactorSettings, PasskeySettings } from '../../components/SettingsComponents';
 import { DataExport, DataImport } from '../../components/DataManagement';
 import { DataPrivacyControls, AccountDeletion } from '../../components/PrivacyControls';
+import SecurityDashboard from '../../components/SecurityDashboard';
+import { EmailVerificationNotice } from '../../components/AuthComponents';
+import { useAuth } from '../../utils/auth';
 
 export default function Settings() {
+  const { user } = useAuth();
+  const router = useRouter();
   const [activeTab, setActiveTab] = useState('preferences');
+  const linkedinConnected = router.query.linkedin === 'connected';
+
+  // Back from connecting LinkedIn (see pages/auth/linkedin/callback.js)
+  useEffect(() => {
+    if (linkedinConnected) setActiveTab('account');
+  }, [linkedinConnected]);
 
   const tabs = [
     { id: 'preferences', label: 'Preferences', icon: 'M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z M15 12a3 3 0 11-6 0 3 3 0 016 0z' },
     { id: 'accessibility', label: 'Accessibility', icon: 'M13 6a3 3 0 11-6 0 3 3 0 016 0zM18 8a2 2 0 11-4 0 2 2 0 014 0zM14 15a4 4 0 00-8 0v3h8v-3z' },
     { id: 'api-keys', label: 'API Keys', icon: 'M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z' },
+    { id: 'companies', label: 'Companies', icon: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4' },
     { id: 'data-export', label: 'Export Data', icon: 'M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' },
     { id: 'data-import', label: 'Import Data', icon: 'M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 12l3 3m0 0l3-3m-3 3V8' },
     { id: 'privacy', label: 'Privacy', icon: 'M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z' },
-    { id: 'account', label: 'Account', icon: 'M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z' }
+    { id: 'account', label: 'Account', icon: 'M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z' },
+    ...(user?.role === 'admin'
+      ? [{ id: 'security', label: 'Security (Admin)', icon: 'M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z' }]
+      : [])
   ];
 
   const handleTabChange = (tabId) => {
@@ -100,10 +116,20 @@ export default function Settings() {
                   </div>
                 )}
                 {activeTab === 'api-keys' && <APIKeyManagement />}
+                {activeTab === 'companies' && <CompanyAliases />}
                 {activeTab === 'data-export' && <DataExport />}
                 {activeTab === 'data-import' && <DataImport />}
                 {activeTab === 'privacy' && <DataPrivacyControls />}
-                {activeTab === 'account' && <AccountDeletion />}
+                {activeTab === 'account' && (
+                  <>
+                    <EmailVerificationNotice />
+                    <PasskeySettings />
+                    <TwoFactorSettings />
+                    <LinkedInConnection justConnected={linkedinConnected} />
+                    <AccountDeletion />
+                  </>
+                )}
+                {activeTab === 'security' && <SecurityDashboard />}
               </div>
             </main>
           </div>
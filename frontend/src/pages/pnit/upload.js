@@ -2,6 +2,8 @@ import Head from 'next/head';
 import { useState } from 'react';
 import PNITLayout from '../../components/PNITLayout';
 import CSVUpload from '../../components/CSVUpload';
+import ImportHistory from '../../components/ImportHistory';
+import { EmailVerificationNotice } from '../../components/AuthComponents';
 
 export default function UploadCSV() {
   const [lastUpload, setLastUpload] = useState(null);
@@ -30,9 +32,10 @@ export default function UploadCSV() {
           </p>
         </header>
 
+        <EmailVerificationNotice className="mb-6" />
+
         <div className="bg-white dark:bg-gray-900 rounded-lg shadow-lg p-6">
           <CSVUpload 
-            userId={1} 
             onUploadSuccess={handleUploadSuccess}
           />
         </div>
@@ -55,6 +58,8 @@ export default function UploadCSV() {
           </div>
         )}
 
+        <ImportHistory refreshKey={lastUpload && lastUpload.timestamp} />
+
         {/* Privacy Notice */}
         <div className="mt-6 p-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
           <h2 className="text-lg font-semibold text-yellow-900 dark:text-yellow-100 mb-2">
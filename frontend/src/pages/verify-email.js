@@ -0,0 +1,115 @@
+import Head from 'next/head';
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { AccessibilityProvider } from '../components/AccessibilityProvider';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { useAuth } from '../utils/auth';
+
+export default function VerifyEmailPage() {
+  const router = useRouter();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState(null);
+  // The token works once; don't send it twice if the effect re-runs
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!router.isReady || submitted.current) return;
+
+    const token = router.query.token;
+    if (!token) {
+      setStatus('failed');
+      setError('This confirmation link is incomplete. Open the link from the email again.');
+      return;
+    }
+
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setStatus('failed');
+          setError(data.error || 'Email confirmation failed');
+          return;
+        }
+
+        updateUser({ emailVerified: true });
+        setStatus('verified');
+      } catch (err) {
+        setStatus('failed');
+        setError('Network error. Please check your connection and try again.');
+      }
+    };
+
+    verify();
+  }, [router.isReady, router.query.token, updateUser]);
+
+  const continueUrl = user ? '/pnit/upload' : '/login';
+
+  return (
+    <AccessibilityProvider>
+      <Head>
+        <title>Confirm Email | PNIT</title>
+      </Head>
+
+      <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gray-50 dark:bg-gray-900">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <div className="bg-white dark:bg-gray-800 shadow-lg rounded-lg p-6 text-center" aria-live="polite">
+            {status === 'verifying' && (
+              <>
+                <LoadingSpinner size="lg" className="mx-auto mb-4" />
+                <p className="text-sm text-gray-600 dark:text-gray-400">Confirming your email address...</p>
+              </>
+            )}
+
+            {status === 'verified' && (
+              <>
+                <div className="w-12 h-12 mx-auto mb-4 bg-green-100 dark:bg-green-900/20 rounded-full flex items-center justify-center">
+                  <svg className="w-6 h-6 text-green-600 dark:text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                </div>
+                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">Email Confirmed</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+                  Thanks! Your account is fully set up, and you can now import your connections.
+                </p>
+              </>
+            )}
+
+            {status === 'failed' && (
+              <>
+                <div className="w-12 h-12 mx-auto mb-4 bg-red-100 dark:bg-red-900/20 rounded-full flex items-center justify-center">
+                  <svg className="w-6 h-6 text-red-600 dark:text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </div>
+                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">Link Not Valid</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+                  {error} You can ask for a new link from Settings after signing in.
+                </p>
+              </>
+            )}
+
+            {status !== 'verifying' && (
+              <button
+                onClick={() => router.push(continueUrl)}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+              >
+                {user ? 'Continue' : 'Go to Login'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </AccessibilityProvider>
+  );
+}
@@ -84,7 +84,8 @@ export const removeAuthToken = () => {
 
 // Get authorization headers for API requests
 export const getAuthHeaders = () => {
-  const token = getSessionToken();
+  // The API only trusts the Authorization header; demo users carry a legacy JWT
+  const token = getAuthToken();
   if (token) {
     return {
       'Authorization': `Bearer ${token}`,
@@ -183,6 +184,159 @@ export const authenticatedFetch = async (url, options = {}) => {
   return response;
 };
 
+// Pending LinkedIn sign-in of this tab: { state, browserKey }
+const LINKEDIN_REQUEST_KEY = 'pnit_linkedin_request';
+
+// Send the browser to LinkedIn to sign in, or with `link` to connect LinkedIn
+// to the signed-in account. LinkedIn returns to /auth/linkedin/callback.
+export const startLinkedInSignIn = async ({ link = false } = {}) => {
+  const response = await fetch('/api/auth/linkedin/start', {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ link })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not start LinkedIn sign-in');
+  }
+
+  // The callback only finishes a sign-in this browser started
+  sessionStorage.setItem(LINKEDIN_REQUEST_KEY, JSON.stringify({ state: data.state, browserKey: data.browserKey }));
+  window.location.href = data.authorizationUrl;
+};
+
+// Browser key of the pending LinkedIn sign-in whose state is `state`, or
+// null when this browser did not start it. The request is single-use.
+export const takeLinkedInRequest = (state) => {
+  const stored = sessionStorage.getItem(LINKEDIN_REQUEST_KEY);
+  sessionStorage.removeItem(LINKEDIN_REQUEST_KEY);
+
+  let request = null;
+  try {
+    request = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+  return request && state && request.state === state ? request.browserKey : null;
+};
+
+// WebAuthn exchanges binary fields as base64url strings with the API
+const base64urlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+};
+
+const bufferToBase64url = (buffer) => {
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const isPasskeySupported = () => {
+  return typeof window !== 'undefined' && Boolean(window.PublicKeyCredential && navigator.credentials);
+};
+
+// Sign in with a passkey. Resolves to the API's login response: a session,
+// or { twoFactorRequired, challengeToken } when a code is still needed.
+export const signInWithPasskey = async () => {
+  const startResponse = await fetch('/api/auth/passkeys/authenticate/start', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const { options, error } = await startResponse.json();
+  if (!startResponse.ok) {
+    throw new Error(error || 'Could not start passkey sign-in');
+  }
+
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      allowCredentials: options.allowCredentials.map(allowed => ({ ...allowed, id: base64urlToBuffer(allowed.id) }))
+    }
+  });
+
+  const response = await fetch('/api/auth/passkeys/authenticate/finish', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      credential: {
+        id: credential.id,
+        type: credential.type,
+        response: {
+          clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+          authenticatorData: bufferToBase64url(credential.response.authenticatorData),
+          signature: bufferToBase64url(credential.response.signature),
+          userHandle: credential.response.userHandle ? bufferToBase64url(credential.response.userHandle) : null
+        }
+      }
+    })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Passkey sign-in failed');
+  }
+  return data;
+};
+
+// Create a passkey on this device for the signed-in account, confirmed with
+// { password, code | recoveryCode } as for two-factor changes
+export const registerPasskey = async (name, reauthentication = {}) => {
+  const startResponse = await authenticatedFetch('/api/auth/passkeys/register/start', {
+    method: 'POST',
+    body: JSON.stringify(reauthentication)
+  });
+  const { options, error } = await startResponse.json();
+  if (!startResponse.ok) {
+    throw new Error(error || 'Could not start passkey setup');
+  }
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+      excludeCredentials: options.excludeCredentials.map(excluded => ({ ...excluded, id: base64urlToBuffer(excluded.id) }))
+    }
+  });
+
+  const response = await authenticatedFetch('/api/auth/passkeys/register/finish', {
+    method: 'POST',
+    body: JSON.stringify({
+      name,
+      // The code was used up by the start; the password is checked again
+      password: reauthentication.password,
+      credential: {
+        id: credential.id,
+        type: credential.type,
+        response: {
+          clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+          attestationObject: bufferToBase64url(credential.response.attestationObject),
+          transports: credential.response.getTransports ? credential.response.getTransports() : []
+        }
+      }
+    })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not add the passkey');
+  }
+  return data.passkey;
+};
+
+// Email the signed-in user a new link to confirm their address
+export const resendVerificationEmail = async () => {
+  const response = await authenticatedFetch('/api/auth/resend-verification', { method: 'POST' });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not send the confirmation email');
+  }
+  return data;
+};
+
 // Create demo user (for development)
 export const createDemoUser = async () => {
   try {
@@ -269,6 +423,11 @@ export const AuthProvider = ({ children }) => {
     setUser(userData);
   };
 
+  // Merge fields into the signed-in user, e.g. { emailVerified: true }
+  const updateUser = (changes) => {
+    setUser(current => (current ? { ...current, ...changes } : current));
+  };
+
   const logout = async () => {
     try {
       // Attempt to logout on server
@@ -307,6 +466,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    updateUser,
     logout,
     logoutAll,
     isAuthenticated: !!user
@@ -0,0 +1,61 @@
+import { authenticatedFetch } from './auth';
+
+// Lambda function URL for true streaming; the API Gateway route buffers
+export const CHAT_STREAM_URL = process.env.NEXT_PUBLIC_CHAT_STREAM_URL || '/api/query/stream';
+
+// Parse one server-sent event block ("event: x\ndata: {...}")
+const parseEvent = (block) => {
+  let name = 'message';
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) name = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return data.length > 0 ? { name, data: JSON.parse(data.join('\n')) } : null;
+};
+
+// POST a chat message and dispatch `results` and `delta` events as they
+// arrive. Resolves with the payload of the final `done` event.
+export const streamChatQuery = async (body, { onResults, onDelta } = {}) => {
+  const response = await authenticatedFetch(CHAT_STREAM_URL, {
+    method: 'POST',
+    headers: { 'Accept': 'text/event-stream' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final = null;
+
+  const dispatch = (block) => {
+    const event = parseEvent(block);
+    if (!event) return;
+    if (event.name === 'results') onResults?.(event.data);
+    else if (event.name === 'delta') onDelta?.(event.data.content);
+    else if (event.name === 'done') final = event.data;
+    else if (event.name === 'error') throw new Error(event.data.details || event.data.error);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+
+  if (!final) {
+    throw new Error('Stream ended before the response was complete');
+  }
+  return final;
+};